@@ -4,15 +4,23 @@ const base = new Airtable({ apiKey: process.env.AIRTABLE_PAT })
   .base(process.env.AIRTABLE_BASE_ID)
 const table = base("Movers")
 
+const { createClient } = require("@supabase/supabase-js")
+const { createGeocoder } = require("./lib/geocoding")
+
+// Same geocoder as the API, so backfilled lookups land in (and come from)
+// geocode_cache. Rate limiting is handled inside the geocoder.
+const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null
+const geocoder = createGeocoder({ supabase })
+const AIRTABLE_UPDATE_INTERVAL_MS = 250
+
 async function geocode(city, state, zip) {
-  const q = [city, state, zip].filter(Boolean).join(" ")
-  const res = await fetch(
-    `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(q)}&countrycodes=us&format=json&limit=1`,
-    { headers: { "User-Agent": "PackRocket/1.0" } }
-  )
-  const d = await res.json()
-  if (!d?.[0]) return null
-  return { lat: parseFloat(d[0].lat), lng: parseFloat(d[0].lon) }
+  try {
+    return await geocoder.geocode({ city, state, zip })
+  } catch (e) {
+    return null
+  }
 }
 
 async function run() {
@@ -34,9 +42,11 @@ async function run() {
   "Lat": coords.lat,
   "Lng": coords.lng
 } }])
-    console.log(`✅ ${rec.fields.Name}: ${coords.lat}, ${coords.lng}`)
+    console.log(`✅ ${rec.fields.Name}: ${coords.lat}, ${coords.lng} (${coords.provider})`)
 
-    await new Promise(r => setTimeout(r, 1100))
+    // Airtable allows 5 requests per second per base; the geocoder's own
+    // limits don't cover that when lookups come from the cache.
+    await new Promise(r => setTimeout(r, AIRTABLE_UPDATE_INTERVAL_MS))
   }
   console.log("Done!")
 }
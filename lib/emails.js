@@ -0,0 +1,818 @@
+/* ========= Email templates — every email PackRocket sends ========= */
+
+/*
+  renderEmail(name, data) → { subject, html, text }, ready to spread into
+  sendEmail():
+
+    await sendEmail({ from, to, ...renderEmail("password_reset", { resetLink }) })
+
+  Every template has an HTML and a plain-text variant and shares one
+  layout (header, card, sign-off), so branding changes happen here once.
+
+  HTML is built with the html`` tag below, which escapes everything
+  interpolated into it — customer names, messages, review text — unless
+  it's already html`` output (or an array of it). Never build email HTML
+  by string concatenation; that's how unescaped names got into the old
+  inline templates.
+
+  Each template also carries `fixtures`: named sample data, one of them
+  "default". GET /api/email-previews/:template?fixture= renders them so
+  changes can be reviewed without sending mail — add a fixture for every
+  branch a template has (guest vs account, approved vs rejected...), and
+  keep the "hostile" ones that prove input is escaped.
+
+  Links point at PUBLIC_URL (default https://packrocket.co).
+*/
+
+const BRAND_GREEN = "#1F8052"
+const BRAND_GREEN_LIGHT = "#4CAF82"
+const TEXT_DARK = "#111827"
+const TEXT_BODY = "#4B5563"
+const TEXT_MUTED = "#6B7280"
+const BORDER = "#E5E7EB"
+const FONT = "-apple-system,BlinkMacSystemFont,Arial,sans-serif"
+
+const TEXT_SIGN_OFF = "– The PackRocket Team\nhttps://packrocket.co"
+
+function publicUrl() {
+  return process.env.PUBLIC_URL || "https://packrocket.co"
+}
+
+/* ------------------------- escaping ------------------------- */
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value
+  }
+
+  toString() {
+    return this.value
+  }
+}
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (c) => HTML_ESCAPES[c])
+}
+
+function toHtml(value) {
+  if (value instanceof SafeHtml) return value.value
+  if (Array.isArray(value)) return value.map(toHtml).join("")
+  if (value === null || value === undefined || value === false) return ""
+  return escapeHtml(value)
+}
+
+// Tagged template: html`<p>Hi ${name}</p>` escapes name.
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, s, i) => out + s + (i < values.length ? toHtml(values[i]) : ""), ""))
+}
+
+// Escaped text with its line breaks kept.
+function multiline(text) {
+  return new SafeHtml(escapeHtml(text).replace(/\r?\n/g, "<br />"))
+}
+
+/* ------------------------- layout & blocks ------------------------- */
+
+// One row of the card. Every block below is one.
+function row(content, { padding = "20px 32px 0", align = "left" } = {}) {
+  return html`
+          <tr>
+            <td style="padding:${padding};text-align:${align};">${content}</td>
+          </tr>`
+}
+
+function heading(text) {
+  return row(html`<h1 style="margin:0;font-size:21px;font-weight:600;color:${TEXT_DARK};">${text}</h1>`, { align: "center" })
+}
+
+function paragraph(content, { align = "left" } = {}) {
+  return row(html`<p style="margin:0;font-size:15px;line-height:1.6;color:${TEXT_BODY};">${content}</p>`, { align })
+}
+
+function strong(text) {
+  return html`<strong style="font-weight:600;color:${TEXT_DARK};">${text}</strong>`
+}
+
+function button(href, label) {
+  return row(html`<a href="${href}"
+                 style="display:inline-block;background:${BRAND_GREEN};color:#ffffff;text-decoration:none;font-size:14px;font-weight:500;padding:12px 22px;border-radius:10px;">${label}</a>`, { padding: "24px 32px 0", align: "center" })
+}
+
+function card(title, content) {
+  return row(html`<div style="border:1px solid ${BORDER};border-radius:14px;padding:18px 20px;">
+                ${title ? html`<div style="font-size:13px;font-weight:600;color:${TEXT_DARK};margin-bottom:10px;">${title}</div>` : ""}
+                <div style="font-size:13.5px;line-height:1.7;color:${TEXT_BODY};">${content}</div>
+              </div>`, { padding: "24px 32px 0" })
+}
+
+// Someone else's words — a message, review or reply — set off from ours.
+function quote(text, { label = "" } = {}) {
+  return row(html`${label ? html`<div style="font-size:13px;font-weight:600;color:${TEXT_DARK};margin-bottom:6px;">${label}</div>` : ""}<div style="border-left:3px solid ${BRAND_GREEN_LIGHT};background:#F7F8FA;border-radius:0 10px 10px 0;padding:12px 16px;font-size:14px;line-height:1.6;color:${TEXT_DARK};">${multiline(text)}</div>`)
+}
+
+// [label, value] pairs; empty values are skipped.
+function details(pairs) {
+  const rows = pairs.filter(([, value]) => value !== null && value !== undefined && value !== "")
+  return row(html`<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border:1px solid ${BORDER};border-radius:14px;padding:10px 16px;">
+                ${rows.map(([label, value]) => html`<tr>
+                  <td style="padding:6px 0;font-size:13px;color:${TEXT_MUTED};width:110px;vertical-align:top;">${label}</td>
+                  <td style="padding:6px 0;font-size:14px;color:${TEXT_DARK};">${multiline(value)}</td>
+                </tr>`)}
+              </table>`)
+}
+
+function checkmark() {
+  return row(html`<table role="presentation" cellpadding="0" cellspacing="0" align="center" style="margin:0 auto;">
+                <tr>
+                  <td width="64" height="64" align="center" valign="middle" bgcolor="${BRAND_GREEN_LIGHT}" style="width:64px;height:64px;border-radius:50%;background:${BRAND_GREEN_LIGHT};font-size:30px;line-height:64px;color:#ffffff;font-family:Arial,Helvetica,sans-serif;">&#10003;</td>
+                </tr>
+              </table>`, { padding: "24px 32px 0", align: "center" })
+}
+
+function layout({ preheader = "", blocks, footer = "" }) {
+  return html`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8" /></head>
+<body style="margin:0;padding:0;background:#F7F8FA;font-family:${FONT};">
+  <div style="display:none;max-height:0;overflow:hidden;">${preheader}</div>
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#F7F8FA;padding:32px 0;">
+    <tr>
+      <td align="center">
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:520px;background:#ffffff;border-radius:20px;overflow:hidden;border:1px solid ${BORDER};">
+          <tr>
+            <td style="padding:32px 32px 0;text-align:center;">
+              <a href="${publicUrl()}" style="font-size:19px;font-weight:600;color:${BRAND_GREEN};letter-spacing:-0.01em;text-decoration:none;">PackRocket</a>
+            </td>
+          </tr>
+          ${blocks}
+          <tr>
+            <td style="padding:28px 32px 32px;text-align:center;">
+              <p style="margin:0;font-size:12.5px;color:#9CA3AF;line-height:1.6;">
+                ${footer ? html`${footer}<br />` : ""}— The PackRocket Team
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`.value
+}
+
+/* ------------------------- shared pieces ------------------------- */
+
+const REPLY_BY_EMAIL_TEXT = "Just reply to this email to answer — your reply goes straight into the conversation."
+
+function stars(rating) {
+  return `${"★".repeat(rating)}${"☆".repeat(5 - rating)}`
+}
+
+// review: { rating, customerName, comment }
+function reviewQuoteText(review) {
+  return `${stars(review.rating)} from ${review.customerName}` + (review.comment ? `:\n"${review.comment}"` : "")
+}
+
+function reviewQuote(review) {
+  return quote(review.comment || "(no comment)", { label: `${stars(review.rating)} from ${review.customerName}` })
+}
+
+const SAMPLE_REVIEW = { rating: 4, customerName: "Jordan Lee", comment: "On time and careful with the piano. One scuffed door frame." }
+const HOSTILE_NAME = `<script>alert("x")</script> O'Brien & Sons`
+
+/* ------------------------- templates ------------------------- */
+
+/*
+  Each: { description, subject(d), html(d), text(d), fixtures }
+  html() returns the blocks inside the layout (plus optional preheader /
+  footer); text() returns the body without the sign-off.
+*/
+const TEMPLATES = {
+  move_request_confirmation: {
+    description: "Customer — their move request went to a mover (/api/leads/confirm-email)",
+    subject: (d) => `Your move request was sent to ${d.moverName}`,
+    html: (d) => ({
+      preheader: `${d.moverName} typically responds ${d.responseTimePhrase}.`,
+      blocks: [
+        checkmark(),
+        heading("Your move request was sent!"),
+        paragraph(html`Hi ${d.customerName || "there"}, we sent your request to ${strong(d.moverName)} for your move on ${strong(d.moveDateLabel)}. They typically respond ${d.responseTimePhrase}.`, { align: "center" }),
+        card("What happens next", html`${d.moverName} will review your request and reach out directly by phone or email to confirm availability and pricing. There's no payment required to send a request.`),
+        d.signupUrl
+          ? row(html`<div style="border:1.5px solid ${BRAND_GREEN};background:#F0F9F4;border-radius:14px;padding:18px 20px;">
+                <div style="font-size:14px;font-weight:600;color:${TEXT_DARK};margin-bottom:6px;">Don't lose track of this request</div>
+                <p style="margin:0 0 14px;font-size:13px;line-height:1.6;color:${TEXT_BODY};">
+                  You sent this as a guest. Create a free PackRocket account to see this request anytime, message your mover directly, and save movers for later. No credit card required.
+                </p>
+                <a href="${d.signupUrl}" style="display:inline-block;background:${BRAND_GREEN};color:#ffffff;text-decoration:none;font-size:14px;font-weight:500;padding:12px 22px;border-radius:10px;">Create a free account</a>
+              </div>`)
+          : "",
+      ],
+      footer: "Thanks for using PackRocket to find your mover.",
+    }),
+    text: (d) =>
+      `Hi ${d.customerName || "there"},\n\n` +
+      `Your move request was sent to ${d.moverName} for your move on ${d.moveDateLabel}. ` +
+      `They typically respond ${d.responseTimePhrase}.\n\n` +
+      `${d.moverName} will review your request and reach out directly by phone or email ` +
+      `to confirm availability and pricing. There's no payment required to send a request.\n\n` +
+      (d.signupUrl
+        ? `Since you sent this as a guest, create a free PackRocket account to keep track of ` +
+          `this request, message your mover, and save movers for later:\n${d.signupUrl}\n\n`
+        : ""),
+    fixtures: {
+      default: {
+        customerName: "Jordan Lee",
+        moverName: "Rocket Movers",
+        moveDateLabel: "June 14, 2026",
+        responseTimePhrase: "within a few hours",
+        signupUrl: "https://packrocket.co/customer-signup?email=jordan%40example.com&name=Jordan%20Lee",
+      },
+      account: {
+        customerName: "Jordan Lee",
+        moverName: "Rocket Movers",
+        moveDateLabel: "June 14, 2026",
+        responseTimePhrase: "the same day",
+        signupUrl: null,
+      },
+      hostile: {
+        customerName: HOSTILE_NAME,
+        moverName: `<img src=x onerror=alert(1)>`,
+        moveDateLabel: "June 14, 2026",
+        responseTimePhrase: "within 24 hours",
+        signupUrl: `https://packrocket.co/customer-signup?email=a%40b.co&name="><script>`,
+      },
+    },
+  },
+
+  new_lead: {
+    description: "Mover — a new move request (/api/leads, /api/quote-requests)",
+    subject: (d) => `New PackRocket Move Request — ${d.customerName} (${d.moveDate})`,
+    html: (d) => ({
+      preheader: `${d.customerName} is moving ${d.moveDate}.`,
+      blocks: [
+        heading("New move request"),
+        details([
+          ["Mover", d.moverName],
+          ["Customer", d.customerName],
+          ["Phone", d.customerPhone],
+          ["Email", d.customerEmail],
+          ["Move date", d.moveDate],
+          ["Pickup", d.pickupAddress],
+          ["Dropoff", d.dropoffAddress],
+          ["Home size", d.homeSize],
+        ]),
+        d.notes ? quote(d.notes, { label: "Notes" }) : "",
+        paragraph(html`${d.replyByEmail ? `${REPLY_BY_EMAIL_TEXT} ` : ""}You can also reply any time from your PackRocket dashboard — Messages tab.`),
+        button(`${publicUrl()}/dashboard`, "Open Messages"),
+      ],
+      footer: d.leadId ? `Lead ID: ${d.leadId}` : "",
+    }),
+    text: (d) =>
+      `New PackRocket Move Request\n\n` +
+      `Mover: ${d.moverName}\n` +
+      `Customer: ${d.customerName}\n` +
+      `Phone: ${d.customerPhone}\n` +
+      (d.customerEmail ? `Email: ${d.customerEmail}\n` : "") +
+      `Move Date: ${d.moveDate}\n` +
+      (d.pickupAddress ? `Pickup: ${d.pickupAddress}\n` : "") +
+      (d.dropoffAddress ? `Dropoff: ${d.dropoffAddress}\n` : "") +
+      (d.homeSize ? `Home Size: ${d.homeSize}\n` : "") +
+      (d.notes ? `Notes: ${d.notes}\n` : "") +
+      (d.leadId ? `\nLead ID: ${d.leadId}\n` : "") +
+      `\n${d.replyByEmail ? `${REPLY_BY_EMAIL_TEXT}\n` : ""}` +
+      `Reply to this customer any time from your PackRocket dashboard — Messages tab.\n\n`,
+    fixtures: {
+      default: {
+        moverName: "Rocket Movers",
+        customerName: "Jordan Lee",
+        customerPhone: "+15550102000",
+        customerEmail: "jordan@example.com",
+        moveDate: "2026-06-14",
+        pickupAddress: "12 Elm St, Austin, TX",
+        dropoffAddress: "400 Lake Rd, Round Rock, TX",
+        homeSize: "2 bedroom",
+        notes: "Piano on the second floor.\nStreet parking only.",
+        leadId: "6f1c2a9e-4b1d-4a57-9a0e-2c1b7d9e3f10",
+        replyByEmail: true,
+      },
+      minimal: {
+        moverName: "Rocket Movers",
+        customerName: "Sam Park",
+        customerPhone: "+15550104000",
+        customerEmail: "",
+        moveDate: "2026-07-01",
+        leadId: null,
+        replyByEmail: false,
+      },
+      hostile: {
+        moverName: "Rocket Movers",
+        customerName: HOSTILE_NAME,
+        customerPhone: "<b>555</b>",
+        customerEmail: "x@example.com",
+        moveDate: "2026-06-14",
+        notes: `</td></tr></table><a href="https://evil.example">Click</a>`,
+        leadId: "6f1c2a9e-4b1d-4a57-9a0e-2c1b7d9e3f10",
+        replyByEmail: true,
+      },
+    },
+  },
+
+  new_message: {
+    description: "Mover — a customer messaged them from the listing (/api/message)",
+    subject: (d) => `🚛 New message from ${d.customerName} via PackRocket`,
+    html: (d) => ({
+      preheader: d.message || `${d.customerName} wants to talk about their move.`,
+      blocks: [
+        heading("You have a new message"),
+        details([
+          ["Mover", d.moverName || "N/A"],
+          ["Customer", d.customerName],
+          ["Phone", d.customerPhone],
+          ["Pickup", d.pickupCity],
+          ["Drop-off", d.dropoffCity],
+        ]),
+        d.message ? quote(d.message, { label: "Message" }) : "",
+        paragraph(html`${d.replyByEmail ? `${REPLY_BY_EMAIL_TEXT} ` : ""}Reply directly to this customer any time from your PackRocket dashboard — Messages tab, or call/text ${d.customerPhone}.`),
+        button(`${publicUrl()}/dashboard`, "Open Messages"),
+      ],
+    }),
+    text: (d) =>
+      `You have a new message from a customer on PackRocket!\n\n` +
+      `────────────────────────\n` +
+      `Mover: ${d.moverName || "N/A"}\n` +
+      `Customer: ${d.customerName}\n` +
+      `Phone: ${d.customerPhone}\n` +
+      (d.pickupCity ? `Pickup: ${d.pickupCity}\n` : "") +
+      (d.dropoffCity ? `Drop-off: ${d.dropoffCity}\n` : "") +
+      (d.message ? `\nMessage:\n"${d.message}"\n` : "") +
+      `────────────────────────\n\n` +
+      (d.replyByEmail ? `${REPLY_BY_EMAIL_TEXT}\n` : "") +
+      `Reply directly to this customer any time from your PackRocket dashboard — Messages tab, ` +
+      `or call/text ${d.customerPhone}.\n\n`,
+    fixtures: {
+      default: {
+        moverName: "Rocket Movers",
+        customerName: "Jordan Lee",
+        customerPhone: "+15550102000",
+        pickupCity: "Austin, TX",
+        dropoffCity: "Denver, CO",
+        message: "Do you have availability the weekend of June 14?",
+        replyByEmail: true,
+      },
+      hostile: {
+        moverName: "Rocket Movers",
+        customerName: HOSTILE_NAME,
+        customerPhone: "+15550102000",
+        message: `<a href="https://evil.example">free quote</a>`,
+        replyByEmail: false,
+      },
+    },
+  },
+
+  thread_reply: {
+    description: "Either side — a new reply in a lead's conversation (messages, email and SMS replies)",
+    subject: (d) => `💬 New reply from ${d.senderName} on PackRocket`,
+    html: (d) => ({
+      preheader: d.message || `${d.senderName} sent you a message.`,
+      blocks: [
+        heading(`${d.senderName} replied`),
+        paragraph(d.recipient === "mover"
+          ? html`${strong(d.senderName)} replied to your conversation on PackRocket:`
+          : html`${strong(d.senderName)} replied to your move request on PackRocket:`),
+        threadReplyQuote(d),
+        paragraph(html`${d.replyByEmail ? `${REPLY_BY_EMAIL_TEXT} ` : ""}${d.recipient === "mover"
+          ? `You can also reply any time from your PackRocket dashboard — Messages tab, or call/text ${d.customerPhone}.`
+          : "You can also log in to PackRocket and open Messages to reply."}`),
+        button(`${publicUrl()}/${d.recipient === "mover" ? "dashboard" : "messages"}`, "Open Messages"),
+      ],
+    }),
+    text: (d) =>
+      (d.recipient === "mover"
+        ? `${d.senderName} replied to your conversation on PackRocket:\n\n`
+        : `${d.senderName} replied to your move request on PackRocket:\n\n`) +
+      `${threadReplyQuoteText(d)}\n\n` +
+      (d.replyByEmail ? `${REPLY_BY_EMAIL_TEXT}\n` : "") +
+      (d.recipient === "mover"
+        ? `Reply any time from your PackRocket dashboard — Messages tab, or call/text ${d.customerPhone}.\n\n`
+        : `Log in to PackRocket and open Messages to reply.\n\n`),
+    fixtures: {
+      default: {
+        recipient: "customer",
+        senderName: "Rocket Movers",
+        message: "We can do June 14 — 3 movers and a 26ft truck, about 5 hours.",
+        attachmentCount: 0,
+        replyByEmail: true,
+      },
+      to_mover: {
+        recipient: "mover",
+        senderName: "Jordan Lee",
+        customerPhone: "+15550102000",
+        message: "Great, here are photos of the big pieces.",
+        attachmentCount: 2,
+        replyByEmail: true,
+      },
+      attachments_only: {
+        recipient: "mover",
+        senderName: "Jordan Lee",
+        customerPhone: "+15550102000",
+        message: "",
+        attachmentCount: 1,
+        replyByEmail: false,
+      },
+      hostile: {
+        recipient: "customer",
+        senderName: HOSTILE_NAME,
+        message: `<img src=x onerror=alert(1)>`,
+        attachmentCount: 0,
+        replyByEmail: true,
+      },
+    },
+  },
+
+  quote_sent: {
+    description: "Customer — a mover sent or revised a quote",
+    subject: (d) => `💵 ${d.revision ? "Updated quote" : "New quote"} from ${d.moverName} on PackRocket`,
+    html: (d) => ({
+      preheader: d.summary,
+      blocks: [
+        heading(d.revision ? "Your quote was updated" : "You have a new quote"),
+        paragraph(html`${strong(d.moverName)} sent you ${d.revision ? "an updated" : "a"} quote for your move:`),
+        quote(d.summary),
+        paragraph("Log in to PackRocket and open Messages to see the full breakdown and accept or decline."),
+        button(`${publicUrl()}/messages`, "View quote"),
+      ],
+    }),
+    text: (d) =>
+      `${d.moverName} sent you ${d.revision ? "an updated" : "a"} quote for your move:\n\n` +
+      `${d.summary}\n\n` +
+      `Log in to PackRocket and open Messages to see the full breakdown and accept or decline.\n\n`,
+    fixtures: {
+      default: { moverName: "Rocket Movers", revision: false, summary: "Quote: $1,240.00 total — 3 movers, 26ft truck, 5 hours" },
+      revision: { moverName: "Rocket Movers", revision: true, summary: "Updated quote: $1,180.00 total — 3 movers, 26ft truck, 5 hours" },
+    },
+  },
+
+  quote_response: {
+    description: "Mover — the customer accepted or declined their quote",
+    subject: (d) => d.accepted
+      ? `🎉 ${d.customerName} accepted your quote on PackRocket`
+      : `${d.customerName} declined your quote on PackRocket`,
+    html: (d) => ({
+      blocks: [
+        heading(d.accepted ? "Your quote was accepted" : "Your quote was declined"),
+        paragraph(html`${strong(d.customerName)} ${d.accepted ? "accepted" : "declined"} your quote of ${strong(d.total)}${d.moveDateLabel ? ` for their move on ${d.moveDateLabel}` : ""}.`),
+        paragraph(d.accepted
+          ? `Reach out to confirm the details — call/text ${d.customerPhone} or reply from your PackRocket dashboard.`
+          : "You can send a revised quote from your PackRocket dashboard — Messages tab."),
+        button(`${publicUrl()}/dashboard`, "Open Messages"),
+      ],
+    }),
+    text: (d) =>
+      `${d.customerName} ${d.accepted ? "accepted" : "declined"} your quote of ${d.total}` +
+      (d.moveDateLabel ? ` for their move on ${d.moveDateLabel}` : "") + `.\n\n` +
+      (d.accepted
+        ? `Reach out to confirm the details — call/text ${d.customerPhone} or reply from your PackRocket dashboard.\n\n`
+        : `You can send a revised quote from your PackRocket dashboard — Messages tab.\n\n`),
+    fixtures: {
+      default: { customerName: "Jordan Lee", accepted: true, total: "$1,240.00", moveDateLabel: "Jun 14, 2026", customerPhone: "+15550102000" },
+      declined: { customerName: "Jordan Lee", accepted: false, total: "$1,240.00", moveDateLabel: null, customerPhone: "+15550102000" },
+    },
+  },
+
+  deposit_paid: {
+    description: "Mover — the customer paid a booking deposit",
+    subject: (d) => `💰 ${d.customerName} paid a deposit — you're booked`,
+    html: (d) => ({
+      blocks: [
+        checkmark(),
+        heading("You're booked"),
+        paragraph(html`${strong(d.customerName)} paid a ${strong(d.amount)} deposit through PackRocket${d.moveDateLabel ? ` for their move on ${d.moveDateLabel}` : ""}.`),
+        paragraph(`The deposit is on its way to your connected Stripe account. Reach out to confirm the details — call/text ${d.customerPhone} or reply from your PackRocket dashboard.`),
+      ],
+    }),
+    text: (d) =>
+      `${d.customerName} paid a ${d.amount} deposit through PackRocket` +
+      (d.moveDateLabel ? ` for their move on ${d.moveDateLabel}` : "") + `.\n\n` +
+      `The deposit is on its way to your connected Stripe account. ` +
+      `Reach out to confirm the details — call/text ${d.customerPhone} or reply from your PackRocket dashboard.\n\n`,
+    fixtures: {
+      default: { customerName: "Jordan Lee", amount: "$150.00", moveDateLabel: "Jun 14, 2026", customerPhone: "+15550102000" },
+    },
+  },
+
+  password_reset: {
+    description: "Mover — password reset link (/api/forgot-password)",
+    subject: () => "Reset your PackRocket password",
+    html: (d) => ({
+      blocks: [
+        heading("Reset your password"),
+        paragraph("We received a request to reset your PackRocket password. Click the button below to set a new one."),
+        button(d.resetLink, "Reset My Password"),
+        paragraph("This link expires in 1 hour. If you didn't ask for a reset, you can ignore this email."),
+      ],
+    }),
+    text: (d) =>
+      `Hi there,\n\nWe received a request to reset your PackRocket password.\n\n` +
+      `Click the link below to set a new password:\n${d.resetLink}\n\n` +
+      `This link expires in 1 hour.\n\n`,
+    fixtures: {
+      default: { resetLink: "https://example.supabase.co/auth/v1/verify?token=sample&type=recovery&redirect_to=https://packrocket.co/reset-password" },
+    },
+  },
+
+  mover_welcome: {
+    description: "Mover — right after signup (/api/signup)",
+    subject: () => "Welcome to PackRocket! 🚛",
+    html: (d) => ({
+      blocks: [
+        heading("Welcome to PackRocket!"),
+        paragraph(html`Hi ${d.name || "there"}, thanks for signing up with PackRocket as a mover! Your account is ready.`),
+        paragraph("Log in any time to complete your profile, set your service area, and start getting move requests from customers near you."),
+        button(d.dashboardUrl, "Go to your dashboard"),
+      ],
+      footer: "Welcome aboard!",
+    }),
+    text: (d) =>
+      `Hi ${d.name || "there"},\n\n` +
+      `Thanks for signing up with PackRocket as a mover! Your account is ready.\n\n` +
+      `Log in any time to complete your profile, set your service area, and start getting move requests from customers near you:\n` +
+      `${d.dashboardUrl}\n\n` +
+      `Welcome aboard!\n`,
+    fixtures: {
+      default: { name: "Rocket Movers", dashboardUrl: "https://packrocket.co/dashboard?email=owner%40rocketmovers.example" },
+      hostile: { name: HOSTILE_NAME, dashboardUrl: "https://packrocket.co/dashboard" },
+    },
+  },
+
+  customer_welcome: {
+    description: "Customer — right after signup (/api/customer/signup)",
+    subject: () => "Welcome to PackRocket! 🎉",
+    html: (d) => ({
+      blocks: [
+        heading("Welcome to PackRocket!"),
+        paragraph(html`Hi ${d.name || "there"}, thanks for signing up! You're all set to search for movers, message them directly, and keep track of your upcoming move.`),
+        button(`${publicUrl()}/results`, "Find movers"),
+      ],
+      footer: "Welcome aboard!",
+    }),
+    text: (d) =>
+      `Hi ${d.name || "there"},\n\n` +
+      `Thanks for signing up with PackRocket! You're all set to search for movers, ` +
+      `message them directly, and keep track of your upcoming move.\n\n` +
+      `Head back to PackRocket any time to get started:\n${publicUrl()}/results\n\n` +
+      `Welcome aboard!\n`,
+    fixtures: {
+      default: { name: "Jordan Lee" },
+      hostile: { name: HOSTILE_NAME },
+    },
+  },
+
+  approval_decision: {
+    description: "Mover — an admin approved or rejected their account",
+    subject: (d) => d.approved ? "Your PackRocket listing is live 🚛" : "Update on your PackRocket application",
+    html: (d) => ({
+      blocks: d.approved
+        ? [
+          checkmark(),
+          heading("Your listing is live"),
+          paragraph(html`Hi ${d.name || "there"}, good news — your PackRocket mover account has been approved and your listing is now visible to customers searching in your area.`),
+          d.reason ? quote(d.reason, { label: "Note from our team" }) : "",
+          button(`${publicUrl()}/dashboard`, "Go to your dashboard"),
+        ]
+        : [
+          heading("Update on your application"),
+          paragraph(html`Hi ${d.name || "there"}, thanks for applying to list your business on PackRocket. After reviewing your account, we aren't able to approve it right now.`),
+          quote(d.reason, { label: "Reason" }),
+          paragraph("If you think this was a mistake or you've fixed the issue, just reply to this email."),
+        ],
+    }),
+    text: (d) => d.approved
+      ? `Hi ${d.name || "there"},\n\n` +
+        `Good news — your PackRocket mover account has been approved and your listing ` +
+        `is now visible to customers searching in your area.\n\n` +
+        (d.reason ? `Note from our team: ${d.reason}\n\n` : "") +
+        `Log in any time to update your listing and respond to move requests:\n${publicUrl()}/dashboard\n\n`
+      : `Hi ${d.name || "there"},\n\n` +
+        `Thanks for applying to list your business on PackRocket. After reviewing your ` +
+        `account, we aren't able to approve it right now.\n\n` +
+        `Reason: ${d.reason}\n\n` +
+        `If you think this was a mistake or you've fixed the issue, just reply to this email.\n\n`,
+    fixtures: {
+      default: { name: "Rocket Movers", approved: true, reason: "" },
+      rejected: { name: "Rocket Movers", approved: false, reason: "We couldn't verify your USDOT number." },
+    },
+  },
+
+  support_request: {
+    description: "Internal — a /api/support contact form submission",
+    subject: (d) => `Support: ${d.subject || "General"} — ${d.name}`,
+    html: (d) => ({
+      blocks: [
+        heading("Support request"),
+        details([["Name", d.name], ["Email", d.email], ["Subject", d.subject || "General"]]),
+        quote(d.message, { label: "Message" }),
+      ],
+    }),
+    text: (d) => `Name: ${d.name}\nEmail: ${d.email}\nSubject: ${d.subject}\n\n${d.message}\n\n`,
+    fixtures: {
+      default: { name: "Jordan Lee", email: "jordan@example.com", subject: "Billing", message: "I was charged twice this month." },
+      hostile: { name: HOSTILE_NAME, email: "x@example.com", subject: "<b>hi</b>", message: `<script>fetch("/steal")</script>` },
+    },
+  },
+
+  review_request: {
+    description: "Customer — asks for a review after their move (POST-MOVE REVIEW REQUESTS)",
+    subject: (d) => d.reminder
+      ? `Reminder: how did your move with ${d.moverName} go?`
+      : `How did your move with ${d.moverName} go?`,
+    html: (d) => ({
+      preheader: "Your review helps other families pick the right mover.",
+      blocks: [
+        heading(`How did ${d.moverName} do?`),
+        paragraph(html`Hi ${d.firstName || "there"}, we hope your move${d.moveDateLabel ? ` on ${d.moveDateLabel}` : ""} went smoothly! Would you take a minute to review ${strong(d.moverName)}? Your review helps other families pick the right mover — no account needed.`),
+        button(d.reviewUrl, "Leave a review"),
+      ],
+      footer: html`Don't want these emails? <a href="${d.unsubscribeUrl}" style="color:#9CA3AF;">Unsubscribe</a>`,
+    }),
+    text: (d) =>
+      `Hi ${d.firstName || "there"},\n\n` +
+      `We hope your move` + (d.moveDateLabel ? ` on ${d.moveDateLabel}` : "") +
+      ` went smoothly! Would you take a minute to review ${d.moverName}? ` +
+      `Your review helps other families pick the right mover — no account needed.\n\n` +
+      `Leave a review:\n${d.reviewUrl}\n\n` +
+      `Don't want these emails? ${d.unsubscribeUrl}\n\n`,
+    fixtures: {
+      default: {
+        firstName: "Jordan",
+        moverName: "Rocket Movers",
+        moveDateLabel: "Jun 14, 2026",
+        reviewUrl: "https://packrocket.co/review?token=sample",
+        unsubscribeUrl: "https://packrocket.co/review/unsubscribe?token=sample",
+        reminder: false,
+      },
+      reminder: {
+        firstName: "Jordan",
+        moverName: "Rocket Movers",
+        moveDateLabel: null,
+        reviewUrl: "https://packrocket.co/review?token=sample",
+        unsubscribeUrl: "https://packrocket.co/review/unsubscribe?token=sample",
+        reminder: true,
+      },
+    },
+  },
+
+  review_reply: {
+    description: "Mover / reviewer — a mover's public reply to a review went live",
+    subject: (d) => d.recipient === "mover"
+      ? (d.editing ? "Your updated review reply is live on PackRocket" : "Your review reply is live on PackRocket")
+      : `${d.moverName} replied to your review on PackRocket`,
+    html: (d) => ({
+      blocks: [
+        paragraph(d.recipient === "mover"
+          ? "Your public reply to this review is now showing on your listing:"
+          : html`${strong(d.moverName)} posted a public reply to your review:`),
+        reviewQuote(d.review),
+        quote(d.reply, { label: d.recipient === "mover" ? "Your reply" : `${d.moverName}'s reply` }),
+      ],
+    }),
+    text: (d) => d.recipient === "mover"
+      ? `Your public reply to this review is now showing on your listing:\n\n` +
+        `${reviewQuoteText(d.review)}\n\nYour reply:\n"${d.reply}"\n\n`
+      : `${d.moverName} posted a public reply to your review:\n\n` +
+        `${reviewQuoteText(d.review)}\n\n${d.moverName}'s reply:\n"${d.reply}"\n\n`,
+    fixtures: {
+      default: { recipient: "reviewer", moverName: "Rocket Movers", review: SAMPLE_REVIEW, reply: "Thanks Jordan — we've sent someone to fix that frame.", editing: false },
+      to_mover: { recipient: "mover", moverName: "Rocket Movers", review: SAMPLE_REVIEW, reply: "Thanks Jordan — we've sent someone to fix that frame.", editing: true },
+    },
+  },
+
+  review_dispute_opened: {
+    description: "Mover / reviewer — a mover disputed a review",
+    subject: (d) => d.recipient === "mover"
+      ? "We received your review dispute"
+      : `Your review of ${d.moverName} is being looked at`,
+    html: (d) => ({
+      blocks: d.recipient === "mover"
+        ? [
+          paragraph("We've received your dispute of this review:"),
+          reviewQuote(d.review),
+          quote(d.reason, { label: "Your reason" }),
+          paragraph("While our team looks into it, the review doesn't count toward your rating. We'll email you with the decision."),
+        ]
+        : [
+          paragraph(html`${strong(d.moverName)} has asked us to look at your review:`),
+          reviewQuote(d.review),
+          paragraph("Our team will check it against our review guidelines and email you the outcome. You don't need to do anything in the meantime."),
+        ],
+    }),
+    text: (d) => d.recipient === "mover"
+      ? `We've received your dispute of this review:\n\n${reviewQuoteText(d.review)}\n\n` +
+        `Your reason:\n"${d.reason}"\n\n` +
+        `While our team looks into it, the review doesn't count toward your rating. ` +
+        `We'll email you with the decision.\n\n`
+      : `${d.moverName} has asked us to look at your review:\n\n${reviewQuoteText(d.review)}\n\n` +
+        `Our team will check it against our review guidelines and email you the outcome. ` +
+        `You don't need to do anything in the meantime.\n\n`,
+    fixtures: {
+      default: { recipient: "mover", moverName: "Rocket Movers", review: SAMPLE_REVIEW, reason: "This customer never booked with us." },
+      to_reviewer: { recipient: "reviewer", moverName: "Rocket Movers", review: SAMPLE_REVIEW, reason: "" },
+    },
+  },
+
+  review_dispute_decided: {
+    description: "Mover / reviewer — an admin upheld or dismissed a review dispute",
+    subject: (d) => {
+      if (d.recipient === "mover") return d.upheld ? "Your review dispute was upheld" : "Your review dispute was not upheld"
+      return d.upheld ? `Your review of ${d.moverName} was removed` : `Your review of ${d.moverName} stays up`
+    },
+    html: (d) => ({
+      blocks: [
+        paragraph(reviewDecisionIntro(d)),
+        reviewQuote(d.review),
+        d.note ? quote(d.note, { label: "Note from our team" }) : "",
+        d.recipient === "mover" && !d.upheld ? paragraph("You can still post a public reply to it from your dashboard.") : "",
+      ],
+    }),
+    text: (d) =>
+      `${reviewDecisionIntro(d)}\n\n${reviewQuoteText(d.review)}` +
+      (d.note ? `\n\nNote from our team:\n"${d.note}"` : "") +
+      (d.recipient === "mover" && !d.upheld ? `\n\nYou can still post a public reply to it from your dashboard.` : "") +
+      `\n\n`,
+    fixtures: {
+      default: { recipient: "mover", upheld: true, moverName: "Rocket Movers", review: SAMPLE_REVIEW, note: "No booking matched this review." },
+      dismissed_to_reviewer: { recipient: "reviewer", upheld: false, moverName: "Rocket Movers", review: SAMPLE_REVIEW, note: "" },
+    },
+  },
+}
+
+function attachmentLabel(count) {
+  return count ? `${count} attachment${count === 1 ? "" : "s"}` : ""
+}
+
+// The reply as the other side's email quotes it — its text, or a note
+// about the files when it's attachments only.
+function threadReplyQuoteText(d) {
+  const attachments = attachmentLabel(d.attachmentCount)
+  if (!d.message) return `[Sent ${attachments}]`
+  return `"${d.message}"` + (attachments ? `\n(+ ${attachments})` : "")
+}
+
+function threadReplyQuote(d) {
+  const attachments = attachmentLabel(d.attachmentCount)
+  if (!d.message) return quote(`[Sent ${attachments}]`)
+  return quote(d.message + (attachments ? `\n(+ ${attachments})` : ""))
+}
+
+function reviewDecisionIntro(d) {
+  if (d.recipient === "mover") {
+    return d.upheld
+      ? "We've reviewed your dispute and removed this review from your listing:"
+      : "We've reviewed your dispute and this review will stay on your listing and count toward your rating again:"
+  }
+  return d.upheld
+    ? `After looking into ${d.moverName}'s dispute, we've removed your review because it doesn't meet our review guidelines:`
+    : `We've finished looking into ${d.moverName}'s dispute — your review stays published:`
+}
+
+/* ------------------------- rendering ------------------------- */
+
+function renderEmail(name, data = {}) {
+  const template = Object.hasOwn(TEMPLATES, name) ? TEMPLATES[name] : null
+  if (!template) throw new Error(`Unknown email template: ${name}`)
+
+  const { preheader, blocks, footer } = template.html(data)
+  return {
+    subject: template.subject(data),
+    html: layout({ preheader, blocks, footer }),
+    text: `${template.text(data).trimEnd()}\n\n${TEXT_SIGN_OFF}`,
+  }
+}
+
+// [{ name, description, fixtures: [fixture names] }]
+function listEmailTemplates() {
+  return Object.entries(TEMPLATES).map(([name, t]) => ({
+    name,
+    description: t.description,
+    fixtures: Object.keys(t.fixtures),
+  }))
+}
+
+// Renders a template with one of its fixtures; null if either is unknown.
+// Both names come from the preview URL, so only own keys count —
+// "constructor" or "__proto__" is unknown, not an Object.prototype hit.
+function renderEmailFixture(name, fixture = "default") {
+  if (!Object.hasOwn(TEMPLATES, name)) return null
+  const { fixtures } = TEMPLATES[name]
+  if (!Object.hasOwn(fixtures, fixture)) return null
+  return renderEmail(name, fixtures[fixture])
+}
+
+module.exports = {
+  renderEmail,
+  renderEmailFixture,
+  listEmailTemplates,
+  escapeHtml,
+}
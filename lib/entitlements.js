@@ -0,0 +1,103 @@
+/* ========= Plan entitlements — what each profiles.plan gets ========= */
+
+/*
+  One table of what Free / Pro / Enterprise movers get, so routes ask
+  "is this mover allowed X?" here instead of each hard-coding plan names.
+
+  monthlyLeads: new leads per calendar month (UTC); null = unlimited.
+    Counted from the leads table, so /api/leads, /api/message and
+    /api/quote-requests all draw from the same quota.
+  maxListingPhotos: photos a mover can show on their listing.
+  maxAttachmentMb: largest file a mover can attach in a lead thread.
+  featuredPlacement: can buy a sponsored search slot.
+  analytics: can see listing/lead analytics on the dashboard.
+  bookingDeposits: can take deposits through Stripe Connect.
+*/
+const PLAN_ENTITLEMENTS = {
+  Free: {
+    monthlyLeads: 2,
+    maxListingPhotos: 1,
+    maxAttachmentMb: 5,
+    featuredPlacement: false,
+    analytics: false,
+    bookingDeposits: false,
+  },
+  Pro: {
+    monthlyLeads: null,
+    maxListingPhotos: 10,
+    maxAttachmentMb: 15,
+    featuredPlacement: true,
+    analytics: true,
+    bookingDeposits: true,
+  },
+  Enterprise: {
+    monthlyLeads: null,
+    maxListingPhotos: 50,
+    maxAttachmentMb: 25,
+    featuredPlacement: true,
+    analytics: true,
+    bookingDeposits: true,
+  },
+}
+
+const PLANS = Object.keys(PLAN_ENTITLEMENTS)
+
+// Unknown or missing plans get Free entitlements.
+function getEntitlements(plan) {
+  return PLAN_ENTITLEMENTS[plan] || PLAN_ENTITLEMENTS.Free
+}
+
+function hasEntitlement(plan, feature) {
+  return !!getEntitlements(plan)[feature]
+}
+
+// The current quota period: this calendar month in UTC.
+// resetsAt is when the next period (and a fresh quota) starts.
+function currentPeriod(now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+  const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+  return { start: start.toISOString(), resetsAt: resetsAt.toISOString() }
+}
+
+/*
+  Lead usage for a mover this period:
+    { used, limit, remaining, resetsAt, capped }
+  limit/remaining are null for unlimited plans. Movers without a profile
+  (manually added listings) have nothing to count against, so they're
+  never capped.
+*/
+async function getLeadUsage(supabase, { profileId, plan }) {
+  const { monthlyLeads } = getEntitlements(plan)
+  const { start, resetsAt } = currentPeriod()
+
+  if (!profileId || monthlyLeads === null) {
+    return { used: null, limit: null, remaining: null, resetsAt, capped: false }
+  }
+
+  const { count, error } = await supabase
+    .from("leads")
+    .select("id", { count: "exact", head: true })
+    .eq("mover_id", profileId)
+    .gte("created_at", start)
+    .lt("created_at", resetsAt)
+
+  if (error) throw error
+
+  const used = count || 0
+  return {
+    used,
+    limit: monthlyLeads,
+    remaining: Math.max(0, monthlyLeads - used),
+    resetsAt,
+    capped: used >= monthlyLeads,
+  }
+}
+
+module.exports = {
+  PLAN_ENTITLEMENTS,
+  PLANS,
+  getEntitlements,
+  hasEntitlement,
+  currentPeriod,
+  getLeadUsage,
+}
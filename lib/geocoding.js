@@ -0,0 +1,251 @@
+/* ========= Geocoding — one provider chain for the API and backfill ========= */
+
+const zipcodes = require("zipcodes")
+
+/*
+  Every address → lat/lng lookup goes through here: mover profile sync,
+  /api/movers, /api/movers/nearby, /api/quote-requests and backfill.js.
+
+  Lookup order:
+    1. Bundled ZIP-centroid table (the zipcodes package) — used first
+       when the query is just a 5-digit ZIP. No network at all.
+    2. In-process memory cache, then the geocode_cache table.
+    3. Google Maps (only when GOOGLE_MAPS_API_KEY is set) → Census →
+       Nominatim, each behind its own rate limiter. Nominatim's usage
+       policy is 1 request/second for the whole app, so that limiter is
+       shared by everything in this process. A provider already booked
+       up more than MAX_RATE_LIMIT_WAIT_MS ahead is skipped for that
+       lookup.
+
+  Successful remote lookups are written to geocode_cache, keyed on the
+  normalized query, so a city is only ever geocoded remotely once.
+  Failures aren't cached — a provider outage shouldn't stick.
+
+  Requires this table in Supabase (run once):
+
+  create table if not exists geocode_cache (
+    query_key text primary key,
+    lat double precision not null,
+    lng double precision not null,
+    provider text not null,
+    created_at timestamptz not null default now()
+  );
+*/
+
+const CACHE_TABLE = "geocode_cache"
+const MEMORY_CACHE_MAX = 1000
+const REQUEST_TIMEOUT_MS = 8000
+const MAX_RATE_LIMIT_WAIT_MS = 5000
+const USER_AGENT = "PackRocket/1.0 (packrocket.co)"
+
+/* ------------------------- rate limiting ------------------------- */
+
+// Spaces calls to one provider at least minIntervalMs apart, across all
+// concurrent callers. Each caller reserves the next free slot, then waits.
+// When the next free slot is more than maxWaitMs away it throws instead,
+// so a burst moves on to the next provider rather than queueing without
+// bound behind a slow one.
+function createRateLimiter(minIntervalMs, { maxWaitMs = MAX_RATE_LIMIT_WAIT_MS } = {}) {
+  let nextSlot = 0
+  return async function waitForSlot() {
+    const now = Date.now()
+    const slot = Math.max(now, nextSlot)
+    if (slot - now > maxWaitMs) throw new Error("Rate limit queue is full")
+    nextSlot = slot + minIntervalMs
+    if (slot > now) await new Promise((r) => setTimeout(r, slot - now))
+  }
+}
+
+/* ------------------------- providers ------------------------- */
+
+/*
+  Each provider: { name, minIntervalMs, lookup({ text, zip }) }
+  lookup resolves { lat, lng } or null (no match) and throws on
+  transport errors; either way the chain moves on to the next one.
+*/
+
+const googleProvider = {
+  name: "google",
+  minIntervalMs: 50,
+  enabled: () => !!process.env.GOOGLE_MAPS_API_KEY,
+  async lookup({ text }) {
+    const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(text + ", US")}&key=${process.env.GOOGLE_MAPS_API_KEY}`
+    const res = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) })
+    const data = await res.json()
+    if (data.status === "OK" && data.results?.[0]) {
+      const loc = data.results[0].geometry.location
+      return { lat: loc.lat, lng: loc.lng }
+    }
+    if (data.status !== "ZERO_RESULTS") console.warn("Google geocoder no results:", data.status)
+    return null
+  },
+}
+
+const censusProvider = {
+  name: "census",
+  minIntervalMs: 200,
+  enabled: () => true,
+  async lookup({ text }) {
+    const url = `https://geocoding.geo.census.gov/geocoder/locations/onelineaddress?address=${encodeURIComponent(text + ", US")}&benchmark=Public_AR_Current&format=json`
+    const res = await fetch(url, {
+      headers: { "User-Agent": USER_AGENT },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    })
+    if (!res.ok) return null
+    const data = await res.json()
+    const match = data?.result?.addressMatches?.[0]
+    return match ? { lat: parseFloat(match.coordinates.y), lng: parseFloat(match.coordinates.x) } : null
+  },
+}
+
+const nominatimProvider = {
+  name: "nominatim",
+  minIntervalMs: 1100,
+  enabled: () => true,
+  async lookup({ text, zip }) {
+    // ZIP-only lookups use the structured postalcode search, which is
+    // far more reliable than free text for a bare number.
+    const url = zip && !text.replace(zip, "").trim()
+      ? `https://nominatim.openstreetmap.org/search?postalcode=${encodeURIComponent(zip)}&country=us&format=json&limit=1`
+      : `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(text)}&countrycodes=us&format=json&limit=1`
+    const res = await fetch(url, {
+      headers: { "User-Agent": USER_AGENT, "Accept": "application/json", "Accept-Language": "en" },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    })
+    const contentType = res.headers.get("content-type") || ""
+    if (!res.ok || !contentType.includes("application/json")) return null
+    const data = await res.json()
+    return data?.[0] ? { lat: parseFloat(data[0].lat), lng: parseFloat(data[0].lon) } : null
+  },
+}
+
+const DEFAULT_PROVIDERS = [googleProvider, censusProvider, nominatimProvider]
+
+// One limiter per provider name for the whole process.
+const limiters = {}
+function limiterFor(provider) {
+  if (!limiters[provider.name]) limiters[provider.name] = createRateLimiter(provider.minIntervalMs)
+  return limiters[provider.name]
+}
+
+/* ------------------------- ZIP table ------------------------- */
+
+function isZip(value) {
+  return /^\d{5}$/.test(String(value || "").trim())
+}
+
+// Centroid for a US ZIP from the bundled table, or null.
+function lookupZipCentroid(zip) {
+  const row = zipcodes.lookup(String(zip).trim())
+  if (!row || row.country !== "US") return null
+  return { lat: row.latitude, lng: row.longitude, city: row.city, state: row.state }
+}
+
+// ZIP whose centroid is closest to a point, or null (non-US points).
+function nearestZip(lat, lng) {
+  const row = zipcodes.lookupByCoords(lat, lng)
+  return row && row.country === "US" ? row.zip : null
+}
+
+/* ------------------------- query normalization ------------------------- */
+
+// "  Foley,  AL 36535 " and "foley al 36535" share one cache key.
+function normalizeGeocodeQuery(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+}
+
+/* ------------------------- geocoder ------------------------- */
+
+/*
+  createGeocoder({ supabase, providers }) → { geocode }
+
+  supabase is optional; without it only the memory cache is used.
+  geocode({ city, state, zip }) resolves { lat, lng, provider } — where
+  provider is "zip_table", "cache" or the remote provider's name — and
+  throws "All geocoders failed" when nothing matched.
+*/
+function createGeocoder({ supabase = null, providers = DEFAULT_PROVIDERS } = {}) {
+  const memoryCache = new Map()
+
+  function remember(key, value) {
+    if (memoryCache.size >= MEMORY_CACHE_MAX) {
+      memoryCache.delete(memoryCache.keys().next().value)
+    }
+    memoryCache.set(key, value)
+  }
+
+  async function readCache(key) {
+    if (memoryCache.has(key)) return memoryCache.get(key)
+    if (!supabase) return null
+    const { data, error } = await supabase
+      .from(CACHE_TABLE)
+      .select("lat, lng")
+      .eq("query_key", key)
+      .maybeSingle()
+    if (error) {
+      console.warn("Geocode cache read failed:", error.message)
+      return null
+    }
+    if (!data) return null
+    const hit = { lat: data.lat, lng: data.lng }
+    remember(key, hit)
+    return hit
+  }
+
+  async function writeCache(key, coords, provider) {
+    remember(key, { lat: coords.lat, lng: coords.lng })
+    if (!supabase) return
+    const { error } = await supabase
+      .from(CACHE_TABLE)
+      .upsert([{ query_key: key, lat: coords.lat, lng: coords.lng, provider }], { onConflict: "query_key" })
+    if (error) console.warn("Geocode cache write failed:", error.message)
+  }
+
+  async function geocode({ city, state, zip } = {}) {
+    const text = [city, state, zip].filter(Boolean).join(" ").trim()
+    if (!text) throw new Error("No address to geocode")
+
+    // A bare ZIP — whether it came in as zip or typed into the city box.
+    const zipOnly = isZip(text) ? text : null
+    if (zipOnly) {
+      const centroid = lookupZipCentroid(zipOnly)
+      if (centroid) return { lat: centroid.lat, lng: centroid.lng, provider: "zip_table" }
+    }
+
+    const key = normalizeGeocodeQuery(text)
+    const cached = await readCache(key)
+    if (cached) return { ...cached, provider: "cache" }
+
+    for (const provider of providers) {
+      if (!provider.enabled()) continue
+      try {
+        await limiterFor(provider)()
+        const coords = await provider.lookup({ text, zip: zipOnly || (isZip(zip) ? String(zip).trim() : null) })
+        if (coords && isFinite(coords.lat) && isFinite(coords.lng)) {
+          console.log(`Geocoded "${text}" via ${provider.name}:`, coords.lat, coords.lng)
+          await writeCache(key, coords, provider.name)
+          return { lat: coords.lat, lng: coords.lng, provider: provider.name }
+        }
+      } catch (e) {
+        console.warn(`${provider.name} geocoder failed:`, e.message)
+      }
+    }
+
+    throw new Error("All geocoders failed")
+  }
+
+  return { geocode }
+}
+
+module.exports = {
+  createGeocoder,
+  createRateLimiter,
+  lookupZipCentroid,
+  nearestZip,
+  normalizeGeocodeQuery,
+  isZip,
+}
@@ -0,0 +1,258 @@
+/* ========= Background jobs — durable Postgres-backed queue ========= */
+
+const crypto = require("crypto")
+const os = require("os")
+
+/*
+  Work that shouldn't hold up a response — emails, mover sync,
+  geocoding, rating refreshes, Stripe webhook side effects — is written
+  to the jobs table and run by a worker, so a crash or deploy mid-way
+  delays it instead of losing it.
+
+    queue.register(type, handler, { maxAttempts })
+      handler(payload, job) — throw to fail the attempt
+    queue.enqueue(type, payload, { runAt, dedupeKey, maxAttempts })
+      → resolves the job row, or null when dedupeKey matched a job
+        that's still queued (the queued one will do the same work)
+    queue.every(intervalMs, fn)      periodic sweeps; only run where the
+                                     worker runs
+    queue.startWorker() / stopWorker()
+
+  A failed attempt is retried after BASE_BACKOFF_MS × 2^(attempt - 1)
+  (±20%, capped at MAX_BACKOFF_MS). After maxAttempts (default
+  DEFAULT_MAX_ATTEMPTS) the job is marked dead and stays there — the
+  dead-letter queue — until an admin retries it. A failed job whose
+  dedupeKey was queued again meanwhile is marked superseded rather than
+  retried; the newer job does the work.
+
+  Jobs are claimed with FOR UPDATE SKIP LOCKED, so any number of
+  workers can share the table. A job whose worker died mid-run is
+  picked up again once it has been running for STALE_AFTER_SECONDS —
+  handlers must be safe to run twice.
+
+  Requires in Supabase (run once):
+
+  create table if not exists jobs (
+    id uuid primary key default gen_random_uuid(),
+    type text not null,
+    payload jsonb not null default '{}'::jsonb,
+    status text not null default 'queued'
+      check (status in ('queued', 'running', 'succeeded', 'dead', 'superseded')),
+    attempts integer not null default 0,
+    max_attempts integer not null default 5,
+    run_at timestamptz not null default now(),
+    dedupe_key text,
+    locked_by text,
+    locked_at timestamptz,
+    last_error text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    finished_at timestamptz
+  );
+  create index if not exists jobs_due_idx on jobs (run_at) where status = 'queued';
+  create index if not exists jobs_status_idx on jobs (status, type, updated_at desc);
+  create unique index if not exists jobs_dedupe_idx on jobs (type, dedupe_key)
+    where status = 'queued' and dedupe_key is not null;
+
+  -- If the table was created before 'superseded' was a status:
+  alter table jobs drop constraint if exists jobs_status_check;
+  alter table jobs add constraint jobs_status_check
+    check (status in ('queued', 'running', 'succeeded', 'dead', 'superseded'));
+
+  create or replace function claim_jobs(p_worker text, p_types text[], p_limit integer, p_stale_seconds integer)
+  returns setof jobs
+  language sql as $$
+    update jobs
+       set status = 'running', attempts = attempts + 1, locked_by = p_worker,
+           locked_at = now(), updated_at = now()
+     where id in (
+       select id from jobs
+        where type = any (p_types)
+          and ((status = 'queued' and run_at <= now())
+            or (status = 'running' and locked_at < now() - make_interval(secs => p_stale_seconds)))
+        order by run_at
+        limit p_limit
+        for update skip locked
+     )
+    returning *
+  $$;
+*/
+
+const DEFAULT_MAX_ATTEMPTS = 5
+const BASE_BACKOFF_MS = 30 * 1000
+const MAX_BACKOFF_MS = 60 * 60 * 1000
+const STALE_AFTER_SECONDS = 15 * 60
+const POLL_INTERVAL_MS = 2000
+const DEFAULT_CONCURRENCY = 4
+const FINISHED_RETENTION_DAYS = 7
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000
+const ERROR_MAX_LENGTH = 2000
+
+function backoffMs(attempt) {
+  const base = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** Math.max(0, attempt - 1))
+  return Math.round(base * (0.8 + Math.random() * 0.4))
+}
+
+function describeError(err) {
+  const text = err?.stack || err?.message || String(err)
+  return text.slice(0, ERROR_MAX_LENGTH)
+}
+
+/*
+  createJobQueue({ supabase, concurrency }) → the queue described above.
+  concurrency is how many jobs this process runs at once (JOBS_CONCURRENCY
+  or DEFAULT_CONCURRENCY).
+*/
+function createJobQueue({ supabase, concurrency = parseInt(process.env.JOBS_CONCURRENCY, 10) || DEFAULT_CONCURRENCY }) {
+  const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`
+  const handlers = new Map()
+  const periodic = []
+  let running = false
+  let pollTimer = null
+  let polling = false
+  let pollAgain = false
+  const inFlight = new Set()
+
+  function register(type, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+    handlers.set(type, { handler, maxAttempts })
+  }
+
+  async function enqueue(type, payload = {}, { runAt = null, dedupeKey = null, maxAttempts } = {}) {
+    const { data, error } = await supabase
+      .from("jobs")
+      .insert([{
+        type,
+        payload,
+        run_at: (runAt ? new Date(runAt) : new Date()).toISOString(),
+        dedupe_key: dedupeKey,
+        max_attempts: maxAttempts || handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      }])
+      .select("*")
+      .single()
+    if (error?.code === "23505") return null
+    if (error) throw new Error(`Couldn't queue ${type} job: ${error.message}`)
+    // Pick it up now rather than at the next poll when this process works jobs.
+    if (running) setImmediate(poll)
+    return data
+  }
+
+  function every(intervalMs, fn) {
+    periodic.push({ intervalMs, fn, timer: null })
+  }
+
+  async function finish(job, updates) {
+    const { error } = await supabase
+      .from("jobs")
+      .update({ ...updates, locked_by: null, locked_at: null, updated_at: new Date().toISOString() })
+      .eq("id", job.id)
+      .eq("locked_by", workerId)
+    // Requeueing a retry collides with jobs_dedupe_idx when the same work
+    // was queued again while this attempt ran. That job does the work, so
+    // this one is retired instead of left running until it goes stale.
+    if (error?.code === "23505" && updates.status === "queued") {
+      return finish(job, {
+        status: "superseded",
+        finished_at: new Date().toISOString(),
+        last_error: updates.last_error,
+      })
+    }
+    if (error) console.error(`Job ${job.id} (${job.type}) status update failed:`, error.message)
+  }
+
+  async function runJob(job) {
+    const entry = handlers.get(job.type)
+    // A job that keeps killing its worker comes back through the stale
+    // check with no failure recorded — stop it here.
+    if (job.attempts > job.max_attempts) {
+      return finish(job, { status: "dead", finished_at: new Date().toISOString(), last_error: job.last_error || "Worker stopped mid-run too many times" })
+    }
+
+    try {
+      await entry.handler(job.payload || {}, job)
+      await finish(job, { status: "succeeded", finished_at: new Date().toISOString(), last_error: null })
+    } catch (err) {
+      const dead = job.attempts >= job.max_attempts
+      console.error(`${dead ? "☠️" : "⚠️"} Job ${job.type} ${job.id} attempt ${job.attempts}/${job.max_attempts} failed:`, err?.message)
+      await finish(job, dead
+        ? { status: "dead", finished_at: new Date().toISOString(), last_error: describeError(err) }
+        : { status: "queued", run_at: new Date(Date.now() + backoffMs(job.attempts)).toISOString(), last_error: describeError(err) })
+    }
+  }
+
+  async function poll() {
+    if (!running) return
+    if (polling) { pollAgain = true; return }
+    polling = true
+    try {
+      do {
+        pollAgain = false
+        const free = concurrency - inFlight.size
+        if (free <= 0) break
+        const { data: jobs, error } = await supabase.rpc("claim_jobs", {
+          p_worker: workerId,
+          p_types: [...handlers.keys()],
+          p_limit: free,
+          p_stale_seconds: STALE_AFTER_SECONDS,
+        })
+        if (error) throw error
+        for (const job of jobs || []) {
+          const run = runJob(job).finally(() => {
+            inFlight.delete(run)
+            if (running) setImmediate(poll)
+          })
+          inFlight.add(run)
+        }
+        if ((jobs || []).length === free) pollAgain = true
+      } while (pollAgain && running)
+    } catch (err) {
+      console.error("Job poll error:", err?.message)
+    } finally {
+      polling = false
+    }
+  }
+
+  async function pruneFinished() {
+    const cutoff = new Date(Date.now() - FINISHED_RETENTION_DAYS * 86400000).toISOString()
+    const { error } = await supabase.from("jobs").delete().in("status", ["succeeded", "superseded"]).lt("finished_at", cutoff)
+    if (error) console.error("Job prune failed:", error.message)
+  }
+
+  function startWorker() {
+    if (running) return
+    running = true
+    // Not unref'd: in a worker-only process this is what keeps it alive.
+    pollTimer = setInterval(poll, POLL_INTERVAL_MS)
+    for (const task of periodic) {
+      task.timer = setInterval(async () => {
+        if (task.busy) return
+        task.busy = true
+        try {
+          await task.fn()
+        } catch (err) {
+          console.error("Periodic job error:", err?.message)
+        } finally {
+          task.busy = false
+        }
+      }, task.intervalMs)
+      task.timer.unref()
+    }
+    console.log(`⚙️  Job worker ${workerId} started (${handlers.size} job types, concurrency ${concurrency})`)
+    setImmediate(poll)
+  }
+
+  // Stops claiming new jobs and resolves once the running ones finish.
+  async function stopWorker() {
+    running = false
+    clearInterval(pollTimer)
+    for (const task of periodic) clearInterval(task.timer)
+    await Promise.allSettled([...inFlight])
+  }
+
+  every(PRUNE_INTERVAL_MS, pruneFinished)
+
+  return { register, enqueue, every, startWorker, stopWorker, workerId }
+}
+
+module.exports = {
+  createJobQueue,
+}
@@ -0,0 +1,54 @@
+/* ========= Lead lifecycle — statuses and allowed moves ========= */
+
+/*
+  leads.status tracks where the job itself is:
+
+    new → contacted → quoted → booked → completed
+                                      ↘ cancelled
+    (any open state) → cancelled | lost
+
+  These tables only say which moves are legal; server.js applies them
+  (transitionLeadStatus) and stamps the matching <status>_at column.
+*/
+
+const LEAD_STATUSES = ["new", "contacted", "quoted", "booked", "completed", "cancelled", "lost"]
+
+const LEAD_TRANSITIONS = {
+  new: ["contacted", "quoted", "booked", "cancelled", "lost"],
+  contacted: ["quoted", "booked", "cancelled", "lost"],
+  // quoted → quoted is a revised quote
+  quoted: ["quoted", "booked", "cancelled", "lost"],
+  booked: ["completed", "cancelled"],
+  completed: [],
+  cancelled: [],
+  // A new quote can reopen a lead the mover gave up on.
+  lost: ["quoted"],
+}
+
+// Which statuses each side may set by hand through the status endpoint.
+// "quoted" is left out — it only comes from actually sending a quote —
+// and a customer only books by accepting a quote or paying a deposit.
+const LEAD_STATUS_ACTORS = {
+  mover: ["contacted", "booked", "completed", "cancelled", "lost"],
+  customer: ["cancelled"],
+}
+
+function canTransitionLead(fromStatus, toStatus) {
+  return (LEAD_TRANSITIONS[fromStatus || "new"] || []).includes(toStatus)
+}
+
+// Parses a comma-separated ?status= filter into known statuses.
+// Returns [] when no filter was given, null when it names a bad status.
+function parseLeadStatusFilter(raw) {
+  const parts = String(raw || "").split(",").map((s) => s.trim()).filter(Boolean)
+  if (parts.some((s) => !LEAD_STATUSES.includes(s))) return null
+  return parts
+}
+
+module.exports = {
+  LEAD_STATUSES,
+  LEAD_TRANSITIONS,
+  LEAD_STATUS_ACTORS,
+  canTransitionLead,
+  parseLeadStatusFilter,
+}
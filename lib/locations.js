@@ -0,0 +1,245 @@
+/* ========= Location autocomplete — city / ZIP suggestions for the search box ========= */
+
+const zipcodes = require("zipcodes")
+
+/*
+  Suggestions come from the same bundled ZIP table lib/geocoding.js uses,
+  so they're instant and every suggestion already has coordinates the
+  frontend can pass straight to /api/movers/nearby.
+
+  Cities are built once per process by grouping ZIPs on city + state
+  (coordinates = average of the ZIP centroids). Ranking, best first:
+    - how well the text matches: exact name, then prefix, then a
+      near-miss within a couple of typos ("pheonix" → Phoenix)
+    - how many public movers list that city (so "Springfield" puts the
+      Springfield we actually serve first)
+    - how many ZIPs the city has, as a rough stand-in for size
+  Mover counts are cached for MOVER_COUNTS_TTL_MS.
+*/
+
+const MOVER_COUNTS_TTL_MS = 10 * 60 * 1000
+const MOVER_COUNTS_PAGE_SIZE = 1000
+const DEFAULT_LIMIT = 8
+const MAX_LIMIT = 20
+
+const STATE_NAMES = Object.fromEntries(
+  Object.entries(zipcodes.states.full).map(([name, abbr]) => [name.toLowerCase(), abbr])
+)
+const STATE_ABBRS = new Set(Object.values(zipcodes.states.full))
+
+// "St. Louis" and "Saint Louis" (how the ZIP table spells it) match.
+const NAME_ABBREVIATIONS = { st: "saint", ste: "sainte", ft: "fort", mt: "mount" }
+
+function normalizeName(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((w) => NAME_ABBREVIATIONS[w] || w)
+    .join(" ")
+}
+
+// Edit distance where swapping two adjacent letters counts as one typo
+// (optimal string alignment), giving up with max + 1 once it can't be
+// within max.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i])
+  for (let j = 1; j <= b.length; j++) d[0][j] = j
+  for (let i = 1; i <= a.length; i++) {
+    let rowMin = Infinity
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+      }
+      rowMin = Math.min(rowMin, d[i][j])
+    }
+    if (rowMin > max) return max + 1
+  }
+  return d[a.length][b.length]
+}
+
+let cityIndex = null
+
+// [{ key, name, city, state, lat, lng, zipCount, zips }] — built lazily
+// so processes that never autocomplete don't pay for it.
+function getCityIndex() {
+  if (cityIndex) return cityIndex
+  const byKey = new Map()
+  for (const row of Object.values(zipcodes.codes)) {
+    if (row.country !== "US" || !row.city || !row.state) continue
+    const key = `${normalizeName(row.city)}|${row.state}`
+    let city = byKey.get(key)
+    if (!city) {
+      city = { key, name: normalizeName(row.city), city: row.city, state: row.state, latSum: 0, lngSum: 0, zips: [] }
+      byKey.set(key, city)
+    }
+    city.latSum += row.latitude
+    city.lngSum += row.longitude
+    city.zips.push(row.zip)
+  }
+  cityIndex = [...byKey.values()].map(({ latSum, lngSum, ...city }) => ({
+    ...city,
+    lat: Math.round((latSum / city.zips.length) * 10000) / 10000,
+    lng: Math.round((lngSum / city.zips.length) * 10000) / 10000,
+    zipCount: city.zips.length,
+  }))
+  return cityIndex
+}
+
+/*
+  Splits "springfield, il" / "springfield illinois" / "springfield" into
+  { name, state } — state is a 2-letter abbreviation or null.
+*/
+function parseCityQuery(q) {
+  const text = normalizeName(q)
+  const words = text.split(" ")
+
+  for (let take = Math.min(2, words.length - 1); take >= 1; take--) {
+    const tail = words.slice(-take).join(" ")
+    const state = STATE_NAMES[tail] || (take === 1 && STATE_ABBRS.has(tail.toUpperCase()) ? tail.toUpperCase() : null)
+    if (state) return { name: words.slice(0, -take).join(" "), state }
+  }
+  return { name: text, state: null }
+}
+
+/*
+  createLocationIndex({ supabase }) → { autocomplete }
+
+  autocomplete(q, { limit }) resolves
+    [{ type: "city" | "zip", label, city, state, zip, lat, lng, moverCount }]
+  zip is null for cities. Supabase is only used for mover counts; without
+  it every count is 0 and ranking falls back to match quality and size.
+*/
+function createLocationIndex({ supabase = null } = {}) {
+  let moverCounts = { byCity: {}, byZip: {}, loadedAt: 0 }
+  let loading = null
+
+  async function loadMoverCounts() {
+    if (!supabase) return moverCounts
+    if (Date.now() - moverCounts.loadedAt < MOVER_COUNTS_TTL_MS) return moverCounts
+    if (!loading) {
+      loading = (async () => {
+        try {
+          // Paged: PostgREST caps a single response (1000 rows by default).
+          const rows = []
+          for (let from = 0; ; from += MOVER_COUNTS_PAGE_SIZE) {
+            const { data, error } = await supabase
+              .from("movers")
+              .select("city, state, zip")
+              .eq("approval_status", "approved")
+              .eq("suspended", false)
+              .order("id", { ascending: true })
+              .range(from, from + MOVER_COUNTS_PAGE_SIZE - 1)
+            if (error) throw error
+            rows.push(...(data || []))
+            if (!data || data.length < MOVER_COUNTS_PAGE_SIZE) break
+          }
+          const byCity = {}
+          const byZip = {}
+          for (const m of rows) {
+            const cityKey = `${normalizeName(m.city)}|${String(m.state || "").trim().toUpperCase()}`
+            byCity[cityKey] = (byCity[cityKey] || 0) + 1
+            if (m.zip) byZip[String(m.zip).trim()] = (byZip[String(m.zip).trim()] || 0) + 1
+          }
+          moverCounts = { byCity, byZip, loadedAt: Date.now() }
+        } catch (err) {
+          console.warn("Location autocomplete mover counts failed:", err?.message)
+        } finally {
+          loading = null
+        }
+      })()
+    }
+    await loading
+    return moverCounts
+  }
+
+  function zipSuggestions(prefix, counts, limit) {
+    const matches = []
+    for (const row of Object.values(zipcodes.codes)) {
+      if (row.country !== "US" || !row.zip.startsWith(prefix)) continue
+      const moverCount = counts.byZip[row.zip] || 0
+      matches.push({
+        score: (row.zip === prefix ? 100 : 0) + Math.log1p(moverCount) * 10,
+        suggestion: {
+          type: "zip",
+          label: `${row.zip} — ${row.city}, ${row.state}`,
+          city: row.city,
+          state: row.state,
+          zip: row.zip,
+          lat: row.latitude,
+          lng: row.longitude,
+          moverCount,
+        },
+      })
+    }
+    return matches
+      .sort((a, b) => b.score - a.score || a.suggestion.zip.localeCompare(b.suggestion.zip))
+      .slice(0, limit)
+      .map((m) => m.suggestion)
+  }
+
+  function citySuggestions(q, counts, limit) {
+    const { name, state } = parseCityQuery(q)
+    if (!name) return []
+    // Up to 1 typo for short input, 2 once there's enough to go on.
+    const maxTypos = name.length >= 7 ? 2 : name.length >= 4 ? 1 : 0
+
+    const matches = []
+    for (const city of getCityIndex()) {
+      if (state && city.state !== state) continue
+
+      let matchScore = 0
+      if (city.name === name) matchScore = 100
+      else if (city.name.startsWith(name)) matchScore = 80
+      else if (maxTypos && city.name[0] === name[0]) {
+        // Compare against the city's prefix one letter longer too, so a
+        // dropped letter ("chicgo") still lines up.
+        const typos = Math.min(
+          editDistance(name, city.name.slice(0, name.length), maxTypos),
+          editDistance(name, city.name.slice(0, name.length + 1), maxTypos)
+        )
+        if (typos <= maxTypos) matchScore = 60 - typos * 10
+      }
+      if (!matchScore) continue
+
+      const moverCount = counts.byCity[city.key] || 0
+      matches.push({
+        score: matchScore + Math.log1p(moverCount) * 10 + Math.log1p(city.zipCount) * 2,
+        suggestion: {
+          type: "city",
+          label: `${city.city}, ${city.state}`,
+          city: city.city,
+          state: city.state,
+          zip: null,
+          lat: city.lat,
+          lng: city.lng,
+          moverCount,
+        },
+      })
+    }
+    return matches
+      .sort((a, b) => b.score - a.score || a.suggestion.label.localeCompare(b.suggestion.label))
+      .slice(0, limit)
+      .map((m) => m.suggestion)
+  }
+
+  async function autocomplete(q, { limit = DEFAULT_LIMIT } = {}) {
+    const text = String(q || "").trim()
+    if (!text) return []
+    const max = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT))
+    const counts = await loadMoverCounts()
+
+    if (/^\d{1,5}$/.test(text)) return text.length >= 3 ? zipSuggestions(text, counts, max) : []
+    return citySuggestions(text, counts, max)
+  }
+
+  return { autocomplete }
+}
+
+module.exports = {
+  createLocationIndex,
+  parseCityQuery,
+}
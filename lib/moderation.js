@@ -0,0 +1,93 @@
+/* ========= Review moderation — profanity / spam checks ========= */
+
+/*
+  checkReviewText() runs on every new or edited review and returns the
+  reasons a person should look at it before it's published:
+
+    profanity       a blocked word, after undoing common disguises
+                    ("sh1t", "f.u.c.k", "shiiit")
+    link            a URL or bare domain — the usual sign of spam
+    contact_info    a phone number or email address (movers advertising
+                    themselves, or customers posting someone's number)
+    shouting        mostly capital letters over a real sentence's length
+    repetition      the same character or word over and over
+    too_short       a comment with no actual words ("!!!", "ok")
+
+  Nothing here rejects a review on its own — flagged reviews wait in the
+  moderation queue with their flags so an admin can decide. Extra words
+  can be blocked without a deploy via REVIEW_BLOCKED_WORDS
+  (comma-separated).
+*/
+
+const BASE_BLOCKED_WORDS = [
+  "fuck", "fucking", "fucker", "motherfucker", "shit", "shitty", "bullshit", "bitch", "asshole",
+  "bastard", "cunt", "dick", "dickhead", "prick", "pussy", "slut", "whore", "wanker", "twat",
+  "douche", "douchebag", "cock", "jackass", "retard", "retarded",
+]
+
+// Undoes the usual substitutions before matching.
+const LEET = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a", "$": "s", "!": "i" }
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|co|biz|info|xyz|ly|me|us)\b/i
+const EMAIL_PATTERN = /\b[\w.+-]+@[\w-]+\.[\w.]+\b/
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/
+
+function blockedWords() {
+  const extra = String(process.env.REVIEW_BLOCKED_WORDS || "")
+    .split(",")
+    .map((w) => w.trim().toLowerCase())
+    .filter(Boolean)
+  return new Set([...BASE_BLOCKED_WORDS, ...extra])
+}
+
+// Lowercased words with leetspeak undone, dotted-out letters joined
+// ("f.u.c.k") and letter runs squeezed ("shiiit" → "shit").
+function normalizedWords(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .map((token) => token
+      .replace(/^[^a-z0-9@$]+|[^a-z0-9]+$/g, "")
+      .replace(/[013457@$!]/g, (c) => LEET[c])
+      .replace(/^(?:[a-z][.\-_*]){2,}[a-z]$/, (m) => m.replace(/[.\-_*]/g, "")))
+    .flatMap((token) => token.split(/[^a-z]+/))
+    .filter(Boolean)
+    .map((w) => w.replace(/(.)\1{2,}/g, "$1$1"))
+}
+
+function hasProfanity(text, words = blockedWords()) {
+  for (const word of normalizedWords(text)) {
+    if (words.has(word) || words.has(word.replace(/(.)\1+/g, "$1"))) return true
+  }
+  return false
+}
+
+/*
+  Returns { flags } — an array of the reason codes above, empty when the
+  text looks fine.
+*/
+function checkReviewText({ customerName = "", comment = "" } = {}) {
+  const flags = []
+  const text = String(comment || "")
+  const words = blockedWords()
+
+  if (hasProfanity(text, words) || hasProfanity(customerName, words)) flags.push("profanity")
+  if (LINK_PATTERN.test(text) || LINK_PATTERN.test(customerName)) flags.push("link")
+  if (EMAIL_PATTERN.test(text) || PHONE_PATTERN.test(text)) flags.push("contact_info")
+
+  const letters = text.replace(/[^a-zA-Z]/g, "")
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, "").length / letters.length > 0.7) flags.push("shouting")
+
+  const tokens = text.toLowerCase().split(/\s+/).filter(Boolean)
+  const repeatedWord = tokens.length >= 6 && new Set(tokens).size / tokens.length < 0.35
+  if (/(.)\1{7,}/.test(text) || repeatedWord) flags.push("repetition")
+
+  if (text.trim() && !/[a-z]{2,}/i.test(text)) flags.push("too_short")
+
+  return { flags }
+}
+
+module.exports = {
+  checkReviewText,
+  hasProfanity,
+}
@@ -0,0 +1,234 @@
+/* ========= Search ranking — relevance score for /api/movers ========= */
+
+/*
+  The default ("relevance") order of mover search. Each mover gets a
+  0–1 score per signal, the signals are weighted and summed, and the
+  plan boost is added on top:
+
+    distance        1 at the customer's door, 0 at the edge of the
+                    mover's own service_radius_miles (default 50).
+                    Text matches with no coordinates get 0.5.
+    rating          Review average pulled toward PRIOR_RATING until the
+                    mover has a few reviews (Bayesian average), so one
+                    5-star review doesn't beat forty 4.8s. 1★ → 0, 5★ → 1.
+    responsiveness  Median minutes from a new lead to the mover's first
+                    reply in the thread over the last REPLY_WINDOW_DAYS.
+                    1h → 0.5, 5 min → ~0.9. No replies yet → 0.5.
+    completeness    computeProfileCompletion() / 100; 0 without a profile.
+    textMatch       Full-text rank of the ?q= keywords (0–1). Only
+                    counts when the search has keywords.
+    planBoost       Flat bonus per profiles.plan.
+
+  Weights can be overridden without a deploy with the
+  SEARCH_RANKING_WEIGHTS env var (JSON, any subset of the keys below,
+  e.g. {"distance":0.4,"planBoost":{"Pro":0.05}}). Admins can also pass
+  ?debug=1 (and optionally ?weights=<same JSON>) to /api/movers to see
+  each result's breakdown while tuning.
+
+  Requires this function in Supabase (run once):
+
+  create or replace function mover_reply_stats(p_profile_ids uuid[], p_since timestamptz)
+  returns table (mover_id uuid, median_reply_minutes double precision, replied_leads bigint)
+  language sql stable as $$
+    select l.mover_id,
+           percentile_cont(0.5) within group (order by extract(epoch from (r.first_reply - l.created_at)) / 60),
+           count(*)
+    from leads l
+    join lateral (
+      select min(m.created_at) as first_reply
+      from lead_messages m
+      where m.lead_id = l.id and m.sender_type = 'mover'
+    ) r on r.first_reply is not null
+    where l.mover_id = any (p_profile_ids)
+      and l.created_at >= p_since
+    group by l.mover_id
+  $$;
+*/
+
+const DEFAULT_RANKING_WEIGHTS = {
+  distance: 0.35,
+  rating: 0.3,
+  responsiveness: 0.2,
+  completeness: 0.15,
+  textMatch: 0.3,
+  planBoost: { Free: 0, Pro: 0.08, Enterprise: 0.12 },
+}
+
+const PRIOR_RATING = 3.5
+const PRIOR_REVIEWS = 5
+const REPLY_WINDOW_DAYS = 90
+const DEFAULT_SERVICE_RADIUS_MILES = 50
+const SIGNAL_LOOKUP_CHUNK = 100
+
+/*
+  Merges an override object (env or ?weights=) onto the defaults.
+  Unknown keys and non-numeric values are ignored. Returns the defaults
+  for anything that isn't valid JSON.
+*/
+function resolveWeights(override) {
+  let parsed = override
+  if (typeof override === "string") {
+    try {
+      parsed = JSON.parse(override)
+    } catch {
+      return DEFAULT_RANKING_WEIGHTS
+    }
+  }
+  if (!parsed || typeof parsed !== "object") return DEFAULT_RANKING_WEIGHTS
+
+  const weights = { ...DEFAULT_RANKING_WEIGHTS, planBoost: { ...DEFAULT_RANKING_WEIGHTS.planBoost } }
+  for (const key of ["distance", "rating", "responsiveness", "completeness", "textMatch"]) {
+    if (isFinite(parsed[key])) weights[key] = Number(parsed[key])
+  }
+  if (parsed.planBoost && typeof parsed.planBoost === "object") {
+    for (const [plan, boost] of Object.entries(parsed.planBoost)) {
+      if (isFinite(boost)) weights.planBoost[plan] = Number(boost)
+    }
+  }
+  return weights
+}
+
+function getConfiguredWeights() {
+  return process.env.SEARCH_RANKING_WEIGHTS
+    ? resolveWeights(process.env.SEARCH_RANKING_WEIGHTS)
+    : DEFAULT_RANKING_WEIGHTS
+}
+
+const round = (n, places = 4) => Math.round(n * 10 ** places) / 10 ** places
+
+/*
+  Score one mover. signals:
+    { distanceMiles, serviceRadiusMiles, rating, reviewCount,
+      medianReplyMinutes, profileCompletion, plan, textRank }
+  textRank is null/undefined for searches without keywords.
+  Returns { score, breakdown } — breakdown has each signal's raw input,
+  its 0–1 value and its weighted contribution.
+*/
+function scoreMover(signals, weights = getConfiguredWeights()) {
+  const radius = Number(signals.serviceRadiusMiles) || DEFAULT_SERVICE_RADIUS_MILES
+  const distanceValue = signals.distanceMiles === null || signals.distanceMiles === undefined
+    ? 0.5
+    : Math.max(0, 1 - signals.distanceMiles / radius)
+
+  const reviewCount = signals.reviewCount || 0
+  const rating = Number(signals.rating) || 0
+  const bayesRating = (rating * reviewCount + PRIOR_RATING * PRIOR_REVIEWS) / (reviewCount + PRIOR_REVIEWS)
+  const ratingValue = Math.min(1, Math.max(0, (bayesRating - 1) / 4))
+
+  const replyMinutes = signals.medianReplyMinutes
+  const responsivenessValue = replyMinutes === null || replyMinutes === undefined
+    ? 0.5
+    : 1 / (1 + Math.max(0, replyMinutes) / 60)
+
+  const completenessValue = Math.min(1, Math.max(0, (signals.profileCompletion || 0) / 100))
+  const planBoost = weights.planBoost[signals.plan] ?? weights.planBoost.Free ?? 0
+
+  const hasText = signals.textRank !== null && signals.textRank !== undefined
+  const textValue = hasText ? Math.min(1, Math.max(0, Number(signals.textRank) || 0)) : 0
+
+  const breakdown = {
+    distance: { input: signals.distanceMiles ?? null, radius, value: round(distanceValue), weighted: round(distanceValue * weights.distance) },
+    rating: { input: rating || null, reviewCount, bayesRating: round(bayesRating, 2), value: round(ratingValue), weighted: round(ratingValue * weights.rating) },
+    responsiveness: { input: replyMinutes ?? null, value: round(responsivenessValue), weighted: round(responsivenessValue * weights.responsiveness) },
+    completeness: { input: signals.profileCompletion ?? null, value: round(completenessValue), weighted: round(completenessValue * weights.completeness) },
+    planBoost: { input: signals.plan || null, weighted: round(planBoost) },
+  }
+  if (hasText) {
+    breakdown.textMatch = { input: signals.textRank, value: round(textValue), weighted: round(textValue * weights.textMatch) }
+  }
+
+  const score = Object.values(breakdown).reduce((sum, part) => sum + part.weighted, 0)
+  return { score: round(score), breakdown }
+}
+
+/*
+  Loads what scoreMover() needs beyond the movers row, for a batch of
+  movers rows (as returned by search_movers). Returns a Map of
+  mover id → { reviewCount, medianReplyMinutes, profileCompletion, plan }.
+  reviewCount is the stored movers.review_count aggregate.
+
+  computeProfileCompletion is passed in so the score uses the same
+  completeness number the mover sees on their dashboard.
+*/
+async function loadRankingSignals(supabase, movers, { computeProfileCompletion }) {
+  const signals = new Map()
+  if (!movers.length) return signals
+
+  const emails = [...new Set(movers.map((m) => String(m.email || "").toLowerCase()).filter(Boolean))]
+
+  // .in() goes in the query string, so the candidate set is looked up
+  // in chunks (in parallel) to stay under URL length limits.
+  const chunks = []
+  for (let i = 0; i < emails.length; i += SIGNAL_LOOKUP_CHUNK) chunks.push(emails.slice(i, i + SIGNAL_LOOKUP_CHUNK))
+  const results = await Promise.all(chunks.map((chunk) =>
+    supabase
+      .from("profiles")
+      .select("id, email, plan, full_name, business_name, phone_e164, city, state, zip, logo_url")
+      .in("email", chunk)
+  ))
+  const profiles = []
+  for (const { data, error } of results) {
+    if (error) console.warn("Ranking profile lookup failed:", error.message)
+    profiles.push(...(data || []))
+  }
+
+  const profileByEmail = Object.fromEntries(profiles.map((p) => [String(p.email).toLowerCase(), p]))
+
+  const replyByProfile = {}
+  const profileIds = profiles.map((p) => p.id)
+  if (profileIds.length) {
+    const since = new Date(Date.now() - REPLY_WINDOW_DAYS * 86400000).toISOString()
+    const { data: replyStats, error } = await supabase.rpc("mover_reply_stats", {
+      p_profile_ids: profileIds,
+      p_since: since,
+    })
+    if (error) console.warn("mover_reply_stats failed (ranking without reply latency):", error.message)
+    for (const s of replyStats || []) replyByProfile[s.mover_id] = s.median_reply_minutes
+  }
+
+  for (const m of movers) {
+    const profile = profileByEmail[String(m.email || "").toLowerCase()]
+    signals.set(m.id, {
+      reviewCount: m.review_count || 0,
+      medianReplyMinutes: profile ? replyByProfile[profile.id] ?? null : null,
+      profileCompletion: profile ? computeProfileCompletion(profile) : 0,
+      plan: profile?.plan || m.plan || "Free",
+    })
+  }
+  return signals
+}
+
+/*
+  Scores and orders search candidates, best first (ties by id so the
+  order is stable for cursor paging). candidates: [{ mover, distanceMiles,
+  textRank? }] — any other keys are passed through.
+  Returns the candidates with score and breakdown added.
+*/
+function rankMovers(candidates, signals, weights = getConfiguredWeights()) {
+  return candidates
+    .map((candidate) => {
+      const { mover, distanceMiles, textRank } = candidate
+      const s = signals.get(mover.id) || {}
+      const { score, breakdown } = scoreMover({
+        distanceMiles,
+        serviceRadiusMiles: mover.service_radius_miles,
+        rating: mover.rating,
+        reviewCount: s.reviewCount,
+        medianReplyMinutes: s.medianReplyMinutes,
+        profileCompletion: s.profileCompletion,
+        plan: s.plan || mover.plan,
+        textRank,
+      }, weights)
+      return { ...candidate, score, breakdown }
+    })
+    .sort((a, b) => b.score - a.score || String(a.mover.id).localeCompare(String(b.mover.id)))
+}
+
+module.exports = {
+  DEFAULT_RANKING_WEIGHTS,
+  resolveWeights,
+  getConfiguredWeights,
+  scoreMover,
+  loadRankingSignals,
+  rankMovers,
+}
@@ -0,0 +1,67 @@
+/* ========= Review list paging — sorts and keyset cursors ========= */
+
+/*
+  GET /api/reviews/:moverId pages with a cursor instead of an offset so
+  a new review doesn't shift every later page by one. A cursor is
+  base64url JSON of the sort plus the last row's sort value, created_at
+  and id:
+
+    { s: "highest", k: 4, t: "2025-03-01T12:00:00.123456+00:00", i: "<uuid>" }
+
+  Everything in it ends up in a PostgREST or() filter, so each field is
+  checked before it's used; decodeReviewCursor() returns null for
+  anything else and the route answers 400.
+*/
+
+// Sort → the column it orders by first. Ties always fall back to
+// newest first (created_at desc, id desc), which keeps paging stable.
+const REVIEW_SORTS = {
+  newest: { column: "created_at", ascending: false },
+  highest: { column: "rating", ascending: false },
+  lowest: { column: "rating", ascending: true },
+  helpful: { column: "helpful_count", ascending: false },
+}
+
+// created_at as Postgres/PostgREST returns it.
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)?$/
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+function encodeReviewCursor(sort, row) {
+  const { column } = REVIEW_SORTS[sort]
+  return Buffer.from(JSON.stringify({ s: sort, k: row[column], t: row.created_at, i: row.id })).toString("base64url")
+}
+
+// { key, createdAt, id } for a cursor issued for `sort`, or null.
+function decodeReviewCursor(cursor, sort) {
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"))
+    if (!c || c.s !== sort || !Object.hasOwn(REVIEW_SORTS, sort)) return null
+    if (sort !== "newest" && !Number.isFinite(c.k)) return null
+    if (typeof c.t !== "string" || !TIMESTAMP_RE.test(c.t) || isNaN(Date.parse(c.t))) return null
+    if (typeof c.i !== "string" || !UUID_RE.test(c.i)) return null
+    return { key: c.k, createdAt: c.t, id: c.i }
+  } catch {
+    return null
+  }
+}
+
+// PostgREST or() filter for "rows after this cursor" in `sort` order.
+function reviewsAfterFilter(sort, after) {
+  const { column, ascending } = REVIEW_SORTS[sort]
+  const t = `"${after.createdAt}"`
+  const newerTie = `created_at.lt.${t},and(created_at.eq.${t},id.lt.${after.id})`
+  if (column === "created_at") return newerTie
+  const k = Number(after.key)
+  return [
+    `${column}.${ascending ? "gt" : "lt"}.${k}`,
+    `and(${column}.eq.${k},created_at.lt.${t})`,
+    `and(${column}.eq.${k},created_at.eq.${t},id.lt.${after.id})`,
+  ].join(",")
+}
+
+module.exports = {
+  REVIEW_SORTS,
+  encodeReviewCursor,
+  decodeReviewCursor,
+  reviewsAfterFilter,
+}
@@ -0,0 +1,243 @@
+/* ========= SMS — text-message provider for mover notifications ========= */
+
+const crypto = require("crypto")
+
+/*
+  Every text PackRocket sends or receives goes through a provider:
+
+    { name,
+      send({ to, body })        → resolves { id } (throws on failure)
+      verifyInbound(req)        → true if the webhook really came from it
+      parseInbound(req)         → { from, to, body, id }
+      replyInbound(res, text)   → answers the webhook, texting `text`
+                                  back to the sender when it's set }
+
+  createSmsProvider() picks one from SMS_PROVIDER ("twilio" | "fake").
+  Unset, it's Twilio when TWILIO_ACCOUNT_SID is configured and the fake
+  otherwise, so local and preview environments never text real phones.
+
+  twilio  Twilio's REST API with TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN,
+          sending from TWILIO_FROM_NUMBER (or TWILIO_MESSAGING_SERVICE_SID).
+          Inbound webhooks are checked against X-Twilio-Signature, which
+          is signed over the public URL Twilio called — set
+          SMS_INBOUND_WEBHOOK_URL if a proxy changes what Express sees.
+  fake    Logs and keeps the last FAKE_OUTBOX_MAX messages in
+          provider.outbox. Its inbound webhook takes JSON { from, to,
+          body } and only when the X-Fake-Sms-Secret header matches
+          SMS_FAKE_INBOUND_SECRET.
+*/
+
+const SMS_MAX_LENGTH = 320 // two segments
+const FAKE_OUTBOX_MAX = 100
+const REQUEST_TIMEOUT_MS = 10000
+
+/* ------------------------- helpers ------------------------- */
+
+// "+1 (555) 010-2000" / "5550102000" → "+15550102000"; null if it
+// isn't a plausible number. Bare 10-digit numbers are taken as US.
+function normalizePhone(value) {
+  const raw = String(value || "").trim()
+  const digits = raw.replace(/\D/g, "")
+  if (raw.startsWith("+") && digits.length >= 8 && digits.length <= 15) return `+${digits}`
+  if (digits.length === 10) return `+1${digits}`
+  if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`
+  return null
+}
+
+function truncateSms(text, max = SMS_MAX_LENGTH) {
+  const clean = String(text || "").replace(/\s+\n/g, "\n").trim()
+  return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean
+}
+
+// The carrier-standard keywords, matched on the whole message.
+const SMS_KEYWORDS = {
+  stop: ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT", "OPTOUT"],
+  start: ["START", "UNSTOP", "YES", "OPTIN"],
+  help: ["HELP", "INFO"],
+}
+
+// "stop" | "start" | "help" | null
+function parseSmsKeyword(body) {
+  const word = String(body || "").trim().replace(/[.!]+$/, "").toUpperCase()
+  for (const [keyword, words] of Object.entries(SMS_KEYWORDS)) {
+    if (words.includes(word)) return keyword
+  }
+  return null
+}
+
+/* ------------------------- time zones & quiet hours ------------------------- */
+
+/*
+  Texts aren't sent between QUIET_HOURS_START and QUIET_HOURS_END in the
+  mover's own time zone — they're held until the morning instead.
+  profiles.time_zone (IANA name) wins; otherwise the state's main zone.
+*/
+const QUIET_HOURS_START = 21 // 9pm
+const QUIET_HOURS_END = 8 // 8am
+const DEFAULT_TIME_ZONE = "America/New_York"
+
+const STATE_TIME_ZONES = {
+  AL: "America/Chicago", AK: "America/Anchorage", AZ: "America/Phoenix", AR: "America/Chicago",
+  CA: "America/Los_Angeles", CO: "America/Denver", CT: "America/New_York", DE: "America/New_York",
+  DC: "America/New_York", FL: "America/New_York", GA: "America/New_York", HI: "Pacific/Honolulu",
+  ID: "America/Boise", IL: "America/Chicago", IN: "America/Indiana/Indianapolis", IA: "America/Chicago",
+  KS: "America/Chicago", KY: "America/New_York", LA: "America/Chicago", ME: "America/New_York",
+  MD: "America/New_York", MA: "America/New_York", MI: "America/Detroit", MN: "America/Chicago",
+  MS: "America/Chicago", MO: "America/Chicago", MT: "America/Denver", NE: "America/Chicago",
+  NV: "America/Los_Angeles", NH: "America/New_York", NJ: "America/New_York", NM: "America/Denver",
+  NY: "America/New_York", NC: "America/New_York", ND: "America/Chicago", OH: "America/New_York",
+  OK: "America/Chicago", OR: "America/Los_Angeles", PA: "America/New_York", RI: "America/New_York",
+  SC: "America/New_York", SD: "America/Chicago", TN: "America/Chicago", TX: "America/Chicago",
+  UT: "America/Denver", VT: "America/New_York", VA: "America/New_York", WA: "America/Los_Angeles",
+  WV: "America/New_York", WI: "America/Chicago", WY: "America/Denver", PR: "America/Puerto_Rico",
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+function timeZoneForProfile(profile) {
+  if (isValidTimeZone(profile?.time_zone)) return profile.time_zone
+  return STATE_TIME_ZONES[String(profile?.state || "").trim().toUpperCase()] || DEFAULT_TIME_ZONE
+}
+
+/*
+  When a text to someone in `timeZone` may go out: null if right now is
+  fine, otherwise the Date quiet hours end (QUIET_HOURS_END local time).
+*/
+function quietHoursEnd(timeZone, now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone, hour: "numeric", minute: "numeric", hourCycle: "h23" })
+      .formatToParts(now)
+      .map((p) => [p.type, p.value])
+  )
+  const hour = Number(parts.hour)
+  const minute = Number(parts.minute)
+  if (hour >= QUIET_HOURS_END && hour < QUIET_HOURS_START) return null
+
+  const minutesNow = hour * 60 + minute
+  const minutesUntil = (QUIET_HOURS_END * 60 - minutesNow + 1440) % 1440
+  return new Date(now.getTime() + minutesUntil * 60000)
+}
+
+/* ------------------------- providers ------------------------- */
+
+function createTwilioProvider() {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID
+  const authToken = process.env.TWILIO_AUTH_TOKEN
+  const from = process.env.TWILIO_FROM_NUMBER
+  const messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID
+
+  function escapeXml(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+  }
+
+  return {
+    name: "twilio",
+
+    async send({ to, body }) {
+      if (!accountSid || !authToken || (!from && !messagingServiceSid)) {
+        throw new Error("Twilio is not configured")
+      }
+      const form = new URLSearchParams({ To: to, Body: body })
+      if (messagingServiceSid) form.set("MessagingServiceSid", messagingServiceSid)
+      else form.set("From", from)
+
+      const res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        method: "POST",
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString("base64")}`,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: form,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(`Twilio ${res.status}: ${data.message || "send failed"}`)
+      return { id: data.sid }
+    },
+
+    // https://www.twilio.com/docs/usage/security#validating-requests
+    verifyInbound(req) {
+      const signature = req.headers["x-twilio-signature"]
+      if (!authToken || !signature) return false
+      const url = process.env.SMS_INBOUND_WEBHOOK_URL || `${req.protocol}://${req.get("host")}${req.originalUrl}`
+      const params = req.body || {}
+      const payload = url + Object.keys(params).sort().map((k) => k + params[k]).join("")
+      const expected = crypto.createHmac("sha1", authToken).update(payload).digest("base64")
+      const a = Buffer.from(String(signature))
+      const b = Buffer.from(expected)
+      return a.length === b.length && crypto.timingSafeEqual(a, b)
+    },
+
+    parseInbound(req) {
+      const { From, To, Body, MessageSid } = req.body || {}
+      return { from: From, to: To, body: Body || "", id: MessageSid || null }
+    },
+
+    replyInbound(res, text) {
+      res.type("text/xml").send(
+        `<?xml version="1.0" encoding="UTF-8"?><Response>${text ? `<Message>${escapeXml(text)}</Message>` : ""}</Response>`
+      )
+    },
+  }
+}
+
+function createFakeProvider() {
+  const outbox = []
+
+  return {
+    name: "fake",
+    outbox,
+
+    async send({ to, body }) {
+      const id = `fake_${crypto.randomUUID()}`
+      outbox.push({ id, to, body, sentAt: new Date().toISOString() })
+      if (outbox.length > FAKE_OUTBOX_MAX) outbox.shift()
+      console.log(`📱 [fake sms] → ${to}: ${body}`)
+      return { id }
+    },
+
+    verifyInbound(req) {
+      const secret = process.env.SMS_FAKE_INBOUND_SECRET
+      const given = req.headers["x-fake-sms-secret"]
+      if (!secret || !given) return false
+      const a = Buffer.from(String(given))
+      const b = Buffer.from(secret)
+      return a.length === b.length && crypto.timingSafeEqual(a, b)
+    },
+
+    parseInbound(req) {
+      const { from, to, body, id } = req.body || {}
+      return { from, to, body: body || "", id: id || `fake_in_${crypto.randomUUID()}` }
+    },
+
+    replyInbound(res, text) {
+      if (text) console.log(`📱 [fake sms] reply: ${text}`)
+      res.json({ ok: true, reply: text || null })
+    },
+  }
+}
+
+function createSmsProvider({ name = process.env.SMS_PROVIDER } = {}) {
+  const chosen = name || (process.env.TWILIO_ACCOUNT_SID ? "twilio" : "fake")
+  if (chosen === "twilio") return createTwilioProvider()
+  if (chosen !== "fake") console.warn(`Unknown SMS_PROVIDER "${chosen}" — using the fake provider`)
+  return createFakeProvider()
+}
+
+module.exports = {
+  createSmsProvider,
+  normalizePhone,
+  truncateSms,
+  parseSmsKeyword,
+  isValidTimeZone,
+  timeZoneForProfile,
+  quietHoursEnd,
+}
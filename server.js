@@ -5,8 +5,28 @@ const cors = require("cors")
 const Stripe = require("stripe")
 const { createClient } = require("@supabase/supabase-js")
 const multer = require("multer")
+const sharp = require("sharp")
+const crypto = require("crypto")
 const { Resend } = require("resend")
 require("dotenv").config()
+const { PLANS, getEntitlements, hasEntitlement, getLeadUsage } = require("./lib/entitlements")
+const { createGeocoder, lookupZipCentroid, nearestZip, isZip } = require("./lib/geocoding")
+const { createLocationIndex } = require("./lib/locations")
+const { resolveWeights, getConfiguredWeights, loadRankingSignals, rankMovers } = require("./lib/ranking")
+const { checkReviewText } = require("./lib/moderation")
+const { REVIEW_SORTS, encodeReviewCursor, decodeReviewCursor, reviewsAfterFilter } = require("./lib/reviews")
+const { createJobQueue } = require("./lib/jobs")
+const { LEAD_STATUSES, LEAD_STATUS_ACTORS, canTransitionLead, parseLeadStatusFilter } = require("./lib/leads")
+const { renderEmail, renderEmailFixture, listEmailTemplates } = require("./lib/emails")
+const {
+  createSmsProvider,
+  normalizePhone,
+  truncateSms,
+  parseSmsKeyword,
+  isValidTimeZone,
+  timeZoneForProfile,
+  quietHoursEnd,
+} = require("./lib/sms")
 
 const PORT = process.env.PORT || 5050
 const app = express()
@@ -33,6 +53,62 @@ function getSupabaseAuth() {
 
 const resend = new Resend(process.env.RESEND_API_KEY)
 
+// All address lookups (profile sync, search, quote requests) share this
+// geocoder so they share its cache and provider rate limits.
+const geocoder = createGeocoder({ supabase })
+const locationIndex = createLocationIndex({ supabase })
+
+/* ==========================================================================
+   BACKGROUND JOBS
+
+   Anything a route used to do after replying (or inline, where a failure
+   meant it just didn't happen) is a job on the durable queue in
+   lib/jobs.js — every email, mover listing sync, geocoding, rating
+   refreshes, and Stripe / inbound-email webhook side effects. Handlers
+   are registered next to the code they run:
+
+     email.send              here — sendEmail()
+     email.inbound           INBOUND EMAIL REPLIES
+     mover.sync              queueMoverSync()
+     profile.geocode         queued by mover.sync
+     stripe.event            STRIPE WEBHOOK
+     reviews.refresh_rating  REVIEW RATINGS
+
+   Which processes work the queue:
+     node server.js            API + worker (JOBS_WORKER=off for API only)
+     node server.js --worker   worker only (npm run worker) — no HTTP
+
+   Periodic sweeps (queued texts, review requests) run wherever the worker
+   does. Failed jobs are retried with backoff, then dead-lettered;
+   /api/admin/jobs lists them and retries them.
+   ========================================================================== */
+
+const jobs = createJobQueue({ supabase })
+
+/*
+  Queues an email — message is exactly what resend.emails.send() takes.
+  leadId: mark that lead's email sent (sent_status / email_provider_id)
+  once it actually goes out. Resolves once queued; throws if it couldn't
+  be, so callers keep their own "(non-fatal)" handling.
+*/
+async function sendEmail(message, { leadId = null } = {}) {
+  await jobs.enqueue("email.send", { message, leadId })
+}
+
+jobs.register("email.send", async ({ message, leadId }, job) => {
+  // Keyed on the job so a retry after a timeout can't send twice.
+  const { data, error } = await resend.emails.send(message, { idempotencyKey: `job-${job.id}` })
+  if (error) throw new Error(`Resend: ${error.message || error.name}`)
+
+  if (leadId) {
+    await supabase.from("leads").update({
+      sent_status: "sent",
+      sent_at: new Date().toISOString(),
+      email_provider_id: data?.id || null,
+    }).eq("id", leadId)
+  }
+})
+
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 15 * 1024 * 1024 },
@@ -147,142 +223,117 @@ function mapProfileToMover(profileRow) {
     features: [],
     plan: profileRow.plan || "Free",
     status: profileRow.status || "pending",
+    smsOptIn: !!profileRow.sms_opt_in,
+    timeZone: profileRow.time_zone || "",
     profileCompletion: computeProfileCompletion(profileRow),
   }
 }
 
-async function geocodeMoverAddress({ city, state, zip }) {
-  const parts = [city, state, zip].filter(Boolean).join(" ").trim()
-  if (!parts) throw new Error("No address to geocode")
-  console.log("Geocoding parts:", parts)
-
-  // 1. Google Maps (primary)
-  if (process.env.GOOGLE_MAPS_API_KEY) {
-    try {
-      const gUrl = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(parts + ", US")}&key=${process.env.GOOGLE_MAPS_API_KEY}`
-      const res = await fetch(gUrl, { signal: AbortSignal.timeout(8000) })
-      const data = await res.json()
-      if (data.status === "OK" && data.results?.[0]) {
-        const loc = data.results[0].geometry.location
-        console.log("Google geocoded:", loc.lat, loc.lng)
-        return { lat: loc.lat, lng: loc.lng }
-      }
-      console.warn("Google geocoder no results:", data.status)
-    } catch (e) {
-      console.warn("Google geocoder failed:", e.message)
-    }
-  }
-
-  // 2. Census fallback
-  try {
-    const censusUrl = `https://geocoding.geo.census.gov/geocoder/locations/onelineaddress?address=${encodeURIComponent(parts + ", US")}&benchmark=Public_AR_Current&format=json`
-    const res = await fetch(censusUrl, {
-      headers: { "User-Agent": "PackRocket/1.0" },
-      signal: AbortSignal.timeout(8000)
-    })
-    if (res.ok) {
-      const data = await res.json()
-      const match = data?.result?.addressMatches?.[0]
-      if (match) {
-        return { lat: parseFloat(match.coordinates.y), lng: parseFloat(match.coordinates.x) }
-      }
-    }
-  } catch (e) {
-    console.warn("Census geocoder failed:", e.message)
-  }
-
-  // 3. Nominatim fallback
-  try {
-    const nomUrl = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(parts)}&countrycodes=us&format=json&limit=1`
-    const res = await fetch(nomUrl, {
-      headers: { "User-Agent": "PackRocket/1.0 (packrocket.co)", "Accept": "application/json" },
-      signal: AbortSignal.timeout(8000)
-    })
-    const contentType = res.headers.get("content-type") || ""
-    if (res.ok && contentType.includes("application/json")) {
-      const data = await res.json()
-      if (data?.[0]) {
-        return { lat: parseFloat(data[0].lat), lng: parseFloat(data[0].lon) }
-      }
-    }
-  } catch (e) {
-    console.warn("Nominatim geocoder failed:", e.message)
-  }
-
-  throw new Error("All geocoders failed")
-}
-
 /* 
   Syncs a signed-up/updated profile into the movers table in Supabase.
   Previously this wrote to Airtable — now it writes to Supabase movers.
+  Runs as the mover.sync job (queueMoverSync) and throws on failure so
+  the job is retried.
 */
 async function upsertSupabaseMoverFromProfile(profileRow) {
-  try {
-    const email = normalizeEmail(profileRow.email)
-    if (!email) return
+  const email = normalizeEmail(profileRow.email)
+  if (!email) return
+
+  const name    = profileRow.business_name || profileRow.full_name || "Mover"
+  const city    = profileRow.city  || ""
+  const state   = profileRow.state || ""
+  const zip     = profileRow.zip   || ""
+  const plan    = profileRow.plan  || "Free"
+  const logoUrl = profileRow.logo_url || ""
+  const startingPrice = profileRow.starting_price || null
+  const radius  = profileRow.service_radius_miles ?? 50
+
+  const moverData = {
+    email,
+    name,
+    phone: profileRow.phone_e164 || "",
+    city,
+    state,
+    zip,
+    plan,
+    service_radius_miles: radius,
+    logo_url: logoUrl || null,
+    starting_price: startingPrice,
+  }
 
-    const name    = profileRow.business_name || profileRow.full_name || "Mover"
-    const city    = profileRow.city  || ""
-    const state   = profileRow.state || ""
-    const zip     = profileRow.zip   || ""
-    const plan    = profileRow.plan  || "Free"
-    const logoUrl = profileRow.logo_url || ""
-    const startingPrice = profileRow.starting_price || null
-    const radius  = profileRow.service_radius_miles ?? 50
+  if (profileRow.lat != null) moverData.lat = profileRow.lat
+  if (profileRow.lng != null) moverData.lng = profileRow.lng
 
-    let lat = profileRow.lat ?? null
-    let lng = profileRow.lng ?? null
+  // Check if mover already exists in movers table
+  const { data: existing, error: findErr } = await supabase
+    .from("movers")
+    .select("id")
+    .ilike("email", email)
+    .maybeSingle()
+  if (findErr) throw new Error(`movers lookup: ${findErr.message}`)
 
-    if ((city || state || zip) && (!lat || !lng)) {
-      try {
-        const coords = await geocodeMoverAddress({ city, state, zip })
-        lat = coords.lat
-        lng = coords.lng
-        console.log(`📍 Geocoded ${email}: ${lat}, ${lng}`)
+  if (existing?.id) {
+    const { error } = await supabase.from("movers").update(moverData).eq("id", existing.id)
+    if (error) throw new Error(`movers update: ${error.message}`)
+    console.log("✅ Supabase movers upsert (update) for:", email)
+  } else {
+    // New listings start hidden until an admin approves the profile.
+    // Existing rows keep whatever the admin routes last set.
+    const { error } = await supabase.from("movers").insert([{
+      ...moverData,
+      approval_status: profileRow.approval_status || "pending",
+      suspended: !!profileRow.suspended_at,
+    }])
+    if (error) throw new Error(`movers insert: ${error.message}`)
+    console.log("✅ Supabase movers upsert (insert) for:", email)
+  }
+}
 
-        await supabase
-          .from("profiles")
-          .update({ lat, lng, geo_updated_at: new Date().toISOString() })
-          .eq("email", email)
-      } catch (geoErr) {
-        console.warn("Geocode failed for", email, "—", geoErr.message)
-      }
-    }
+// Queues a listing sync from the profile's current row — callers don't
+// pass the row, so a retry never writes stale data. Syncs already
+// waiting for the same profile are reused.
+async function queueMoverSync(profileId) {
+  await jobs.enqueue("mover.sync", { profileId }, { dedupeKey: profileId })
+}
 
-    const moverData = {
-      email,
-      name,
-      phone: profileRow.phone_e164 || "",
-      city,
-      state,
-      zip,
-      plan,
-      service_radius_miles: radius,
-      logo_url: logoUrl || null,
-      starting_price: startingPrice,
-    }
+async function loadProfileForSync(profileId) {
+  const { data: profile, error } = await supabase
+    .from("profiles")
+    .select("*")
+    .eq("id", profileId)
+    .maybeSingle()
+  if (error) throw new Error(`profile lookup: ${error.message}`)
+  return profile
+}
 
-    if (lat !== null) moverData.lat = lat
-    if (lng !== null) moverData.lng = lng
+jobs.register("mover.sync", async ({ profileId }) => {
+  const profile = await loadProfileForSync(profileId)
+  if (!profile) return
 
-    // Check if mover already exists in movers table
-    const { data: existing } = await supabase
-      .from("movers")
-      .select("id")
-      .ilike("email", email)
-      .maybeSingle()
+  await upsertSupabaseMoverFromProfile(profile)
 
-    if (existing?.id) {
-      await supabase.from("movers").update(moverData).eq("id", existing.id)
-      console.log("✅ Supabase movers upsert (update) for:", email)
-    } else {
-      await supabase.from("movers").insert([moverData])
-      console.log("✅ Supabase movers upsert (insert) for:", email)
-    }
-  } catch (err) {
-    console.error("Supabase movers sync failed:", err)
+  // The listing goes live without coordinates; profile.geocode fills
+  // them in (retrying through provider outages) and syncs again.
+  if ((profile.city || profile.state || profile.zip) && (!profile.lat || !profile.lng)) {
+    await jobs.enqueue("profile.geocode", { profileId }, { dedupeKey: profileId })
   }
-}
+})
+
+jobs.register("profile.geocode", async ({ profileId }) => {
+  const profile = await loadProfileForSync(profileId)
+  if (!profile || (profile.lat && profile.lng)) return
+
+  const coords = await geocoder.geocode({ city: profile.city || "", state: profile.state || "", zip: profile.zip || "" })
+  console.log(`📍 Geocoded ${profile.email}: ${coords.lat}, ${coords.lng}`)
+
+  const { error } = await supabase
+    .from("profiles")
+    .update({ lat: coords.lat, lng: coords.lng, geo_updated_at: new Date().toISOString() })
+    .eq("id", profileId)
+  if (error) throw new Error(`profile coordinates: ${error.message}`)
+
+  await queueMoverSync(profileId)
+})
 
 /* ------------------------- Airtable shape mapper ------------------------- */
 
@@ -304,19 +355,27 @@ function mapMoverToAirtableShape(mover) {
       Verified: mover.verified === true || mover.verified === "true" || mover.verified === "checked",
       ["Starting price"]: mover.starting_price ? Number(mover.starting_price) : undefined,
       Rating: mover.rating ? Number(mover.rating) : undefined,
+      ["Review Count"]: mover.review_count ?? undefined,
       Features: mover.features
         ? String(mover.features).split(",").map((s) => s.trim()).filter(Boolean)
         : [],
       Logo: mover.logo_url ? [{ url: mover.logo_url }] : [],
       ["Hero Photo"]: mover.hero_photo_url ? [{ url: mover.hero_photo_url }] : [],
       Photo: mover.photo_url ? [{ url: mover.photo_url }] : [],
+      // Gallery photos past the plan's limit (after a downgrade) stay
+      // stored but aren't shown.
+      Photos: (mover.listing_photos || [])
+        .slice(0, getEntitlements(mover.plan).maxListingPhotos)
+        .map((url) => ({ url })),
       Description: mover.description || "",
       ["Service Areas"]: mover.service_areas || "",
       Services: mover.services
         ? String(mover.services).split(",").map((s) => s.trim()).filter(Boolean)
         : [],
       Plan: mover.plan || "Free",
-      Badge: mover.badge || "",
+      // Sponsored pins (see SPONSORED SLOTS) always carry the Sponsored badge.
+      Badge: mover._sponsored ? "Sponsored" : mover.badge || "",
+      Sponsored: mover._sponsored === true,
      ["Business Hours"]: mover.business_hours || "",
       ["Price Range"]: mover.price_range_max ? `$0–$${mover.price_range_max}` : "",
       // How quickly the mover typically responds — editable from the dashboard.
@@ -330,24 +389,21 @@ function mapMoverToAirtableShape(mover) {
       ["Crew Type"]: mover.crew_type || "truck",
       ["Crew Label"]: crewLabels.label,
       ["Crew Sublabel"]: crewLabels.sublabel,
+      // Highlighted keyword match from /api/movers?q= (HTML with <mark>).
+      ["Search Snippet"]: mover._snippet || "",
       service_radius_miles: mover.service_radius_miles,
       _distanceMiles: mover._distanceMiles ?? null,
     },
   }
 }
 
-/* ------------------------- Haversine ------------------------- */
+/* ------------------------- Public listing visibility ------------------------- */
 
-function haversineMiles(lat1, lng1, lat2, lng2) {
-  const R = 3958.8
-  const dLat = ((lat2 - lat1) * Math.PI) / 180
-  const dLng = ((lng2 - lng1) * Math.PI) / 180
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLng / 2) ** 2
-  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+// Search and listing routes only show movers an admin has approved and
+// who aren't suspended. approval_status / suspended on `movers` mirror
+// the profile and are kept in sync by the /api/admin routes.
+function onlyPublicMovers(query) {
+  return query.eq("approval_status", "approved").eq("suspended", false)
 }
 
 /* ------------------------- Stripe price IDs ------------------------- */
@@ -355,6 +411,7 @@ function haversineMiles(lat1, lng1, lat2, lng2) {
 const PRICE_IDS = {
   Pro: process.env.STRIPE_PRICE_PRO,
   Enterprise: process.env.STRIPE_PRICE_ENTERPRISE,
+  SponsoredSlot: process.env.STRIPE_PRICE_SPONSORED_SLOT,
 }
 
 /* ------------------------- CORS ------------------------- */
@@ -372,114 +429,198 @@ app.use(
 app.post(
   "/api/stripe/webhook",
   express.raw({ type: "application/json" }),
-  (req, res) => {
+  async (req, res) => {
     const sig = req.headers["stripe-signature"]
     let event
 
+    // Connect events (account.updated for movers' deposit accounts) come
+    // from a separate Stripe webhook endpoint with its own signing secret.
+    const secrets = [process.env.STRIPE_WEBHOOK_SECRET, process.env.STRIPE_CONNECT_WEBHOOK_SECRET].filter(Boolean)
+    for (const secret of secrets) {
+      try {
+        event = stripe.webhooks.constructEvent(req.body, sig, secret)
+        break
+      } catch (err) {
+        if (secret === secrets[secrets.length - 1]) {
+          console.error("❌ Webhook signature error:", err.message)
+          return res.status(400).send("Webhook Error")
+        }
+      }
+    }
+    if (!event) return res.status(400).send("Webhook Error")
+
+    // Acknowledge only once the event is safely queued — if that fails,
+    // Stripe redelivers it.
     try {
-      event = stripe.webhooks.constructEvent(
-        req.body,
-        sig,
-        process.env.STRIPE_WEBHOOK_SECRET
-      )
+      if (await isStripeEventProcessed(event.id)) return res.sendStatus(200)
+      await jobs.enqueue("stripe.event", { event }, { dedupeKey: event.id })
     } catch (err) {
-      console.error("❌ Webhook signature error:", err.message)
-      return res.status(400).send("Webhook Error")
+      console.error("❌ Webhook queue error:", err.message)
+      return res.status(500).send("Webhook Error")
     }
-
     res.sendStatus(200)
+  }
+)
 
-    ;(async () => {
-      try {
-        const type = event.type
-
-        const updateProfileByCustomerId = async (customerId, updates) => {
-          if (!customerId) return
-          const { data: user, error: findErr } = await supabase
-            .from("profiles")
-            .select("id")
-            .eq("stripe_customer_id", customerId)
-            .maybeSingle()
-          if (findErr) { console.error("Supabase lookup error:", findErr); return }
-          if (!user?.id) return
-          const { error: updErr } = await supabase
-            .from("profiles")
-            .update({ ...updates, updated_at: new Date().toISOString() })
-            .eq("id", user.id)
-          if (updErr) console.error("Supabase update error:", updErr)
-        }
+/*
+  The stripe.event job — what a webhook event changes. Throws on a
+  failed write so the job is retried; every branch is safe to repeat,
+  since Stripe can also deliver an event more than once.
+*/
+async function handleStripeEvent(event) {
+  const type = event.type
 
-        if (type === "checkout.session.completed") {
-          const session = event.data.object
-          const customerId = session.customer
-          const subscriptionId = session.subscription
-          let currentPeriodEndISO = null
-          if (subscriptionId) {
-            const sub = await stripe.subscriptions.retrieve(subscriptionId)
-            currentPeriodEndISO = new Date(sub.current_period_end * 1000).toISOString()
-          }
-          await updateProfileByCustomerId(customerId, {
-            status: "active",
-            stripe_subscription_id: subscriptionId || null,
-            current_period_end: currentPeriodEndISO,
-          })
-          console.log("✅ checkout.session.completed → activated:", customerId)
-        }
+  const updateProfileByCustomerId = async (customerId, updates) => {
+    if (!customerId) return
+    const { data: user, error: findErr } = await supabase
+      .from("profiles")
+      .select("id")
+      .eq("stripe_customer_id", customerId)
+      .maybeSingle()
+    if (findErr) throw new Error(`Supabase lookup error: ${findErr.message}`)
+    if (!user?.id) return
+    const { error: updErr } = await supabase
+      .from("profiles")
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq("id", user.id)
+    if (updErr) throw new Error(`Supabase update error: ${updErr.message}`)
+  }
 
-        if (type === "customer.subscription.updated") {
-          const sub = event.data.object
-          const statusMap = {
-            active: "active",
-            trialing: "active",
-            past_due: "past_due",
-            unpaid: "past_due",
-            canceled: "canceled",
-            incomplete: "pending",
-            incomplete_expired: "canceled",
-            paused: "paused",
-          }
-          await updateProfileByCustomerId(sub.customer, {
-            stripe_subscription_id: sub.id,
-            status: statusMap[sub.status] || "active",
-            current_period_end: new Date(sub.current_period_end * 1000).toISOString(),
-          })
-        }
+  // Sponsored-slot subscriptions are separate from the plan
+  // subscription — their events must never touch the profile.
+  if (isSponsorshipEvent(event)) {
+    await handleSponsorshipEvent(event)
+    return
+  }
 
-        if (type === "invoice.paid") {
-          const invoice = event.data.object
-          const customerId = invoice.customer
-          const subscriptionId = invoice.subscription
-          let currentPeriodEndISO = null
-          if (subscriptionId) {
-            const sub = await stripe.subscriptions.retrieve(subscriptionId)
-            currentPeriodEndISO = new Date(sub.current_period_end * 1000).toISOString()
-          }
-          await updateProfileByCustomerId(customerId, {
-            status: "active",
-            stripe_subscription_id: subscriptionId || null,
-            current_period_end: currentPeriodEndISO,
-          })
-        }
+  if (type === "checkout.session.completed" && event.data.object.metadata?.kind === "booking_deposit") {
+    await recordDepositPayment(event.data.object)
+  } else if (type === "checkout.session.completed") {
+    const session = event.data.object
+    const customerId = session.customer
+    const subscriptionId = session.subscription
+    let currentPeriodEndISO = null
+    if (subscriptionId) {
+      const sub = await stripe.subscriptions.retrieve(subscriptionId)
+      currentPeriodEndISO = new Date(sub.current_period_end * 1000).toISOString()
+    }
+    await updateProfileByCustomerId(customerId, {
+      status: "active",
+      stripe_subscription_id: subscriptionId || null,
+      current_period_end: currentPeriodEndISO,
+    })
+    console.log("✅ checkout.session.completed → activated:", customerId)
+  }
 
-        if (type === "invoice.payment_failed") {
-          const invoice = event.data.object
-          await updateProfileByCustomerId(invoice.customer, { status: "past_due" })
-        }
+  if (type === "customer.subscription.updated") {
+    const sub = event.data.object
+    const statusMap = {
+      active: "active",
+      trialing: "active",
+      past_due: "past_due",
+      unpaid: "past_due",
+      canceled: "canceled",
+      incomplete: "pending",
+      incomplete_expired: "canceled",
+      paused: "paused",
+    }
+    await updateProfileByCustomerId(sub.customer, {
+      stripe_subscription_id: sub.id,
+      status: statusMap[sub.status] || "active",
+      current_period_end: new Date(sub.current_period_end * 1000).toISOString(),
+    })
+  }
 
-        if (type === "customer.subscription.deleted") {
-          const sub = event.data.object
-          await updateProfileByCustomerId(sub.customer, {
-            status: "canceled",
-            stripe_subscription_id: sub.id,
-            current_period_end: new Date(sub.current_period_end * 1000).toISOString(),
-          })
-        }
-      } catch (err) {
-        console.error("⚠️ Webhook async handler error:", err)
-      }
-    })()
+  if (type === "invoice.paid") {
+    const invoice = event.data.object
+    const customerId = invoice.customer
+    const subscriptionId = invoice.subscription
+    let currentPeriodEndISO = null
+    if (subscriptionId) {
+      const sub = await stripe.subscriptions.retrieve(subscriptionId)
+      currentPeriodEndISO = new Date(sub.current_period_end * 1000).toISOString()
+    }
+    await updateProfileByCustomerId(customerId, {
+      status: "active",
+      stripe_subscription_id: subscriptionId || null,
+      current_period_end: currentPeriodEndISO,
+    })
   }
-)
+
+  if (type === "account.updated") {
+    const account = event.data.object
+    const { error } = await supabase
+      .from("profiles")
+      .update({ stripe_connect_charges_enabled: !!account.charges_enabled })
+      .eq("stripe_connect_account_id", account.id)
+    if (error) throw new Error(`Supabase update error: ${error.message}`)
+  }
+
+  if (type === "charge.refunded") {
+    // Covers refunds issued from the Stripe dashboard as well as ours.
+    const charge = event.data.object
+    if (charge.payment_intent && charge.refunded) {
+      const { error } = await supabase
+        .from("leads")
+        .update({ deposit_status: "refunded", deposit_refunded_at: new Date().toISOString() })
+        .eq("deposit_payment_intent_id", charge.payment_intent)
+      if (error) throw new Error(`Supabase update error: ${error.message}`)
+    }
+  }
+
+  if (type === "invoice.payment_failed") {
+    const invoice = event.data.object
+    await updateProfileByCustomerId(invoice.customer, { status: "past_due" })
+  }
+
+  if (type === "customer.subscription.deleted") {
+    const sub = event.data.object
+    await updateProfileByCustomerId(sub.customer, {
+      status: "canceled",
+      stripe_subscription_id: sub.id,
+      current_period_end: new Date(sub.current_period_end * 1000).toISOString(),
+    })
+  }
+}
+
+/*
+  The job queue only de-dupes against a job that's still queued, so an
+  event Stripe redelivers after its first job ran would run again.
+  processed_stripe_events records every event that went through, and
+  both the webhook and the job check it first.
+
+  Requires in Supabase (run once):
+
+  create table if not exists processed_stripe_events (
+    event_id text primary key,
+    type text not null,
+    processed_at timestamptz not null default now()
+  );
+*/
+async function isStripeEventProcessed(eventId) {
+  const { data, error } = await supabase
+    .from("processed_stripe_events")
+    .select("event_id")
+    .eq("event_id", eventId)
+    .maybeSingle()
+  if (error) throw new Error(`Stripe event lookup failed: ${error.message}`)
+  return !!data
+}
+
+jobs.register("stripe.event", async ({ event }) => {
+  if (await isStripeEventProcessed(event.id)) return
+  await handleStripeEvent(event)
+  const { error } = await supabase
+    .from("processed_stripe_events")
+    .insert([{ event_id: event.id, type: event.type }])
+  if (error && error.code !== "23505") console.error(`Recording Stripe event ${event.id} failed:`, error.message)
+}, { maxAttempts: 8 })
+
+/* ---------- INBOUND EMAIL WEBHOOK: must be BEFORE express.json ----------
+   The signature covers the exact bytes Resend sent, so this needs the
+   raw body too. See INBOUND EMAIL REPLIES. */
+
+app.post("/api/email/inbound", express.raw({ type: "application/json" }), handleInboundEmailWebhook)
 
 /* --------------------- JSON middleware ------------------ */
 
@@ -496,6 +637,205 @@ app.use(express.urlencoded({ extended: true }))
 
 app.get("/api/health", (_req, res) => res.json({ ok: true }))
 
+/* ==========================================================================
+   AUTH
+
+   Routes used to identify the caller purely by an `email` query/body
+   field. They now identify the caller from the Supabase access token
+   that /api/login (movers) and /api/customer/login (customers) return,
+   sent as `Authorization: Bearer <accessToken>`.
+
+   Browser navigations, EventSource and navigator.sendBeacon() can't set
+   headers, so the routes that serve them (/api/stripe/manage-billing,
+   the message streams, attachment downloads, email previews and
+   mover-view tracking) opt in with { queryToken: true } to also read
+   `?access_token=`. No other route looks for a token in the query
+   string, so ordinary calls never put one in a URL.
+
+   AUTH_MODE controls the migration:
+     - "transitional" (default): a token is used when sent; requests
+       without one fall back to the old email field, with a warning log
+       so we can see which frontend calls still need moving over.
+     - "strict": a valid token is required; the email field is ignored.
+
+   The email fallback only exists for calls the old frontend already
+   made. Routes added since pass { tokenOnly: true } and require a token
+   in either mode.
+
+   An invalid or expired token is always a 401 — we never silently fall
+   back to the email field when the caller did send a token.
+
+   Every route reads identity from req.auth:
+     { via: "token" | "legacy", userId, email, role, profile, customer }
+   role is "mover" | "admin" | "customer" for token callers and null for
+   legacy callers (their account is looked up by email as before).
+   ========================================================================== */
+
+const AUTH_MODE = process.env.AUTH_MODE === "strict" ? "strict" : "transitional"
+
+function getAccessToken(req, { queryToken = false } = {}) {
+  const header = String(req.headers.authorization || "")
+  const m = header.match(/^Bearer\s+(.+)$/i)
+  if (m) return m[1].trim()
+  if (queryToken && req.query?.access_token) return String(req.query.access_token).trim()
+  return ""
+}
+
+// Verifies a Supabase access token and resolves it to the mover profile
+// or customer row it belongs to. Returns null for a bad/expired token.
+async function resolveAccessToken(token) {
+  const { data, error } = await supabase.auth.getUser(token)
+  if (error || !data?.user) return null
+  const user = data.user
+
+  const { data: profile } = await supabase
+    .from("profiles")
+    .select("*")
+    .eq("id", user.id)
+    .maybeSingle()
+
+  let customer = null
+  if (!profile) {
+    const { data: customerRow } = await supabase
+      .from("customers")
+      .select("*")
+      .eq("id", user.id)
+      .maybeSingle()
+    customer = customerRow || null
+  }
+
+  return {
+    via: "token",
+    userId: user.id,
+    email: normalizeEmail(profile?.email || customer?.email || user.email),
+    role: profile ? (profile.role === "admin" ? "admin" : "mover") : customer ? "customer" : null,
+    profile: profile || null,
+    customer,
+  }
+}
+
+function legacyAuthFromRequest(req) {
+  const email = normalizeEmail(req.body?.email || req.query?.email)
+  if (!email) return null
+  return { via: "legacy", userId: null, email, role: null, profile: null, customer: null }
+}
+
+/*
+  requireAuth(role, options) — role is "mover", "customer" or "any"
+  (either side of a lead thread; the route itself decides which one the
+  caller is). Admin accounts are profiles rows too, so they pass "mover".
+  options:
+    tokenOnly   never fall back to the legacy email field
+    queryToken  also accept ?access_token= (see above)
+*/
+function requireAuth(role = "any", { tokenOnly = false, queryToken = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const token = getAccessToken(req, { queryToken })
+
+      if (token) {
+        const auth = await resolveAccessToken(token)
+        if (!auth) {
+          return res.status(401).json({ ok: false, code: "INVALID_TOKEN", error: "Your session has expired. Please log in again." })
+        }
+        const authRole = auth.role === "admin" ? "mover" : auth.role
+        if ((role === "mover" || role === "customer") && authRole !== role) {
+          return res.status(403).json({ ok: false, code: "WRONG_ACCOUNT_TYPE", error: "This account can't access that." })
+        }
+        req.auth = auth
+        return next()
+      }
+
+      if (AUTH_MODE === "transitional" && !tokenOnly) {
+        const legacy = legacyAuthFromRequest(req)
+        if (legacy) {
+          console.warn(`⚠️ Legacy email auth on ${req.method} ${req.path} — migrate this call to a bearer token`)
+          req.auth = legacy
+          return next()
+        }
+        return res.status(400).json({ ok: false, error: "Missing email" })
+      }
+
+      return res.status(401).json({ ok: false, code: "AUTH_REQUIRED", error: "Please log in to continue." })
+    } catch (err) {
+      console.error("Auth middleware error:", err)
+      return res.status(500).json({ ok: false, error: "Server error" })
+    }
+  }
+}
+
+// Admin routes never accept the legacy email field, whatever AUTH_MODE
+// says — knowing an admin's address must not be enough to act as one.
+function adminAuth({ queryToken = false } = {}) {
+  return (req, res, next) => {
+    const token = getAccessToken(req, { queryToken })
+    if (!token) {
+      return res.status(401).json({ ok: false, code: "AUTH_REQUIRED", error: "Please log in to continue." })
+    }
+    resolveAccessToken(token)
+      .then((auth) => {
+        if (!auth) {
+          return res.status(401).json({ ok: false, code: "INVALID_TOKEN", error: "Your session has expired. Please log in again." })
+        }
+        if (auth.role !== "admin") {
+          return res.status(403).json({ ok: false, code: "ADMIN_ONLY", error: "Admin access required." })
+        }
+        req.auth = auth
+        next()
+      })
+      .catch((err) => {
+        console.error("requireAdmin error:", err)
+        res.status(500).json({ ok: false, error: "Server error" })
+      })
+  }
+}
+
+const requireAdmin = adminAuth()
+
+// Same as requireAuth("any", options) but never rejects — routes that
+// also serve guests (e.g. POST /api/reviews) just get req.auth = null.
+function optionalAuth({ tokenOnly = false, queryToken = false } = {}) {
+  return (req, _res, next) => {
+    const token = getAccessToken(req, { queryToken })
+    if (!token) {
+      req.auth = AUTH_MODE === "transitional" && !tokenOnly ? legacyAuthFromRequest(req) : null
+      return next()
+    }
+    resolveAccessToken(token)
+      .then((auth) => { req.auth = auth; next() })
+      .catch((err) => {
+        console.error("optionalAuth error:", err)
+        req.auth = null
+        next()
+      })
+  }
+}
+
+/* ── Exchange a refresh token for a new access token. Supabase access
+   tokens expire after an hour; both login routes return a refreshToken
+   so the frontend can stay signed in. ── */
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {}
+    if (!refreshToken) return res.status(400).json({ ok: false, error: "Missing refreshToken" })
+
+    const { data, error } = await getSupabaseAuth().auth.refreshSession({ refresh_token: refreshToken })
+    if (error || !data?.session) {
+      return res.status(401).json({ ok: false, code: "INVALID_TOKEN", error: "Your session has expired. Please log in again." })
+    }
+
+    return res.json({
+      ok: true,
+      accessToken: data.session.access_token,
+      refreshToken: data.session.refresh_token,
+      expiresAt: data.session.expires_at,
+    })
+  } catch (err) {
+    console.error("/api/auth/refresh error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
 /* ==========================================================================
    GLOBAL SEARCH COUNTER
 
@@ -578,6 +918,53 @@ app.post("/api/search-count/increment", async (req, res) => {
 
 /* ------------------------ Create Lead + Email Mover ------------------------ */
 
+// Same response (and FREE_PLAN_LIMIT code the frontend checks for)
+// wherever a mover's monthly lead quota stops a new lead.
+function sendLeadQuotaReached(res) {
+  return res.status(403).json({
+    ok: false,
+    code: "FREE_PLAN_LIMIT",
+    error: "This mover isn't available right now. Try contacting another mover.",
+  })
+}
+
+// The "New PackRocket Move Request" email every mover gets for a lead —
+// shared by /api/leads and /api/quote-requests. Queued; the email.send
+// job marks the lead sent once Resend accepts it.
+async function sendNewLeadEmail({
+  leadId,
+  moverEmail,
+  moverDisplayName,
+  customerName,
+  customerPhone,
+  customerEmail,
+  moveDate,
+  pickupAddress,
+  dropoffAddress,
+  homeSize,
+  notes,
+}) {
+  await sendEmail({
+    from: "PackRocket Leads <leads@packrocket.co>",
+    to: [moverEmail],
+    bcc: process.env.LEADS_BCC_EMAIL ? [process.env.LEADS_BCC_EMAIL] : undefined,
+    replyTo: replyToAddressFor(leadId, "mover"),
+    ...renderEmail("new_lead", {
+      moverName: moverDisplayName,
+      customerName,
+      customerPhone,
+      customerEmail,
+      moveDate,
+      pickupAddress,
+      dropoffAddress,
+      homeSize,
+      notes,
+      leadId,
+      replyByEmail: canReplyByEmail(leadId),
+    }),
+  }, { leadId })
+}
+
 app.post("/api/leads", async (req, res) => {
   try {
     const {
@@ -647,27 +1034,9 @@ app.post("/api/leads", async (req, res) => {
       return res.status(404).json({ ok: false, error: "Mover not found or missing email" })
     }
 
-    // Free plan: 2 leads per calendar month
-    if (moverPlan === "Free" && supabaseMoverId) {
-      const now = new Date()
-      const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).toISOString()
-      const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 1).toISOString()
-
-      const { count } = await supabase
-        .from("leads")
-        .select("id", { count: "exact", head: true })
-        .eq("mover_id", supabaseMoverId)
-        .gte("created_at", monthStart)
-        .lt("created_at", monthEnd)
-
-      if (count >= 1) {
-        return res.status(403).json({
-          ok: false,
-          code: "FREE_PLAN_LIMIT",
-          error: "This mover isn't available right now. Try contacting another mover.",
-        })
-      }
-    }
+    // Monthly lead quota for the mover's plan (lib/entitlements.js)
+    const leadUsage = await getLeadUsage(supabase, { profileId: supabaseMoverId, plan: moverPlan })
+    if (leadUsage.capped) return sendLeadQuotaReached(res)
 
     let leadId = null
     if (supabaseMoverId) {
@@ -706,36 +1075,28 @@ app.post("/api/leads", async (req, res) => {
       }
     }
 
-    const subject = `New PackRocket Move Request — ${customerName} (${moveDate})`
-    const text =
-      `New PackRocket Move Request\n\n` +
-      `Mover: ${moverDisplayName}\n` +
-      `Customer: ${customerName}\n` +
-      `Phone: ${customerPhone}\n` +
-      (customerEmail ? `Email: ${customerEmail}\n` : "") +
-      `Move Date: ${moveDate}\n` +
-      (pickupAddress ? `Pickup: ${pickupAddress}\n` : "") +
-      (dropoffAddress ? `Dropoff: ${dropoffAddress}\n` : "") +
-      (homeSize ? `Home Size: ${homeSize}\n` : "") +
-      (notes ? `Notes: ${notes}\n` : "") +
-      (leadId ? `\nLead ID: ${leadId}\n` : "") +
-      `\nReply to this customer any time from your PackRocket dashboard — Messages tab.\n`
-
-    const emailResult = await resend.emails.send({
-      from: "PackRocket Leads <leads@packrocket.co>",
-      to: [moverEmail],
-      bcc: process.env.LEADS_BCC_EMAIL ? [process.env.LEADS_BCC_EMAIL] : undefined,
-      subject,
-      text,
+    await sendNewLeadEmail({
+      leadId,
+      moverEmail,
+      moverDisplayName,
+      customerName,
+      customerPhone,
+      customerEmail,
+      moveDate,
+      pickupAddress,
+      dropoffAddress,
+      homeSize,
+      notes,
     })
 
-    if (leadId) {
-      await supabase.from("leads").update({
-        sent_status: "sent",
-        sent_at: new Date().toISOString(),
-        email_provider_id: emailResult?.data?.id || null,
-      }).eq("id", leadId)
-    }
+    await textMoverAboutLead(supabaseMoverId, {
+      leadId,
+      customerName,
+      moveDate,
+      pickup: pickupAddress,
+      dropoff: dropoffAddress,
+      notes,
+    })
 
     return res.json({ ok: true, leadId })
   } catch (err) {
@@ -841,105 +1202,16 @@ app.post("/api/leads/confirm-email", async (req, res) => {
       `${baseUrl}/customer-signup?email=${encodeURIComponent(normalizedEmail)}` +
       (customerName ? `&name=${encodeURIComponent(customerName)}` : "")
 
-    const signupBlockHtml = hasAccount
-      ? ""
-      : `
-          <tr>
-            <td style="padding:20px 32px 0;">
-              <div style="border:1.5px solid #1F8052;background:#F0F9F4;border-radius:14px;padding:18px 20px;">
-                <div style="font-size:14px;font-weight:600;color:#111827;margin-bottom:6px;">
-                  Don't lose track of this request
-                </div>
-                <p style="margin:0 0 14px;font-size:13px;line-height:1.6;color:#4B5563;">
-                  You sent this as a guest. Create a free PackRocket account to see this
-                  request anytime, message your mover directly, and save movers for later.
-                  No credit card required.
-                </p>
-                <a href="${signupUrl}"
-                   style="display:inline-block;background:#1F8052;color:#ffffff;text-decoration:none;font-size:14px;font-weight:500;padding:12px 22px;border-radius:10px;">
-                  Create a free account
-                </a>
-              </div>
-            </td>
-          </tr>`
-
-    const html = `
-<!DOCTYPE html>
-<html>
-<head><meta charset="utf-8" /></head>
-<body style="margin:0;padding:0;background:#F7F8FA;font-family:-apple-system,BlinkMacSystemFont,Arial,sans-serif;">
-  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#F7F8FA;padding:32px 0;">
-    <tr>
-      <td align="center">
-        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:520px;background:#ffffff;border-radius:20px;overflow:hidden;border:1px solid #E5E7EB;">
-          <tr>
-            <td style="padding:32px 32px 0;text-align:center;">
-              <div style="font-size:19px;font-weight:600;color:#1F8052;letter-spacing:-0.01em;">PackRocket</div>
-            </td>
-          </tr>
-          <tr>
-            <td style="padding:24px 32px 0;text-align:center;">
-              <table role="presentation" cellpadding="0" cellspacing="0" align="center" style="margin:0 auto;">
-                <tr>
-                  <td width="64" height="64" align="center" valign="middle" bgcolor="#4CAF82" style="width:64px;height:64px;border-radius:50%;background:#4CAF82;font-size:30px;line-height:64px;color:#ffffff;font-family:Arial,Helvetica,sans-serif;">&#10003;</td>
-                </tr>
-              </table>
-            </td>
-          </tr>
-          <tr>
-            <td style="padding:20px 32px 0;text-align:center;">
-              <h1 style="margin:0;font-size:21px;font-weight:600;color:#111827;">Your move request was sent!</h1>
-              <p style="margin:10px 0 0;font-size:15px;line-height:1.6;color:#6B7280;">
-                Hi ${customerName || "there"}, we sent your request to
-                <strong style="font-weight:600;color:#111827;">${moverName}</strong> for your move
-                on <strong style="font-weight:600;color:#111827;">${moveDateLabel}</strong>. They typically respond ${responseTimePhrase}.
-              </p>
-            </td>
-          </tr>
-          <tr>
-            <td style="padding:28px 32px 0;">
-              <div style="border:1px solid #E5E7EB;border-radius:14px;padding:18px 20px;">
-                <div style="font-size:13px;font-weight:600;color:#111827;margin-bottom:10px;">What happens next</div>
-                <p style="margin:0;font-size:13.5px;line-height:1.7;color:#4B5563;">
-                  ${moverName} will review your request and reach out directly by phone or email
-                  to confirm availability and pricing. There's no payment required to send a request.
-                </p>
-              </div>
-            </td>
-          </tr>
-          ${signupBlockHtml}
-          <tr>
-            <td style="padding:28px 32px 32px;text-align:center;">
-              <p style="margin:0;font-size:12.5px;color:#9CA3AF;line-height:1.6;">
-                Thanks for using PackRocket to find your mover.<br />— The PackRocket Team
-              </p>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>`
-
-    const text =
-      `Hi ${customerName || "there"},\n\n` +
-      `Your move request was sent to ${moverName} for your move on ${moveDateLabel}. ` +
-      `They typically respond ${responseTimePhrase}.\n\n` +
-      `${moverName} will review your request and reach out directly by phone or email ` +
-      `to confirm availability and pricing. There's no payment required to send a request.\n\n` +
-      (hasAccount
-        ? ""
-        : `Since you sent this as a guest, create a free PackRocket account to keep track of ` +
-          `this request, message your mover, and save movers for later:\n${signupUrl}\n\n`) +
-      `– The PackRocket Team\nhttps://packrocket.co`
-
-    await resend.emails.send({
+    await sendEmail({
       from: "PackRocket <noreply@packrocket.co>",
       to: [normalizedEmail],
-      subject: `Your move request was sent to ${moverName}`,
-      text,
-      html,
+      ...renderEmail("move_request_confirmation", {
+        customerName,
+        moverName,
+        moveDateLabel,
+        responseTimePhrase,
+        signupUrl: hasAccount ? null : signupUrl,
+      }),
     })
 
     return res.json({ ok: true })
@@ -949,17 +1221,225 @@ app.post("/api/leads/confirm-email", async (req, res) => {
   }
 })
 
-/* -------------------- Message a mover -------------------- */
+/* ==========================================================================
+   MULTI-MOVER QUOTE REQUESTS
 
-app.post("/api/message", async (req, res) => {
+   A customer describes their move once and it goes out to several
+   matched movers. Each mover gets an ordinary lead (same email, same
+   thread) linked back to the parent request, so GET /api/customer/moves
+   can group every mover's response under it.
+
+   Requires this table + column in Supabase (run once):
+
+   create table if not exists quote_requests (
+     id uuid primary key default gen_random_uuid(),
+     customer_id uuid references customers(id) on delete set null,
+     customer_name text not null,
+     customer_phone text not null,
+     customer_email text,
+     move_date date not null,
+     pickup_address text,
+     dropoff_address text,
+     home_size text,
+     notes text,
+     lat double precision,
+     lng double precision,
+     created_at timestamptz not null default now()
+   );
+   alter table leads add column if not exists quote_request_id uuid references quote_requests(id) on delete set null;
+   create index if not exists leads_quote_request_id_idx on leads(quote_request_id);
+   ========================================================================== */
+
+const QUOTE_REQUEST_MAX_MOVERS = parseInt(process.env.QUOTE_REQUEST_MAX_MOVERS, 10) || 5
+const QUOTE_REQUEST_USAGE_BATCH = 10
+
+// Picks up to `limit` movers who serve the point, nearest first. Only
+// movers with a mover account (profiles row) qualify, since leads hang
+// off profiles.id; movers who've used their plan's monthly leads are skipped.
+async function pickMoversForQuoteRequest(lat, lng, limit) {
+  // Candidates come from the same radius search as /api/movers; fetch a
+  // generous page since some will be skipped below.
+  const { movers } = await searchMoversNear({ lat, lng, limit: SEARCH_MAX_LIMIT })
+  const inRange = movers
+    .filter(({ mover, distanceMiles }) => mover.email && distanceMiles !== null)
+    .map(({ mover, distanceMiles }) => ({ mover, dist: distanceMiles }))
+  if (!inRange.length) return []
+
+  const emails = inRange.map(({ mover }) => normalizeEmail(mover.email))
+  const { data: profileRows } = await supabase
+    .from("profiles")
+    .select("id, email, business_name, full_name, plan")
+    .in("email", emails)
+  const profileByEmail = Object.fromEntries(
+    (profileRows || []).map((p) => [normalizeEmail(p.email), p])
+  )
+
+  const withProfile = inRange
+    .map(({ mover, dist }) => ({ mover, profile: profileByEmail[normalizeEmail(mover.email)], distanceMiles: dist }))
+    .filter(({ profile }) => profile)
+
+  // Quota checks run a batch at a time, nearest first, until enough
+  // movers with leads left are found.
+  const picked = []
+  for (let i = 0; i < withProfile.length && picked.length < limit; i += QUOTE_REQUEST_USAGE_BATCH) {
+    const batch = withProfile.slice(i, i + QUOTE_REQUEST_USAGE_BATCH)
+    const usages = await Promise.all(
+      batch.map(({ profile }) => getLeadUsage(supabase, { profileId: profile.id, plan: profile.plan }))
+    )
+    picked.push(...batch.filter((_, j) => !usages[j].capped))
+  }
+  return picked.slice(0, limit)
+}
+
+app.post("/api/quote-requests", optionalAuth({ tokenOnly: true }), async (req, res) => {
   try {
     const {
-      moverId,
-      moverName,
-      moverEmail: providedEmail,
       customerName,
       customerPhone,
-      customerEmail,
+      moveDate,
+      pickupAddress,
+      dropoffAddress,
+      homeSize,
+      notes,
+      city,
+      state,
+      zip,
+      maxMovers,
+    } = req.body || {}
+    const customerEmail = req.auth?.customer?.email || req.body?.customerEmail || ""
+
+    if (!customerName || !customerPhone || !moveDate) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing required fields: customerName, customerPhone, moveDate",
+      })
+    }
+
+    // Where the move starts — explicit coordinates win, otherwise geocode
+    // whatever location the form sent (falling back to the pickup address).
+    let lat = parseFloat(req.body?.lat)
+    let lng = parseFloat(req.body?.lng)
+    if (!isFinite(lat) || !isFinite(lng)) {
+      try {
+        const coords = await geocoder.geocode({ city: city || pickupAddress, state, zip })
+        lat = coords.lat
+        lng = coords.lng
+      } catch (geoErr) {
+        console.warn("Quote request geocode failed:", geoErr.message)
+        return res.status(400).json({ ok: false, error: "Could not resolve the pickup location." })
+      }
+    }
+
+    const limit = Math.min(QUOTE_REQUEST_MAX_MOVERS, Math.max(1, parseInt(maxMovers, 10) || 3))
+    const matches = await pickMoversForQuoteRequest(lat, lng, limit)
+    if (!matches.length) {
+      return res.status(404).json({
+        ok: false,
+        code: "NO_MOVERS_AVAILABLE",
+        error: "No movers are available for this area right now.",
+      })
+    }
+
+    const { data: quoteRequest, error: qrErr } = await supabase
+      .from("quote_requests")
+      .insert([{
+        customer_id: req.auth?.customer?.id || null,
+        customer_name: customerName,
+        customer_phone: customerPhone,
+        customer_email: customerEmail || null,
+        move_date: moveDate,
+        pickup_address: pickupAddress || null,
+        dropoff_address: dropoffAddress || null,
+        home_size: homeSize || null,
+        notes: notes || null,
+        lat,
+        lng,
+      }])
+      .select("id")
+      .single()
+
+    if (qrErr) {
+      console.error("Quote request insert error:", qrErr.message)
+      return res.status(500).json({ ok: false, error: "Failed to save quote request" })
+    }
+
+    const leads = []
+    for (const { profile, distanceMiles } of matches) {
+      const { data: leadRow, error: leadErr } = await supabase
+        .from("leads")
+        .insert([{
+          mover_id: profile.id,
+          quote_request_id: quoteRequest.id,
+          customer_name: customerName,
+          customer_phone: customerPhone,
+          customer_email: customerEmail || null,
+          move_date: moveDate,
+          pickup_address: pickupAddress || null,
+          dropoff_address: dropoffAddress || null,
+          home_size: homeSize || null,
+          notes: notes || null,
+          sent_status: "pending",
+        }])
+        .select("id")
+        .single()
+
+      if (leadErr) {
+        console.error("Quote request lead insert error:", leadErr.message)
+        continue
+      }
+
+      if (notes) {
+        try {
+          await supabase.from("lead_messages").insert([{
+            lead_id: leadRow.id,
+            sender_type: "customer",
+            body: notes,
+          }])
+        } catch (threadErr) {
+          console.error("Thread seed error (non-fatal):", threadErr?.message)
+        }
+      }
+
+      const moverDisplayName = profile.business_name || profile.full_name || "Mover"
+      try {
+        await sendNewLeadEmail({
+          leadId: leadRow.id,
+          moverEmail: profile.email,
+          moverDisplayName,
+          customerName,
+          customerPhone,
+          customerEmail,
+          moveDate,
+          pickupAddress,
+          dropoffAddress,
+          homeSize,
+          notes,
+        })
+      } catch (emailErr) {
+        console.error("Quote request lead email failed (non-fatal):", emailErr?.message)
+      }
+
+      leads.push({ leadId: leadRow.id, moverId: profile.id, moverName: moverDisplayName, distanceMiles })
+    }
+
+    return res.json({ ok: true, quoteRequestId: quoteRequest.id, leads })
+  } catch (err) {
+    console.error("/api/quote-requests error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* -------------------- Message a mover -------------------- */
+
+app.post("/api/message", async (req, res) => {
+  try {
+    const {
+      moverId,
+      moverName,
+      moverEmail: providedEmail,
+      customerName,
+      customerPhone,
+      customerEmail,
       message,
       pickupCity,
       dropoffCity,
@@ -985,7 +1465,7 @@ app.post("/api/message", async (req, res) => {
       return res.json({ ok: true, note: "Message received but no email found for mover" })
     }
 
-    // Free plan limit check
+    // Monthly lead quota check
     let messageMoverPlan = "Free"
     let messageSupabaseMoverId = null
     const { data: moverProfile } = await supabase
@@ -998,50 +1478,14 @@ app.post("/api/message", async (req, res) => {
       messageSupabaseMoverId = moverProfile.id
     }
 
-    if (messageMoverPlan === "Free" && messageSupabaseMoverId) {
-      const now = new Date()
-      const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).toISOString()
-      const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 1).toISOString()
-
-      const { count } = await supabase
-        .from("leads")
-        .select("id", { count: "exact", head: true })
-        .eq("mover_id", messageSupabaseMoverId)
-        .gte("created_at", monthStart)
-        .lt("created_at", monthEnd)
-
-      if (count >= 1) {
-        return res.status(403).json({
-          ok: false,
-          code: "FREE_PLAN_LIMIT",
-          error: "This mover isn't available right now. Try contacting another mover.",
-        })
-      }
-    }
-
-    await resend.emails.send({
-      from: "PackRocket <leads@packrocket.co>",
-      to: [moverEmail],
-      bcc: process.env.LEADS_BCC_EMAIL ? [process.env.LEADS_BCC_EMAIL] : undefined,
-      subject: `🚛 New message from ${customerName} via PackRocket`,
-      text:
-        `You have a new message from a customer on PackRocket!\n\n` +
-        `────────────────────────\n` +
-        `Mover: ${moverName || "N/A"}\n` +
-        `Customer: ${customerName}\n` +
-        `Phone: ${customerPhone}\n` +
-        (pickupCity ? `Pickup: ${pickupCity}\n` : "") +
-        (dropoffCity ? `Drop-off: ${dropoffCity}\n` : "") +
-        (message ? `\nMessage:\n"${message}"\n` : "") +
-        `────────────────────────\n\n` +
-        `Reply directly to this customer any time from your PackRocket dashboard — Messages tab, ` +
-        `or call/text ${customerPhone}.\n\n` +
-        `– The PackRocket Team\nhttps://packrocket.co`,
-    })
+    const leadUsage = await getLeadUsage(supabase, { profileId: messageSupabaseMoverId, plan: messageMoverPlan })
+    if (leadUsage.capped) return sendLeadQuotaReached(res)
 
     // leadId is returned to the client so the message modal can hand it
     // to a conversation thread view (GET/POST /api/leads/:id/messages)
     // immediately after sending, instead of needing a page refresh.
+    // Saved before the email goes out so the email's reply-to address
+    // can point at this lead's thread.
     let leadId = null
     try {
       if (messageSupabaseMoverId) {
@@ -1070,6 +1514,30 @@ app.post("/api/message", async (req, res) => {
       console.error("Lead save error (non-fatal):", leadErr?.message)
     }
 
+    await sendEmail({
+      from: "PackRocket <leads@packrocket.co>",
+      to: [moverEmail],
+      bcc: process.env.LEADS_BCC_EMAIL ? [process.env.LEADS_BCC_EMAIL] : undefined,
+      replyTo: replyToAddressFor(leadId, "mover"),
+      ...renderEmail("new_message", {
+        moverName,
+        customerName,
+        customerPhone,
+        pickupCity,
+        dropoffCity,
+        message,
+        replyByEmail: canReplyByEmail(leadId),
+      }),
+    })
+
+    await textMoverAboutLead(messageSupabaseMoverId, {
+      leadId,
+      customerName,
+      pickup: pickupCity,
+      dropoff: dropoffCity,
+      notes: message,
+    })
+
     // Seed the thread with the opening message so the mover's reply view
     // shows the original text as the first bubble in the conversation.
     if (leadId && message) {
@@ -1093,10 +1561,11 @@ app.post("/api/message", async (req, res) => {
 
 /* -------------------- Get messages for a mover -------------------- */
 
-app.get("/api/messages", async (req, res) => {
+app.get("/api/messages", requireAuth("mover"), async (req, res) => {
   try {
-    const email = normalizeEmail(req.query.email)
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
+    const email = req.auth.email
+    const statuses = parseLeadStatusFilter(req.query.status)
+    if (!statuses) return res.status(400).json({ ok: false, error: "Invalid status filter" })
 
     const { data: profile } = await supabase
       .from("profiles")
@@ -1106,12 +1575,15 @@ app.get("/api/messages", async (req, res) => {
 
     if (!profile?.id) return res.json({ ok: true, messages: [] })
 
-    const { data: leads, error } = await supabase
+    let leadsQuery = supabase
       .from("leads")
-      .select("id, customer_name, customer_phone, customer_email, move_date, pickup_address, dropoff_address, home_size, notes, sent_at, created_at")
+      .select("id, customer_name, customer_phone, customer_email, move_date, pickup_address, dropoff_address, home_size, notes, status, status_updated_at, sent_at, created_at")
       .eq("mover_id", profile.id)
       .order("created_at", { ascending: false })
       .limit(50)
+    if (statuses.length) leadsQuery = leadsQuery.in("status", statuses)
+
+    const { data: leads, error } = await leadsQuery
 
     if (error) return res.json({ ok: true, messages: [] })
 
@@ -1178,7 +1650,7 @@ app.get("/api/messages", async (req, res) => {
 async function loadLeadWithContacts(leadId) {
   const { data: lead } = await supabase
     .from("leads")
-    .select("id, mover_id, customer_name, customer_phone, customer_email, notes, move_date, created_at")
+    .select("id, mover_id, customer_name, customer_phone, customer_email, notes, move_date, status, created_at")
     .eq("id", leadId)
     .maybeSingle()
   if (!lead) return null
@@ -1207,16 +1679,334 @@ async function loadLeadWithContacts(leadId) {
   return { lead, moverEmail, moverName }
 }
 
+// Which side of a lead's conversation `email` is on — "mover",
+// "customer", or null when it's neither.
+function threadRoleFor(ctx, email) {
+  const normalized = normalizeEmail(email)
+  if (!normalized) return null
+  if (ctx.moverEmail && normalized === normalizeEmail(ctx.moverEmail)) return "mover"
+  if (ctx.lead.customer_email && normalized === normalizeEmail(ctx.lead.customer_email)) return "customer"
+  return null
+}
+
+/* ==========================================================================
+   THREAD ATTACHMENTS (photos and documents on lead_messages)
+
+   Either side can attach files to a message by posting multipart/form-data
+   to POST /api/leads/:id/messages (field "files", up to
+   MAX_ATTACHMENTS_PER_MESSAGE, plus an optional "body"). Multipart posts
+   need a bearer token even in transitional AUTH_MODE.
+
+   Files go to a PRIVATE bucket (ATTACHMENTS_BUCKET), not LOGO_BUCKET —
+   a moving inventory or a signed contract shouldn't sit at a public URL.
+   Reads hand out signed URLs that expire after ATTACHMENT_URL_TTL_SECONDS;
+   clients refresh them by re-fetching the thread or via
+   GET /api/leads/:id/attachments/:attachmentId.
+
+   Only ATTACHMENT_TYPES are accepted, checked against the file's actual
+   bytes, not the name or the browser's content type. The size limit is
+   maxAttachmentMb for the mover's plan on that lead (lib/entitlements.js)
+   and applies to both sides of the thread. Images get a small WebP
+   thumbnail on upload; if one can't be made (e.g. a HEIC photo), the
+   attachment is still saved without it.
+
+   Requires this in Supabase (run once):
+
+   -- Storage → New bucket "lead-attachments", Public: OFF.
+
+   create table if not exists lead_message_attachments (
+     id uuid primary key default gen_random_uuid(),
+     message_id uuid not null references lead_messages(id) on delete cascade,
+     lead_id uuid not null references leads(id) on delete cascade,
+     storage_path text not null,
+     thumbnail_path text,
+     file_name text not null,
+     content_type text not null,
+     size_bytes int not null,
+     width int,
+     height int,
+     created_at timestamptz not null default now()
+   );
+   create index if not exists lead_message_attachments_message_idx on lead_message_attachments(message_id);
+
+   -- A message and its attachments are written in one transaction, so the
+   -- thread (and its event stream) never shows the message without them.
+   create or replace function post_lead_message(
+     p_lead_id uuid, p_sender_type text, p_message_type text, p_body text, p_attachments jsonb
+   ) returns setof lead_messages
+   language plpgsql as $$
+   declare
+     m lead_messages;
+   begin
+     insert into lead_messages (lead_id, sender_type, message_type, body)
+     values (p_lead_id, p_sender_type, p_message_type, p_body)
+     returning * into m;
+     insert into lead_message_attachments
+       (id, message_id, lead_id, storage_path, thumbnail_path, file_name, content_type, size_bytes, width, height)
+     select a.id, m.id, p_lead_id, a.storage_path, a.thumbnail_path, a.file_name, a.content_type, a.size_bytes, a.width, a.height
+       from jsonb_to_recordset(p_attachments) as a(
+         id uuid, storage_path text, thumbnail_path text, file_name text,
+         content_type text, size_bytes int, width int, height int
+       );
+     return next m;
+   end $$;
+   ========================================================================== */
+
+const ATTACHMENTS_BUCKET = process.env.SUPABASE_ATTACHMENTS_BUCKET || "lead-attachments"
+const ATTACHMENT_URL_TTL_SECONDS = 60 * 60
+const MAX_ATTACHMENTS_PER_MESSAGE = 5
+const ATTACHMENT_THUMBNAIL_PX = 320
+
+// content type → extension, for the types threads accept.
+const ATTACHMENT_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/heic": "heic",
+  "application/pdf": "pdf",
+}
+
+// Largest limit any plan allows; the per-plan check happens after upload.
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Math.max(...PLANS.map((plan) => getEntitlements(plan).maxAttachmentMb)) * 1024 * 1024,
+    files: MAX_ATTACHMENTS_PER_MESSAGE,
+  },
+})
+
+// Legacy (email-identified) callers can't attach files; otherwise multer's
+// own errors (too big, too many) come back as JSON instead of an HTML 500.
+function acceptAttachments(req, res, next) {
+  if (req.is("multipart/form-data") && req.auth?.via !== "token") {
+    return res.status(401).json({ ok: false, code: "AUTH_REQUIRED", error: "Please log in to send attachments." })
+  }
+  attachmentUpload.array("files", MAX_ATTACHMENTS_PER_MESSAGE)(req, res, (err) => {
+    if (!err) return next()
+    if (err instanceof multer.MulterError) {
+      const tooBig = err.code === "LIMIT_FILE_SIZE"
+      return res.status(tooBig ? 413 : 400).json({
+        ok: false,
+        code: tooBig ? "ATTACHMENT_TOO_LARGE" : "ATTACHMENT_REJECTED",
+        error: tooBig
+          ? "That file is too large."
+          : `You can attach up to ${MAX_ATTACHMENTS_PER_MESSAGE} files per message.`,
+      })
+    }
+    next(err)
+  })
+}
+
+// The file's real type from its first bytes, or null if it isn't one
+// we accept.
+function sniffAttachmentType(buffer) {
+  if (!buffer || buffer.length < 12) return null
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg"
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png"
+  if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") return "image/webp"
+  if (buffer.toString("ascii", 0, 5) === "%PDF-") return "application/pdf"
+  if (buffer.toString("ascii", 4, 8) === "ftyp" && /^(heic|heix|mif1|msf1)$/.test(buffer.toString("ascii", 8, 12))) {
+    return "image/heic"
+  }
+  return null
+}
+
+function safeAttachmentName(name, contentType) {
+  const base = String(name || "file")
+    .replace(/\.[^.]*$/, "")
+    .replace(/[^a-zA-Z0-9._-]/g, "_")
+    .slice(0, 80) || "file"
+  return `${base}.${ATTACHMENT_TYPES[contentType]}`
+}
+
+// The mover's maxAttachmentMb for a lead (profiles.plan of lead.mover_id).
+async function attachmentLimitMbForLead(lead) {
+  const { data: moverProfile } = await supabase
+    .from("profiles")
+    .select("plan")
+    .eq("id", lead.mover_id)
+    .maybeSingle()
+  return getEntitlements(moverProfile?.plan).maxAttachmentMb
+}
+
+/*
+  Checks every uploaded file before anything is stored. Returns
+  { files: [{ file, contentType }] } or { status, code, error }.
+*/
+async function validateAttachments(lead, files) {
+  if (!files?.length) return { files: [] }
+  const limitMb = await attachmentLimitMbForLead(lead)
+  const checked = []
+  for (const file of files) {
+    const contentType = sniffAttachmentType(file.buffer)
+    if (!contentType) {
+      return {
+        status: 415,
+        code: "ATTACHMENT_TYPE_NOT_ALLOWED",
+        error: `${file.originalname || "That file"} isn't a supported type. Send JPEG, PNG, WebP or HEIC photos, or PDFs.`,
+      }
+    }
+    if (file.size > limitMb * 1024 * 1024) {
+      return {
+        status: 413,
+        code: "ATTACHMENT_TOO_LARGE",
+        error: `${file.originalname || "That file"} is over the ${limitMb} MB limit for this conversation.`,
+      }
+    }
+    checked.push({ file, contentType })
+  }
+  return { files: checked }
+}
+
+/*
+  Uploads validated files (and image thumbnails) under
+  <leadId>/<batch>/ in ATTACHMENTS_BUCKET. Returns the rows to insert
+  into lead_message_attachments, minus message_id. Removes anything it
+  uploaded if one of the uploads fails.
+*/
+async function storeAttachments(leadId, checkedFiles) {
+  const batch = crypto.randomUUID()
+  const rows = []
+  const uploadedPaths = []
+
+  try {
+    for (const { file, contentType } of checkedFiles) {
+      const id = crypto.randomUUID()
+      const fileName = safeAttachmentName(file.originalname, contentType)
+      const storagePath = `${leadId}/${batch}/${id}-${fileName}`
+
+      const { error: uploadError } = await supabase.storage
+        .from(ATTACHMENTS_BUCKET)
+        .upload(storagePath, file.buffer, { contentType, upsert: false })
+      if (uploadError) throw uploadError
+      uploadedPaths.push(storagePath)
+
+      let thumbnailPath = null
+      let width = null
+      let height = null
+      if (contentType.startsWith("image/")) {
+        try {
+          const image = sharp(file.buffer, { failOn: "none" }).rotate()
+          const meta = await image.metadata()
+          width = meta.width || null
+          height = meta.height || null
+          const thumb = await image
+            .resize(ATTACHMENT_THUMBNAIL_PX, ATTACHMENT_THUMBNAIL_PX, { fit: "inside", withoutEnlargement: true })
+            .webp({ quality: 70 })
+            .toBuffer()
+          const candidatePath = `${leadId}/${batch}/${id}-thumb.webp`
+          const { error: thumbError } = await supabase.storage
+            .from(ATTACHMENTS_BUCKET)
+            .upload(candidatePath, thumb, { contentType: "image/webp", upsert: false })
+          if (thumbError) throw thumbError
+          uploadedPaths.push(candidatePath)
+          thumbnailPath = candidatePath
+        } catch (thumbErr) {
+          console.warn(`Thumbnail failed for ${fileName} (non-fatal):`, thumbErr?.message)
+        }
+      }
+
+      rows.push({
+        id,
+        lead_id: leadId,
+        storage_path: storagePath,
+        thumbnail_path: thumbnailPath,
+        file_name: fileName,
+        content_type: contentType,
+        size_bytes: file.size,
+        width,
+        height,
+      })
+    }
+    return { rows, uploadedPaths }
+  } catch (err) {
+    if (uploadedPaths.length) await supabase.storage.from(ATTACHMENTS_BUCKET).remove(uploadedPaths)
+    throw err
+  }
+}
+
+/*
+  Public attachment objects with fresh signed URLs, grouped by message:
+    { [messageId]: [{ id, fileName, contentType, sizeBytes, width, height,
+                      url, thumbnailUrl, expiresAt }] }
+*/
+async function loadAttachmentsForMessages(messageIds) {
+  if (!messageIds.length) return {}
+  const { data: rows } = await supabase
+    .from("lead_message_attachments")
+    .select("*")
+    .in("message_id", messageIds)
+    .order("created_at", { ascending: true })
+  if (!rows?.length) return {}
+
+  const publicRows = await signAttachments(rows)
+  const byMessage = {}
+  rows.forEach((row, i) => {
+    if (!byMessage[row.message_id]) byMessage[row.message_id] = []
+    byMessage[row.message_id].push(publicRows[i])
+  })
+  return byMessage
+}
+
+async function signAttachments(rows) {
+  const paths = rows.flatMap((r) => [r.storage_path, r.thumbnail_path].filter(Boolean))
+  const { data: signed, error } = await supabase.storage
+    .from(ATTACHMENTS_BUCKET)
+    .createSignedUrls(paths, ATTACHMENT_URL_TTL_SECONDS)
+  if (error) console.error("Signing attachment URLs failed:", error.message)
+  const urlByPath = Object.fromEntries((signed || []).filter((s) => s.signedUrl).map((s) => [s.path, s.signedUrl]))
+  const expiresAt = new Date(Date.now() + ATTACHMENT_URL_TTL_SECONDS * 1000).toISOString()
+
+  return rows.map((r) => ({
+    id: r.id,
+    fileName: r.file_name,
+    contentType: r.content_type,
+    sizeBytes: r.size_bytes,
+    width: r.width,
+    height: r.height,
+    url: urlByPath[r.storage_path] || null,
+    thumbnailUrl: r.thumbnail_path ? urlByPath[r.thumbnail_path] || null : null,
+    expiresAt,
+  }))
+}
+
+/* ── Fresh signed URLs for one attachment (the thread's have expired) ── */
+app.get("/api/leads/:id/attachments/:attachmentId", requireAuth("any", { tokenOnly: true, queryToken: true }), async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params
+    const ctx = await loadLeadWithContacts(id)
+    if (!ctx) return res.status(404).json({ ok: false, error: "Conversation not found" })
+    if (!threadRoleFor(ctx, req.auth.email)) {
+      return res.status(403).json({ ok: false, error: "Not authorized to view this conversation" })
+    }
+
+    const { data: row } = await supabase
+      .from("lead_message_attachments")
+      .select("*")
+      .eq("id", attachmentId)
+      .eq("lead_id", id)
+      .maybeSingle()
+    if (!row) return res.status(404).json({ ok: false, error: "Attachment not found" })
+
+    const [attachment] = await signAttachments([row])
+    return res.json({ ok: true, attachment })
+  } catch (err) {
+    console.error("/api/leads/:id/attachments/:attachmentId error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
 /* ── Get the full message thread for a lead ──
-   Callers identify themselves with ?email=; movers pass their account
-   email, customers pass the email tied to the lead. Marks the other
+   The caller is whichever side of the lead their signed-in email
+   matches: the mover's account email or the email tied to the lead.
+   Marks the other
    side's messages as read as a side effect (e.g. mover opening the
    thread marks the customer's messages read, and vice versa). */
-app.get("/api/leads/:id/messages", async (req, res) => {
+app.get("/api/leads/:id/messages", requireAuth("any"), async (req, res) => {
   try {
     const { id } = req.params
-    const email = normalizeEmail(req.query.email)
-    if (!id || !email) return res.status(400).json({ ok: false, error: "Missing id or email" })
+    const email = req.auth.email
+    if (!id) return res.status(400).json({ ok: false, error: "Missing id" })
 
     const ctx = await loadLeadWithContacts(id)
     if (!ctx) return res.status(404).json({ ok: false, error: "Conversation not found" })
@@ -1230,12 +2020,27 @@ app.get("/api/leads/:id/messages", async (req, res) => {
 
     const { data: rows, error } = await supabase
       .from("lead_messages")
-      .select("id, sender_type, body, created_at, read_at")
+      .select("id, sender_type, message_type, quote_id, body, created_at, read_at")
       .eq("lead_id", id)
       .order("created_at", { ascending: true })
 
     if (error) return res.status(500).json({ ok: false, error: "Failed to load messages" })
 
+    // Quote messages carry the structured quote they point at, including
+    // its current status (a quote sent earlier may since have been
+    // superseded, accepted or declined).
+    const quoteIds = (rows || []).map((m) => m.quote_id).filter(Boolean)
+    let quotesById = {}
+    if (quoteIds.length) {
+      const { data: quoteRows } = await supabase
+        .from("lead_quotes")
+        .select("*")
+        .in("id", quoteIds)
+      quotesById = Object.fromEntries((quoteRows || []).map((q) => [q.id, mapQuoteToPublic(q)]))
+    }
+
+    const attachmentsByMessage = await loadAttachmentsForMessages((rows || []).map((m) => m.id))
+
     // Mark the counterparty's unread messages as read now that this
     // side has fetched the thread.
     const unreadSenderType = isMover ? "customer" : "mover"
@@ -1244,6 +2049,7 @@ app.get("/api/leads/:id/messages", async (req, res) => {
       .map((m) => m.id)
     if (unreadIds.length) {
       await supabase.from("lead_messages").update({ read_at: new Date().toISOString() }).in("id", unreadIds)
+      nudgeThreadEvents()
     }
 
     return res.json({
@@ -1254,9 +2060,15 @@ app.get("/api/leads/:id/messages", async (req, res) => {
         customerName: lead.customer_name,
         customerPhone: lead.customer_phone,
         moveDate: lead.move_date,
+        status: lead.status || "new",
       },
       viewerRole: isMover ? "mover" : "customer",
-      messages: rows || [],
+      messages: (rows || []).map((m) => ({
+        ...m,
+        message_type: m.message_type || "text",
+        quote: m.quote_id ? quotesById[m.quote_id] || null : null,
+        attachments: attachmentsByMessage[m.id] || [],
+      })),
     })
   } catch (err) {
     console.error("/api/leads/:id/messages GET error:", err)
@@ -1264,23 +2076,66 @@ app.get("/api/leads/:id/messages", async (req, res) => {
   }
 })
 
+// Email the OTHER party so nobody has to keep the app open to know
+// they got a reply — mover replies email the customer, customer replies
+// email the mover. Used by the POST route below and by replies that
+// come in by email or text (see INBOUND EMAIL REPLIES). `message` is the
+// reply's text ("" for attachments only). Never throws.
+async function notifyThreadReply({ lead, moverEmail, moverName, senderType, message, attachmentCount = 0 }) {
+  try {
+    if (senderType === "mover" && lead.customer_email) {
+      await sendEmail({
+        from: "PackRocket <leads@packrocket.co>",
+        to: [lead.customer_email],
+        replyTo: replyToAddressFor(lead.id, "customer"),
+        ...renderEmail("thread_reply", {
+          recipient: "customer",
+          senderName: moverName,
+          message,
+          attachmentCount,
+          replyByEmail: canReplyByEmail(lead.id),
+        }),
+      })
+    } else if (senderType === "customer" && moverEmail) {
+      await sendEmail({
+        from: "PackRocket <leads@packrocket.co>",
+        to: [moverEmail],
+        bcc: process.env.LEADS_BCC_EMAIL ? [process.env.LEADS_BCC_EMAIL] : undefined,
+        replyTo: replyToAddressFor(lead.id, "mover"),
+        ...renderEmail("thread_reply", {
+          recipient: "mover",
+          senderName: lead.customer_name,
+          customerPhone: lead.customer_phone,
+          message,
+          attachmentCount,
+          replyByEmail: canReplyByEmail(lead.id),
+        }),
+      })
+    }
+  } catch (emailErr) {
+    console.error("Reply notification email failed (non-fatal):", emailErr?.message)
+  }
+}
+
 /* ── Post a reply into a lead's thread — used by both the mover
    dashboard and the customer app, distinguished by which email
-   matches the lead. ── */
-app.post("/api/leads/:id/messages", async (req, res) => {
+   matches the lead. JSON { body }, or multipart with "body" and/or
+   "files" (see THREAD ATTACHMENTS). ── */
+app.post("/api/leads/:id/messages", requireAuth("any"), acceptAttachments, async (req, res) => {
   try {
     const { id } = req.params
-    const { email, body } = req.body || {}
+    const { body } = req.body || {}
     const trimmedBody = String(body || "").trim()
-    if (!id || !email || !trimmedBody) {
-      return res.status(400).json({ ok: false, error: "Missing id, email, or message body" })
+    const files = req.files || []
+    if (!id || (!trimmedBody && !files.length)) {
+      return res.status(400).json({ ok: false, error: "Missing id or message body" })
     }
 
     const ctx = await loadLeadWithContacts(id)
     if (!ctx) return res.status(404).json({ ok: false, error: "Conversation not found" })
     const { lead, moverEmail, moverName } = ctx
 
-    const normalizedEmail = normalizeEmail(email)
+    const normalizedEmail = req.auth.email
     const isMover = moverEmail && normalizedEmail === normalizeEmail(moverEmail)
     const isCustomer = lead.customer_email && normalizedEmail === normalizeEmail(lead.customer_email)
     if (!isMover && !isCustomer) {
@@ -1289,148 +2144,2440 @@ app.post("/api/leads/:id/messages", async (req, res) => {
 
     const senderType = isMover ? "mover" : "customer"
 
-    const { data: inserted, error } = await supabase
-      .from("lead_messages")
-      .insert([{ lead_id: id, sender_type: senderType, body: trimmedBody }])
-      .select("id, sender_type, body, created_at")
-      .single()
+    const checked = await validateAttachments(lead, files)
+    if (checked.error) {
+      return res.status(checked.status).json({ ok: false, code: checked.code, error: checked.error })
+    }
+
+    let stored = { rows: [], uploadedPaths: [] }
+    if (checked.files.length) {
+      try {
+        stored = await storeAttachments(id, checked.files)
+      } catch (uploadErr) {
+        console.error("Attachment upload failed:", uploadErr?.message)
+        return res.status(500).json({ ok: false, error: "Failed to upload attachment" })
+      }
+    }
+
+    const messageColumns = "id, sender_type, message_type, body, created_at"
+    const { data: inserted, error } = stored.rows.length
+      ? await supabase
+        .rpc("post_lead_message", {
+          p_lead_id: id,
+          p_sender_type: senderType,
+          p_message_type: trimmedBody ? "text" : "attachment",
+          p_body: trimmedBody,
+          p_attachments: stored.rows,
+        })
+        .select(messageColumns)
+        .single()
+      : await supabase
+        .from("lead_messages")
+        .insert([{ lead_id: id, sender_type: senderType, message_type: "text", body: trimmedBody }])
+        .select(messageColumns)
+        .single()
 
-    if (error) return res.status(500).json({ ok: false, error: "Failed to send message" })
+    if (error) {
+      console.error("Saving message failed:", error.message)
+      if (stored.uploadedPaths.length) await supabase.storage.from(ATTACHMENTS_BUCKET).remove(stored.uploadedPaths)
+      return res.status(500).json({ ok: false, error: "Failed to send message" })
+    }
+
+    const attachments = stored.rows.length
+      ? (await loadAttachmentsForMessages([inserted.id]))[inserted.id] || []
+      : []
+    nudgeThreadEvents()
 
     // Bump sent_status so mover-side lead lists reflect an active thread.
     await supabase.from("leads").update({ sent_status: "sent" }).eq("id", id)
 
-    // Email the OTHER party so nobody has to keep the app open to
-    // know they got a reply — mover replies email the customer,
-    // customer replies (still) email the mover, same as before.
-    try {
-      if (senderType === "mover" && lead.customer_email) {
-        await resend.emails.send({
-          from: "PackRocket <leads@packrocket.co>",
-          to: [lead.customer_email],
-          subject: `💬 New reply from ${moverName} on PackRocket`,
-          text:
-            `${moverName} replied to your move request on PackRocket:\n\n` +
-            `"${trimmedBody}"\n\n` +
-            `Log in to PackRocket and open Messages to reply.\n\n` +
-            `– The PackRocket Team\nhttps://packrocket.co`,
-        })
-      } else if (senderType === "customer" && moverEmail) {
-        await resend.emails.send({
-          from: "PackRocket <leads@packrocket.co>",
-          to: [moverEmail],
-          bcc: process.env.LEADS_BCC_EMAIL ? [process.env.LEADS_BCC_EMAIL] : undefined,
-          subject: `💬 New reply from ${lead.customer_name} on PackRocket`,
-          text:
-            `${lead.customer_name} replied to your conversation on PackRocket:\n\n` +
-            `"${trimmedBody}"\n\n` +
-            `Reply any time from your PackRocket dashboard — Messages tab, ` +
-            `or call/text ${lead.customer_phone}.\n\n` +
-            `– The PackRocket Team\nhttps://packrocket.co`,
-        })
-      }
-    } catch (emailErr) {
-      console.error("Reply notification email failed (non-fatal):", emailErr?.message)
+    // A mover's first reply on a brand-new lead counts as contacting them.
+    if (senderType === "mover" && (lead.status || "new") === "new") {
+      await transitionLeadStatus(lead, "contacted", { actor: "mover" })
     }
 
-    return res.json({ ok: true, message: inserted })
+    await notifyThreadReply({ lead, moverEmail, moverName, senderType, message: trimmedBody, attachmentCount: stored.rows.length })
+
+    return res.json({ ok: true, message: { ...inserted, attachments } })
   } catch (err) {
     console.error("/api/leads/:id/messages POST error:", err)
     return res.status(500).json({ ok: false, error: "Server error" })
   }
 })
 
-/* -------------------- Submit a review -------------------- */
+/* ==========================================================================
+   INBOUND EMAIL REPLIES (answering a thread notification by email)
+
+   Every thread email — the new-lead email, /api/message and reply
+   notifications — goes out with a per-lead Reply-To:
+
+     reply+<lead id without dashes>.<m|c>.<signature>@REPLY_EMAIL_DOMAIN
+
+   m / c is whose copy it is (mover or customer), and the signature is an
+   HMAC of both with REPLY_TOKEN_SECRET, so an address can't be guessed
+   or edited to post into another thread. With REPLY_EMAIL_DOMAIN or
+   REPLY_TOKEN_SECRET unset no Reply-To is added, inbound mail is
+   refused, and the emails read exactly as before. Give the secret its
+   own random value rather than reusing another key.
+
+   Resend receives mail for that domain and posts email.received events
+   to POST /api/email/inbound (signing secret in
+   RESEND_INBOUND_WEBHOOK_SECRET). For each one the route:
+     - verifies the webhook signature
+     - finds a reply+ address among the recipients and checks its HMAC
+     - checks From is that side of the lead, so a forwarded notification
+       can't be used to post as someone else
+     - fetches the body from Resend and keeps only the new text: quoted
+       history ("On … wrote:", "-----Original Message-----", "> " lines),
+       signatures and "Sent from my iPhone" are cut
+     - inserts it into lead_messages and notifies the other party, same
+       as a reply posted in the app
+   Attachments on emailed replies aren't imported.
+
+   Mail that doesn't match a thread is acknowledged and dropped (logged),
+   so Resend doesn't retry it. Database or Resend API failures return 500,
+   so it does.
+
+   Requires this column in Supabase (run once) — a retried event must not
+   post the reply twice:
+
+   alter table lead_messages add column if not exists inbound_email_id text unique;
+   ========================================================================== */
 
-app.post("/api/reviews", async (req, res) => {
-  try {
-    const { moverId, customerId, customerName, rating, comment } = req.body || {}
-    if (!moverId || !customerName || !rating) {
-      return res.status(400).json({ ok: false, error: "Missing required fields" })
-    }
-    if (rating < 1 || rating > 5) {
-      return res.status(400).json({ ok: false, error: "Rating must be 1-5" })
-    }
+const REPLY_EMAIL_DOMAIN = String(process.env.REPLY_EMAIL_DOMAIN || "").trim().toLowerCase()
+const REPLY_ROLE_CODES = { mover: "m", customer: "c" }
+const INBOUND_REPLY_MAX_LENGTH = 5000
 
-    const { data, error } = await supabase
-      .from("reviews")
-      .insert([{
-        mover_id: moverId,
-        customer_id: customerId || null,
-        customer_name: customerName,
-        rating: Number(rating),
-        comment: comment || "",
-        created_at: new Date().toISOString(),
-      }])
-      .select("id")
-      .single()
+function replyTokenSecret() {
+  return process.env.REPLY_TOKEN_SECRET || ""
+}
 
-    if (error) {
-      return res.status(500).json({ ok: false, error: error.message || "Failed to save review" })
-    }
+function replyTokenSignature(leadHex, roleCode) {
+  return crypto
+    .createHmac("sha256", replyTokenSecret())
+    .update(`${leadHex}.${roleCode}`)
+    .digest("hex")
+    .slice(0, 20)
+}
 
-    // Update average rating in movers table
-    try {
-      const { data: allReviews } = await supabase
-        .from("reviews")
-        .select("rating")
-        .eq("mover_id", moverId)
+function replyByEmailEnabled() {
+  return !!(REPLY_EMAIL_DOMAIN && replyTokenSecret())
+}
 
-      if (allReviews?.length) {
-        const avg = allReviews.reduce((s, r) => s + r.rating, 0) / allReviews.length
-        await supabase
-          .from("movers")
-          .update({ rating: parseFloat(avg.toFixed(1)) })
-          .eq("id", moverId)
-      }
-    } catch (ratingErr) {
-      console.error("Rating sync failed:", ratingErr?.message)
+// Reply-To for an email sent to `role` ("mover" | "customer") about a
+// lead — undefined when reply-by-email is off or there's no lead yet.
+function replyToAddressFor(leadId, role) {
+  if (!replyByEmailEnabled() || !leadId || !REPLY_ROLE_CODES[role]) return undefined
+  const leadHex = String(leadId).replace(/-/g, "").toLowerCase()
+  const roleCode = REPLY_ROLE_CODES[role]
+  return `reply+${leadHex}.${roleCode}.${replyTokenSignature(leadHex, roleCode)}@${REPLY_EMAIL_DOMAIN}`
+}
+
+// Whether thread emails about this lead say "just hit reply" (see the
+// templates' replyByEmail).
+function canReplyByEmail(leadId) {
+  return replyByEmailEnabled() && !!leadId
+}
+
+// "Jane Doe <Jane@Example.com>" → "jane@example.com"
+function extractEmailAddress(value) {
+  const text = String(value || "")
+  const angled = /<([^>]+)>/.exec(text)
+  return normalizeEmail(angled ? angled[1] : text)
+}
+
+// { leadId, role } for one of our reply+ addresses with a valid
+// signature, null for any other address.
+function parseReplyAddress(address) {
+  const match = /^reply\+([0-9a-f]{32})\.([mc])\.([0-9a-f]{20})@(.+)$/.exec(extractEmailAddress(address))
+  if (!match || match[4] !== REPLY_EMAIL_DOMAIN || !replyByEmailEnabled()) return null
+  const [, leadHex, roleCode, signature] = match
+  const expected = replyTokenSignature(leadHex, roleCode)
+  if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null
+  const leadId = [
+    leadHex.slice(0, 8), leadHex.slice(8, 12), leadHex.slice(12, 16), leadHex.slice(16, 20), leadHex.slice(20),
+  ].join("-")
+  return { leadId, role: roleCode === "m" ? "mover" : "customer" }
+}
+
+// Where the quoted original starts in the common mail clients.
+const QUOTED_HISTORY_MARKERS = [
+  /^On\b[^\n]*(\n[^\n]*)?\bwrote:[ \t]*$/m, // Gmail / Apple Mail (the line may wrap)
+  /^-{2,}[ \t]*Original Message[ \t]*-{2,}/im, // Outlook desktop
+  /^-{2,}[ \t]*Forwarded message[ \t]*-{2,}/im,
+  /^_{10,}[ \t]*$/m, // Outlook web, above its From:/Sent: block
+  /^From:[ \t].*\n(?:(?:Sent|Date|To|Cc|Subject):[ \t].*(?:\n|$))+/im,
+]
+
+// Where the signature starts.
+const SIGNATURE_MARKERS = [
+  /^--[ \t]*$/m, // the standard "-- " delimiter
+  /^Sent from my\b.*$/im,
+  /^Get Outlook for\b.*$/im,
+]
+
+// Just the new text of an emailed reply.
+function extractReplyText(text) {
+  let body = String(text || "").replace(/\r\n?/g, "\n")
+  for (const marker of [...QUOTED_HISTORY_MARKERS, ...SIGNATURE_MARKERS]) {
+    const match = marker.exec(body)
+    if (match) body = body.slice(0, match.index)
+  }
+  return body
+    .split("\n")
+    .filter((line) => !/^\s*>/.test(line))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+}
+
+// Plain text from an HTML-only email — quoted <blockquote>s dropped, block
+// tags turned into line breaks so the markers above still line up.
+function inboundHtmlToText(html) {
+  return String(html || "")
+    .replace(/<(style|script|blockquote)[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>|<\/(p|div|li|tr|h\d)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+}
+
+/*
+  Puts a reply that arrived outside the app (by email or text) into the
+  thread, with the same follow-up as POST /api/leads/:id/messages.
+  `fields` are extra lead_messages columns. Resolves the new row, or null
+  when a unique column in `fields` says it was already recorded.
+*/
+async function recordExternalReply(ctx, senderType, body, fields = {}) {
+  const { lead, moverEmail, moverName } = ctx
+  const { data: inserted, error } = await supabase
+    .from("lead_messages")
+    .insert([{ lead_id: lead.id, sender_type: senderType, message_type: "text", body, ...fields }])
+    .select("id, sender_type, message_type, body, created_at")
+    .single()
+  if (error) {
+    if (error.code === "23505") return null
+    throw error
+  }
+  nudgeThreadEvents()
+
+  await supabase.from("leads").update({ sent_status: "sent" }).eq("id", lead.id)
+  if (senderType === "mover" && (lead.status || "new") === "new") {
+    await transitionLeadStatus(lead, "contacted", { actor: "mover" })
+  }
+  await notifyThreadReply({ lead, moverEmail, moverName, senderType, message: body })
+  return inserted
+}
+
+/*
+  Handles one email.received event. Resolves { messageId } once the reply
+  is in the thread, or { ignored: reason } for mail that doesn't belong
+  to one. Throws on database / Resend API errors.
+*/
+async function receiveInboundReply(data) {
+  const recipients = [...(data.to || []), ...(data.cc || [])]
+  const target = recipients.map(parseReplyAddress).find(Boolean)
+  if (!target) return { ignored: "no valid reply address" }
+
+  const ctx = await loadLeadWithContacts(target.leadId)
+  if (!ctx) return { ignored: "lead not found" }
+
+  if (threadRoleFor(ctx, extractEmailAddress(data.from)) !== target.role) {
+    return { ignored: "sender is not that side of the lead" }
+  }
+
+  const { data: email, error: fetchErr } = await resend.emails.receiving.get(data.email_id)
+  if (fetchErr) throw new Error(`Fetching inbound email failed: ${fetchErr.message}`)
+
+  const body = extractReplyText(email.text || inboundHtmlToText(email.html)).slice(0, INBOUND_REPLY_MAX_LENGTH)
+  if (!body) return { ignored: "empty reply" }
+
+  const inserted = await recordExternalReply(ctx, target.role, body, { inbound_email_id: data.email_id })
+  if (!inserted) return { ignored: "already received" }
+
+  return { messageId: inserted.id }
+}
+
+/* ── POST /api/email/inbound — registered above express.json (it needs
+   the raw body for the signature check). ── */
+async function handleInboundEmailWebhook(req, res) {
+  const secret = process.env.RESEND_INBOUND_WEBHOOK_SECRET
+  if (!secret || !replyByEmailEnabled()) {
+    return res.status(404).json({ ok: false, error: "Inbound email is not configured" })
+  }
+
+  let event
+  try {
+    event = resend.webhooks.verify({
+      payload: Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "",
+      headers: {
+        id: req.headers["svix-id"],
+        timestamp: req.headers["svix-timestamp"],
+        signature: req.headers["svix-signature"],
+      },
+      webhookSecret: secret,
+    })
+  } catch (err) {
+    console.error("❌ Inbound email signature error:", err.message)
+    return res.status(400).send("Webhook Error")
+  }
+
+  if (event.type !== "email.received") return res.json({ ok: true, ignored: event.type })
+
+  try {
+    await jobs.enqueue("email.inbound", { data: event.data || {} }, { dedupeKey: event.data?.email_id || null })
+    return res.json({ ok: true, queued: true })
+  } catch (err) {
+    console.error("/api/email/inbound error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+}
+
+jobs.register("email.inbound", async ({ data }) => {
+  const result = await receiveInboundReply(data)
+  if (result.ignored) console.warn(`Inbound email ${data.email_id} dropped: ${result.ignored}`)
+  else console.log(`Inbound email ${data.email_id} → lead_messages ${result.messageId}`)
+})
+
+/* ==========================================================================
+   MOVER TEXT NOTIFICATIONS (SMS)
+
+   Movers who opted in at signup (profiles.sms_opt_in + phone_e164) get a
+   short text for each new lead from /api/leads and /api/message, and can
+   answer by replying to it: the reply goes into the lead's thread as the
+   mover, and the customer gets the usual reply email. The provider
+   (Twilio, or a local fake), quiet hours and keywords are in lib/sms.js.
+
+   Which lead a reply is for: the one the mover was last texted about,
+   unless the reply starts with another lead's #code — the first
+   SMS_LEAD_CODE_LENGTH characters of its id, shown in every lead text
+   ("#3f9a2c Saturday works").
+
+   Keywords (the whole message): STOP turns texts off (sms_opt_in false,
+   sms_opted_out_at set), START turns them back on, HELP says what this
+   number is.
+
+   Texts due during the mover's quiet hours (9pm–8am in profiles.time_zone,
+   or their state's zone) are saved as queued with send_after = 8am, and
+   flushQueuedSms() sends them every SMS_FLUSH_INTERVAL_MS — checking
+   sms_opt_in again first, in case they texted STOP overnight.
+
+   POST /api/sms/inbound is the provider's incoming-message webhook.
+
+   Requires in Supabase (run once):
+
+   alter table profiles add column if not exists time_zone text;
+   alter table profiles add column if not exists sms_opted_out_at timestamptz;
+
+   create table if not exists sms_messages (
+     id uuid primary key default gen_random_uuid(),
+     direction text not null check (direction in ('outbound','inbound')),
+     profile_id uuid references profiles(id) on delete cascade,
+     lead_id uuid references leads(id) on delete set null,
+     phone text not null,
+     body text not null,
+     status text not null check (status in ('queued','sending','sent','failed','skipped','received')),
+     send_after timestamptz,
+     provider text,
+     provider_message_id text unique,
+     error text,
+     created_at timestamptz not null default now(),
+     sent_at timestamptz
+   );
+   create index if not exists sms_messages_queued_idx on sms_messages(send_after) where status = 'queued';
+   create index if not exists sms_messages_profile_idx on sms_messages(profile_id, created_at desc);
+
+   -- Inbound texts are matched on profiles.phone_e164 in E.164 form, which
+   -- signup and /api/update-profile now store. Rewrite older rows the
+   -- same way normalizePhone() does:
+   update profiles set phone_e164 = case
+       when phone_e164 ~ '^\s*\+' then '+' || regexp_replace(phone_e164, '\D', '', 'g')
+       when length(regexp_replace(phone_e164, '\D', '', 'g')) = 10 then '+1' || regexp_replace(phone_e164, '\D', '', 'g')
+       else '+' || regexp_replace(phone_e164, '\D', '', 'g')
+     end
+   where (phone_e164 ~ '^\s*\+' and length(regexp_replace(phone_e164, '\D', '', 'g')) between 8 and 15)
+      or (phone_e164 !~ '^\s*\+' and regexp_replace(phone_e164, '\D', '', 'g') ~ '^1?\d{10}$');
+   ========================================================================== */
+
+const sms = createSmsProvider()
+const SMS_FLUSH_INTERVAL_MS = 60 * 1000
+const SMS_LEAD_CODE_LENGTH = 6
+const SMS_REPLY_MAX_LENGTH = 2000
+
+const SMS_PROFILE_FIELDS = "id, email, phone_e164, sms_opt_in, time_zone, state"
+
+// What profiles.phone_e164 stores: the E.164 form inbound texts are
+// matched on, or the number as typed when it doesn't normalize.
+function profilePhone(value) {
+  return normalizePhone(value) || String(value || "").trim()
+}
+
+const SMS_STOP_REPLY = "PackRocket: You're unsubscribed and won't get any more texts. Reply START to turn lead texts back on."
+const SMS_START_REPLY = "PackRocket: Lead texts are back on. Reply to a lead text to answer the customer. Reply STOP to opt out."
+const SMS_HELP_REPLY =
+  "PackRocket lead alerts: we text you new move requests. Reply to a lead text to answer the customer, " +
+  "or manage leads at packrocket.co/dashboard. Msg & data rates may apply. Reply STOP to opt out."
+
+function leadSmsCode(leadId) {
+  return String(leadId || "").replace(/-/g, "").slice(0, SMS_LEAD_CODE_LENGTH).toLowerCase()
+}
+
+// The new-lead text: who, when, where, and how to answer.
+function leadSmsSummary({ leadId, customerName, moveDate, pickup, dropoff, notes }) {
+  const route = [pickup, dropoff].filter(Boolean).join(" → ")
+  return (
+    `PackRocket: New move request #${leadSmsCode(leadId)} from ${customerName}` +
+    (moveDate ? ` for ${moveDate}` : "") +
+    (route ? `, ${route}` : "") +
+    "." +
+    (notes ? ` "${String(notes).slice(0, 120)}"` : "") +
+    ` Reply to answer ${String(customerName).split(" ")[0]}. Reply STOP to opt out.`
+  )
+}
+
+async function deliverSms(row) {
+  try {
+    const { id } = await sms.send({ to: row.phone, body: row.body })
+    await supabase
+      .from("sms_messages")
+      .update({ status: "sent", provider_message_id: id || null, sent_at: new Date().toISOString() })
+      .eq("id", row.id)
+  } catch (err) {
+    await supabase
+      .from("sms_messages")
+      .update({ status: "failed", error: String(err?.message || err).slice(0, 500) })
+      .eq("id", row.id)
+    throw err
+  }
+}
+
+/*
+  Texts an opted-in mover about a lead now, or holds it until their quiet
+  hours end. Does nothing for movers without a profile, a phone or
+  sms_opt_in. Never throws — a text is a nice-to-have next to the email.
+*/
+async function textMoverAboutLead(profileId, lead) {
+  if (!profileId || !lead.leadId) return
+  try {
+    const { data: profile } = await supabase
+      .from("profiles")
+      .select(SMS_PROFILE_FIELDS)
+      .eq("id", profileId)
+      .maybeSingle()
+    const phone = normalizePhone(profile?.phone_e164)
+    if (!profile?.sms_opt_in || !phone) return
+
+    const sendAfter = quietHoursEnd(timeZoneForProfile(profile))
+    const { data: row, error } = await supabase
+      .from("sms_messages")
+      .insert([{
+        direction: "outbound",
+        profile_id: profile.id,
+        lead_id: lead.leadId,
+        phone,
+        body: truncateSms(leadSmsSummary(lead)),
+        status: sendAfter ? "queued" : "sending",
+        send_after: (sendAfter || new Date()).toISOString(),
+        provider: sms.name,
+      }])
+      .select("*")
+      .single()
+    if (error) throw error
+
+    if (sendAfter) {
+      console.log(`Lead text to ${phone} held for quiet hours until ${sendAfter.toISOString()}`)
+      return
+    }
+    await deliverSms(row)
+  } catch (err) {
+    console.error("Lead text failed (non-fatal):", err?.message)
+  }
+}
+
+let smsFlushRunning = false
+
+// Sends queued texts whose quiet hours are over.
+async function flushQueuedSms() {
+  if (smsFlushRunning) return
+  smsFlushRunning = true
+  try {
+    const { data: due, error } = await supabase
+      .from("sms_messages")
+      .select("*")
+      .eq("status", "queued")
+      .lte("send_after", new Date().toISOString())
+      .order("send_after", { ascending: true })
+      .limit(50)
+    if (error) throw error
+
+    for (const row of due || []) {
+      // Claim the row first so another instance doesn't send it too.
+      const { data: claimed } = await supabase
+        .from("sms_messages")
+        .update({ status: "sending" })
+        .eq("id", row.id)
+        .eq("status", "queued")
+        .select("id")
+        .maybeSingle()
+      if (!claimed) continue
+
+      const { data: profile } = await supabase
+        .from("profiles")
+        .select("sms_opt_in")
+        .eq("id", row.profile_id)
+        .maybeSingle()
+      if (!profile?.sms_opt_in) {
+        await supabase.from("sms_messages").update({ status: "skipped" }).eq("id", row.id)
+        continue
+      }
+
+      try {
+        await deliverSms(row)
+      } catch (err) {
+        console.error(`Queued text ${row.id} failed:`, err?.message)
+      }
+    }
+  } catch (err) {
+    console.error("SMS queue flush error:", err?.message)
+  } finally {
+    smsFlushRunning = false
+  }
+}
+
+jobs.every(SMS_FLUSH_INTERVAL_MS, flushQueuedSms)
+
+/*
+  The lead a mover's text reply is for, and the reply text without its
+  #code. Only leads this mover was texted about can be picked.
+*/
+async function resolveSmsReplyLead(profileId, text) {
+  const { data: sent } = await supabase
+    .from("sms_messages")
+    .select("lead_id")
+    .eq("profile_id", profileId)
+    .eq("direction", "outbound")
+    .not("lead_id", "is", null)
+    .order("created_at", { ascending: false })
+    .limit(200)
+  const leadIds = [...new Set((sent || []).map((r) => r.lead_id))]
+
+  const codeMatch = /^#([0-9a-f]{4,32})\b[\s:,-]*/i.exec(text)
+  if (codeMatch) {
+    const code = codeMatch[1].toLowerCase()
+    const leadId = leadIds.find((id) => String(id).replace(/-/g, "").startsWith(code))
+    return { leadId: leadId || null, body: text.slice(codeMatch[0].length).trim() }
+  }
+  return { leadId: leadIds[0] || null, body: text }
+}
+
+/* ── Incoming texts (provider webhook): keywords, or a mover's reply ── */
+app.post("/api/sms/inbound", async (req, res) => {
+  try {
+    if (!sms.verifyInbound(req)) {
+      return res.status(403).json({ ok: false, error: "Invalid signature" })
+    }
+
+    const { from, body, id } = sms.parseInbound(req)
+    const phone = normalizePhone(from)
+    const text = String(body || "").trim()
+    if (!phone || !text) return sms.replyInbound(res, null)
+
+    const { data: profile } = await supabase
+      .from("profiles")
+      .select(SMS_PROFILE_FIELDS)
+      .eq("phone_e164", phone)
+      .limit(1)
+      .maybeSingle()
+
+    // Log it first — a retried webhook hits the unique provider id and
+    // stops here instead of posting the reply twice.
+    const { data: logged, error: logErr } = await supabase
+      .from("sms_messages")
+      .insert([{
+        direction: "inbound",
+        profile_id: profile?.id || null,
+        phone,
+        body: text.slice(0, SMS_REPLY_MAX_LENGTH),
+        status: "received",
+        provider: sms.name,
+        provider_message_id: id || null,
+      }])
+      .select("id")
+      .single()
+    if (logErr?.code === "23505") return sms.replyInbound(res, null)
+    if (logErr) console.error("Inbound SMS log error:", logErr.message)
+
+    const keyword = parseSmsKeyword(text)
+    if (keyword === "stop") {
+      await supabase
+        .from("profiles")
+        .update({ sms_opt_in: false, sms_opted_out_at: new Date().toISOString() })
+        .eq("phone_e164", phone)
+      await supabase
+        .from("sms_messages")
+        .update({ status: "skipped" })
+        .eq("phone", phone)
+        .eq("status", "queued")
+      console.log(`📵 ${phone} opted out of texts`)
+      return sms.replyInbound(res, SMS_STOP_REPLY)
+    }
+    if (keyword === "start") {
+      if (profile) {
+        await supabase
+          .from("profiles")
+          .update({ sms_opt_in: true, sms_opted_out_at: null })
+          .eq("phone_e164", phone)
+      }
+      return sms.replyInbound(res, profile ? SMS_START_REPLY : SMS_HELP_REPLY)
+    }
+    if (keyword === "help") return sms.replyInbound(res, SMS_HELP_REPLY)
+
+    if (!profile) return sms.replyInbound(res, null)
+
+    const { leadId, body: replyBody } = await resolveSmsReplyLead(profile.id, text)
+    const ctx = leadId ? await loadLeadWithContacts(leadId) : null
+    if (!ctx || ctx.lead.mover_id !== profile.id) {
+      return sms.replyInbound(
+        res,
+        "PackRocket: We couldn't tell which move request that was for. Start your reply with the lead's #code, " +
+        "or answer from packrocket.co/dashboard."
+      )
+    }
+    if (!replyBody) return sms.replyInbound(res, null)
+
+    await recordExternalReply(ctx, "mover", replyBody.slice(0, SMS_REPLY_MAX_LENGTH))
+    if (logged?.id) await supabase.from("sms_messages").update({ lead_id: leadId }).eq("id", logged.id)
+
+    return sms.replyInbound(res, `PackRocket: Sent to ${String(ctx.lead.customer_name || "the customer").split(" ")[0]}.`)
+  } catch (err) {
+    console.error("/api/sms/inbound error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ==========================================================================
+   REAL-TIME THREAD EVENTS (Server-Sent Events)
+
+   GET /api/leads/:id/messages/stream   — one thread: new messages and
+                                          read receipts, for either side
+   GET /api/messages/stream             — the mover's unread counts
+   GET /api/customer/messages/stream    — the customer's unread counts
+
+   EventSource can't set headers, so these take ?access_token= (see AUTH).
+
+   One poller per process reads lead_messages rows created or read since
+   the last poll — only on leads someone here is watching: each thread
+   stream's lead, and every lead of each unread stream's mover or
+   customer — and fans them out to whoever is subscribed; it only runs
+   while someone is connected. Polling the table (rather than an
+   in-memory bus) means messages written by another server instance, the
+   Stripe webhook or anything else still reach every stream. Routes on
+   this instance call nudgeThreadEvents() after a write so their own
+   events go out straight away instead of on the next tick.
+
+   Every event's id is the timestamp of the change it reports. After a
+   reconnect the browser sends it back as Last-Event-ID (or pass
+   ?lastEventId=), and the thread stream replays everything since. Replay
+   and the live feed can overlap by a few events around a reconnect, so
+   clients should de-dupe on message id. The unread streams just send a
+   fresh snapshot on connect.
+   ========================================================================== */
+
+const THREAD_EVENTS_POLL_MS = 2000
+// Rows can commit a little after their created_at/read_at — each poll
+// looks back this far and skips events it already sent.
+const THREAD_EVENTS_LAG_MS = 5000
+const SSE_HEARTBEAT_MS = 25000
+const THREAD_EVENTS_PAGE_SIZE = 1000
+// Watched leads / accounts per poll query, to keep the filter in the URL short.
+const THREAD_EVENTS_SCOPE_CHUNK = 100
+const THREAD_MESSAGE_COLUMNS = "id, lead_id, sender_type, message_type, quote_id, body, created_at, read_at"
+
+const threadSubscribers = new Set()
+const sentThreadEvents = new Map() // event key → change time (ms)
+let threadEventsCursor = null
+let threadEventsTimer = null
+let threadEventsPolling = false
+
+// Starts the SSE response. Returns false, without touching res, when
+// the client has already gone away — the route should just return.
+function openEventStream(req, res) {
+  if (req.destroyed || res.destroyed) return false
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  })
+  res.flushHeaders()
+  res.write("retry: 3000\n\n")
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS)
+  res.on("close", () => clearInterval(heartbeat))
+  return true
+}
+
+function sendSseEvent(res, { id, event, data }) {
+  if (id) res.write(`id: ${id}\n`)
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+function lastEventIdFrom(req) {
+  const raw = req.get("Last-Event-ID") || req.query.lastEventId
+  if (!raw || isNaN(new Date(raw).getTime())) return null
+  return new Date(raw).toISOString()
+}
+
+/*
+  Turns lead_messages rows into stream events, oldest first:
+    message — { leadId, message }          (created after `since`)
+    read    — { leadId, messageIds, readBy, readAt }  (read after `since`)
+  `skip` (optional) is the set of event keys already sent.
+*/
+async function buildThreadEvents(rows, since, skip = null) {
+  const sinceMs = new Date(since).getTime()
+  const events = []
+  const readGroups = {}
+
+  for (const m of rows) {
+    if (new Date(m.created_at).getTime() > sinceMs && !skip?.has(`m:${m.id}`)) {
+      events.push({ key: `m:${m.id}`, at: new Date(m.created_at).toISOString(), event: "message", leadId: m.lead_id, message: m })
+    }
+    if (m.read_at && new Date(m.read_at).getTime() > sinceMs && !skip?.has(`r:${m.id}`)) {
+      const groupKey = `${m.lead_id}|${m.read_at}|${m.sender_type}`
+      if (!readGroups[groupKey]) {
+        readGroups[groupKey] = {
+          keys: [],
+          at: new Date(m.read_at).toISOString(),
+          event: "read",
+          leadId: m.lead_id,
+          data: { leadId: m.lead_id, messageIds: [], readBy: m.sender_type === "customer" ? "mover" : "customer", readAt: m.read_at },
+        }
+        events.push(readGroups[groupKey])
+      }
+      readGroups[groupKey].keys.push(`r:${m.id}`)
+      readGroups[groupKey].data.messageIds.push(m.id)
+    }
+  }
+
+  // Quote messages carry their quote, same as GET /api/leads/:id/messages.
+  const quoteIds = events.filter((e) => e.event === "message" && e.message.quote_id).map((e) => e.message.quote_id)
+  let quotesById = {}
+  if (quoteIds.length) {
+    const { data: quoteRows } = await supabase.from("lead_quotes").select("*").in("id", quoteIds)
+    quotesById = Object.fromEntries((quoteRows || []).map((q) => [q.id, mapQuoteToPublic(q)]))
+  }
+  const attachmentsByMessage = await loadAttachmentsForMessages(
+    events.filter((e) => e.event === "message").map((e) => e.message.id)
+  )
+
+  return events
+    .map((e) => {
+      if (e.event !== "message") return e
+      const { lead_id, ...message } = e.message
+      return {
+        ...e,
+        keys: [e.key],
+        data: {
+          leadId: lead_id,
+          message: {
+            ...message,
+            message_type: message.message_type || "text",
+            quote: message.quote_id ? quotesById[message.quote_id] || null : null,
+            attachments: attachmentsByMessage[message.id] || [],
+          },
+        },
+      }
+    })
+    .sort((a, b) => a.at.localeCompare(b.at))
+}
+
+/*
+  Unread counts for one side: { total, byLead: { [leadId]: n } }.
+  Movers count unread customer messages on their leads; customers count
+  unread mover messages on leads sent under their email.
+*/
+async function loadUnreadCounts({ role, profileId, email }) {
+  let query = supabase
+    .from("lead_messages")
+    .select("lead_id, leads!inner(mover_id, customer_email)")
+    .is("read_at", null)
+  query = role === "mover"
+    ? query.eq("sender_type", "customer").eq("leads.mover_id", profileId)
+    : query.eq("sender_type", "mover").ilike("leads.customer_email", email)
+
+  const { data, error } = await query
+  if (error) throw error
+
+  const byLead = {}
+  for (const m of data || []) byLead[m.lead_id] = (byLead[m.lead_id] || 0) + 1
+  return { total: (data || []).length, byLead }
+}
+
+async function sendUnreadSnapshot(subscriber) {
+  try {
+    const counts = await loadUnreadCounts(subscriber)
+    sendSseEvent(subscriber.res, { id: new Date().toISOString(), event: "unread", data: counts })
+  } catch (err) {
+    console.error("Unread count stream failed:", err?.message)
+  }
+}
+
+// A value for a PostgREST or() filter, quoted so commas and dots in it
+// aren't read as syntax.
+function postgrestQuote(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`
+}
+
+function chunkList(list, size) {
+  const chunks = []
+  for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size))
+  return chunks
+}
+
+/*
+  lead_messages rows created or read after `since` on the leads current
+  subscribers watch. Every changed row is read (page by page) before the
+  cursor moves past any of them.
+*/
+async function loadWatchedThreadRows(since) {
+  const leadIds = new Set()
+  const leadOwners = new Set() // leads.<column> filters for the unread streams
+  for (const sub of threadSubscribers) {
+    if (sub.kind === "thread") leadIds.add(sub.leadId)
+    else if (sub.role === "mover") leadOwners.add(`mover_id.eq.${postgrestQuote(sub.profileId)}`)
+    else leadOwners.add(`customer_email.ilike.${postgrestQuote(sub.email)}`)
+  }
+
+  const scopes = [
+    ...chunkList([...leadIds], THREAD_EVENTS_SCOPE_CHUNK).map((ids) => ({ columns: THREAD_MESSAGE_COLUMNS, filter: (q) => q.in("lead_id", ids) })),
+    ...chunkList([...leadOwners], THREAD_EVENTS_SCOPE_CHUNK).map((owners) => ({
+      columns: `${THREAD_MESSAGE_COLUMNS}, leads!inner(id)`,
+      filter: (q) => q.or(owners.join(","), { referencedTable: "leads" }),
+    })),
+  ]
+
+  const rowsById = new Map()
+  for (const { columns, filter } of scopes) {
+    for (let from = 0; ; from += THREAD_EVENTS_PAGE_SIZE) {
+      const { data: page, error } = await filter(
+        supabase.from("lead_messages").select(columns).or(`created_at.gt."${since}",read_at.gt."${since}"`)
+      )
+        .order("created_at", { ascending: true })
+        .order("id", { ascending: true })
+        .range(from, from + THREAD_EVENTS_PAGE_SIZE - 1)
+      if (error) throw error
+      for (const { leads: _lead, ...row } of page || []) rowsById.set(row.id, row)
+      if (!page || page.length < THREAD_EVENTS_PAGE_SIZE) break
+    }
+  }
+  return [...rowsById.values()]
+}
+
+async function pollThreadEvents() {
+  if (threadEventsPolling || !threadSubscribers.size) return
+  threadEventsPolling = true
+  try {
+    const since = new Date(new Date(threadEventsCursor).getTime() - THREAD_EVENTS_LAG_MS).toISOString()
+    const rows = await loadWatchedThreadRows(since)
+
+    const events = await buildThreadEvents(rows, since, sentThreadEvents)
+    if (!events.length) return
+
+    for (const e of events) {
+      for (const key of e.keys) sentThreadEvents.set(key, new Date(e.at).getTime())
+      if (e.at > threadEventsCursor) threadEventsCursor = e.at
+    }
+    const forgetBefore = new Date(threadEventsCursor).getTime() - THREAD_EVENTS_LAG_MS * 2
+    for (const [key, at] of sentThreadEvents) if (at < forgetBefore) sentThreadEvents.delete(key)
+
+    const changedLeadIds = [...new Set(events.map((e) => e.leadId))]
+    for (const sub of threadSubscribers) {
+      if (sub.kind !== "thread" || !changedLeadIds.includes(sub.leadId)) continue
+      for (const e of events) {
+        if (e.leadId === sub.leadId) sendSseEvent(sub.res, { id: e.at, event: e.event, data: e.data })
+      }
+    }
+
+    const unreadSubs = [...threadSubscribers].filter((s) => s.kind === "unread")
+    if (unreadSubs.length) {
+      const { data: leads } = await supabase
+        .from("leads")
+        .select("id, mover_id, customer_email")
+        .in("id", changedLeadIds)
+      for (const sub of unreadSubs) {
+        const affected = (leads || []).some((l) =>
+          sub.role === "mover" ? l.mover_id === sub.profileId : normalizeEmail(l.customer_email) === sub.email
+        )
+        if (affected) await sendUnreadSnapshot(sub)
+      }
+    }
+  } catch (err) {
+    console.error("Thread events poll failed:", err?.message)
+  } finally {
+    threadEventsPolling = false
+  }
+}
+
+// Called after this instance writes to lead_messages.
+function nudgeThreadEvents() {
+  if (threadSubscribers.size) setImmediate(pollThreadEvents)
+}
+
+// Call straight after openEventStream(), before any await, so a client
+// that disconnects during setup is still cleaned up. The poll timer
+// stops with the last subscriber.
+function subscribeThreadEvents(res, subscriber) {
+  threadSubscribers.add(subscriber)
+  if (!threadEventsTimer) {
+    threadEventsCursor = new Date().toISOString()
+    threadEventsTimer = setInterval(pollThreadEvents, THREAD_EVENTS_POLL_MS)
+  }
+  res.on("close", () => {
+    threadSubscribers.delete(subscriber)
+    if (!threadSubscribers.size && threadEventsTimer) {
+      clearInterval(threadEventsTimer)
+      threadEventsTimer = null
+      sentThreadEvents.clear()
+    }
+  })
+}
+
+/* ── Live updates for one thread — same access rule as GET messages ── */
+app.get("/api/leads/:id/messages/stream", requireAuth("any", { tokenOnly: true, queryToken: true }), async (req, res) => {
+  try {
+    const { id } = req.params
+    const ctx = await loadLeadWithContacts(id)
+    if (!ctx) return res.status(404).json({ ok: false, error: "Conversation not found" })
+
+    const viewerRole = threadRoleFor(ctx, req.auth.email)
+    if (!viewerRole) {
+      return res.status(403).json({ ok: false, error: "Not authorized to view this conversation" })
+    }
+    if (!openEventStream(req, res)) return
+    subscribeThreadEvents(res, { kind: "thread", leadId: id, res })
+    sendSseEvent(res, { event: "ready", data: { leadId: id, viewerRole } })
+
+    const lastEventId = lastEventIdFrom(req)
+    if (lastEventId) {
+      const { data: rows } = await supabase
+        .from("lead_messages")
+        .select(THREAD_MESSAGE_COLUMNS)
+        .eq("lead_id", id)
+        .or(`created_at.gt."${lastEventId}",read_at.gt."${lastEventId}"`)
+        .order("created_at", { ascending: true })
+      for (const e of await buildThreadEvents(rows || [], lastEventId)) {
+        sendSseEvent(res, { id: e.at, event: e.event, data: e.data })
+      }
+    }
+  } catch (err) {
+    console.error("/api/leads/:id/messages/stream error:", err)
+    if (!res.headersSent) return res.status(500).json({ ok: false, error: "Server error" })
+    res.end()
+  }
+})
+
+/* ── Live unread counts for the mover dashboard ── */
+app.get("/api/messages/stream", requireAuth("mover", { tokenOnly: true, queryToken: true }), async (req, res) => {
+  try {
+    const profileId = await loadProfileIdByEmail(req.auth.email)
+    if (!profileId) return res.status(404).json({ ok: false, error: "Profile not found" })
+    if (!openEventStream(req, res)) return
+    const subscriber = { kind: "unread", role: "mover", profileId, email: req.auth.email, res }
+    subscribeThreadEvents(res, subscriber)
+    await sendUnreadSnapshot(subscriber)
+  } catch (err) {
+    console.error("/api/messages/stream error:", err)
+    if (!res.headersSent) return res.status(500).json({ ok: false, error: "Server error" })
+    res.end()
+  }
+})
+
+/* ── Live unread counts for the customer app ── */
+app.get("/api/customer/messages/stream", requireAuth("customer", { tokenOnly: true, queryToken: true }), async (req, res) => {
+  try {
+    if (!openEventStream(req, res)) return
+    const subscriber = { kind: "unread", role: "customer", profileId: null, email: req.auth.email, res }
+    subscribeThreadEvents(res, subscriber)
+    await sendUnreadSnapshot(subscriber)
+  } catch (err) {
+    console.error("/api/customer/messages/stream error:", err)
+    if (!res.headersSent) return res.status(500).json({ ok: false, error: "Server error" })
+    res.end()
+  }
+})
+
+/* ==========================================================================
+   LEAD LIFECYCLE (leads.status)
+
+   sent_status only tracks whether the lead email went out. status tracks
+   where the job itself is:
+
+     new → contacted → quoted → booked → completed
+                                       ↘ cancelled
+     (any open state) → cancelled | lost
+
+   The allowed moves live in lib/leads.js. Every change goes through
+   transitionLeadStatus(), which checks the move is allowed and stamps
+   the matching <status>_at column. Some moves happen on their own: a mover's first reply marks a new lead contacted,
+   sending a quote marks it quoted, and the customer accepting a quote
+   marks it booked (declining one leaves it quoted). Everything else goes
+   through POST /api/leads/:id/status.
+
+   Requires these columns in Supabase (run once; status itself was added
+   with lead_quotes):
+
+   alter table leads add column if not exists status_updated_at timestamptz;
+   alter table leads add column if not exists status_reason text;
+   alter table leads add column if not exists contacted_at timestamptz;
+   alter table leads add column if not exists quoted_at timestamptz;
+   alter table leads add column if not exists booked_at timestamptz;
+   alter table leads add column if not exists completed_at timestamptz;
+   alter table leads add column if not exists cancelled_at timestamptz;
+   alter table leads add column if not exists lost_at timestamptz;
+   alter table leads add constraint leads_status_check
+     check (status in ('new','contacted','quoted','booked','completed','cancelled','lost'));
+   create index if not exists leads_mover_status_idx on leads(mover_id, status);
+
+   -- Leads a mover already replied to were contacted, not new:
+   update leads set status = 'contacted', contacted_at = now()
+   where status = 'new'
+     and exists (select 1 from lead_messages m where m.lead_id = leads.id and m.sender_type = 'mover');
+   ========================================================================== */
+
+/*
+  Moves a lead to `toStatus` if the lifecycle allows it. The update is
+  conditional on the status we read, so two racing changes can't both
+  win. Returns { ok: true, lead } or { ok: false, code, error }.
+*/
+async function transitionLeadStatus(lead, toStatus, { actor, reason } = {}) {
+  const fromStatus = lead.status || "new"
+  if (!LEAD_STATUSES.includes(toStatus)) {
+    return { ok: false, code: "INVALID_STATUS", error: `Unknown status: ${toStatus}` }
+  }
+  if (!canTransitionLead(fromStatus, toStatus)) {
+    return { ok: false, code: "INVALID_TRANSITION", error: `A ${fromStatus} lead can't be marked ${toStatus}.` }
+  }
+
+  const now = new Date().toISOString()
+  const updates = { status: toStatus, status_updated_at: now, [`${toStatus}_at`]: now }
+  if (reason !== undefined) updates.status_reason = reason ? String(reason).slice(0, 500) : null
+
+  const { data, error } = await supabase
+    .from("leads")
+    .update(updates)
+    .eq("id", lead.id)
+    .eq("status", fromStatus)
+    .select("*")
+    .maybeSingle()
+
+  if (error) {
+    console.error("Lead status update error:", error.message)
+    return { ok: false, code: "UPDATE_FAILED", error: "Failed to update lead status" }
+  }
+  if (!data) {
+    return { ok: false, code: "STATUS_CHANGED", error: "This lead was just updated. Refresh and try again." }
+  }
+
+  console.log(`Lead ${lead.id}: ${fromStatus} → ${toStatus}${actor ? ` (by ${actor})` : ""}`)
+  return { ok: true, lead: data }
+}
+
+/* ── Move a lead to another status (mover or customer on the lead) ── */
+app.post("/api/leads/:id/status", requireAuth("any", { tokenOnly: true }), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { status, reason } = req.body || {}
+    if (!status) return res.status(400).json({ ok: false, error: "Missing status" })
+
+    const ctx = await loadLeadWithContacts(id)
+    if (!ctx) return res.status(404).json({ ok: false, error: "Lead not found" })
+    const role = threadRoleFor(ctx, req.auth.email)
+    if (!role) return res.status(403).json({ ok: false, error: "Not authorized to update this lead" })
+
+    if (!LEAD_STATUS_ACTORS[role].includes(status)) {
+      return res.status(403).json({ ok: false, code: "STATUS_NOT_ALLOWED", error: `You can't mark a lead ${status}.` })
+    }
+
+    const result = await transitionLeadStatus(ctx.lead, status, { actor: role, reason })
+    if (!result.ok) {
+      const httpStatus = result.code === "UPDATE_FAILED" ? 500 : 409
+      return res.status(httpStatus).json({ ok: false, code: result.code, error: result.error })
+    }
+
+    let depositRefunded = false
+    if (status === "cancelled") {
+      try {
+        depositRefunded = await refundDepositIfEligible(id, role)
+      } catch (refundErr) {
+        console.error("Deposit refund failed for lead", id, "—", refundErr?.message)
+      }
+    }
+
+    return res.json({
+      ok: true,
+      lead: {
+        id: result.lead.id,
+        status: result.lead.status,
+        statusUpdatedAt: result.lead.status_updated_at,
+        statusReason: result.lead.status_reason || "",
+      },
+      depositRefunded,
+    })
+  } catch (err) {
+    console.error("/api/leads/:id/status error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ==========================================================================
+   STRUCTURED QUOTES (lead_quotes)
+
+   A mover can post a priced quote into a lead's thread instead of
+   negotiating in prose. Each quote shows up in GET /api/leads/:id/messages
+   as a message with message_type = "quote" and the quote attached.
+   Posting again revises it: the previous open quote is marked
+   "superseded" and kept, so the full price history stays on the lead.
+   The customer accepts or declines the latest one, which leaves a
+   "quote_accepted" / "quote_declined" message in the thread and emails
+   the mover. Accepting books the lead; declining only closes that quote,
+   so the lead stays quoted and the mover can send a revised one.
+
+   Sending a quote is one send_lead_quote() call, so the quote and the
+   lead's move to quoted land together or not at all.
+
+   Requires this table + columns in Supabase (run once):
+
+   create table if not exists lead_quotes (
+     id uuid primary key default gen_random_uuid(),
+     lead_id uuid not null references leads(id) on delete cascade,
+     mover_id uuid not null,
+     version int not null default 1,
+     labor_hours numeric(6,2),
+     crew_size int,
+     hourly_rate numeric(10,2),
+     truck_fee numeric(10,2) not null default 0,
+     materials_fee numeric(10,2) not null default 0,
+     travel_fee numeric(10,2) not null default 0,
+     total numeric(10,2) not null,
+     valid_until date,
+     notes text,
+     status text not null default 'sent'
+       check (status in ('sent','superseded','accepted','declined')),
+     responded_at timestamptz,
+     created_at timestamptz not null default now()
+   );
+   create index if not exists lead_quotes_lead_id_idx on lead_quotes(lead_id);
+
+   alter table lead_messages add column if not exists message_type text not null default 'text';
+   alter table lead_messages add column if not exists quote_id uuid references lead_quotes(id) on delete set null;
+   alter table leads add column if not exists status text not null default 'new';
+
+   -- Moves the lead from p_from_status to quoted (see LEAD LIFECYCLE),
+   -- supersedes the open quote and inserts the new version. Returns no
+   -- row when the lead's status has changed since the route read it.
+   create or replace function send_lead_quote(p_lead_id uuid, p_from_status text, p_quote jsonb)
+   returns setof lead_quotes
+   language plpgsql as $$
+   declare
+     q lead_quotes;
+   begin
+     update leads
+        set status = 'quoted', status_updated_at = now(), quoted_at = now(), sent_status = 'sent'
+      where id = p_lead_id and status = p_from_status;
+     if not found then
+       return;
+     end if;
+
+     update lead_quotes set status = 'superseded' where lead_id = p_lead_id and status = 'sent';
+
+     insert into lead_quotes (
+       lead_id, mover_id, version, labor_hours, crew_size, hourly_rate,
+       truck_fee, materials_fee, travel_fee, total, valid_until, notes
+     )
+     select p_lead_id, l.mover_id,
+            coalesce((select max(version) from lead_quotes where lead_id = p_lead_id), 0) + 1,
+            i.labor_hours, i.crew_size, i.hourly_rate,
+            i.truck_fee, i.materials_fee, i.travel_fee, i.total, i.valid_until, i.notes
+       from leads l, jsonb_populate_record(null::lead_quotes, p_quote) i
+      where l.id = p_lead_id
+     returning * into q;
+     return next q;
+   end $$;
+   ========================================================================== */
+
+function mapQuoteToPublic(row) {
+  if (!row) return null
+  return {
+    id: row.id,
+    leadId: row.lead_id,
+    version: row.version,
+    laborHours: row.labor_hours !== null ? Number(row.labor_hours) : null,
+    crewSize: row.crew_size,
+    hourlyRate: row.hourly_rate !== null ? Number(row.hourly_rate) : null,
+    truckFee: Number(row.truck_fee || 0),
+    materialsFee: Number(row.materials_fee || 0),
+    travelFee: Number(row.travel_fee || 0),
+    total: Number(row.total),
+    validUntil: row.valid_until,
+    notes: row.notes || "",
+    status: row.status,
+    respondedAt: row.responded_at,
+    createdAt: row.created_at,
+  }
+}
+
+function formatUsd(amount) {
+  return `$${Number(amount).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+}
+
+// Validates the quote fields a mover sends. total is optional when it
+// can be worked out from hours × rate + fees.
+function parseQuoteInput(body) {
+  const num = (v) => (v === undefined || v === null || v === "" ? null : Number(v))
+  const quote = {
+    labor_hours: num(body.laborHours),
+    crew_size: num(body.crewSize),
+    hourly_rate: num(body.hourlyRate),
+    truck_fee: num(body.truckFee) ?? 0,
+    materials_fee: num(body.materialsFee) ?? 0,
+    travel_fee: num(body.travelFee) ?? 0,
+    total: num(body.total),
+    valid_until: body.validUntil || null,
+    notes: body.notes ? String(body.notes).slice(0, 2000) : null,
+  }
+
+  for (const [key, value] of Object.entries(quote)) {
+    if (typeof value === "number" && (!isFinite(value) || value < 0)) {
+      return { error: `Invalid value for ${key}` }
+    }
+  }
+  if (quote.crew_size !== null && !Number.isInteger(quote.crew_size)) {
+    return { error: "Crew size must be a whole number" }
+  }
+
+  if (quote.total === null) {
+    if (quote.labor_hours === null || quote.hourly_rate === null) {
+      return { error: "Provide a total, or labor hours and an hourly rate" }
+    }
+    quote.total = quote.labor_hours * quote.hourly_rate + quote.truck_fee + quote.materials_fee + quote.travel_fee
+  }
+  quote.total = Math.round(quote.total * 100) / 100
+
+  if (quote.valid_until && isNaN(new Date(quote.valid_until).getTime())) {
+    return { error: "Invalid validUntil date" }
+  }
+
+  return { quote }
+}
+
+/* ── Quote history for a lead (either side of the thread) ── */
+app.get("/api/leads/:id/quotes", requireAuth("any", { tokenOnly: true }), async (req, res) => {
+  try {
+    const { id } = req.params
+    const ctx = await loadLeadWithContacts(id)
+    if (!ctx) return res.status(404).json({ ok: false, error: "Conversation not found" })
+    if (!threadRoleFor(ctx, req.auth.email)) {
+      return res.status(403).json({ ok: false, error: "Not authorized to view this conversation" })
+    }
+
+    const { data, error } = await supabase
+      .from("lead_quotes")
+      .select("*")
+      .eq("lead_id", id)
+      .order("version", { ascending: true })
+    if (error) return res.status(500).json({ ok: false, error: "Failed to load quotes" })
+
+    return res.json({ ok: true, quotes: (data || []).map(mapQuoteToPublic) })
+  } catch (err) {
+    console.error("/api/leads/:id/quotes GET error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Mover sends (or revises) a quote on a lead ── */
+app.post("/api/leads/:id/quotes", requireAuth("any", { tokenOnly: true }), async (req, res) => {
+  try {
+    const { id } = req.params
+    const ctx = await loadLeadWithContacts(id)
+    if (!ctx) return res.status(404).json({ ok: false, error: "Conversation not found" })
+    if (threadRoleFor(ctx, req.auth.email) !== "mover") {
+      return res.status(403).json({ ok: false, error: "Only the mover on this lead can send a quote" })
+    }
+    const { lead, moverName } = ctx
+
+    const { quote, error: inputErr } = parseQuoteInput(req.body || {})
+    if (inputErr) return res.status(400).json({ ok: false, error: inputErr })
+
+    if (!canTransitionLead(lead.status, "quoted")) {
+      return res.status(409).json({ ok: false, code: "INVALID_TRANSITION", error: `You can't send a quote on a ${lead.status} lead.` })
+    }
+
+    const { data: previous } = await supabase
+      .from("lead_quotes")
+      .select("id, version, status")
+      .eq("lead_id", id)
+      .order("version", { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    if (previous?.status === "accepted") {
+      return res.status(409).json({ ok: false, code: "QUOTE_ACCEPTED", error: "The customer already accepted your quote." })
+    }
+
+    const fromStatus = lead.status || "new"
+    const { data: rows, error } = await supabase.rpc("send_lead_quote", {
+      p_lead_id: id,
+      p_from_status: fromStatus,
+      p_quote: quote,
+    })
+    if (error) {
+      console.error("send_lead_quote error:", error.message)
+      return res.status(500).json({ ok: false, error: "Failed to save quote" })
+    }
+    const inserted = rows?.[0]
+    if (!inserted) {
+      return res.status(409).json({ ok: false, code: "STATUS_CHANGED", error: "This lead was just updated. Refresh and try again." })
+    }
+    console.log(`Lead ${id}: ${fromStatus} → quoted (by mover)`)
+
+    const isRevision = inserted.version > 1
+    const summary =
+      `${isRevision ? "Revised quote" : "Quote"}: ${formatUsd(inserted.total)} total` +
+      (inserted.valid_until ? ` — valid until ${formatDateLabel(`${inserted.valid_until}T00:00:00`)}` : "")
+
+    await supabase.from("lead_messages").insert([{
+      lead_id: id,
+      sender_type: "mover",
+      message_type: "quote",
+      quote_id: inserted.id,
+      body: summary,
+    }])
+
+    try {
+      if (lead.customer_email) {
+        await sendEmail({
+          from: "PackRocket <leads@packrocket.co>",
+          to: [lead.customer_email],
+          ...renderEmail("quote_sent", { moverName, revision: isRevision, summary }),
+        })
+      }
+    } catch (emailErr) {
+      console.error("Quote notification email failed (non-fatal):", emailErr?.message)
+    }
+
+    return res.json({ ok: true, quote: mapQuoteToPublic(inserted) })
+  } catch (err) {
+    console.error("/api/leads/:id/quotes POST error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Customer accepts or declines the mover's current quote ── */
+app.post("/api/leads/:id/quotes/:quoteId/:decision(accept|decline)", requireAuth("any", { tokenOnly: true }), async (req, res) => {
+  try {
+    const { id, quoteId, decision } = req.params
+    const ctx = await loadLeadWithContacts(id)
+    if (!ctx) return res.status(404).json({ ok: false, error: "Conversation not found" })
+    if (threadRoleFor(ctx, req.auth.email) !== "customer") {
+      return res.status(403).json({ ok: false, error: "Only the customer on this lead can respond to a quote" })
+    }
+    const { lead, moverEmail } = ctx
+
+    const { data: quoteRow } = await supabase
+      .from("lead_quotes")
+      .select("*")
+      .eq("id", quoteId)
+      .eq("lead_id", id)
+      .maybeSingle()
+    if (!quoteRow) return res.status(404).json({ ok: false, error: "Quote not found" })
+    if (quoteRow.status !== "sent") {
+      return res.status(409).json({ ok: false, code: "QUOTE_NOT_OPEN", error: `This quote was already ${quoteRow.status}.` })
+    }
+    const accepted = decision === "accept"
+    if (accepted && !canTransitionLead(lead.status, "booked")) {
+      return res.status(409).json({ ok: false, code: "INVALID_TRANSITION", error: `This lead is already ${lead.status}.` })
+    }
+    if (accepted && quoteRow.valid_until && quoteRow.valid_until < new Date().toISOString().slice(0, 10)) {
+      return res.status(409).json({ ok: false, code: "QUOTE_EXPIRED", error: "This quote has expired. Ask the mover for an updated one." })
+    }
+
+    // Accepting books the lead first: if someone else changed it in the
+    // meantime the quote is left open rather than accepted on a lead that
+    // isn't booked. Declining leaves the lead where it is.
+    if (accepted) {
+      const transition = await transitionLeadStatus(lead, "booked", { actor: "customer" })
+      if (!transition.ok) {
+        const httpStatus = transition.code === "UPDATE_FAILED" ? 500 : 409
+        return res.status(httpStatus).json({ ok: false, code: transition.code, error: transition.error })
+      }
+    }
+
+    const { data: updated, error } = await supabase
+      .from("lead_quotes")
+      .update({ status: accepted ? "accepted" : "declined", responded_at: new Date().toISOString() })
+      .eq("id", quoteId)
+      .eq("status", "sent")
+      .select("*")
+      .maybeSingle()
+    if (error) {
+      console.error(`Quote ${quoteId} ${decision} failed${accepted ? ` (lead ${id} is already booked)` : ""}:`, error.message)
+      return res.status(500).json({ ok: false, error: "Failed to update quote" })
+    }
+    if (!updated) {
+      if (accepted) console.error(`Lead ${id} was booked but quote ${quoteId} was no longer open`)
+      return res.status(409).json({ ok: false, code: "QUOTE_NOT_OPEN", error: "This quote was just revised. Refresh and try again." })
+    }
+
+    const summary = `${accepted ? "Accepted" : "Declined"} quote: ${formatUsd(updated.total)} total`
+    await supabase.from("lead_messages").insert([{
+      lead_id: id,
+      sender_type: "customer",
+      message_type: accepted ? "quote_accepted" : "quote_declined",
+      quote_id: updated.id,
+      body: summary,
+    }])
+
+    try {
+      if (moverEmail) {
+        await sendEmail({
+          from: "PackRocket <leads@packrocket.co>",
+          to: [moverEmail],
+          bcc: process.env.LEADS_BCC_EMAIL ? [process.env.LEADS_BCC_EMAIL] : undefined,
+          ...renderEmail("quote_response", {
+            customerName: lead.customer_name,
+            accepted,
+            total: formatUsd(updated.total),
+            moveDateLabel: lead.move_date ? formatDateLabel(`${lead.move_date}T00:00:00`) : null,
+            customerPhone: lead.customer_phone,
+          }),
+        })
+      }
+    } catch (emailErr) {
+      console.error("Quote response email failed (non-fatal):", emailErr?.message)
+    }
+
+    return res.json({ ok: true, quote: mapQuoteToPublic(updated) })
+  } catch (err) {
+    console.error("/api/leads/:id/quotes/:quoteId/:decision error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ==========================================================================
+   REVIEWS — verified bookings and moderation
+
+   A review is a "verified booking" when a signed-in customer posts it
+   and their account (by email) owns a completed lead with that mover.
+   They can name the lead (leadId); otherwise their latest completed,
+   not-yet-reviewed lead with the mover is used. One review per lead.
+
+   Every review has a moderation status:
+     approved  a verified booking whose text passed checkReviewText()
+               (lib/moderation.js) — published straight away
+     pending   everything else; waits in GET /api/admin/reviews, with
+               moderation_flags saying what the filter caught
+     rejected  turned down by an admin (moderation_reason says why)
+   Only approved reviews show in GET /api/reviews/:moverId and count
+   toward movers.rating. Edits go back through the same check.
+
+   Nobody can review a listing from the account that owns it.
+
+   Requires in Supabase (run once) — reviews already posted stay
+   published, new ones start pending:
+
+   alter table reviews add column if not exists lead_id uuid references leads(id) on delete set null;
+   alter table reviews add column if not exists verified_booking boolean not null default false;
+   alter table reviews add column if not exists status text not null default 'approved'
+     check (status in ('pending','approved','rejected'));
+   alter table reviews alter column status set default 'pending';
+   alter table reviews add column if not exists moderation_flags text[] not null default '{}';
+   alter table reviews add column if not exists moderation_reason text;
+   alter table reviews add column if not exists moderated_at timestamptz;
+   alter table reviews add column if not exists moderated_by text;
+   create unique index if not exists reviews_lead_id_idx on reviews(lead_id) where lead_id is not null;
+   create index if not exists reviews_mover_status_idx on reviews(mover_id, status);
+   ========================================================================== */
+
+const REVIEW_STATUSES = ["pending", "approved", "rejected"]
+
+// A listing (reviews.mover_id is a movers row) plus the profile id its
+// leads are filed under (leads.mover_id), when the mover has signed up.
+async function loadReviewedMover(moverId) {
+  const { data: mover } = await supabase
+    .from("movers")
+    .select("id, email, name")
+    .eq("id", moverId)
+    .maybeSingle()
+  if (!mover) return null
+
+  let profileId = null
+  if (mover.email) {
+    const { data: profile } = await supabase
+      .from("profiles")
+      .select("id")
+      .ilike("email", mover.email)
+      .maybeSingle()
+    profileId = profile?.id || null
+  }
+  return { mover, profileId }
+}
+
+/*
+  The completed lead that makes a review a verified booking. Resolves
+  { lead } (lead is null when there isn't one) or, when the caller named
+  a lead they can't review, { status, error }.
+*/
+async function findReviewableLead({ customerEmail, profileId, leadId }) {
+  if (leadId) {
+    const { data: lead } = await supabase
+      .from("leads")
+      .select("id, mover_id, customer_email, status")
+      .eq("id", leadId)
+      .maybeSingle()
+    const owns = lead && customerEmail && profileId &&
+      normalizeEmail(lead.customer_email) === customerEmail && lead.mover_id === profileId
+    if (!owns) return { status: 403, error: "That booking can't be reviewed from this account." }
+    if (lead.status !== "completed") {
+      return { status: 400, error: "You can review this move once it's marked completed." }
+    }
+    const { data: existing } = await supabase.from("reviews").select("id").eq("lead_id", lead.id).maybeSingle()
+    if (existing) return { status: 409, error: "You've already reviewed this move." }
+    return { lead }
+  }
+
+  if (!customerEmail || !profileId) return { lead: null }
+  const { data: completed } = await supabase
+    .from("leads")
+    .select("id")
+    .eq("mover_id", profileId)
+    .eq("status", "completed")
+    .ilike("customer_email", customerEmail)
+    .order("completed_at", { ascending: false })
+    .limit(20)
+  if (!completed?.length) return { lead: null }
+
+  const { data: reviewed } = await supabase
+    .from("reviews")
+    .select("lead_id")
+    .in("lead_id", completed.map((l) => l.id))
+  const reviewedIds = new Set((reviewed || []).map((r) => r.lead_id))
+  return { lead: completed.find((l) => !reviewedIds.has(l.id)) || null }
+}
+
+// approved only for a verified booking the filter had nothing to say about.
+function initialReviewStatus(verifiedBooking, flags) {
+  return verifiedBooking && !flags.length ? "approved" : "pending"
+}
+
+/* ==========================================================================
+   REVIEW RATINGS — sub-ratings, the stored aggregate and review listing
+
+   Besides the overall 1–5 `rating`, a review can rate each of
+   REVIEW_DIMENSIONS (POST /api/reviews with
+   ratings: { punctuality, care, communication, value }, any subset).
+
+   movers.rating, movers.review_count and movers.rating_breakdown
+   ({ punctuality, care, communication, value, histogram: { "1".."5" } })
+   are one stored aggregate over the listing's counted reviews (approved,
+   not under an open dispute). refresh_mover_rating() rebuilds all of it
+   in one statement, run by the reviews.refresh_rating job that
+   recalculateMoverRating() queues — every route that changes a review
+   goes through it.
+
+   GET /api/reviews/:moverId pages with an opaque cursor:
+     ?sort=newest (default) | highest | lowest | helpful
+     ?stars=5 or ?stars=4,5   only those overall ratings
+     ?limit=                  default REVIEW_PAGE_SIZE, max REVIEW_PAGE_MAX
+     ?cursor=                 nextCursor from the previous page
+   "helpful" is helpful_count, from POST/DELETE /api/reviews/:id/helpful
+   (one vote per signed-in customer).
+
+   Requires in Supabase (run once):
+
+   alter table reviews add column if not exists rating_punctuality smallint check (rating_punctuality between 1 and 5);
+   alter table reviews add column if not exists rating_care smallint check (rating_care between 1 and 5);
+   alter table reviews add column if not exists rating_communication smallint check (rating_communication between 1 and 5);
+   alter table reviews add column if not exists rating_value smallint check (rating_value between 1 and 5);
+   alter table reviews add column if not exists helpful_count integer not null default 0;
+   create index if not exists reviews_mover_listing_idx on reviews(mover_id, status, created_at desc, id desc);
+
+   create table if not exists review_helpful_votes (
+     review_id uuid not null references reviews(id) on delete cascade,
+     customer_id uuid not null,
+     created_at timestamptz not null default now(),
+     primary key (review_id, customer_id)
+   );
+
+   alter table movers add column if not exists review_count integer not null default 0;
+   alter table movers add column if not exists rating_breakdown jsonb not null default '{}'::jsonb;
+
+   create or replace function refresh_mover_rating(p_mover_id uuid)
+   returns void language sql as $$
+     update movers m set
+       rating = agg.average,
+       review_count = agg.n,
+       rating_breakdown = agg.breakdown
+     from (
+       select
+         round(avg(rating)::numeric, 1) as average,
+         count(*)::int as n,
+         jsonb_build_object(
+           'punctuality', round(avg(rating_punctuality)::numeric, 1),
+           'care', round(avg(rating_care)::numeric, 1),
+           'communication', round(avg(rating_communication)::numeric, 1),
+           'value', round(avg(rating_value)::numeric, 1),
+           'histogram', jsonb_build_object(
+             '1', count(*) filter (where rating = 1),
+             '2', count(*) filter (where rating = 2),
+             '3', count(*) filter (where rating = 3),
+             '4', count(*) filter (where rating = 4),
+             '5', count(*) filter (where rating = 5)
+           )
+         ) as breakdown
+       from reviews
+       where mover_id = p_mover_id
+         and status = 'approved'
+         and (dispute_status is null or dispute_status <> 'open')
+     ) agg
+     where m.id = p_mover_id;
+   $$;
+
+   -- Fill in the aggregate for listings that already have reviews:
+   select refresh_mover_rating(id) from movers;
+   ========================================================================== */
+
+const REVIEW_DIMENSIONS = ["punctuality", "care", "communication", "value"]
+const REVIEW_PAGE_SIZE = 20
+const REVIEW_PAGE_MAX = 50
+
+/*
+  Validates a ratings object from the request body. Returns { columns }
+  (rating_<dimension> → 1–5, only the ones given) or { error }.
+*/
+function parseSubRatings(ratings) {
+  if (ratings === undefined || ratings === null) return { columns: {} }
+  if (typeof ratings !== "object" || Array.isArray(ratings)) return { error: "ratings must be an object" }
+
+  const columns = {}
+  for (const [dimension, value] of Object.entries(ratings)) {
+    if (!REVIEW_DIMENSIONS.includes(dimension)) return { error: `Unknown rating: ${dimension}` }
+    if (value === null || value === "") continue
+    const n = Number(value)
+    if (!Number.isInteger(n) || n < 1 || n > 5) return { error: `${dimension} rating must be 1-5` }
+    columns[`rating_${dimension}`] = n
+  }
+  return { columns }
+}
+
+// { punctuality, care, communication, value } from a review row (null
+// for the ones the reviewer skipped).
+function subRatingsFromRow(row) {
+  return Object.fromEntries(REVIEW_DIMENSIONS.map((d) => [d, row[`rating_${d}`] ?? null]))
+}
+
+// Queues a rebuild of the listing's stored rating aggregate (see
+// refresh_mover_rating). A rebuild already waiting for the listing
+// covers this change too, so those are reused.
+async function recalculateMoverRating(moverId) {
+  try {
+    await jobs.enqueue("reviews.refresh_rating", { moverId }, { dedupeKey: moverId })
+  } catch (err) {
+    console.error("Rating sync failed to queue:", err.message)
+  }
+}
+
+jobs.register("reviews.refresh_rating", async ({ moverId }) => {
+  const { error } = await supabase.rpc("refresh_mover_rating", { p_mover_id: moverId })
+  if (error) throw new Error(`refresh_mover_rating: ${error.message}`)
+})
+
+// "4,5" / ["4","5"] → [4, 5]; null when absent; false when invalid.
+function parseStarsFilter(value) {
+  if (value === undefined || value === "") return null
+  const stars = (Array.isArray(value) ? value : [value])
+    .flatMap((v) => String(v).split(","))
+    .map((s) => Number(s.trim()))
+  if (!stars.length || stars.some((n) => !Number.isInteger(n) || n < 1 || n > 5)) return false
+  return [...new Set(stars)]
+}
+
+/* -------------------- Submit a review -------------------- */
+
+app.post("/api/reviews", optionalAuth({ tokenOnly: true }), async (req, res) => {
+  try {
+    const { moverId, customerName, rating, comment, leadId, ratings } = req.body || {}
+    // Only a signed-in customer's own id is stored; a customerId in the
+    // body is ignored.
+    const customerId = req.auth?.customer?.id || null
+    if (!moverId || !customerName || !rating) {
+      return res.status(400).json({ ok: false, error: "Missing required fields" })
+    }
+    if (rating < 1 || rating > 5) {
+      return res.status(400).json({ ok: false, error: "Rating must be 1-5" })
+    }
+    const subRatings = parseSubRatings(ratings)
+    if (subRatings.error) return res.status(400).json({ ok: false, error: subRatings.error })
+
+    const reviewed = await loadReviewedMover(moverId)
+    if (!reviewed) return res.status(404).json({ ok: false, error: "Mover not found" })
+
+    if (req.auth?.via === "token" && req.auth.email === normalizeEmail(reviewed.mover.email)) {
+      return res.status(403).json({ ok: false, code: "SELF_REVIEW", error: "You can't review your own business." })
+    }
+
+    // Only a token-verified customer can prove they booked.
+    const customerEmail = req.auth?.via === "token" && req.auth.role === "customer" ? req.auth.email : null
+    if (leadId && !customerEmail) {
+      return res.status(401).json({ ok: false, code: "AUTH_REQUIRED", error: "Log in to review a booking." })
+    }
+    const booking = await findReviewableLead({ customerEmail, profileId: reviewed.profileId, leadId })
+    if (booking.error) return res.status(booking.status).json({ ok: false, error: booking.error })
+
+    const verifiedBooking = !!booking.lead
+    const { flags } = checkReviewText({ customerName, comment })
+    const status = initialReviewStatus(verifiedBooking, flags)
+
+    const { data, error } = await supabase
+      .from("reviews")
+      .insert([{
+        mover_id: moverId,
+        customer_id: customerId || null,
+        customer_name: customerName,
+        rating: Number(rating),
+        ...subRatings.columns,
+        comment: comment || "",
+        lead_id: booking.lead?.id || null,
+        verified_booking: verifiedBooking,
+        status,
+        moderation_flags: flags,
+        created_at: new Date().toISOString(),
+      }])
+      .select("id")
+      .single()
+
+    if (error) {
+      if (error.code === "23505") return res.status(409).json({ ok: false, error: "You've already reviewed this move." })
+      return res.status(500).json({ ok: false, error: error.message || "Failed to save review" })
+    }
+
+    if (status === "approved") await recalculateMoverRating(moverId)
+    if (flags.length) console.log(`Review ${data.id} held for moderation: ${flags.join(", ")}`)
+
+    return res.json({ ok: true, reviewId: data?.id, status, verifiedBooking })
+  } catch (err) {
+    console.error("/api/reviews error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* -------------------- Get reviews for a mover -------------------- */
+
+app.get("/api/reviews/:moverId", async (req, res) => {
+  try {
+    const { moverId } = req.params
+    if (!moverId) return res.status(400).json({ ok: false, error: "Missing moverId" })
+
+    const sort = String(req.query.sort || "newest")
+    if (!Object.hasOwn(REVIEW_SORTS, sort)) return res.status(400).json({ ok: false, error: "Invalid sort" })
+    const stars = parseStarsFilter(req.query.stars)
+    if (stars === false) return res.status(400).json({ ok: false, error: "stars must be 1-5" })
+    const limit = Math.min(REVIEW_PAGE_MAX, Math.max(1, parseInt(req.query.limit, 10) || REVIEW_PAGE_SIZE))
+    let after = null
+    if (req.query.cursor) {
+      after = decodeReviewCursor(req.query.cursor, sort)
+      if (!after) return res.status(400).json({ ok: false, error: "Invalid cursor" })
+    }
+
+    const { column, ascending } = REVIEW_SORTS[sort]
+    let query = supabase
+      .from("reviews")
+      .select(
+        "id, customer_id, customer_name, rating, rating_punctuality, rating_care, rating_communication, rating_value, " +
+        "comment, verified_booking, helpful_count, reply_body, replied_at, dispute_status, created_at"
+      )
+      .eq("mover_id", moverId)
+      .eq("status", "approved")
+    // The total matches the filter, not what's left after the cursor.
+    let countQuery = supabase
+      .from("reviews")
+      .select("id", { count: "exact", head: true })
+      .eq("mover_id", moverId)
+      .eq("status", "approved")
+    if (stars) {
+      query = query.in("rating", stars)
+      countQuery = countQuery.in("rating", stars)
+    }
+    if (after) query = query.or(reviewsAfterFilter(sort, after))
+    if (column !== "created_at") query = query.order(column, { ascending })
+    query = query
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .limit(limit + 1)
+
+    const [{ data, error }, { count }, { data: mover }] = await Promise.all([
+      query,
+      countQuery,
+      supabase.from("movers").select("rating, review_count, rating_breakdown").eq("id", moverId).maybeSingle(),
+    ])
+    if (error) {
+      console.error("/api/reviews/:moverId query error:", error.message)
+      return res.status(500).json({ ok: false, error: "Failed to load reviews" })
+    }
+
+    const page = (data || []).slice(0, limit)
+    const nextCursor = (data || []).length > limit ? encodeReviewCursor(sort, page[page.length - 1]) : null
+
+    // Pull avatars for any reviews that are linked to a real customer
+    // account, so the review can show the reviewer's actual photo.
+    const customerIds = [...new Set(page.map((r) => r.customer_id).filter(Boolean))]
+    let avatarsById = {}
+    if (customerIds.length) {
+      const { data: customerRows } = await supabase
+        .from("customers")
+        .select("id, avatar_url")
+        .in("id", customerIds)
+      avatarsById = Object.fromEntries((customerRows || []).map((c) => [c.id, c.avatar_url]))
+    }
+    const reviews = page.map((r) => ({
+      id: r.id,
+      customer_id: r.customer_id,
+      customer_name: r.customer_name,
+      rating: r.rating,
+      ratings: subRatingsFromRow(r),
+      comment: r.comment,
+      created_at: r.created_at,
+      verifiedBooking: !!r.verified_booking,
+      helpfulCount: r.helpful_count || 0,
+      underDispute: r.dispute_status === "open",
+      reply: r.reply_body ? { body: r.reply_body, repliedAt: r.replied_at } : null,
+      customerAvatarUrl: r.customer_id ? avatarsById[r.customer_id] || "" : "",
+    }))
+
+    // The stored aggregate (see refresh_mover_rating) — the same numbers
+    // whatever page or filter is being shown.
+    const breakdown = mover?.rating_breakdown || {}
+    const histogram = Object.fromEntries([1, 2, 3, 4, 5].map((n) => [n, Number(breakdown.histogram?.[n]) || 0]))
+
+    return res.json({
+      ok: true,
+      reviews,
+      averageRating: mover?.rating !== null && mover?.rating !== undefined ? Number(mover.rating) : 0,
+      totalReviews: mover?.review_count || 0,
+      dimensions: Object.fromEntries(
+        REVIEW_DIMENSIONS.map((d) => [d, breakdown[d] !== null && breakdown[d] !== undefined ? Number(breakdown[d]) : null])
+      ),
+      histogram,
+      total: count ?? reviews.length,
+      sort,
+      nextCursor,
+    })
+  } catch (err) {
+    console.error("/api/reviews/:moverId error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Mark a review helpful (POST) or take the vote back (DELETE) —
+   one vote per signed-in customer. ── */
+app.post("/api/reviews/:id/helpful", requireAuth("customer", { tokenOnly: true }), (req, res) => setHelpfulVote(req, res, true))
+app.delete("/api/reviews/:id/helpful", requireAuth("customer", { tokenOnly: true }), (req, res) => setHelpfulVote(req, res, false))
+
+async function setHelpfulVote(req, res, helpful) {
+  try {
+    const { id } = req.params
+    const { data: customerRow } = await supabase
+      .from("customers")
+      .select("id")
+      .eq("email", req.auth.email)
+      .maybeSingle()
+    if (!customerRow) return res.status(404).json({ ok: false, error: "Account not found" })
+
+    const { data: review } = await supabase
+      .from("reviews")
+      .select("id, customer_id, status")
+      .eq("id", id)
+      .maybeSingle()
+    if (!review || review.status !== "approved") return res.status(404).json({ ok: false, error: "Review not found" })
+    if (review.customer_id === customerRow.id) {
+      return res.status(400).json({ ok: false, error: "You can't vote on your own review" })
     }
 
-    return res.json({ ok: true, reviewId: data?.id })
+    const { error } = helpful
+      ? await supabase
+        .from("review_helpful_votes")
+        .upsert([{ review_id: id, customer_id: customerRow.id }], { onConflict: "review_id,customer_id", ignoreDuplicates: true })
+      : await supabase.from("review_helpful_votes").delete().eq("review_id", id).eq("customer_id", customerRow.id)
+    if (error) return res.status(500).json({ ok: false, error: "Failed to save vote" })
+
+    // Recount rather than increment so repeated clicks can't drift it.
+    const { count } = await supabase
+      .from("review_helpful_votes")
+      .select("review_id", { count: "exact", head: true })
+      .eq("review_id", id)
+    await supabase.from("reviews").update({ helpful_count: count || 0 }).eq("id", id)
+
+    return res.json({ ok: true, helpful, helpfulCount: count || 0 })
   } catch (err) {
-    console.error("/api/reviews error:", err)
+    console.error("/api/reviews/:id/helpful error:", err)
     return res.status(500).json({ ok: false, error: "Server error" })
   }
-})
+}
 
-/* -------------------- Get reviews for a mover -------------------- */
+/* ==========================================================================
+   REVIEW REPLIES AND DISPUTES
 
-app.get("/api/reviews/:moverId", async (req, res) => {
+   The mover who owns a listing (signed in with the listing's email) can:
+
+     POST /api/reviews/:id/reply    { body } — one public reply per
+                                    review; posting again edits it.
+                                    Shown nested under the review in
+                                    GET /api/reviews/:moverId.
+     POST /api/reviews/:id/dispute  { reason } — asks an admin to take a
+                                    review down. While the dispute is
+                                    open the review still shows (marked
+                                    underDispute) but doesn't count
+                                    toward movers.rating.
+
+   Admins work open disputes in GET /api/admin/review-disputes and
+   decide with POST /api/admin/review-disputes/:id/(uphold|dismiss):
+   upheld rejects the review (it's hidden for good), dismissed puts it
+   back in the average. One dispute per review.
+
+   The mover and the reviewer (when the review is tied to a customer
+   account) are both emailed when a reply is posted, a dispute is opened
+   and a dispute is decided.
+
+   Requires in Supabase (run once):
+
+   alter table reviews add column if not exists reply_body text;
+   alter table reviews add column if not exists replied_at timestamptz;
+   alter table reviews add column if not exists dispute_status text
+     check (dispute_status in ('open','upheld','dismissed'));
+
+   create table if not exists review_disputes (
+     id uuid primary key default gen_random_uuid(),
+     review_id uuid not null unique references reviews(id) on delete cascade,
+     mover_profile_id uuid references profiles(id) on delete set null,
+     reason text not null,
+     status text not null default 'open' check (status in ('open','upheld','dismissed')),
+     resolution_note text,
+     resolved_by text,
+     resolved_at timestamptz,
+     created_at timestamptz not null default now()
+   );
+   create index if not exists review_disputes_status_idx on review_disputes(status, created_at);
+   ========================================================================== */
+
+const REVIEW_REPLY_MAX_LENGTH = 1000
+const REVIEW_DISPUTE_STATUSES = ["open", "upheld", "dismissed"]
+
+/*
+  A review plus who's on each side of it:
+    { review, moverName, moverEmail, reviewerEmail }
+  reviewerEmail is "" for guest reviews with no customer account.
+*/
+async function loadReviewParties(reviewId) {
+  const { data: review } = await supabase
+    .from("reviews")
+    .select("id, mover_id, customer_id, customer_name, rating, comment, status, reply_body, replied_at, dispute_status, created_at")
+    .eq("id", reviewId)
+    .maybeSingle()
+  if (!review) return null
+
+  const [{ data: mover }, { data: customer }] = await Promise.all([
+    supabase.from("movers").select("id, name, email").eq("id", review.mover_id).maybeSingle(),
+    review.customer_id
+      ? supabase.from("customers").select("email").eq("id", review.customer_id).maybeSingle()
+      : Promise.resolve({ data: null }),
+  ])
+
+  return {
+    review,
+    moverName: mover?.name || "Mover",
+    moverEmail: mover?.email || "",
+    reviewerEmail: customer?.email || "",
+  }
+}
+
+// The review the caller owns as the listing's mover, or a response.
+async function loadOwnReview(req, res) {
+  const parties = await loadReviewParties(req.params.id)
+  if (!parties) {
+    res.status(404).json({ ok: false, error: "Review not found" })
+    return null
+  }
+  if (!parties.moverEmail || normalizeEmail(parties.moverEmail) !== req.auth.email) {
+    res.status(403).json({ ok: false, error: "You can only respond to reviews of your own listing" })
+    return null
+  }
+  if (parties.review.status !== "approved") {
+    res.status(400).json({ ok: false, error: "This review isn't published" })
+    return null
+  }
+  return parties
+}
+
+// Emails both sides of a review with one of the review_* templates —
+// each side gets it rendered with recipient "mover" / "reviewer".
+// { reviewer: false } emails only the mover. Never throws.
+async function emailReviewParties(parties, template, data, { reviewer = true } = {}) {
+  const shared = {
+    ...data,
+    moverName: parties.moverName,
+    review: {
+      rating: parties.review.rating,
+      customerName: parties.review.customer_name,
+      comment: parties.review.comment,
+    },
+  }
+  const sends = []
+  if (parties.moverEmail) {
+    sends.push({ to: parties.moverEmail, recipient: "mover", bcc: process.env.LEADS_BCC_EMAIL ? [process.env.LEADS_BCC_EMAIL] : undefined })
+  }
+  if (reviewer && parties.reviewerEmail) sends.push({ to: parties.reviewerEmail, recipient: "reviewer" })
+
+  for (const email of sends) {
+    try {
+      await sendEmail({
+        from: "PackRocket <noreply@packrocket.co>",
+        to: [email.to],
+        bcc: email.bcc,
+        ...renderEmail(template, { ...shared, recipient: email.recipient }),
+      })
+    } catch (emailErr) {
+      console.error("Review email failed (non-fatal):", emailErr?.message)
+    }
+  }
+}
+
+/* ── Public reply to a review (the listing's mover only) ── */
+app.post("/api/reviews/:id/reply", requireAuth("mover", { tokenOnly: true }), async (req, res) => {
   try {
-    const { moverId } = req.params
-    if (!moverId) return res.status(400).json({ ok: false, error: "Missing moverId" })
+    const body = String(req.body?.body || "").trim()
+    if (!body) return res.status(400).json({ ok: false, error: "Reply can't be empty" })
+    if (body.length > REVIEW_REPLY_MAX_LENGTH) {
+      return res.status(400).json({ ok: false, error: `Replies are limited to ${REVIEW_REPLY_MAX_LENGTH} characters` })
+    }
 
-    const { data, error } = await supabase
+    // Replies are published as-is, so the filter's hard cases block them.
+    const { flags } = checkReviewText({ comment: body })
+    if (flags.includes("profanity") || flags.includes("link")) {
+      return res.status(400).json({ ok: false, code: "REPLY_REJECTED", error: "Please remove profanity and links from your reply." })
+    }
+
+    const parties = await loadOwnReview(req, res)
+    if (!parties) return
+    const editing = !!parties.review.reply_body
+
+    const repliedAt = new Date().toISOString()
+    const { error } = await supabase
       .from("reviews")
-      .select("id, customer_id, customer_name, rating, comment, created_at")
-      .eq("mover_id", moverId)
-      .order("created_at", { ascending: false })
-      .limit(50)
+      .update({ reply_body: body, replied_at: repliedAt })
+      .eq("id", parties.review.id)
+    if (error) return res.status(500).json({ ok: false, error: "Failed to save reply" })
 
-    if (error) return res.json({ ok: true, reviews: [] })
+    await emailReviewParties(parties, "review_reply", { reply: body, editing }, { reviewer: !editing })
 
-    // Pull avatars for any reviews that are linked to a real customer
-    // account, so the review can show the reviewer's actual photo.
-    const customerIds = [...new Set((data || []).map((r) => r.customer_id).filter(Boolean))]
-    let avatarsById = {}
-    if (customerIds.length) {
-      const { data: customerRows } = await supabase
-        .from("customers")
-        .select("id, avatar_url")
-        .in("id", customerIds)
-      avatarsById = Object.fromEntries((customerRows || []).map((c) => [c.id, c.avatar_url]))
+    return res.json({ ok: true, reply: { body, repliedAt } })
+  } catch (err) {
+    console.error("/api/reviews/:id/reply error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Dispute a review (the listing's mover only) ── */
+app.post("/api/reviews/:id/dispute", requireAuth("mover", { tokenOnly: true }), async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || "").trim()
+    if (!reason) return res.status(400).json({ ok: false, error: "Tell us why this review should come down" })
+
+    const parties = await loadOwnReview(req, res)
+    if (!parties) return
+    if (parties.review.dispute_status) {
+      return res.status(409).json({ ok: false, error: "This review has already been disputed" })
+    }
+
+    const { data: dispute, error } = await supabase
+      .from("review_disputes")
+      .insert([{
+        review_id: parties.review.id,
+        mover_profile_id: req.auth.profile?.id || null,
+        reason: reason.slice(0, 2000),
+      }])
+      .select("id, status, created_at")
+      .single()
+    if (error) {
+      if (error.code === "23505") return res.status(409).json({ ok: false, error: "This review has already been disputed" })
+      return res.status(500).json({ ok: false, error: "Failed to open dispute" })
     }
-    const reviewsWithAvatars = (data || []).map((r) => ({
-      ...r,
-      customerAvatarUrl: r.customer_id ? avatarsById[r.customer_id] || "" : "",
-    }))
 
-    const avg = data?.length ? data.reduce((s, r) => s + r.rating, 0) / data.length : 0
+    await supabase.from("reviews").update({ dispute_status: "open" }).eq("id", parties.review.id)
+    await recalculateMoverRating(parties.review.mover_id)
 
-    return res.json({ ok: true, reviews: reviewsWithAvatars, averageRating: parseFloat(avg.toFixed(1)), totalReviews: data?.length || 0 })
+    await emailReviewParties(parties, "review_dispute_opened", { reason })
+
+    return res.json({ ok: true, dispute })
   } catch (err) {
-    console.error("/api/reviews/:moverId error:", err)
+    console.error("/api/reviews/:id/dispute error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ==========================================================================
+   POST-MOVE REVIEW REQUESTS (emailed one-click review links)
+
+   sendDueReviewRequests() runs every REVIEW_REQUEST_SWEEP_MS and emails
+   the customer of every booked or completed lead whose move_date was
+   REVIEW_REQUEST_DELAY_DAYS (default 2) or more days ago. The email has
+   a signed link to a review form already tied to that lead and mover:
+
+     GET  /api/review-requests/:token           what the form shows
+     POST /api/review-requests/:token           { rating, comment, ratings,
+                                                  customerName? } — no login
+     POST /api/review-requests/:token/opt-out   no more review emails to
+                                                  that address, ever
+
+   The token is the request id plus an HMAC of it (REVIEW_LINK_SECRET),
+   so it can't be guessed or edited, and it's single-use: the request is
+   marked used when the review is saved. It also expires
+   REVIEW_LINK_TTL_DAYS after the first email. With REVIEW_LINK_SECRET
+   unset no review emails go out and every link is refused; give it its
+   own random value rather than reusing another key.
+
+   A review from the link counts as a verified booking when the lead is
+   completed, goes through the same moderation as any other review, and
+   is attached to the customer's account when one exists for that email.
+
+   Reminders: up to REVIEW_REQUEST_MAX_EMAILS emails per lead (the first
+   plus reminders), REVIEW_REMINDER_INTERVAL_DAYS apart. Nothing is sent
+   once the lead has a review, the link was used, or the address opted
+   out. Moves older than REVIEW_REQUEST_LOOKBACK_DAYS are never picked
+   up, so turning this on doesn't email every customer we've ever had.
+
+   Requires in Supabase (run once):
+
+   create table if not exists review_requests (
+     id uuid primary key default gen_random_uuid(),
+     lead_id uuid not null unique references leads(id) on delete cascade,
+     customer_email text not null,
+     emails_sent integer not null default 0,
+     last_sent_at timestamptz,
+     first_sent_at timestamptz,
+     used_at timestamptz,
+     review_id uuid references reviews(id) on delete set null,
+     created_at timestamptz not null default now()
+   );
+
+   create table if not exists review_request_opt_outs (
+     email text primary key,
+     created_at timestamptz not null default now()
+   );
+   ========================================================================== */
+
+const REVIEW_REQUEST_DELAY_DAYS = Math.max(0, parseInt(process.env.REVIEW_REQUEST_DELAY_DAYS, 10) || 2)
+const REVIEW_REQUEST_MAX_EMAILS = Math.max(1, parseInt(process.env.REVIEW_REQUEST_MAX_EMAILS, 10) || 3)
+const REVIEW_REMINDER_INTERVAL_DAYS = Math.max(1, parseInt(process.env.REVIEW_REMINDER_INTERVAL_DAYS, 10) || 4)
+const REVIEW_REQUEST_LOOKBACK_DAYS = 45
+const REVIEW_LINK_TTL_DAYS = 60
+const REVIEW_REQUEST_SWEEP_MS = 60 * 60 * 1000
+const REVIEW_REQUEST_BATCH = 200
+
+function reviewLinkSecret() {
+  return process.env.REVIEW_LINK_SECRET || ""
+}
+
+function reviewLinkSignature(requestHex) {
+  return crypto.createHmac("sha256", reviewLinkSecret()).update(`review:${requestHex}`).digest("hex").slice(0, 24)
+}
+
+function reviewRequestToken(requestId) {
+  const requestHex = String(requestId).replace(/-/g, "").toLowerCase()
+  return `${requestHex}.${reviewLinkSignature(requestHex)}`
+}
+
+// The review_requests id a token was issued for, or null if it's been
+// tampered with.
+function parseReviewRequestToken(token) {
+  const match = /^([0-9a-f]{32})\.([0-9a-f]{24})$/.exec(String(token || "").toLowerCase())
+  if (!match || !reviewLinkSecret()) return null
+  const [, requestHex, signature] = match
+  const expected = reviewLinkSignature(requestHex)
+  if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null
+  return [
+    requestHex.slice(0, 8), requestHex.slice(8, 12), requestHex.slice(12, 16), requestHex.slice(16, 20), requestHex.slice(20),
+  ].join("-")
+}
+
+// The public listing (movers row) a lead's mover owns, matched by email.
+async function loadListingForLeadMover(moverEmail) {
+  if (!moverEmail) return null
+  const { data } = await supabase
+    .from("movers")
+    .select("id, name, logo_url")
+    .ilike("email", moverEmail)
+    .maybeSingle()
+  return data || null
+}
+
+/*
+  Resolves a link token to { request, ctx, listing } or { status, error }
+  — the single place the link's signature, expiry and single use are
+  checked.
+*/
+async function loadReviewRequestByToken(token) {
+  const requestId = parseReviewRequestToken(token)
+  if (!requestId) return { status: 404, error: "This review link isn't valid." }
+
+  const { data: request } = await supabase
+    .from("review_requests")
+    .select("*")
+    .eq("id", requestId)
+    .maybeSingle()
+  if (!request) return { status: 404, error: "This review link isn't valid." }
+  if (request.used_at) return { status: 410, code: "ALREADY_USED", error: "You've already left a review for this move — thank you!" }
+  const sentAt = Date.parse(request.first_sent_at || request.created_at)
+  if (Date.now() - sentAt > REVIEW_LINK_TTL_DAYS * 86400000) {
+    return { status: 410, code: "EXPIRED", error: "This review link has expired." }
+  }
+
+  const ctx = await loadLeadWithContacts(request.lead_id)
+  if (!ctx) return { status: 404, error: "This review link isn't valid." }
+  const listing = await loadListingForLeadMover(ctx.moverEmail)
+  if (!listing) return { status: 404, error: "This mover is no longer listed on PackRocket." }
+
+  return { request, ctx, listing }
+}
+
+async function sendReviewRequestEmail(request, ctx, isReminder) {
+  const baseUrl = process.env.PUBLIC_URL || "https://packrocket.co"
+  const token = reviewRequestToken(request.id)
+  const { lead, moverName } = ctx
+
+  await sendEmail({
+    from: "PackRocket <noreply@packrocket.co>",
+    to: [request.customer_email],
+    ...renderEmail("review_request", {
+      firstName: String(lead.customer_name || "").split(" ")[0],
+      moverName,
+      moveDateLabel: lead.move_date ? formatDateLabel(`${lead.move_date}T00:00:00`) : null,
+      reviewUrl: `${baseUrl}/review?token=${token}`,
+      unsubscribeUrl: `${baseUrl}/review/unsubscribe?token=${token}`,
+      reminder: isReminder,
+    }),
+  })
+}
+
+let reviewRequestSweepRunning = false
+
+// Creates review_requests for newly eligible leads and sends first
+// emails and reminders that are due. Pages through every lead in the
+// window — leads that are already done (reviewed, used, out of emails)
+// stay in it for the whole lookback, so one batch isn't enough.
+async function sendDueReviewRequests() {
+  if (reviewRequestSweepRunning || !reviewLinkSecret()) return
+  reviewRequestSweepRunning = true
+  try {
+    const day = 86400000
+    const newest = new Date(Date.now() - REVIEW_REQUEST_DELAY_DAYS * day).toISOString().slice(0, 10)
+    const oldest = new Date(Date.now() - REVIEW_REQUEST_LOOKBACK_DAYS * day).toISOString().slice(0, 10)
+
+    for (let from = 0; ; from += REVIEW_REQUEST_BATCH) {
+      const { data: leads, error } = await supabase
+        .from("leads")
+        .select("id, customer_email")
+        .in("status", ["booked", "completed"])
+        .not("customer_email", "is", null)
+        .gte("move_date", oldest)
+        .lte("move_date", newest)
+        .order("move_date", { ascending: true })
+        .order("id", { ascending: true })
+        .range(from, from + REVIEW_REQUEST_BATCH - 1)
+      if (error) throw error
+      if (leads?.length) await sendReviewRequestsForLeads(leads)
+      if (!leads || leads.length < REVIEW_REQUEST_BATCH) break
+    }
+  } catch (err) {
+    console.error("Review request sweep error:", err?.message)
+  } finally {
+    reviewRequestSweepRunning = false
+  }
+}
+
+// One page of sendDueReviewRequests().
+async function sendReviewRequestsForLeads(leads) {
+  const leadIds = leads.map((l) => l.id)
+  const emails = [...new Set(leads.map((l) => normalizeEmail(l.customer_email)).filter(Boolean))]
+  const [{ data: requests }, { data: reviewed }, { data: optOuts }] = await Promise.all([
+    supabase.from("review_requests").select("*").in("lead_id", leadIds),
+    supabase.from("reviews").select("lead_id").in("lead_id", leadIds),
+    supabase.from("review_request_opt_outs").select("email").in("email", emails),
+  ])
+  const requestByLead = Object.fromEntries((requests || []).map((r) => [r.lead_id, r]))
+  const reviewedLeads = new Set((reviewed || []).map((r) => r.lead_id))
+  const optedOut = new Set((optOuts || []).map((o) => o.email))
+
+  for (const lead of leads) {
+    const email = normalizeEmail(lead.customer_email)
+    if (!email || optedOut.has(email) || reviewedLeads.has(lead.id)) continue
+
+    let request = requestByLead[lead.id]
+    if (!request) {
+      const { data: created, error: createErr } = await supabase
+        .from("review_requests")
+        .insert([{ lead_id: lead.id, customer_email: email }])
+        .select("*")
+        .single()
+      if (createErr) continue // another instance just created it
+      request = created
+    }
+
+    if (request.used_at || request.emails_sent >= REVIEW_REQUEST_MAX_EMAILS) continue
+    if (request.last_sent_at && Date.now() - Date.parse(request.last_sent_at) < REVIEW_REMINDER_INTERVAL_DAYS * 86400000) continue
+
+    // Claim this send so two instances can't both email.
+    const now = new Date().toISOString()
+    const { data: claimed } = await supabase
+      .from("review_requests")
+      .update({ emails_sent: request.emails_sent + 1, last_sent_at: now, first_sent_at: request.first_sent_at || now })
+      .eq("id", request.id)
+      .eq("emails_sent", request.emails_sent)
+      .select("*")
+      .maybeSingle()
+    if (!claimed) continue
+
+    const ctx = await loadLeadWithContacts(lead.id)
+    if (!ctx) continue
+    try {
+      await sendReviewRequestEmail(claimed, ctx, request.emails_sent > 0)
+    } catch (emailErr) {
+      console.error(`Review request email for lead ${lead.id} failed:`, emailErr?.message)
+    }
+  }
+}
+
+jobs.every(REVIEW_REQUEST_SWEEP_MS, sendDueReviewRequests)
+
+/* ── What the review form shows for a link ── */
+app.get("/api/review-requests/:token", async (req, res) => {
+  try {
+    const found = await loadReviewRequestByToken(req.params.token)
+    if (found.error) return res.status(found.status).json({ ok: false, code: found.code, error: found.error })
+    const { ctx, listing } = found
+
+    return res.json({
+      ok: true,
+      mover: { id: listing.id, name: listing.name || ctx.moverName, logo: listing.logo_url || "" },
+      lead: {
+        id: ctx.lead.id,
+        customerName: ctx.lead.customer_name,
+        moveDate: ctx.lead.move_date,
+      },
+      dimensions: REVIEW_DIMENSIONS,
+    })
+  } catch (err) {
+    console.error("/api/review-requests/:token error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Submit the review from a link — no login needed ── */
+app.post("/api/review-requests/:token", async (req, res) => {
+  try {
+    const { rating, comment, ratings } = req.body || {}
+    if (!rating || rating < 1 || rating > 5) {
+      return res.status(400).json({ ok: false, error: "Rating must be 1-5" })
+    }
+    const subRatings = parseSubRatings(ratings)
+    if (subRatings.error) return res.status(400).json({ ok: false, error: subRatings.error })
+
+    const found = await loadReviewRequestByToken(req.params.token)
+    if (found.error) return res.status(found.status).json({ ok: false, code: found.code, error: found.error })
+    const { request, ctx, listing } = found
+
+    // Use the link up first, so a double-submit can't post two reviews.
+    const { data: claimed } = await supabase
+      .from("review_requests")
+      .update({ used_at: new Date().toISOString() })
+      .eq("id", request.id)
+      .is("used_at", null)
+      .select("id")
+      .maybeSingle()
+    if (!claimed) {
+      return res.status(410).json({ ok: false, code: "ALREADY_USED", error: "You've already left a review for this move — thank you!" })
+    }
+
+    const { data: customerRow } = await supabase
+      .from("customers")
+      .select("id")
+      .eq("email", normalizeEmail(request.customer_email))
+      .maybeSingle()
+
+    const customerName = String(req.body?.customerName || "").trim() || ctx.lead.customer_name || "Customer"
+    const verifiedBooking = ctx.lead.status === "completed"
+    const { flags } = checkReviewText({ customerName, comment })
+    const status = initialReviewStatus(verifiedBooking, flags)
+
+    const { data: review, error } = await supabase
+      .from("reviews")
+      .insert([{
+        mover_id: listing.id,
+        customer_id: customerRow?.id || null,
+        customer_name: customerName,
+        rating: Number(rating),
+        ...subRatings.columns,
+        comment: comment || "",
+        lead_id: ctx.lead.id,
+        verified_booking: verifiedBooking,
+        status,
+        moderation_flags: flags,
+        created_at: new Date().toISOString(),
+      }])
+      .select("id")
+      .single()
+
+    if (error) {
+      // Give the link back so they can try again.
+      await supabase.from("review_requests").update({ used_at: null }).eq("id", request.id)
+      if (error.code === "23505") return res.status(409).json({ ok: false, error: "You've already reviewed this move." })
+      return res.status(500).json({ ok: false, error: "Failed to save review" })
+    }
+
+    await supabase.from("review_requests").update({ review_id: review.id }).eq("id", request.id)
+    if (status === "approved") await recalculateMoverRating(listing.id)
+
+    return res.json({ ok: true, reviewId: review.id, status, verifiedBooking })
+  } catch (err) {
+    console.error("/api/review-requests/:token POST error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Stop review emails to the link's address. Works even after the
+   link was used or expired — opting out should never fail. ── */
+app.post("/api/review-requests/:token/opt-out", async (req, res) => {
+  try {
+    const requestId = parseReviewRequestToken(req.params.token)
+    if (!requestId) return res.status(404).json({ ok: false, error: "This link isn't valid." })
+
+    const { data: request } = await supabase
+      .from("review_requests")
+      .select("customer_email")
+      .eq("id", requestId)
+      .maybeSingle()
+    if (!request) return res.status(404).json({ ok: false, error: "This link isn't valid." })
+
+    const { error } = await supabase
+      .from("review_request_opt_outs")
+      .upsert([{ email: normalizeEmail(request.customer_email) }], { onConflict: "email", ignoreDuplicates: true })
+    if (error) return res.status(500).json({ ok: false, error: "Failed to save your preference" })
+
+    return res.json({ ok: true })
+  } catch (err) {
+    console.error("/api/review-requests/:token/opt-out error:", err)
     return res.status(500).json({ ok: false, error: "Server error" })
   }
 })
@@ -1456,12 +4603,10 @@ app.post("/api/forgot-password", async (req, res) => {
     const resetLink = data?.properties?.action_link || data?.action_link || ""
 
     if (resetLink) {
-      await resend.emails.send({
+      await sendEmail({
         from: "PackRocket <noreply@packrocket.co>",
         to: [normalizedEmail],
-        subject: "Reset your PackRocket password",
-        text: `Hi there,\n\nWe received a request to reset your PackRocket password.\n\nClick the link below to set a new password:\n${resetLink}\n\nThis link expires in 1 hour.\n\n– The PackRocket Team`,
-        html: `<p>Hi there,</p><p>We received a request to reset your PackRocket password.</p><p><a href="${resetLink}" style="display:inline-block;padding:12px 24px;background:#0084FF;color:#fff;border-radius:8px;text-decoration:none;font-weight:700;">Reset My Password</a></p><p>This link expires in 1 hour.</p><p>– The PackRocket Team</p>`,
+        ...renderEmail("password_reset", { resetLink }),
       })
     }
 
@@ -1474,11 +4619,11 @@ app.post("/api/forgot-password", async (req, res) => {
 
 /* -------------------- Update password -------------------- */
 
-app.post("/api/update-password", async (req, res) => {
+app.post("/api/update-password", requireAuth("mover"), async (req, res) => {
   try {
-    const { email, currentPassword, newPassword } = req.body || {}
+    const { currentPassword, newPassword } = req.body || {}
 
-    if (!email || !newPassword) {
+    if (!newPassword) {
       return res.status(400).json({ ok: false, error: "Missing required fields" })
     }
 
@@ -1486,7 +4631,7 @@ app.post("/api/update-password", async (req, res) => {
       return res.status(400).json({ ok: false, error: "New password must be at least 8 characters" })
     }
 
-    const normalizedEmail = normalizeEmail(email)
+    const normalizedEmail = req.auth.email
 
     if (currentPassword) {
       const { error: signInErr } = await getSupabaseAuth().auth.signInWithPassword({
@@ -1554,14 +4699,17 @@ app.post("/api/reset-password", async (req, res) => {
   }
 })
 
-/* ---------------------------- Upload logo ---------------------------- */
+/* ---------------------------- Upload logo ----------------------------
+   Upload routes check auth before multer reads the file, so anonymous
+   requests are turned away without buffering it. The multipart body
+   isn't parsed yet at that point, so legacy (AUTH_MODE=transitional)
+   callers pass ?email= rather than an email form field. */
 
-app.post("/api/upload-logo", upload.single("file"), async (req, res) => {
+app.post("/api/upload-logo", requireAuth("mover"), upload.single("file"), async (req, res) => {
   try {
-    const email = normalizeEmail(req.body.email)
+    const email = req.auth.email
     const file = req.file
 
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
     if (!file) return res.status(400).json({ ok: false, error: "Missing file" })
 
     const originalName = file.originalname || "logo.png"
@@ -1599,17 +4747,86 @@ app.post("/api/upload-logo", upload.single("file"), async (req, res) => {
 
 /* ── Upload hero photo ── */
 
-app.post("/api/upload-hero", upload.single("file"), async (req, res) => {
+app.post("/api/upload-hero", requireAuth("mover"), upload.single("file"), async (req, res) => {
   try {
-    const email = normalizeEmail(req.body.email)
+    const email = req.auth.email
+    const file = req.file
+
+    if (!file) return res.status(400).json({ ok: false, error: "Missing file" })
+
+    const ext = (file.originalname || "hero.jpg").split(".").pop()
+    const safeEmail = email.replace(/[^a-zA-Z0-9@._-]/g, "_")
+    const filePath = `${safeEmail}/${Date.now()}-hero.${ext}`
+
+    const { error: uploadError } = await supabase.storage
+      .from(LOGO_BUCKET)
+      .upload(filePath, file.buffer, {
+        contentType: file.mimetype || "image/jpeg",
+        upsert: false,
+      })
+
+    if (uploadError) {
+      return res.status(500).json({ ok: false, error: "Failed to upload hero photo" })
+    }
+
+    const { data: { publicUrl } } = supabase.storage.from(LOGO_BUCKET).getPublicUrl(filePath)
+
+    if (!publicUrl) {
+      return res.status(500).json({ ok: false, error: "Could not get public URL" })
+    }
+
+    await supabase.from("movers").update({ hero_photo_url: publicUrl }).ilike("email", email)
+
+    return res.json({ ok: true, url: publicUrl })
+  } catch (err) {
+    console.error("/api/upload-hero error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ---------------------------- Listing photos ----------------------------
+   The photo gallery on a listing, separate from the logo and hero photo.
+   How many a mover can show is their plan's maxListingPhotos.
+
+   Requires this column in Supabase (run once):
+
+   alter table movers add column if not exists listing_photos text[] not null default '{}';
+*/
+
+// The mover's plan and listing row, for the listing photo routes.
+async function loadListingPhotoOwner(email) {
+  const [{ data: profile }, { data: listing }] = await Promise.all([
+    supabase.from("profiles").select("plan").eq("email", email).maybeSingle(),
+    supabase.from("movers").select("id, listing_photos").ilike("email", email).maybeSingle(),
+  ])
+  return { plan: profile?.plan || "Free", listing }
+}
+
+/* ── Add a listing photo ── */
+
+app.post("/api/listing-photos", requireAuth("mover", { tokenOnly: true }), upload.single("file"), async (req, res) => {
+  try {
+    const email = req.auth.email
     const file = req.file
 
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
     if (!file) return res.status(400).json({ ok: false, error: "Missing file" })
 
-    const ext = (file.originalname || "hero.jpg").split(".").pop()
+    const { plan, listing } = await loadListingPhotoOwner(email)
+    if (!listing) return res.status(404).json({ ok: false, error: "Listing not found" })
+
+    const photos = listing.listing_photos || []
+    const { maxListingPhotos } = getEntitlements(plan)
+    if (photos.length >= maxListingPhotos) {
+      return res.status(403).json({
+        ok: false,
+        code: "PLAN_LIMIT",
+        error: `Your ${plan} plan includes ${maxListingPhotos} listing photo${maxListingPhotos === 1 ? "" : "s"}. Remove one or upgrade to add more.`,
+      })
+    }
+
+    const ext = (file.originalname || "photo.jpg").split(".").pop()
     const safeEmail = email.replace(/[^a-zA-Z0-9@._-]/g, "_")
-    const filePath = `${safeEmail}/${Date.now()}-hero.${ext}`
+    const filePath = `${safeEmail}/${Date.now()}-photo.${ext}`
 
     const { error: uploadError } = await supabase.storage
       .from(LOGO_BUCKET)
@@ -1619,7 +4836,7 @@ app.post("/api/upload-hero", upload.single("file"), async (req, res) => {
       })
 
     if (uploadError) {
-      return res.status(500).json({ ok: false, error: "Failed to upload hero photo" })
+      return res.status(500).json({ ok: false, error: "Failed to upload photo" })
     }
 
     const { data: { publicUrl } } = supabase.storage.from(LOGO_BUCKET).getPublicUrl(filePath)
@@ -1628,11 +4845,209 @@ app.post("/api/upload-hero", upload.single("file"), async (req, res) => {
       return res.status(500).json({ ok: false, error: "Could not get public URL" })
     }
 
-    await supabase.from("movers").update({ hero_photo_url: publicUrl }).ilike("email", email)
+    const listingPhotos = [...photos, publicUrl]
+    const { error } = await supabase.from("movers").update({ listing_photos: listingPhotos }).eq("id", listing.id)
+    if (error) return res.status(500).json({ ok: false, error: "Failed to save photo" })
 
-    return res.json({ ok: true, url: publicUrl })
+    return res.json({ ok: true, url: publicUrl, photos: listingPhotos, limit: maxListingPhotos })
   } catch (err) {
-    console.error("/api/upload-hero error:", err)
+    console.error("/api/listing-photos error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Remove a listing photo — body: { url } ── */
+
+app.delete("/api/listing-photos", requireAuth("mover", { tokenOnly: true }), async (req, res) => {
+  try {
+    const url = String(req.body?.url || "")
+    if (!url) return res.status(400).json({ ok: false, error: "Missing url" })
+
+    const { plan, listing } = await loadListingPhotoOwner(req.auth.email)
+    if (!listing) return res.status(404).json({ ok: false, error: "Listing not found" })
+
+    const listingPhotos = (listing.listing_photos || []).filter((u) => u !== url)
+    const { error } = await supabase.from("movers").update({ listing_photos: listingPhotos }).eq("id", listing.id)
+    if (error) return res.status(500).json({ ok: false, error: "Failed to remove photo" })
+
+    return res.json({ ok: true, photos: listingPhotos, limit: getEntitlements(plan).maxListingPhotos })
+  } catch (err) {
+    console.error("/api/listing-photos delete error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ==========================================================================
+   GEOGRAPHIC SEARCH (PostGIS)
+
+   Radius matching happens in Postgres instead of loading movers into
+   memory and looping haversine over them (which also silently dropped
+   every mover past row 500). movers.geog is kept in sync with lat/lng
+   by a trigger, and search_movers_near() returns one page of approved,
+   non-suspended movers near a point plus the total match count.
+
+   Movers without coordinates are still included when their city
+   contains the searched city, their state contains the searched state,
+   or their ZIP contains the query — the same text match the old loop
+   did, except that an empty search field no longer matches everyone.
+
+   Requires this in Supabase (run once, in the SQL editor):
+
+   create extension if not exists postgis;
+
+   alter table movers add column if not exists geog geography(Point, 4326);
+   update movers set geog = ST_SetSRID(ST_MakePoint(lng, lat), 4326)::geography
+   where lat is not null and lng is not null;
+   create index if not exists movers_geog_idx on movers using gist (geog);
+
+   create or replace function movers_sync_geog() returns trigger as $$
+   begin
+     new.geog := case
+       when new.lat is null or new.lng is null then null
+       else ST_SetSRID(ST_MakePoint(new.lng, new.lat), 4326)::geography
+     end;
+     return new;
+   end
+   $$ language plpgsql;
+
+   drop trigger if exists movers_sync_geog on movers;
+   create trigger movers_sync_geog before insert or update of lat, lng on movers
+   for each row execute function movers_sync_geog();
+
+   -- The no-coordinates match. Blank search fields match nothing.
+   create or replace function movers_text_near(m movers, p_city text, p_state text, p_query text)
+   returns boolean language sql stable as $$
+     select (nullif(trim(p_city), '') is not null
+               and position(lower(trim(p_city)) in lower(coalesce(m.city, ''))) > 0)
+         or (nullif(trim(p_state), '') is not null
+               and position(lower(trim(p_state)) in lower(coalesce(m.state, ''))) > 0)
+         or (nullif(trim(p_query), '') is not null
+               and position(trim(p_query) in coalesce(m.zip, '')) > 0)
+   $$;
+
+   -- p_search_radius_miles: the customer's own radius (null = none).
+   -- p_respect_service_radius: only movers whose service_radius_miles
+   --   (default 50) reaches the point.
+   -- p_city: exact-city matches rank first.
+   -- p_city / p_state / p_query: text match for movers with no
+   --   coordinates (see above).
+   -- The signature gained p_state / p_query, so drop any earlier version.
+   drop function if exists search_movers_near;
+
+   create or replace function search_movers_near(
+     p_lat double precision,
+     p_lng double precision,
+     p_search_radius_miles double precision default null,
+     p_respect_service_radius boolean default true,
+     p_city text default null,
+     p_state text default null,
+     p_query text default null,
+     p_limit int default 50,
+     p_offset int default 0
+   )
+   returns table (mover jsonb, distance_miles double precision, total_count bigint)
+   language sql stable as $$
+     with origin as (
+       select ST_SetSRID(ST_MakePoint(p_lng, p_lat), 4326)::geography as g,
+              (select coalesce(max(service_radius_miles), 50) from movers) * 1609.344 as max_reach
+     ),
+     matches as (
+       select m.*,
+              case when m.geog is null then null else ST_Distance(m.geog, o.g) / 1609.344 end as dist
+       from movers m, origin o
+       where m.approval_status = 'approved'
+         and not m.suspended
+         and (
+           (m.geog is not null
+             and ST_DWithin(m.geog, o.g, coalesce(p_search_radius_miles * 1609.344, o.max_reach))
+             and (not p_respect_service_radius
+                  or ST_DWithin(m.geog, o.g, coalesce(m.service_radius_miles, 50) * 1609.344)))
+           or (m.geog is null and movers_text_near(m, p_city, p_state, p_query))
+         )
+     )
+     select to_jsonb(x) - 'geog' - 'dist', x.dist, count(*) over ()
+     from matches x
+     order by (p_city is not null and lower(trim(x.city)) = lower(trim(p_city))) desc,
+              x.dist asc nulls last
+     limit p_limit offset p_offset
+   $$;
+   ========================================================================== */
+
+const SEARCH_DEFAULT_LIMIT = 100
+const SEARCH_MAX_LIMIT = 200
+
+// ?limit= / ?offset= for the search routes.
+function parsePagination(query) {
+  const limit = Math.min(SEARCH_MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || SEARCH_DEFAULT_LIMIT))
+  const offset = Math.max(0, parseInt(query.offset, 10) || 0)
+  return { limit, offset }
+}
+
+/*
+  One page of public movers near a point, nearest first (exact-city
+  matches first when `city` is given). Returns
+    { movers: [{ mover, distanceMiles }], total }
+  distanceMiles is null for text matches that have no coordinates.
+*/
+async function searchMoversNear({
+  lat,
+  lng,
+  searchRadiusMiles = null,
+  respectServiceRadius = true,
+  city = null,
+  state = null,
+  query = null,
+  limit = SEARCH_DEFAULT_LIMIT,
+  offset = 0,
+}) {
+  const params = {
+    p_lat: lat,
+    p_lng: lng,
+    p_search_radius_miles: searchRadiusMiles,
+    p_respect_service_radius: respectServiceRadius,
+    p_city: city || null,
+    p_state: state || null,
+    p_query: query || null,
+  }
+  const { data, error } = await supabase.rpc("search_movers_near", { ...params, p_limit: limit, p_offset: offset })
+  if (error) throw error
+
+  const rows = data || []
+  const total = rows.length
+    ? Number(rows[0].total_count)
+    : offset > 0 ? await countSearchMatches("search_movers_near", { ...params, p_offset: 0 }) : 0
+  return {
+    movers: rows.map((r) => ({
+      mover: r.mover,
+      distanceMiles: r.distance_miles === null ? null : Math.round(r.distance_miles * 10) / 10,
+    })),
+    total,
+  }
+}
+
+// total_count is on every row of a search page, so a page past the end
+// has none. This asks the same search for its first row to get the
+// total; `params` must be the search's params without its paging.
+async function countSearchMatches(fn, params) {
+  const { data, error } = await supabase.rpc(fn, { ...params, p_limit: 1 })
+  if (error) throw error
+  return data?.length ? Number(data[0].total_count) : 0
+}
+
+/* ── Search box typeahead ──
+   City / ZIP suggestions from the bundled ZIP table, ranked toward
+   places we have movers. Each suggestion's lat/lng can go straight to
+   /api/movers/nearby, skipping geocoding. ── */
+
+app.get("/api/locations/autocomplete", async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim().slice(0, 100)
+    if (q.length < 2) return res.json({ ok: true, suggestions: [] })
+
+    const suggestions = await locationIndex.autocomplete(q, { limit: req.query.limit })
+    return res.json({ ok: true, suggestions })
+  } catch (err) {
+    console.error("/api/locations/autocomplete error:", err)
     return res.status(500).json({ ok: false, error: "Server error" })
   }
 })
@@ -1645,6 +5060,7 @@ app.get("/api/movers/nearby", async (req, res) => {
     const zipParam = String(req.query.zip || "").trim()
     const latParam = parseFloat(req.query.lat)
     const lngParam = parseFloat(req.query.lng)
+    const { limit, offset } = parsePagination(req.query)
 
     let centerLat = null
     let centerLng = null
@@ -1654,15 +5070,9 @@ app.get("/api/movers/nearby", async (req, res) => {
       centerLng = lngParam
     } else if (zipParam) {
       try {
-        const geoRes = await fetch(
-          `https://nominatim.openstreetmap.org/search?postalcode=${encodeURIComponent(zipParam)}&country=us&format=json&limit=1`,
-          { headers: { "User-Agent": "PackRocket/1.0", "Accept-Language": "en" } }
-        )
-        const geoData = await geoRes.json()
-        if (geoData?.[0]) {
-          centerLat = parseFloat(geoData[0].lat)
-          centerLng = parseFloat(geoData[0].lon)
-        }
+        const coords = await geocoder.geocode({ zip: zipParam })
+        centerLat = coords.lat
+        centerLng = coords.lng
       } catch (geoErr) {
         console.error("Geocode error:", geoErr?.message)
       }
@@ -1672,34 +5082,39 @@ app.get("/api/movers/nearby", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Could not resolve location." })
     }
 
-    const { data: allMovers, error } = await supabase
-      .from("movers")
-      .select("*")
-      .limit(500)
-
-    if (error) return res.status(500).json({ ok: false, error: "Failed to fetch movers" })
-
-    const nearby = []
-    for (const mover of allMovers) {
-      const lat = mover.lat
-      const lng = mover.lng
-      if (!isFinite(lat) || !isFinite(lng)) continue
-      const dist = haversineMiles(centerLat, centerLng, lat, lng)
-      if (dist <= radiusMiles) {
-        nearby.push({ mover, distanceMiles: Math.round(dist * 10) / 10 })
-      }
+    // "Nearby" is the customer's radius only — it doesn't apply each
+    // mover's own service radius the way /api/movers does.
+    let result
+    try {
+      result = await searchMoversNear({
+        lat: centerLat,
+        lng: centerLng,
+        searchRadiusMiles: radiusMiles,
+        respectServiceRadius: false,
+        limit,
+        offset,
+      })
+    } catch (searchErr) {
+      console.error("search_movers_near error:", searchErr?.message)
+      return res.status(500).json({ ok: false, error: "Failed to fetch movers" })
     }
 
-    nearby.sort((a, b) => a.distanceMiles - b.distanceMiles)
+    const records = result.movers.map(({ mover, distanceMiles }) =>
+      mapMoverToAirtableShape({ ...mover, _distanceMiles: distanceMiles })
+    )
+    const sponsors = offset === 0
+      ? await pickSponsoredMovers({ lat: centerLat, lng: centerLng, zip: zipParam || null })
+      : []
 
     return res.json({
       ok: true,
       centerLat,
       centerLng,
       radiusMiles,
-      records: nearby.map(({ mover, distanceMiles }) =>
-        mapMoverToAirtableShape({ ...mover, _distanceMiles: distanceMiles })
-      ),
+      total: result.total,
+      limit,
+      offset,
+      records: withSponsoredPins(sponsors, records),
     })
   } catch (err) {
     console.error("/api/movers/nearby error:", err)
@@ -1707,100 +5122,483 @@ app.get("/api/movers/nearby", async (req, res) => {
   }
 })
 
-/* ── Movers search ── */
+/* ==========================================================================
+   MOVER SEARCH — filters, sorting, cursor pagination (GET /api/movers)
+
+   search_movers() is search_movers_near() plus the search page's
+   filters. It runs in one of three modes:
+     - p_lat/p_lng set: movers whose service radius reaches the point
+       (plus text matches with no coordinates), like before.
+     - no coordinates (geocoding failed): the old text fallback on
+       name / city / state / zip.
+     - no location at all, only p_q: keyword search everywhere.
+
+   p_q ("piano movers", "storage") is full-text search over name,
+   services, features, service_areas and description, on top of
+   whichever mode applies. Every word prefix-matches ("pian" finds
+   piano), and a trigram match catches typos ("pinao"). Matches come
+   back with a ts_headline snippet; the matched words are wrapped in
+   chr(2)/chr(3), which formatSearchSnippet() turns into <mark> after
+   HTML-escaping the mover's text.
+
+   Every sort is expressed as one ascending numeric sort_key, so paging
+   is a keyset on (sort_key, id) and stays stable while movers are added
+   or edited — no offsets. Missing values (no rating, no price…) sort last.
+   The relevance key here is only a pre-rank (exact city, then distance);
+   the route takes the first few pages' worth by that key and re-orders
+   them with lib/ranking.js.
+
+   Requires this in Supabase (run once, after the GEOGRAPHIC SEARCH SQL):
+
+   create extension if not exists pg_trgm;
+
+   -- Keyword document for p_q: name weighs most, then services /
+   -- features / service areas, then the description. Indexed as an
+   -- expression so there's no extra column to keep in sync.
+   create or replace function mover_search_tsv(
+     p_name text, p_services text, p_features text, p_areas text, p_description text
+   ) returns tsvector language sql immutable as $$
+     select setweight(to_tsvector('english', coalesce(p_name, '')), 'A') ||
+            setweight(to_tsvector('english',
+              coalesce(p_services, '') || ' ' || coalesce(p_features, '') || ' ' || coalesce(p_areas, '')), 'B') ||
+            setweight(to_tsvector('english', coalesce(p_description, '')), 'C')
+   $$;
+   create index if not exists movers_search_tsv_idx on movers
+     using gin (mover_search_tsv(name, services, features, service_areas, description));
+
+   -- The same text lowercased, for trigram typo matching.
+   create or replace function mover_search_text(
+     p_name text, p_services text, p_features text, p_areas text, p_description text
+   ) returns text language sql immutable as $$
+     select lower(coalesce(p_name, '') || ' ' || coalesce(p_services, '') || ' ' ||
+                  coalesce(p_features, '') || ' ' || coalesce(p_areas, '') || ' ' || coalesce(p_description, ''))
+   $$;
+   create index if not exists movers_search_text_trgm_idx on movers
+     using gin (mover_search_text(name, services, features, service_areas, description) gin_trgm_ops);
+
+   -- "piano mov" → 'piano':* & 'mov':*. p_any ORs the words instead,
+   -- which is what the snippet highlighting uses.
+   create or replace function mover_search_tsquery(p_q text, p_any boolean default false) returns tsquery
+   language sql immutable as $$
+     select to_tsquery('english', coalesce(
+       string_agg(quote_literal(t) || ':*', case when p_any then ' | ' else ' & ' end), ''))
+     from regexp_split_to_table(lower(p_q), '[^a-z0-9]+') t
+     where t <> ''
+   $$;
+
+   -- Minutes from the free-text response_time, same phrases
+   -- formatResponseTimePhrase() understands. null = unknown.
+   create or replace function mover_response_minutes(s text) returns int
+   language sql immutable as $$
+     select case
+       when s ~* 'within\s+\d+\s*min' then (regexp_match(s, 'within\s+(\d+)\s*min', 'i'))[1]::int
+       when s ~* 'within\s+\d+\s*hour' then (regexp_match(s, 'within\s+(\d+)\s*hour', 'i'))[1]::int * 60
+       when s ~* 'within\s+a\s+few\s+hours' then 180
+       when s ~* 'same\s*day' then 480
+       else null
+     end
+   $$;
+
+   -- The no-location text fallback: the mover's whole city name or ZIP
+   -- appears in the query, their state is one of its words, or the
+   -- query appears in their name.
+   create or replace function movers_text_match(m movers, p_terms text[])
+   returns boolean language sql stable as $$
+     select (nullif(trim(m.city), '') is not null
+               and position(lower(trim(m.city)) in array_to_string(p_terms, ' ')) > 0)
+         or lower(trim(m.state)) = any (p_terms)
+         or position(array_to_string(p_terms, ' ') in lower(coalesce(m.name, ''))) > 0
+         or (nullif(trim(m.zip), '') is not null
+               and position(trim(m.zip) in array_to_string(p_terms, ' ')) > 0)
+   $$;
+
+   -- The return type gained text_rank / snippet for p_q, so drop any
+   -- earlier version first.
+   drop function if exists search_movers;
+
+   create or replace function search_movers(
+     p_lat double precision default null,
+     p_lng double precision default null,
+     p_city text default null,
+     p_state text default null,
+     p_query text default null,
+     p_terms text[] default null,
+     p_q text default null,
+     p_min_rating numeric default null,
+     p_max_price numeric default null,
+     p_crew_type text default null,
+     p_services text[] default null,          -- lowercase, all required
+     p_features text[] default null,          -- lowercase, all required
+     p_verified_only boolean default false,
+     p_exclude_emails text[] default null,    -- lowercase
+     p_sort text default 'relevance',         -- relevance | distance | rating | price | response_time
+     p_after_key double precision default null,
+     p_after_id text default null,
+     p_limit int default 50
+   )
+   returns table (
+     mover jsonb, distance_miles double precision, text_rank real, snippet text,
+     sort_key double precision, total_count bigint
+   )
+   language sql stable as $$
+     with origin as (
+       select case when p_lat is null or p_lng is null then null
+                   else ST_SetSRID(ST_MakePoint(p_lng, p_lat), 4326)::geography end as g
+     ),
+     candidates as (
+       select m.*,
+              case when m.geog is null or o.g is null then null else ST_Distance(m.geog, o.g) / 1609.344 end as dist,
+              (p_city is not null and lower(trim(m.city)) = lower(trim(p_city))) as city_match,
+              nullif(m.starting_price::text, '')::numeric as price_num,
+              mover_response_minutes(m.response_time) as response_minutes,
+              case when p_q is null then null else ts_rank_cd(
+                mover_search_tsv(m.name, m.services, m.features, m.service_areas, m.description),
+                mover_search_tsquery(p_q), 32) end as text_rank
+       from movers m, origin o
+       where m.approval_status = 'approved'
+         and not m.suspended
+         and (p_q is null
+              or mover_search_tsv(m.name, m.services, m.features, m.service_areas, m.description) @@ mover_search_tsquery(p_q)
+              or lower(p_q) <% mover_search_text(m.name, m.services, m.features, m.service_areas, m.description))
+         and (
+           (o.g is not null and (
+             (m.geog is not null and ST_DWithin(m.geog, o.g, coalesce(m.service_radius_miles, 50) * 1609.344))
+             or (m.geog is null and movers_text_near(m, p_city, p_state, p_query))
+           ))
+           or (o.g is null and p_terms is not null and movers_text_match(m, p_terms))
+           or (o.g is null and p_terms is null and p_q is not null)
+         )
+     ),
+     filtered as (
+       select c.*,
+              case p_sort
+                when 'distance' then coalesce(c.dist, 1e6)
+                when 'rating' then case when c.rating is null then 1e12 else -c.rating::double precision end
+                when 'price' then coalesce(c.price_num::double precision, 1e12)
+                when 'response_time' then coalesce(c.response_minutes::double precision, 1e12)
+                else case
+                  when c.city_match and c.dist is not null then c.dist
+                  when c.city_match then 5e4
+                  else 1e5 + coalesce(c.dist, 0)
+                end - coalesce(c.text_rank, 0)
+              end as k
+       from candidates c
+       where (p_min_rating is null or coalesce(c.rating, 0) >= p_min_rating)
+         and (p_max_price is null or c.price_num <= p_max_price)
+         and (p_crew_type is null or coalesce(c.crew_type, 'truck') = p_crew_type)
+         and (p_services is null or
+              (select coalesce(array_agg(lower(trim(x))), '{}') from unnest(string_to_array(c.services, ',')) x) @> p_services)
+         and (p_features is null or
+              (select coalesce(array_agg(lower(trim(x))), '{}') from unnest(string_to_array(c.features, ',')) x) @> p_features)
+         and (not p_verified_only or c.verified::text in ('true', 'checked'))
+         and (p_exclude_emails is null or not (lower(c.email) = any (p_exclude_emails)))
+     )
+     select to_jsonb(f) - 'geog' - 'dist' - 'city_match' - 'price_num' - 'response_minutes' - 'text_rank' - 'k',
+            f.dist,
+            f.text_rank,
+            case when p_q is null then null else ts_headline('english',
+              concat_ws(' · ', nullif(f.description, ''), nullif(f.services, ''), nullif(f.service_areas, '')),
+              mover_search_tsquery(p_q, true),
+              'StartSel=' || chr(2) || ', StopSel=' || chr(3) ||
+              ', MaxWords=25, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "') end,
+            f.k,
+            (select count(*) from filtered)
+     from filtered f
+     where p_after_key is null or (f.k, f.id::text) > (p_after_key, p_after_id)
+     order by f.k, f.id::text
+     limit p_limit
+   $$;
+   ========================================================================== */
 
-app.get("/api/movers", async (req, res) => {
-  try {
-    const cityRaw  = String(req.query.city  || "").trim()
-    const stateRaw = String(req.query.state || "").trim()
-    const queryRaw = String(req.query.query || "").trim()
+const SEARCH_SORTS = ["relevance", "distance", "rating", "price", "response_time"]
+const SEARCH_MAX_KEYWORDS_LENGTH = 200
+
+// ts_headline output → safe HTML: the mover's own text is escaped, then
+// the chr(2)/chr(3) match markers become <mark></mark>.
+function formatSearchSnippet(raw) {
+  if (!raw) return ""
+  return String(raw)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/\u0002/g, "<mark>")
+    .replace(/\u0003/g, "</mark>")
+}
 
-    const qRaw = queryRaw || [cityRaw, stateRaw].filter(Boolean).join(" ").trim()
-    if (!qRaw) return res.json({ records: [] })
+// The relevance sort scores only the best RANKING_CANDIDATE_MULTIPLE
+// pages' worth of matches by the SQL key (distance, then text rank), so
+// a broad search never reads every matching mover.
+const RANKING_CANDIDATE_MULTIPLE = 3
 
-    let customerLat = null
-    let customerLng = null
-    const customerCity = (cityRaw || queryRaw).toLowerCase().trim()
-try {
-      const coords = await geocodeMoverAddress({
-        city:  cityRaw  || queryRaw,
-        state: stateRaw || "",
-        zip:   "",
-      })
-      customerLat = coords.lat
-      customerLng = coords.lng
-      console.log("Geocoded successfully:", customerLat, customerLng)
-    } catch (geoErr) {
-      console.warn("Customer geocode failed, falling back to text search:", geoErr.message)
-      console.warn("Query was:", cityRaw, stateRaw, queryRaw)
-    }
+// ?debug=1 adds each result's score breakdown — admins only, since it
+// exposes other movers' reply times.
+function isSearchDebugRequest(req) {
+  return (req.query.debug === "1" || req.query.debug === "true") &&
+    req.auth?.via === "token" && req.auth.role === "admin"
+}
 
-    const { data: allMovers, error } = await supabase
-      .from("movers")
-      .select("*")
-      .limit(500)
+// Comma-separated list (or repeated ?x=) → lowercase array, or null.
+function parseListParam(value) {
+  const items = (Array.isArray(value) ? value : [value])
+    .flatMap((v) => String(v || "").split(","))
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean)
+  return items.length ? [...new Set(items)] : null
+}
+
+// Cursors are opaque to clients: base64url JSON of the sort they were
+// issued for and the last row's (sort_key, id).
+function encodeSearchCursor(sort, row) {
+  return Buffer.from(JSON.stringify({ s: sort, k: row.sortKey, i: String(row.mover.id) })).toString("base64url")
+}
 
-    if (error) return res.status(500).json({ error: "Failed to fetch movers" })
+function decodeSearchCursor(cursor, sort) {
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"))
+    if (c?.s !== sort || typeof c.k !== "number" || !c.i) return null
+    return { afterKey: c.k, afterId: String(c.i) }
+  } catch {
+    return null
+  }
+}
 
-    if (customerLat !== null && customerLng !== null) {
-      const scored = []
+/*
+  Validates the /api/movers filter/sort query params. Returns
+  { filters } or { error } (a message for a 400).
+*/
+function parseSearchFilters(query) {
+  const filters = {
+    minRating: null,
+    maxPrice: null,
+    crewType: null,
+    keywords: String(query.q || "").trim().slice(0, SEARCH_MAX_KEYWORDS_LENGTH) || null,
+    services: parseListParam(query.services),
+    features: parseListParam(query.features),
+    verifiedOnly: query.verified === "true" || query.verified === "1",
+    availableOn: null,
+    sort: "relevance",
+  }
 
-      for (const mover of allMovers) {
-        const moverLat    = mover.lat
-        const moverLng    = mover.lng
-        const moverRadius = mover.service_radius_miles ?? 50
+  if (query.minRating !== undefined && query.minRating !== "") {
+    const n = Number(query.minRating)
+    if (!isFinite(n) || n < 0 || n > 5) return { error: "minRating must be between 0 and 5" }
+    filters.minRating = n
+  }
+  if (query.maxPrice !== undefined && query.maxPrice !== "") {
+    const n = Number(query.maxPrice)
+    if (!isFinite(n) || n < 0) return { error: "maxPrice must be a positive number" }
+    filters.maxPrice = n
+  }
+  if (query.crewType) {
+    if (!CREW_TYPE_LABELS[query.crewType]) return { error: `crewType must be one of: ${Object.keys(CREW_TYPE_LABELS).join(", ")}` }
+    filters.crewType = query.crewType
+  }
+  if (query.availableOn) {
+    if (!isIsoDate(query.availableOn)) return { error: "availableOn must be YYYY-MM-DD" }
+    filters.availableOn = query.availableOn
+  }
+  if (query.sort) {
+    if (!SEARCH_SORTS.includes(query.sort)) return { error: `sort must be one of: ${SEARCH_SORTS.join(", ")}` }
+    filters.sort = query.sort
+  }
+  return { filters }
+}
 
-        if (!isFinite(moverLat) || !isFinite(moverLng)) {
-          const textMatch =
-            (mover.city  || "").toLowerCase().includes(customerCity) ||
-            (mover.state || "").toLowerCase().includes(stateRaw.toLowerCase()) ||
-            (mover.zip   || "").includes(queryRaw)
-          if (textMatch) scored.push({ mover, dist: Infinity, exactCity: false })
-          continue
-        }
+/*
+  Emails of movers who can't take a job on `date`. Only movers with a
+  restrictive calendar, a blackout that day, or booked jobs that day can
+  be unavailable, so just those go through computeDayAvailability().
+*/
+async function findUnavailableMoverEmails(date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay()
+
+  const [{ data: calendars }, { data: blackouts }, { data: bookedLeads }] = await Promise.all([
+    supabase
+      .from("mover_calendars")
+      .select("profile_id")
+      .or(`max_jobs_per_day.not.is.null,working_days.not.cs.{${weekday}}`),
+    supabase.from("mover_blackout_dates").select("profile_id").eq("date", date),
+    supabase.from("leads").select("mover_id").in("status", CAPACITY_LEAD_STATUSES).eq("move_date", date),
+  ])
+
+  const candidateIds = [...new Set([
+    ...(calendars || []).map((c) => c.profile_id),
+    ...(blackouts || []).map((b) => b.profile_id),
+    ...(bookedLeads || []).map((l) => l.mover_id),
+  ].filter(Boolean))]
+  if (!candidateIds.length) return []
+
+  const availability = await computeDayAvailability(candidateIds, [date])
+  const unavailableIds = candidateIds.filter((id) => !availability[id]?.[date]?.available)
+  if (!unavailableIds.length) return []
+
+  const { data: profiles } = await supabase.from("profiles").select("email").in("id", unavailableIds)
+  return (profiles || []).map((p) => normalizeEmail(p.email)).filter(Boolean)
+}
 
-        const dist = haversineMiles(customerLat, customerLng, moverLat, moverLng)
-        if (dist > moverRadius) continue
+/* ── Movers search ──
+   ?city= &state= or ?query= pick the area; ?q= searches listing text
+   (with or without an area) and adds a highlighted ["Search Snippet"].
+   Optional filters:
+   minRating, maxPrice, crewType (truck | labor_only), services and
+   features (comma-separated, all required), verified=true and
+   availableOn=YYYY-MM-DD. sort is relevance (default), distance,
+   rating, price or response_time. Page with ?limit= and the previous
+   response's nextCursor (relevance pages end after three pages' worth
+   of results). Admins can add ?debug=1 to see the relevance score
+   breakdown. ── */
+
+app.get("/api/movers", optionalAuth(), async (req, res) => {
+  try {
+    const cityRaw  = String(req.query.city  || "").trim()
+    const stateRaw = String(req.query.state || "").trim()
+    const queryRaw = String(req.query.query || "").trim()
+    const { limit } = parsePagination(req.query)
 
-        const exactCity = (mover.city || "").toLowerCase().trim() === customerCity
-        scored.push({ mover, dist, exactCity })
-      }
+    const { filters, error: filterError } = parseSearchFilters(req.query)
+    if (filterError) return res.status(400).json({ error: filterError })
 
-      scored.sort((a, b) => {
-        if (a.exactCity !== b.exactCity) return a.exactCity ? -1 : 1
-        return a.dist - b.dist
-      })
+    let after = null
+    if (req.query.cursor) {
+      after = decodeSearchCursor(req.query.cursor, filters.sort)
+      if (!after) return res.status(400).json({ error: "Invalid cursor" })
+    }
+
+    const qRaw = queryRaw || [cityRaw, stateRaw].filter(Boolean).join(" ").trim()
+    if (!qRaw && !filters.keywords) return res.json({ records: [], total: 0, limit, sort: filters.sort, nextCursor: null })
 
-      const records = scored.map(({ mover, dist }) =>
-        mapMoverToAirtableShape({
-          ...mover,
-          _distanceMiles: isFinite(dist) ? Math.round(dist * 10) / 10 : null,
+    let customerLat = null
+    let customerLng = null
+    const customerCity = (cityRaw || queryRaw).trim()
+    if (qRaw) {
+      try {
+        const coords = await geocoder.geocode({
+          city:  cityRaw  || queryRaw,
+          state: stateRaw || "",
+          zip:   "",
         })
-      )
+        customerLat = coords.lat
+        customerLng = coords.lng
+        console.log("Geocoded successfully:", customerLat, customerLng)
+      } catch (geoErr) {
+        console.warn("Customer geocode failed, falling back to text search:", geoErr.message)
+        console.warn("Query was:", cityRaw, stateRaw, queryRaw)
+      }
+    }
 
-      return res.json({ records })
+    // Fallback text search tokens — stripped down to characters that are
+    // safe to match with ilike.
+    let terms = null
+    if (qRaw && (customerLat === null || customerLng === null)) {
+      terms = qRaw
+        .toLowerCase()
+        .replace(/,/g, "")
+        .split(/\s+/)
+        .map((p) => p.replace(/[^a-z0-9'-]/g, ""))
+        .filter(Boolean) // e.g. ["foley", "al"]
+      if (!terms.length) return res.json({ records: [], total: 0, limit, sort: filters.sort, nextCursor: null })
     }
 
-// Fallback text search
-    const qClean = qRaw.toLowerCase().trim().replace(/,/g, "")
-    const qParts = qClean.split(/\s+/).filter(Boolean) // e.g. ["foley", "al"]
+    let excludeEmails = null
+    if (filters.availableOn) {
+      const unavailable = await findUnavailableMoverEmails(filters.availableOn)
+      if (unavailable.length) excludeEmails = unavailable
+    }
 
-    const filtered = allMovers.filter((m) => {
-      const mCity  = (m.city  || "").toLowerCase()
-      const mState = (m.state || "").toLowerCase()
-      const mName  = (m.name  || "").toLowerCase()
-      const mZip   = (m.zip   || "")
+    // Relevance is scored here rather than in SQL (it needs review counts,
+    // reply latency and profile completeness): it reads a capped candidate
+    // set in the SQL pre-rank order, scores it and pages within it, so
+    // every page of one search re-ranks the same candidates.
+    const ranked = filters.sort === "relevance"
+
+    const searchParams = {
+      p_lat: customerLat,
+      p_lng: customerLng,
+      p_city: customerCity || null,
+      p_state: stateRaw || null,
+      p_query: queryRaw || null,
+      p_terms: terms,
+      p_q: filters.keywords,
+      p_min_rating: filters.minRating,
+      p_max_price: filters.maxPrice,
+      p_crew_type: filters.crewType,
+      p_services: filters.services,
+      p_features: filters.features,
+      p_verified_only: filters.verifiedOnly,
+      p_exclude_emails: excludeEmails,
+      p_sort: filters.sort,
+    }
+    const { data, error } = await supabase.rpc("search_movers", {
+      ...searchParams,
+      p_after_key: ranked ? null : after?.afterKey ?? null,
+      p_after_id: ranked ? null : after?.afterId ?? null,
+      p_limit: ranked ? limit * RANKING_CANDIDATE_MULTIPLE : limit,
+    })
 
-      return (
-        (mCity  && qClean.includes(mCity)) ||
-        (mState && qParts.includes(mState)) ||
-        mName.includes(qClean) ||
-        (mZip && qClean.includes(mZip))
-      )
+    if (error) {
+      console.error("search_movers error:", error.message)
+      return res.status(500).json({ error: "Failed to fetch movers" })
+    }
+
+    const rows = (data || []).map((r) => ({
+      mover: r.mover,
+      distanceMiles: r.distance_miles === null ? null : Math.round(r.distance_miles * 10) / 10,
+      textRank: r.text_rank,
+      snippet: r.snippet,
+      sortKey: r.sort_key,
+    }))
+    const total = data?.length
+      ? Number(data[0].total_count)
+      : after && !ranked ? await countSearchMatches("search_movers", searchParams) : 0
+
+    let page = rows
+    let hasMore = rows.length === limit
+    const debug = ranked && isSearchDebugRequest(req)
+
+    if (ranked) {
+      const weights = debug && req.query.weights ? resolveWeights(req.query.weights) : getConfiguredWeights()
+      const signals = await loadRankingSignals(supabase, rows.map((r) => r.mover), { computeProfileCompletion })
+      const scored = rankMovers(rows, signals, weights)
+        .map((r) => ({ ...r, sortKey: -r.score }))
+        .filter((r) =>
+          !after ||
+          r.sortKey > after.afterKey ||
+          (r.sortKey === after.afterKey && String(r.mover.id).localeCompare(after.afterId) > 0)
+        )
+      page = scored.slice(0, limit)
+      hasMore = scored.length > limit
+    }
+
+    const records = page.map((r) => {
+      const record = mapMoverToAirtableShape({
+        ...r.mover,
+        _distanceMiles: r.distanceMiles,
+        _snippet: formatSearchSnippet(r.snippet),
+      })
+      if (debug) record.ranking = { score: r.score, breakdown: r.breakdown }
+      return record
     })
 
+    // Sponsors are pinned on the first page only, and only for searches
+    // that resolved to a location.
+    const sponsors = !after && customerLat !== null && customerLng !== null
+      ? await pickSponsoredMovers({
+        lat: customerLat,
+        lng: customerLng,
+        zip: isZip(queryRaw) ? queryRaw : isZip(cityRaw) ? cityRaw : null,
+        filters,
+        excludeEmails,
+      })
+      : []
+
+    const last = page[page.length - 1]
     return res.json({
-      records: filtered.map((m) => mapMoverToAirtableShape(m)),
+      records: withSponsoredPins(sponsors, records),
+      total,
+      limit,
+      sort: filters.sort,
+      nextCursor: hasMore && last ? encodeSearchCursor(filters.sort, last) : null,
     })
   } catch (err) {
     console.error("/api/movers error:", err)
@@ -1810,10 +5608,9 @@ try {
 
 /* ── Get mover by email ── */
 
-app.get("/api/movers/by-email", async (req, res) => {
+app.get("/api/movers/by-email", requireAuth("mover"), async (req, res) => {
   try {
-    const email = normalizeEmail(req.query.email)
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
+    const email = req.auth.email
 
     const { data: mover, error } = await supabase
       .from("movers")
@@ -1830,13 +5627,24 @@ app.get("/api/movers/by-email", async (req, res) => {
   }
 })
 
-/* ── Check mover availability ── */
+/* ── Check mover availability ──
+   Without dates this answers "can this mover take a new lead at all"
+   (monthly lead quota). With ?date=YYYY-MM-DD or ?from=&to= it also
+   returns per-day availability from the mover's calendar. ── */
 
 app.get("/api/movers/:id/availability", async (req, res) => {
   try {
     const { id } = req.params
     if (!id) return res.status(400).json({ ok: false, error: "Missing id" })
 
+    let dates = []
+    if (req.query.date || req.query.from || req.query.to) {
+      dates = expandDateRange(req.query.date || req.query.from, req.query.date || req.query.to)
+      if (!dates) {
+        return res.status(400).json({ ok: false, error: `Invalid date range (YYYY-MM-DD, up to ${MAX_AVAILABILITY_DAYS} days)` })
+      }
+    }
+
     // Check profiles first, then movers table
     let supabaseMoverId = null
     let moverPlan = "Free"
@@ -1870,27 +5678,259 @@ app.get("/api/movers/:id/availability", async (req, res) => {
       }
     }
 
-    if (moverPlan !== "Free") return res.json({ ok: true, available: true })
-    if (!supabaseMoverId) return res.json({ ok: true, available: true })
-
-    const now = new Date()
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).toISOString()
-    const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 1).toISOString()
+    const leadUsage = await getLeadUsage(supabase, { profileId: supabaseMoverId, plan: moverPlan })
+    if (!dates.length) {
+      return res.json({ ok: true, available: !leadUsage.capped, plan: moverPlan })
+    }
 
-    const { count } = await supabase
-      .from("leads")
-      .select("id", { count: "exact", head: true })
-      .eq("mover_id", supabaseMoverId)
-      .gte("created_at", monthStart)
-      .lt("created_at", monthEnd)
+    // Movers without an account have no calendar — every day is open.
+    const byDate = supabaseMoverId
+      ? (await computeDayAvailability([supabaseMoverId], dates))[supabaseMoverId]
+      : Object.fromEntries(dates.map((d) => [d, { available: true, reason: null, booked: 0, capacity: null }]))
+    const days = dates.map((date) => ({ date, ...byDate[date] }))
 
-    return res.json({ ok: true, available: count < 1, plan: moverPlan })
+    return res.json({
+      ok: true,
+      available: !leadUsage.capped && days.some((d) => d.available),
+      plan: moverPlan,
+      days,
+    })
   } catch (err) {
     console.error("/api/movers/:id/availability error:", err)
     return res.json({ ok: true, available: true })
   }
 })
 
+/* ==========================================================================
+   MOVER CALENDAR — working days, blackout dates, jobs per day
+
+   Movers set which weekdays they work, how many jobs they can take on
+   one day, and specific dates they're off. Booked (and completed) leads
+   on a date use up that day's capacity. computeDayAvailability() is
+   what /api/movers/:id/availability and search use to decide whether a
+   mover is free on the customer's move date.
+
+   Movers who never set up a calendar work every day with no job limit,
+   so nobody disappears from search when this ships.
+
+   Requires these tables in Supabase (run once):
+
+   create table if not exists mover_calendars (
+     profile_id uuid primary key references profiles(id) on delete cascade,
+     working_days int[] not null default '{0,1,2,3,4,5,6}',  -- 0 = Sunday
+     max_jobs_per_day int,                                    -- null = no limit
+     updated_at timestamptz not null default now()
+   );
+
+   create table if not exists mover_blackout_dates (
+     id uuid primary key default gen_random_uuid(),
+     profile_id uuid not null references profiles(id) on delete cascade,
+     date date not null,
+     note text,
+     created_at timestamptz not null default now(),
+     unique (profile_id, date)
+   );
+
+   create index if not exists leads_mover_move_date_idx on leads(mover_id, move_date);
+   ========================================================================== */
+
+const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6]
+const MAX_AVAILABILITY_DAYS = 62
+const CAPACITY_LEAD_STATUSES = ["booked", "completed"]
+
+function isIsoDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ""))) return false
+  // Date rolls impossible days over ("2025-02-30" → March 2), so the
+  // date has to come back out unchanged.
+  const date = new Date(`${value}T00:00:00Z`)
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value
+}
+
+// Every YYYY-MM-DD from `from` to `to` inclusive, or null when the range
+// is invalid, backwards, or longer than MAX_AVAILABILITY_DAYS.
+function expandDateRange(from, to) {
+  if (!isIsoDate(from) || !isIsoDate(to)) return null
+  const start = new Date(`${from}T00:00:00Z`)
+  const end = new Date(`${to}T00:00:00Z`)
+  const days = Math.round((end - start) / 86400000) + 1
+  if (days < 1 || days > MAX_AVAILABILITY_DAYS) return null
+  return Array.from({ length: days }, (_, i) =>
+    new Date(start.getTime() + i * 86400000).toISOString().slice(0, 10)
+  )
+}
+
+/*
+  Per-day availability for several movers at once:
+    { [profileId]: { [date]: { available, reason, booked, capacity } } }
+  reason is null when available, else "not_working_day" | "blackout" |
+  "fully_booked". capacity is null when the mover has no daily limit.
+*/
+async function computeDayAvailability(profileIds, dates) {
+  const result = {}
+  if (!profileIds.length || !dates.length) return result
+
+  const from = dates[0]
+  const to = dates[dates.length - 1]
+
+  const [{ data: calendars }, { data: blackouts }, { data: bookedLeads }] = await Promise.all([
+    supabase.from("mover_calendars").select("profile_id, working_days, max_jobs_per_day").in("profile_id", profileIds),
+    supabase.from("mover_blackout_dates").select("profile_id, date").in("profile_id", profileIds).gte("date", from).lte("date", to),
+    supabase
+      .from("leads")
+      .select("mover_id, move_date")
+      .in("mover_id", profileIds)
+      .in("status", CAPACITY_LEAD_STATUSES)
+      .gte("move_date", from)
+      .lte("move_date", to),
+  ])
+
+  const calendarById = Object.fromEntries((calendars || []).map((c) => [c.profile_id, c]))
+  const blackoutSet = new Set((blackouts || []).map((b) => `${b.profile_id}|${b.date}`))
+  const bookedCount = {}
+  for (const l of bookedLeads || []) {
+    const key = `${l.mover_id}|${l.move_date}`
+    bookedCount[key] = (bookedCount[key] || 0) + 1
+  }
+
+  for (const profileId of profileIds) {
+    const calendar = calendarById[profileId]
+    const workingDays = calendar?.working_days || ALL_WEEKDAYS
+    const capacity = calendar?.max_jobs_per_day ?? null
+    result[profileId] = {}
+
+    for (const date of dates) {
+      const booked = bookedCount[`${profileId}|${date}`] || 0
+      let reason = null
+      if (!workingDays.includes(new Date(`${date}T00:00:00Z`).getUTCDay())) reason = "not_working_day"
+      else if (blackoutSet.has(`${profileId}|${date}`)) reason = "blackout"
+      else if (capacity !== null && booked >= capacity) reason = "fully_booked"
+      result[profileId][date] = { available: !reason, reason, booked, capacity }
+    }
+  }
+  return result
+}
+
+async function loadCalendarForProfile(profileId) {
+  const [{ data: calendar }, { data: blackouts }] = await Promise.all([
+    supabase.from("mover_calendars").select("working_days, max_jobs_per_day").eq("profile_id", profileId).maybeSingle(),
+    supabase
+      .from("mover_blackout_dates")
+      .select("date, note")
+      .eq("profile_id", profileId)
+      .gte("date", new Date().toISOString().slice(0, 10))
+      .order("date", { ascending: true }),
+  ])
+  return {
+    workingDays: calendar?.working_days || ALL_WEEKDAYS,
+    maxJobsPerDay: calendar?.max_jobs_per_day ?? null,
+    blackoutDates: blackouts || [],
+  }
+}
+
+async function loadProfileIdByEmail(email) {
+  const { data: profile } = await supabase
+    .from("profiles")
+    .select("id")
+    .eq("email", email)
+    .maybeSingle()
+  return profile?.id || null
+}
+
+/* ── The signed-in mover's calendar (upcoming blackout dates only) ── */
+app.get("/api/mover/calendar", requireAuth("mover", { tokenOnly: true }), async (req, res) => {
+  try {
+    const profileId = await loadProfileIdByEmail(req.auth.email)
+    if (!profileId) return res.status(404).json({ ok: false, error: "Profile not found" })
+
+    return res.json({ ok: true, calendar: await loadCalendarForProfile(profileId) })
+  } catch (err) {
+    console.error("/api/mover/calendar GET error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Update working days / max jobs per day ── */
+app.post("/api/mover/calendar", requireAuth("mover", { tokenOnly: true }), async (req, res) => {
+  try {
+    const { workingDays, maxJobsPerDay } = req.body || {}
+    const profileId = await loadProfileIdByEmail(req.auth.email)
+    if (!profileId) return res.status(404).json({ ok: false, error: "Profile not found" })
+
+    const row = { profile_id: profileId, updated_at: new Date().toISOString() }
+
+    if (workingDays !== undefined) {
+      const days = Array.isArray(workingDays) ? workingDays.map(Number) : []
+      if (days.some((d) => !ALL_WEEKDAYS.includes(d))) {
+        return res.status(400).json({ ok: false, error: "workingDays must be weekday numbers 0 (Sun) – 6 (Sat)" })
+      }
+      row.working_days = [...new Set(days)].sort()
+    }
+
+    if (maxJobsPerDay !== undefined) {
+      if (maxJobsPerDay === null || maxJobsPerDay === "") {
+        row.max_jobs_per_day = null
+      } else if (!Number.isInteger(Number(maxJobsPerDay)) || Number(maxJobsPerDay) < 1) {
+        return res.status(400).json({ ok: false, error: "maxJobsPerDay must be a whole number of at least 1" })
+      } else {
+        row.max_jobs_per_day = Number(maxJobsPerDay)
+      }
+    }
+
+    const { error } = await supabase.from("mover_calendars").upsert([row], { onConflict: "profile_id" })
+    if (error) return res.status(500).json({ ok: false, error: "Failed to save calendar" })
+
+    return res.json({ ok: true, calendar: await loadCalendarForProfile(profileId) })
+  } catch (err) {
+    console.error("/api/mover/calendar POST error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Add a blackout date (or a range, from/to) ── */
+app.post("/api/mover/calendar/blackouts", requireAuth("mover", { tokenOnly: true }), async (req, res) => {
+  try {
+    const { date, from, to, note } = req.body || {}
+    const dates = expandDateRange(date || from, date || to)
+    if (!dates) {
+      return res.status(400).json({ ok: false, error: `Invalid date range (YYYY-MM-DD, up to ${MAX_AVAILABILITY_DAYS} days)` })
+    }
+
+    const profileId = await loadProfileIdByEmail(req.auth.email)
+    if (!profileId) return res.status(404).json({ ok: false, error: "Profile not found" })
+
+    const { error } = await supabase
+      .from("mover_blackout_dates")
+      .upsert(
+        dates.map((d) => ({ profile_id: profileId, date: d, note: note ? String(note).slice(0, 200) : null })),
+        { onConflict: "profile_id,date" }
+      )
+    if (error) return res.status(500).json({ ok: false, error: "Failed to save blackout dates" })
+
+    return res.json({ ok: true, calendar: await loadCalendarForProfile(profileId) })
+  } catch (err) {
+    console.error("/api/mover/calendar/blackouts POST error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Remove a blackout date ── */
+app.delete("/api/mover/calendar/blackouts/:date", requireAuth("mover", { tokenOnly: true }), async (req, res) => {
+  try {
+    const { date } = req.params
+    if (!isIsoDate(date)) return res.status(400).json({ ok: false, error: "Invalid date" })
+
+    const profileId = await loadProfileIdByEmail(req.auth.email)
+    if (!profileId) return res.status(404).json({ ok: false, error: "Profile not found" })
+
+    await supabase.from("mover_blackout_dates").delete().eq("profile_id", profileId).eq("date", date)
+
+    return res.json({ ok: true, calendar: await loadCalendarForProfile(profileId) })
+  } catch (err) {
+    console.error("/api/mover/calendar/blackouts DELETE error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
 /* ── Single mover by ID ── */
 
 app.get("/api/movers/:id", async (req, res) => {
@@ -1898,11 +5938,9 @@ app.get("/api/movers/:id", async (req, res) => {
     const { id } = req.params
     if (!id) return res.status(400).json({ error: "Missing id" })
 
-    const { data: mover, error } = await supabase
-      .from("movers")
-      .select("*")
-      .eq("id", id)
-      .maybeSingle()
+    const { data: mover, error } = await onlyPublicMovers(
+      supabase.from("movers").select("*").eq("id", id)
+    ).maybeSingle()
 
     if (error || !mover) return res.status(404).json({ error: "Mover not found" })
 
@@ -1915,10 +5953,10 @@ app.get("/api/movers/:id", async (req, res) => {
 
 /* ── Update listing fields from dashboard ── */
 
-app.post("/api/update-listing", async (req, res) => {
+app.post("/api/update-listing", requireAuth("mover"), async (req, res) => {
   try {
+   const email = req.auth.email
    const {
-     email,
      description,
      features,
      service_areas,
@@ -1930,8 +5968,6 @@ app.post("/api/update-listing", async (req, res) => {
      crew_type,
    } = req.body || {}
 
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
-
     const updates = {}
     if (description !== undefined && description !== "") updates.description = description
     if (features !== undefined) updates.features = Array.isArray(features) ? features.join(",") : features
@@ -1955,7 +5991,7 @@ if (business_hours !== undefined && business_hours !== "") updates.business_hour
     const { error } = await supabase
       .from("movers")
       .update(updates)
-      .ilike("email", normalizeEmail(email))
+      .ilike("email", email)
 
     if (error) {
       console.error("update-listing error:", error)
@@ -1972,12 +6008,9 @@ if (business_hours !== undefined && business_hours !== "") updates.business_hour
 
 /* ── Mover Dashboard ── */
 
-app.get("/api/mover-dashboard", async (req, res) => {
+app.get("/api/mover-dashboard", requireAuth("mover"), async (req, res) => {
   try {
-    const rawEmail = req.query.email
-    if (!rawEmail) return res.status(400).json({ ok: false, error: "Missing email" })
-
-    const email = normalizeEmail(rawEmail)
+    const email = req.auth.email
 
     const { data: profile, error } = await supabase
       .from("profiles")
@@ -1994,17 +6027,106 @@ app.get("/api/mover-dashboard", async (req, res) => {
 
     return res.json({ ok: true, mover, subscriptionTier, nextPaymentDate })
   } catch (err) {
-    console.error("mover-dashboard route error:", err)
+    console.error("mover-dashboard route error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Plan entitlements + this month's usage, for the dashboard
+   ("1 of 2 leads used this month — resets Nov 1") ── */
+app.get("/api/entitlements", requireAuth("mover", { tokenOnly: true }), async (req, res) => {
+  try {
+    const { data: profile } = await supabase
+      .from("profiles")
+      .select("id, plan")
+      .eq("email", req.auth.email)
+      .maybeSingle()
+    if (!profile) return res.status(404).json({ ok: false, error: "Profile not found" })
+
+    const plan = profile.plan || "Free"
+    const leads = await getLeadUsage(supabase, { profileId: profile.id, plan })
+
+    return res.json({
+      ok: true,
+      plan,
+      entitlements: getEntitlements(plan),
+      usage: { leads },
+    })
+  } catch (err) {
+    console.error("/api/entitlements error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Listing and lead analytics for the last ANALYTICS_WINDOW_DAYS, for
+   plans with the analytics entitlement ── */
+
+const ANALYTICS_WINDOW_DAYS = 30
+
+app.get("/api/mover/analytics", requireAuth("mover", { tokenOnly: true }), async (req, res) => {
+  try {
+    const email = req.auth.email
+    const [{ data: profile }, { data: listing }] = await Promise.all([
+      supabase.from("profiles").select("id, plan").eq("email", email).maybeSingle(),
+      supabase.from("movers").select("id").ilike("email", email).maybeSingle(),
+    ])
+    if (!profile) return res.status(404).json({ ok: false, error: "Profile not found" })
+
+    if (!hasEntitlement(profile.plan, "analytics")) {
+      return res.status(403).json({ ok: false, code: "PLAN_REQUIRED", error: "Analytics are available on Pro and Enterprise plans." })
+    }
+
+    const since = new Date(Date.now() - ANALYTICS_WINDOW_DAYS * 86400000).toISOString()
+
+    // mover_views keeps one row per customer and listing, so this is the
+    // number of signed-in customers who last viewed the listing in the window.
+    const viewsQuery = listing
+      ? supabase
+        .from("mover_views")
+        .select("customer_id", { count: "exact", head: true })
+        .eq("mover_id", listing.id)
+        .gte("viewed_at", since)
+      : Promise.resolve({ count: 0, error: null })
+
+    const leadQueries = LEAD_STATUSES.map((status) =>
+      supabase
+        .from("leads")
+        .select("id", { count: "exact", head: true })
+        .eq("mover_id", profile.id)
+        .eq("status", status)
+        .gte("created_at", since)
+    )
+
+    const [views, ...leadCounts] = await Promise.all([viewsQuery, ...leadQueries])
+    const failed = [views, ...leadCounts].find((r) => r.error)
+    if (failed) {
+      console.error("/api/mover/analytics query error:", failed.error.message)
+      return res.status(500).json({ ok: false, error: "Failed to load analytics" })
+    }
+
+    const leadsByStatus = Object.fromEntries(LEAD_STATUSES.map((status, i) => [status, leadCounts[i].count || 0]))
+    const totalLeads = Object.values(leadsByStatus).reduce((sum, n) => sum + n, 0)
+    const won = leadsByStatus.booked + leadsByStatus.completed
+
+    return res.json({
+      ok: true,
+      since,
+      days: ANALYTICS_WINDOW_DAYS,
+      listingViews: views.count || 0,
+      leads: { total: totalLeads, byStatus: leadsByStatus },
+      bookingRate: totalLeads ? Math.round((won / totalLeads) * 1000) / 1000 : null,
+    })
+  } catch (err) {
+    console.error("/api/mover/analytics error:", err)
     return res.status(500).json({ ok: false, error: "Server error" })
   }
 })
 
 /* ── Update profile ── */
 
-app.post("/api/update-profile", async (req, res) => {
+app.post("/api/update-profile", requireAuth("mover"), async (req, res) => {
   try {
     const {
-      email,
       full_name,
       business_name,
       phone_e164,
@@ -2014,24 +6136,45 @@ app.post("/api/update-profile", async (req, res) => {
       logo_url,
       starting_price,
       service_radius_miles,
+      deposit_amount_cents,
+      cancellation_window_hours,
+      time_zone,
+      sms_opt_in,
     } = req.body
 
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
+    const normalizedEmail = req.auth.email
 
-    const normalizedEmail = normalizeEmail(email)
+    // IANA name ("America/Chicago") — used for SMS quiet hours.
+    if (time_zone !== undefined && time_zone !== null && time_zone !== "" && !isValidTimeZone(time_zone)) {
+      return res.status(400).json({ ok: false, error: "Unknown time zone" })
+    }
+
+    if (deposit_amount_cents !== undefined && deposit_amount_cents !== null &&
+        (!Number.isInteger(Number(deposit_amount_cents)) || Number(deposit_amount_cents) < 0)) {
+      return res.status(400).json({ ok: false, error: "Deposit must be a whole number of cents" })
+    }
+    if (cancellation_window_hours !== undefined && cancellation_window_hours !== null &&
+        (!Number.isInteger(Number(cancellation_window_hours)) || Number(cancellation_window_hours) < 0)) {
+      return res.status(400).json({ ok: false, error: "Cancellation window must be a whole number of hours" })
+    }
 
     const updates = {
       full_name,
       business_name,
-      phone_e164,
+      phone_e164: phone_e164 === undefined ? undefined : profilePhone(phone_e164),
       city,
       state,
       zip,
       logo_url,
       starting_price,
       service_radius_miles,
+      deposit_amount_cents,
+      cancellation_window_hours,
+      time_zone: time_zone === "" ? null : time_zone,
+      sms_opt_in: sms_opt_in === undefined ? undefined : !!sms_opt_in,
       updated_at: new Date().toISOString(),
     }
+    if (sms_opt_in) updates.sms_opted_out_at = null
 
     Object.keys(updates).forEach((k) => {
       if (updates[k] === undefined) delete updates[k]
@@ -2049,11 +6192,7 @@ app.post("/api/update-profile", async (req, res) => {
     }
 
     // Sync to movers table instead of Airtable
-    setImmediate(() => {
-      upsertSupabaseMoverFromProfile(data).catch((e) =>
-        console.error("Movers sync failed:", e)
-      )
-    })
+    await queueMoverSync(data.id).catch((e) => console.error("Movers sync failed to queue:", e))
 
     const mover = mapProfileToMover(data)
     return res.json({ ok: true, mover, profileCompletion: mover.profileCompletion })
@@ -2120,7 +6259,7 @@ app.post("/api/signup", async (req, res) => {
         email: normalizedEmail,
         full_name: fullName || "",
         business_name: businessName || "",
-        phone_e164: phoneE164 || "",
+        phone_e164: profilePhone(phoneE164),
         zip: zipCode || "",
         sms_opt_in: !!smsOptIn,
         plan,
@@ -2140,16 +6279,13 @@ app.post("/api/signup", async (req, res) => {
     // Welcome email — sent regardless of plan (Free or paid), since the
     // account exists either way; billing/checkout happens after this.
     try {
-      await resend.emails.send({
+      await sendEmail({
         from: "PackRocket <noreply@packrocket.co>",
         to: [normalizedEmail],
-        subject: "Welcome to PackRocket! 🚛",
-        text:
-          `Hi ${fullName || businessName || "there"},\n\n` +
-          `Thanks for signing up with PackRocket as a mover! Your account is ready.\n\n` +
-          `Log in any time to complete your profile, set your service area, and start getting move requests from customers near you:\n` +
-          `${baseUrl}/dashboard?email=${encodeURIComponent(normalizedEmail)}\n\n` +
-          `Welcome aboard!\n– The PackRocket Team`,
+        ...renderEmail("mover_welcome", {
+          name: fullName || businessName,
+          dashboardUrl: `${baseUrl}/dashboard?email=${encodeURIComponent(normalizedEmail)}`,
+        }),
       })
     } catch (welcomeErr) {
       console.error("Mover welcome email failed (non-fatal):", welcomeErr?.message)
@@ -2158,17 +6294,9 @@ app.post("/api/signup", async (req, res) => {
     if (plan === "Free") {
       await supabase.from("profiles").update({ status: "active" }).eq("id", user.id)
 
-      const { data: savedProfile } = await supabase
-        .from("profiles")
-        .select("*")
-        .eq("id", user.id)
-        .maybeSingle()
-
-      if (savedProfile) {
-        await upsertSupabaseMoverFromProfile(savedProfile).catch((e) =>
-          console.error("Movers sync on Free signup failed:", e)
-        )
-      }
+      await queueMoverSync(user.id).catch((e) =>
+        console.error("Movers sync on Free signup failed to queue:", e)
+      )
 
       return res.json({ ok: true, url: `${baseUrl}/dashboard?email=${encodeURIComponent(normalizedEmail)}` })
     }
@@ -2189,20 +6317,9 @@ app.post("/api/signup", async (req, res) => {
     }
 
     // Sync to movers table
-    setImmediate(() => {
-      upsertSupabaseMoverFromProfile({
-        id: user.id,
-        email: normalizedEmail,
-        full_name: fullName || "",
-        business_name: businessName || "",
-        phone_e164: phoneE164 || "",
-        zip: zipCode || "",
-        city: "",
-        state: "",
-        logo_url: "",
-        plan,
-      }).catch((e) => console.error("Movers sync on paid signup failed:", e))
-    })
+    await queueMoverSync(user.id).catch((e) =>
+      console.error("Movers sync on paid signup failed to queue:", e)
+    )
 
     const planPath = plan === "Pro" ? "/pro" : plan === "Enterprise" ? "/enterprise" : "/starter"
     const priceId = PRICE_IDS[plan]
@@ -2250,7 +6367,13 @@ app.post("/api/login", async (req, res) => {
       })
     }
 
-    return res.json({ ok: true, email: normalizedEmail, userId: data.user.id, accessToken: data.session?.access_token || "" })
+    return res.json({
+      ok: true,
+      email: normalizedEmail,
+      userId: data.user.id,
+      accessToken: data.session?.access_token || "",
+      refreshToken: data.session?.refresh_token || "",
+    })
   } catch (err) {
     console.error("Login route error:", err)
     return res.status(500).json({ ok: false, error: "Server error" })
@@ -2259,12 +6382,9 @@ app.post("/api/login", async (req, res) => {
 
 /* ── Stripe Billing Portal ── */
 
-app.get("/api/stripe/manage-billing", async (req, res) => {
+app.get("/api/stripe/manage-billing", requireAuth("mover", { queryToken: true }), async (req, res) => {
   try {
-    const rawEmail = req.query.email
-    if (!rawEmail) return res.status(400).json({ ok: false, error: "Missing email" })
-
-    const email = normalizeEmail(rawEmail)
+    const email = req.auth.email
     const baseUrl = process.env.PUBLIC_URL || "https://packrocket.co"
 
     const { data: profile, error } = await supabase
@@ -2312,32 +6432,716 @@ app.get("/api/stripe/manage-billing", async (req, res) => {
 
 /* ── Cancel subscription ── */
 
-app.post("/api/stripe/cancel-subscription", async (req, res) => {
+app.post("/api/stripe/cancel-subscription", requireAuth("mover"), async (req, res) => {
   try {
-    const { email } = req.body || {}
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
-
     const { data: profile } = await supabase
       .from("profiles")
       .select("id, stripe_subscription_id, stripe_customer_id")
-      .ilike("email", normalizeEmail(email))
+      .ilike("email", req.auth.email)
+      .single()
+
+    if (!profile?.stripe_subscription_id) {
+      return res.status(400).json({ ok: false, error: "No active subscription found" })
+    }
+
+    const updatedSub = await stripe.subscriptions.update(profile.stripe_subscription_id, { cancel_at_period_end: true })
+
+    await supabase.from("profiles").update({
+      status: "cancelling",
+      stripe_subscription_id: updatedSub.id,
+      current_period_end: new Date(updatedSub.current_period_end * 1000).toISOString(),
+    }).eq("id", profile.id)
+
+    return res.json({ ok: true, subscriptionId: updatedSub.id, current_period_end: new Date(updatedSub.current_period_end * 1000).toISOString() })
+  } catch (err) {
+    console.error("cancel-subscription error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ==========================================================================
+   BOOKING DEPOSITS (Stripe Connect)
+
+   Movers whose plan includes bookingDeposits (lib/entitlements.js)
+   connect a Stripe Express account. A customer can
+   then pay a deposit against a specific lead through Stripe Checkout; the
+   charge goes to the mover's account (destination charge, minus our
+   BOOKING_PLATFORM_FEE_PERCENT), and the webhook's
+   checkout.session.completed handler records it and marks the lead
+   booked.
+
+   Cancellation: if the mover cancels a booked lead the deposit is always
+   refunded. If the customer cancels, it's refunded only inside the
+   mover's cancellation window — up to cancellation_window_hours before
+   the move date (default BOOKING_CANCELLATION_WINDOW_HOURS).
+
+   Requires these columns in Supabase (run once):
+
+   alter table profiles add column if not exists stripe_connect_account_id text;
+   alter table profiles add column if not exists stripe_connect_charges_enabled boolean not null default false;
+   alter table profiles add column if not exists deposit_amount_cents int;
+   alter table profiles add column if not exists cancellation_window_hours int;
+
+   alter table leads add column if not exists deposit_status text not null default 'none'
+     check (deposit_status in ('none','pending','paid','refunded'));
+   alter table leads add column if not exists deposit_amount_cents int;
+   alter table leads add column if not exists deposit_checkout_session_id text;
+   alter table leads add column if not exists deposit_payment_intent_id text;
+   alter table leads add column if not exists deposit_paid_at timestamptz;
+   alter table leads add column if not exists deposit_refunded_at timestamptz;
+   create index if not exists leads_deposit_payment_intent_idx on leads(deposit_payment_intent_id);
+
+   The Connect webhook endpoint in Stripe should point at
+   /api/stripe/webhook too, subscribed to account.updated, with its
+   secret in STRIPE_CONNECT_WEBHOOK_SECRET.
+   ========================================================================== */
+
+const DEFAULT_DEPOSIT_CENTS = parseInt(process.env.BOOKING_DEPOSIT_DEFAULT_CENTS, 10) || 10000
+const DEFAULT_CANCELLATION_WINDOW_HOURS = parseInt(process.env.BOOKING_CANCELLATION_WINDOW_HOURS, 10) || 48
+const PLATFORM_FEE_PERCENT = parseFloat(process.env.BOOKING_PLATFORM_FEE_PERCENT) || 0
+
+/* ── Start (or resume) Stripe Connect onboarding for a mover ── */
+app.post("/api/stripe/connect/onboard", requireAuth("mover", { tokenOnly: true }), async (req, res) => {
+  try {
+    const baseUrl = process.env.PUBLIC_URL || "https://packrocket.co"
+    const { data: profile } = await supabase
+      .from("profiles")
+      .select("id, email, plan, business_name, full_name, stripe_connect_account_id")
+      .eq("email", req.auth.email)
+      .maybeSingle()
+    if (!profile) return res.status(404).json({ ok: false, error: "Profile not found" })
+
+    if (!hasEntitlement(profile.plan, "bookingDeposits")) {
+      return res.status(403).json({ ok: false, code: "PLAN_REQUIRED", error: "Booking deposits are available on Pro and Enterprise plans." })
+    }
+
+    let accountId = profile.stripe_connect_account_id
+    if (!accountId) {
+      const account = await stripe.accounts.create({
+        type: "express",
+        country: "US",
+        email: profile.email,
+        business_profile: { name: profile.business_name || profile.full_name || undefined },
+        capabilities: { card_payments: { requested: true }, transfers: { requested: true } },
+        metadata: { user_id: profile.id },
+      })
+      accountId = account.id
+      await supabase.from("profiles").update({ stripe_connect_account_id: accountId }).eq("id", profile.id)
+    }
+
+    const link = await stripe.accountLinks.create({
+      account: accountId,
+      type: "account_onboarding",
+      refresh_url: `${baseUrl}/dashboard?connect=refresh`,
+      return_url: `${baseUrl}/dashboard?connect=done`,
+    })
+
+    return res.json({ ok: true, url: link.url })
+  } catch (err) {
+    console.error("/api/stripe/connect/onboard error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Connect status for the dashboard (refreshes the cached flag) ── */
+app.get("/api/stripe/connect/status", requireAuth("mover", { tokenOnly: true }), async (req, res) => {
+  try {
+    const { data: profile } = await supabase
+      .from("profiles")
+      .select("id, plan, stripe_connect_account_id, deposit_amount_cents, cancellation_window_hours")
+      .eq("email", req.auth.email)
+      .maybeSingle()
+    if (!profile) return res.status(404).json({ ok: false, error: "Profile not found" })
+
+    let chargesEnabled = false
+    let detailsSubmitted = false
+    if (profile.stripe_connect_account_id) {
+      const account = await stripe.accounts.retrieve(profile.stripe_connect_account_id)
+      chargesEnabled = !!account.charges_enabled
+      detailsSubmitted = !!account.details_submitted
+      await supabase.from("profiles").update({ stripe_connect_charges_enabled: chargesEnabled }).eq("id", profile.id)
+    }
+
+    return res.json({
+      ok: true,
+      eligible: hasEntitlement(profile.plan, "bookingDeposits"),
+      connected: !!profile.stripe_connect_account_id,
+      chargesEnabled,
+      detailsSubmitted,
+      depositAmountCents: profile.deposit_amount_cents ?? DEFAULT_DEPOSIT_CENTS,
+      cancellationWindowHours: profile.cancellation_window_hours ?? DEFAULT_CANCELLATION_WINDOW_HOURS,
+    })
+  } catch (err) {
+    console.error("/api/stripe/connect/status error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Customer pays a deposit to book the mover on a lead ── */
+app.post("/api/leads/:id/deposit-checkout", requireAuth("any", { tokenOnly: true }), async (req, res) => {
+  try {
+    const { id } = req.params
+    const baseUrl = process.env.PUBLIC_URL || "https://packrocket.co"
+
+    const ctx = await loadLeadWithContacts(id)
+    if (!ctx) return res.status(404).json({ ok: false, error: "Lead not found" })
+    if (threadRoleFor(ctx, req.auth.email) !== "customer") {
+      return res.status(403).json({ ok: false, error: "Only the customer on this lead can pay a deposit" })
+    }
+    const { lead, moverName } = ctx
+
+    // Accepting a quote books the lead, so a booked lead can still pay its
+    // deposit; only finished leads are closed to it.
+    if (lead.status !== "booked" && !canTransitionLead(lead.status, "booked")) {
+      return res.status(409).json({ ok: false, code: "INVALID_TRANSITION", error: `This lead is already ${lead.status}.` })
+    }
+
+    const { data: depositState } = await supabase
+      .from("leads")
+      .select("deposit_status")
+      .eq("id", id)
+      .maybeSingle()
+    if (depositState?.deposit_status === "paid") {
+      return res.status(409).json({ ok: false, code: "DEPOSIT_PAID", error: "The deposit for this booking is already paid." })
+    }
+
+    const { data: moverProfile } = await supabase
+      .from("profiles")
+      .select("id, plan, stripe_connect_account_id, stripe_connect_charges_enabled, deposit_amount_cents")
+      .eq("id", lead.mover_id)
+      .maybeSingle()
+    if (
+      !moverProfile ||
+      !hasEntitlement(moverProfile.plan, "bookingDeposits") ||
+      !moverProfile.stripe_connect_account_id ||
+      !moverProfile.stripe_connect_charges_enabled
+    ) {
+      return res.status(409).json({ ok: false, code: "DEPOSITS_UNAVAILABLE", error: "This mover doesn't take deposits through PackRocket." })
+    }
+
+    // Never ask for more up front than the mover's accepted quote.
+    let amountCents = moverProfile.deposit_amount_cents ?? DEFAULT_DEPOSIT_CENTS
+    const { data: acceptedQuote } = await supabase
+      .from("lead_quotes")
+      .select("total")
+      .eq("lead_id", id)
+      .eq("status", "accepted")
+      .maybeSingle()
+    if (acceptedQuote) amountCents = Math.min(amountCents, Math.round(Number(acceptedQuote.total) * 100))
+    if (amountCents < 50) {
+      return res.status(400).json({ ok: false, error: "Deposit amount is too small to charge" })
+    }
+
+    const session = await stripe.checkout.sessions.create({
+      mode: "payment",
+      customer_email: lead.customer_email || undefined,
+      line_items: [{
+        price_data: {
+          currency: "usd",
+          unit_amount: amountCents,
+          product_data: {
+            name: `Booking deposit — ${moverName}`,
+            description: lead.move_date ? `Move on ${formatDateLabel(`${lead.move_date}T00:00:00`)}` : undefined,
+          },
+        },
+        quantity: 1,
+      }],
+      payment_intent_data: {
+        application_fee_amount: PLATFORM_FEE_PERCENT
+          ? Math.round(amountCents * (PLATFORM_FEE_PERCENT / 100))
+          : undefined,
+        transfer_data: { destination: moverProfile.stripe_connect_account_id },
+        metadata: { kind: "booking_deposit", lead_id: id },
+      },
+      metadata: { kind: "booking_deposit", lead_id: id },
+      success_url: `${baseUrl}/messages?lead=${id}&deposit=success`,
+      cancel_url: `${baseUrl}/messages?lead=${id}&deposit=canceled`,
+    })
+
+    await supabase.from("leads").update({
+      deposit_status: "pending",
+      deposit_amount_cents: amountCents,
+      deposit_checkout_session_id: session.id,
+    }).eq("id", id)
+
+    return res.json({ ok: true, url: session.url })
+  } catch (err) {
+    console.error("/api/leads/:id/deposit-checkout error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+// checkout.session.completed for a deposit session: record the payment,
+// book the lead, and let the mover know.
+async function recordDepositPayment(session) {
+  const leadId = session.metadata?.lead_id
+  if (!leadId || session.payment_status !== "paid") return
+
+  // Only the first delivery of the event records it (Stripe can repeat
+  // one, and a failed stripe.event job is retried).
+  const { data: claimed, error: claimErr } = await supabase.from("leads").update({
+    deposit_status: "paid",
+    deposit_amount_cents: session.amount_total,
+    deposit_payment_intent_id: session.payment_intent || null,
+    deposit_paid_at: new Date().toISOString(),
+  }).eq("id", leadId).or("deposit_status.is.null,deposit_status.neq.paid").select("id")
+  if (claimErr) throw new Error(`Deposit update failed: ${claimErr.message}`)
+  if (!claimed?.length) return
+
+  const ctx = await loadLeadWithContacts(leadId)
+  if (!ctx) return
+  const { lead, moverEmail } = ctx
+
+  if (lead.status !== "booked") {
+    const result = await transitionLeadStatus(lead, "booked", { actor: "customer" })
+    if (!result.ok) console.warn(`Deposit paid on lead ${leadId} but couldn't mark it booked:`, result.error)
+  }
+
+  await supabase.from("lead_messages").insert([{
+    lead_id: leadId,
+    sender_type: "customer",
+    message_type: "deposit_paid",
+    body: `Paid a ${formatUsd(session.amount_total / 100)} booking deposit`,
+  }])
+
+  try {
+    if (moverEmail) {
+      await sendEmail({
+        from: "PackRocket <leads@packrocket.co>",
+        to: [moverEmail],
+        bcc: process.env.LEADS_BCC_EMAIL ? [process.env.LEADS_BCC_EMAIL] : undefined,
+        ...renderEmail("deposit_paid", {
+          customerName: lead.customer_name,
+          amount: formatUsd(session.amount_total / 100),
+          moveDateLabel: lead.move_date ? formatDateLabel(`${lead.move_date}T00:00:00`) : null,
+          customerPhone: lead.customer_phone,
+        }),
+      })
+    }
+  } catch (emailErr) {
+    console.error("Deposit notification email failed (non-fatal):", emailErr?.message)
+  }
+  console.log("✅ Booking deposit recorded for lead:", leadId)
+}
+
+// Called after a booked lead is cancelled. Mover cancellations always
+// refund; customer cancellations refund only inside the mover's window.
+// Returns true when a refund was issued.
+async function refundDepositIfEligible(leadId, cancelledBy) {
+  const { data: lead } = await supabase
+    .from("leads")
+    .select("id, mover_id, move_date, deposit_status, deposit_payment_intent_id")
+    .eq("id", leadId)
+    .maybeSingle()
+  if (!lead || lead.deposit_status !== "paid" || !lead.deposit_payment_intent_id) return false
+
+  if (cancelledBy !== "mover" && lead.move_date) {
+    const { data: moverProfile } = await supabase
+      .from("profiles")
+      .select("cancellation_window_hours")
+      .eq("id", lead.mover_id)
+      .maybeSingle()
+    const windowHours = moverProfile?.cancellation_window_hours ?? DEFAULT_CANCELLATION_WINDOW_HOURS
+    const cutoff = new Date(`${lead.move_date}T00:00:00`).getTime() - windowHours * 60 * 60 * 1000
+    if (Date.now() > cutoff) return false
+  }
+
+  await stripe.refunds.create({
+    payment_intent: lead.deposit_payment_intent_id,
+    reverse_transfer: true,
+    refund_application_fee: true,
+  })
+  await supabase.from("leads").update({
+    deposit_status: "refunded",
+    deposit_refunded_at: new Date().toISOString(),
+  }).eq("id", leadId)
+
+  console.log("✅ Booking deposit refunded for lead:", leadId)
+  return true
+}
+
+/* ==========================================================================
+   SPONSORED SLOTS — featured placement in search, sold per metro area
+
+   A mover whose plan includes featuredPlacement (lib/entitlements.js)
+   can buy a sponsored slot for an area: either a ZIP prefix ("366" —
+   the first 3–5 digits) or a radius around a ZIP. Each slot is its own
+   Stripe subscription on STRIPE_PRICE_SPONSORED_SLOT, separate from the
+   mover's plan subscription, tagged with metadata.kind = "sponsored_slot"
+   so the webhook routes its events here instead of to the profile.
+
+   Active sponsors whose area covers the search are pinned above the
+   organic results on the first page of /api/movers and
+   /api/movers/nearby, labeled Sponsored. When more sponsors match than
+   SPONSORED_SLOTS_PER_SEARCH, the least recently shown go first, so
+   everyone paying for an area gets the same share of searches.
+
+   A slot leaves search as soon as its subscription stops being paid
+   (past_due / unpaid / canceled) and comes back if it recovers.
+
+   Requires this table in Supabase (run once):
+
+   create table if not exists sponsored_slots (
+     id uuid primary key default gen_random_uuid(),
+     profile_id uuid not null references profiles(id) on delete cascade,
+     area_type text not null check (area_type in ('zip_prefix','radius')),
+     zip_prefix text,
+     center_zip text,
+     center_lat double precision,
+     center_lng double precision,
+     radius_miles int,
+     status text not null default 'pending'
+       check (status in ('pending','active','lapsed','canceled')),
+     stripe_subscription_id text unique,
+     current_period_end timestamptz,
+     last_shown_at timestamptz,
+     created_at timestamptz not null default now()
+   );
+   create index if not exists sponsored_slots_status_idx on sponsored_slots(status);
+
+   -- Which of some movers a ?q= keyword search matches — the same test
+   -- search_movers uses, so a sponsor is only pinned where it would
+   -- have shown up anyway:
+   create or replace function movers_matching_keywords(p_ids uuid[], p_q text)
+   returns table (id uuid)
+   language sql stable as $$
+     select m.id from movers m
+     where m.id = any (p_ids)
+       and (mover_search_tsv(m.name, m.services, m.features, m.service_areas, m.description) @@ mover_search_tsquery(p_q)
+            or lower(p_q) <% mover_search_text(m.name, m.services, m.features, m.service_areas, m.description))
+   $$;
+   ========================================================================== */
+
+const SPONSORED_SLOTS_PER_SEARCH = 2
+const SPONSORED_RADIUS_MIN_MILES = 5
+const SPONSORED_RADIUS_MAX_MILES = 100
+const SPONSORSHIP_KIND = "sponsored_slot"
+
+const SPONSORSHIP_STATUS_MAP = {
+  active: "active",
+  trialing: "active",
+  past_due: "lapsed",
+  unpaid: "lapsed",
+  paused: "lapsed",
+  incomplete: "pending",
+  incomplete_expired: "canceled",
+  canceled: "canceled",
+}
+
+function milesBetween(lat1, lng1, lat2, lng2) {
+  const toRad = (d) => (d * Math.PI) / 180
+  const a =
+    Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2
+  return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+}
+
+function mapSponsoredSlotToPublic(slot) {
+  return {
+    id: slot.id,
+    areaType: slot.area_type,
+    zipPrefix: slot.zip_prefix,
+    centerZip: slot.center_zip,
+    radiusMiles: slot.radius_miles,
+    status: slot.status,
+    currentPeriodEnd: slot.current_period_end,
+    createdAt: slot.created_at,
+  }
+}
+
+// Stripe objects for a sponsored slot: checkout sessions and
+// subscriptions carry the metadata directly, invoices via
+// subscription_details.
+function isSponsorshipEvent(event) {
+  const obj = event.data.object
+  return obj?.metadata?.kind === SPONSORSHIP_KIND ||
+    obj?.subscription_details?.metadata?.kind === SPONSORSHIP_KIND
+}
+
+async function handleSponsorshipEvent(event) {
+  const obj = event.data.object
+
+  if (event.type === "checkout.session.completed") {
+    if (!obj.metadata?.slot_id || !obj.subscription) return
+    const sub = await stripe.subscriptions.retrieve(obj.subscription)
+    const { error } = await supabase.from("sponsored_slots").update({
+      status: SPONSORSHIP_STATUS_MAP[sub.status] || "active",
+      stripe_subscription_id: sub.id,
+      current_period_end: new Date(sub.current_period_end * 1000).toISOString(),
+    }).eq("id", obj.metadata.slot_id)
+    if (error) throw new Error(`Sponsored slot update failed: ${error.message}`)
+    console.log("✅ Sponsored slot activated:", obj.metadata.slot_id)
+    return
+  }
+
+  if (event.type === "customer.subscription.updated" || event.type === "customer.subscription.deleted") {
+    const status = event.type === "customer.subscription.deleted"
+      ? "canceled"
+      : SPONSORSHIP_STATUS_MAP[obj.status] || "active"
+    const { error } = await supabase.from("sponsored_slots").update({
+      status,
+      current_period_end: new Date(obj.current_period_end * 1000).toISOString(),
+    }).eq("stripe_subscription_id", obj.id)
+    if (error) throw new Error(`Sponsored slot update failed: ${error.message}`)
+    if (status !== "active") console.log(`Sponsored slot for ${obj.id} is now ${status} — removed from search`)
+    return
+  }
+
+  if (event.type === "invoice.paid" && obj.subscription) {
+    const sub = await stripe.subscriptions.retrieve(obj.subscription)
+    const { error } = await supabase.from("sponsored_slots").update({
+      status: "active",
+      current_period_end: new Date(sub.current_period_end * 1000).toISOString(),
+    }).eq("stripe_subscription_id", sub.id)
+    if (error) throw new Error(`Sponsored slot update failed: ${error.message}`)
+    return
+  }
+
+  if (event.type === "invoice.payment_failed" && obj.subscription) {
+    const { error } = await supabase.from("sponsored_slots").update({ status: "lapsed" }).eq("stripe_subscription_id", obj.subscription)
+    if (error) throw new Error(`Sponsored slot update failed: ${error.message}`)
+  }
+}
+
+// Would this mover row show up under the search's filters? Sponsors are
+// pinned outside the search_movers query, so they're checked here —
+// all but ?q= keywords, which pickSponsoredMovers() checks in SQL.
+function moverMatchesSearchFilters(mover, filters, excludeEmails) {
+  if (!filters) return true
+  const list = (v) => String(v || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean)
+  const price = mover.starting_price === null || mover.starting_price === "" ? null : Number(mover.starting_price)
+
+  if (filters.minRating !== null && (Number(mover.rating) || 0) < filters.minRating) return false
+  if (filters.maxPrice !== null && (price === null || price > filters.maxPrice)) return false
+  if (filters.crewType && (mover.crew_type || "truck") !== filters.crewType) return false
+  if (filters.services && !filters.services.every((s) => list(mover.services).includes(s))) return false
+  if (filters.features && !filters.features.every((f) => list(mover.features).includes(f))) return false
+  if (filters.verifiedOnly && !(mover.verified === true || mover.verified === "true" || mover.verified === "checked")) return false
+  if (excludeEmails?.includes(normalizeEmail(mover.email))) return false
+  return true
+}
+
+/*
+  Sponsored movers to pin above a search centered on lat/lng (zip, when
+  the customer searched by ZIP). Returns up to SPONSORED_SLOTS_PER_SEARCH
+  public movers rows with _sponsored and _distanceMiles set, and marks
+  them shown for rotation. Never throws — a sponsor lookup failure
+  shouldn't break search.
+*/
+async function pickSponsoredMovers({ lat, lng, zip = null, filters = null, excludeEmails = null }) {
+  try {
+    const { data: slots, error } = await supabase
+      .from("sponsored_slots")
+      .select("id, profile_id, area_type, zip_prefix, center_lat, center_lng, radius_miles, last_shown_at")
+      .eq("status", "active")
+      .gt("current_period_end", new Date().toISOString())
+    if (error) throw error
+    if (!slots?.length) return []
+
+    const searchZip = isZip(zip) ? String(zip).trim() : nearestZip(lat, lng)
+    const matching = slots.filter((slot) =>
+      slot.area_type === "zip_prefix"
+        ? !!searchZip && !!slot.zip_prefix && searchZip.startsWith(slot.zip_prefix)
+        : isFinite(slot.center_lat) && isFinite(slot.center_lng) &&
+          milesBetween(lat, lng, slot.center_lat, slot.center_lng) <= slot.radius_miles
+    )
+    if (!matching.length) return []
+
+    // One pin per mover even if they bought overlapping areas; the slot
+    // shown least recently represents them.
+    const byProfile = {}
+    for (const slot of matching) {
+      const current = byProfile[slot.profile_id]
+      if (!current || (slot.last_shown_at || "") < (current.last_shown_at || "")) byProfile[slot.profile_id] = slot
+    }
+
+    const { data: profiles } = await supabase
+      .from("profiles")
+      .select("id, email")
+      .in("id", Object.keys(byProfile))
+    const emailByProfile = Object.fromEntries((profiles || []).map((p) => [p.id, normalizeEmail(p.email)]))
+
+    const { data: movers } = await onlyPublicMovers(
+      supabase.from("movers").select("*")
+    ).in("email", Object.values(emailByProfile).filter(Boolean))
+    const moverByEmail = Object.fromEntries((movers || []).map((m) => [normalizeEmail(m.email), m]))
+
+    let candidates = Object.values(byProfile)
+      .map((slot) => ({ slot, mover: moverByEmail[emailByProfile[slot.profile_id]] }))
+      .filter(({ mover }) => mover && moverMatchesSearchFilters(mover, filters, excludeEmails))
+    if (filters?.keywords && candidates.length) {
+      const { data: matches, error: matchErr } = await supabase.rpc("movers_matching_keywords", {
+        p_ids: candidates.map(({ mover }) => mover.id),
+        p_q: filters.keywords,
+      })
+      if (matchErr) throw matchErr
+      const matchedIds = new Set((matches || []).map((m) => String(m.id)))
+      candidates = candidates.filter(({ mover }) => matchedIds.has(String(mover.id)))
+    }
+
+    const picked = candidates
+      .sort((a, b) => (a.slot.last_shown_at || "").localeCompare(b.slot.last_shown_at || ""))
+      .slice(0, SPONSORED_SLOTS_PER_SEARCH)
+    if (!picked.length) return []
+
+    await supabase
+      .from("sponsored_slots")
+      .update({ last_shown_at: new Date().toISOString() })
+      .in("id", picked.map(({ slot }) => slot.id))
+
+    return picked.map(({ mover }) => ({
+      ...mover,
+      _sponsored: true,
+      _distanceMiles: isFinite(mover.lat) && isFinite(mover.lng) && mover.lat !== null && mover.lng !== null
+        ? Math.round(milesBetween(lat, lng, mover.lat, mover.lng) * 10) / 10
+        : null,
+    }))
+  } catch (err) {
+    console.error("pickSponsoredMovers failed (non-fatal):", err?.message)
+    return []
+  }
+}
+
+// Pins sponsors above a page of mapped records, dropping their organic
+// duplicate from the page.
+function withSponsoredPins(sponsors, records) {
+  if (!sponsors.length) return records
+  const pinnedIds = new Set(sponsors.map((m) => String(m.id)))
+  return [
+    ...sponsors.map((m) => mapMoverToAirtableShape(m)),
+    ...records.filter((r) => !pinnedIds.has(String(r.id))),
+  ]
+}
+
+/* ── The signed-in mover's sponsored slots ── */
+app.get("/api/sponsorships", requireAuth("mover", { tokenOnly: true }), async (req, res) => {
+  try {
+    const profileId = await loadProfileIdByEmail(req.auth.email)
+    if (!profileId) return res.status(404).json({ ok: false, error: "Profile not found" })
+
+    const { data: slots, error } = await supabase
+      .from("sponsored_slots")
+      .select("*")
+      .eq("profile_id", profileId)
+      .neq("status", "pending")
+      .order("created_at", { ascending: false })
+    if (error) return res.status(500).json({ ok: false, error: "Failed to load sponsorships" })
+
+    return res.json({ ok: true, slots: (slots || []).map(mapSponsoredSlotToPublic) })
+  } catch (err) {
+    console.error("/api/sponsorships error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Buy a sponsored slot: { zipPrefix } or { zip, radiusMiles } ── */
+app.post("/api/sponsorships/checkout", requireAuth("mover", { tokenOnly: true }), async (req, res) => {
+  try {
+    const baseUrl = process.env.PUBLIC_URL || "https://packrocket.co"
+    const { zipPrefix, zip, radiusMiles } = req.body || {}
+
+    if (!PRICE_IDS.SponsoredSlot) {
+      return res.status(500).json({ ok: false, code: "STRIPE_PRICE_MISSING", error: "Sponsored slot price not configured" })
+    }
+
+    const { data: profile } = await supabase
+      .from("profiles")
+      .select("id, email, plan, stripe_customer_id")
+      .eq("email", req.auth.email)
+      .maybeSingle()
+    if (!profile) return res.status(404).json({ ok: false, error: "Profile not found" })
+
+    if (!hasEntitlement(profile.plan, "featuredPlacement")) {
+      return res.status(403).json({ ok: false, code: "PLAN_REQUIRED", error: "Sponsored placement is available on Pro and Enterprise plans." })
+    }
+
+    const slotRow = { profile_id: profile.id, status: "pending" }
+    if (zipPrefix !== undefined && zipPrefix !== "") {
+      const prefix = String(zipPrefix).trim()
+      if (!/^\d{3,5}$/.test(prefix)) {
+        return res.status(400).json({ ok: false, error: "zipPrefix must be 3–5 digits" })
+      }
+      slotRow.area_type = "zip_prefix"
+      slotRow.zip_prefix = prefix
+    } else {
+      const radius = Number(radiusMiles)
+      if (!isZip(zip) || !Number.isInteger(radius) || radius < SPONSORED_RADIUS_MIN_MILES || radius > SPONSORED_RADIUS_MAX_MILES) {
+        return res.status(400).json({
+          ok: false,
+          error: `Send zipPrefix, or zip with radiusMiles (${SPONSORED_RADIUS_MIN_MILES}–${SPONSORED_RADIUS_MAX_MILES})`,
+        })
+      }
+      const center = lookupZipCentroid(zip)
+      if (!center) return res.status(400).json({ ok: false, error: "Unknown ZIP code" })
+      slotRow.area_type = "radius"
+      slotRow.center_zip = String(zip).trim()
+      slotRow.center_lat = center.lat
+      slotRow.center_lng = center.lng
+      slotRow.radius_miles = radius
+    }
+
+    let stripeCustomerId = profile.stripe_customer_id
+    if (!stripeCustomerId) {
+      const customer = await stripe.customers.create({ email: profile.email, metadata: { user_id: profile.id } })
+      stripeCustomerId = customer.id
+      await supabase.from("profiles").update({ stripe_customer_id: customer.id }).eq("id", profile.id)
+    }
+
+    const { data: slot, error: insertErr } = await supabase
+      .from("sponsored_slots")
+      .insert([slotRow])
+      .select("id")
       .single()
+    if (insertErr || !slot) return res.status(500).json({ ok: false, error: "Failed to create sponsorship" })
+
+    const metadata = { kind: SPONSORSHIP_KIND, slot_id: slot.id, user_id: profile.id }
+    const session = await stripe.checkout.sessions.create({
+      mode: "subscription",
+      customer: stripeCustomerId,
+      line_items: [{ price: PRICE_IDS.SponsoredSlot, quantity: 1 }],
+      metadata,
+      subscription_data: { metadata },
+      success_url: `${baseUrl}/dashboard?sponsorship=success`,
+      cancel_url: `${baseUrl}/dashboard?sponsorship=canceled`,
+    })
+
+    if (!session?.url) {
+      return res.status(500).json({ ok: false, code: "STRIPE_URL_MISSING", error: "We couldn't start checkout. Please try again." })
+    }
+
+    return res.json({ ok: true, url: session.url, slotId: slot.id })
+  } catch (err) {
+    console.error("/api/sponsorships/checkout error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
 
-    if (!profile?.stripe_subscription_id) {
-      return res.status(400).json({ ok: false, error: "No active subscription found" })
-    }
+/* ── Cancel a sponsored slot at the end of its billing period ── */
+app.post("/api/sponsorships/:id/cancel", requireAuth("mover", { tokenOnly: true }), async (req, res) => {
+  try {
+    const profileId = await loadProfileIdByEmail(req.auth.email)
+    if (!profileId) return res.status(404).json({ ok: false, error: "Profile not found" })
 
-    const updatedSub = await stripe.subscriptions.update(profile.stripe_subscription_id, { cancel_at_period_end: true })
+    const { data: slot } = await supabase
+      .from("sponsored_slots")
+      .select("*")
+      .eq("id", req.params.id)
+      .eq("profile_id", profileId)
+      .maybeSingle()
+    if (!slot) return res.status(404).json({ ok: false, error: "Sponsorship not found" })
+    if (!slot.stripe_subscription_id || slot.status === "canceled") {
+      return res.status(400).json({ ok: false, error: "This sponsorship isn't active" })
+    }
 
-    await supabase.from("profiles").update({
-      status: "cancelling",
-      stripe_subscription_id: updatedSub.id,
-      current_period_end: new Date(updatedSub.current_period_end * 1000).toISOString(),
-    }).eq("id", profile.id)
+    const updatedSub = await stripe.subscriptions.update(slot.stripe_subscription_id, { cancel_at_period_end: true })
 
-    return res.json({ ok: true, subscriptionId: updatedSub.id, current_period_end: new Date(updatedSub.current_period_end * 1000).toISOString() })
+    return res.json({
+      ok: true,
+      slot: mapSponsoredSlotToPublic(slot),
+      endsAt: new Date(updatedSub.current_period_end * 1000).toISOString(),
+    })
   } catch (err) {
-    console.error("cancel-subscription error:", err)
+    console.error("/api/sponsorships/:id/cancel error:", err)
     return res.status(500).json({ ok: false, error: "Server error" })
   }
 })
@@ -2383,10 +7187,11 @@ app.get("/api/_debug", (_req, res) => {
 })
 /* ── Update account email ── */
 
-app.post("/api/update-email", async (req, res) => {
+app.post("/api/update-email", requireAuth("mover"), async (req, res) => {
   try {
-    const { email, newEmail } = req.body || {}
-    if (!email || !newEmail) {
+    const email = req.auth.email
+    const { newEmail } = req.body || {}
+    if (!newEmail) {
       return res.status(400).json({ ok: false, error: "Missing fields" })
     }
     const normalizedNew = normalizeEmail(newEmail)
@@ -2419,12 +7224,11 @@ app.post("/api/support", async (req, res) => {
     if (!name || !email || !message) {
       return res.status(400).json({ ok: false, error: "Missing fields" })
     }
-    await resend.emails.send({
+    await sendEmail({
       from: "PackRocket Support <leads@packrocket.co>",
       to: [process.env.LEADS_BCC_EMAIL],
       replyTo: email,
-      subject: `Support: ${subject || "General"} — ${name}`,
-      text: `Name: ${name}\nEmail: ${email}\nSubject: ${subject}\n\n${message}`,
+      ...renderEmail("support_request", { name, email, subject, message }),
     })
     return res.json({ ok: true })
   } catch (err) {
@@ -2443,10 +7247,10 @@ app.post("/api/support", async (req, res) => {
    Run 1_supabase_migration.sql in Supabase before this will work — it
    creates `customers`, `saved_movers`, and adds `customer_id` to `reviews`.
 
-   Auth model note: like the rest of this file (/api/update-profile,
-   /api/leads, etc.), these routes identify the customer by email in the
-   request body rather than a bearer token, matching the existing security
-   model of the app.
+   Auth model note: like the mover routes, these identify the customer
+   through requireAuth("customer") — the accessToken from
+   /api/customer/login, or (AUTH_MODE=transitional only) the old email
+   field. See the AUTH section near the top of this file.
    ========================================================================== */
 
 function mapCustomerToPublic(row) {
@@ -2527,17 +7331,10 @@ app.post("/api/customer/signup", async (req, res) => {
     }
 
     try {
-      const baseUrl = process.env.PUBLIC_URL || "https://packrocket.co"
-      await resend.emails.send({
+      await sendEmail({
         from: "PackRocket <noreply@packrocket.co>",
         to: [normalizedEmail],
-        subject: "Welcome to PackRocket! 🎉",
-        text:
-          `Hi ${fullName || "there"},\n\n` +
-          `Thanks for signing up with PackRocket! You're all set to search for movers, ` +
-          `message them directly, and keep track of your upcoming move.\n\n` +
-          `Head back to PackRocket any time to get started:\n${baseUrl}/results\n\n` +
-          `Welcome aboard!\n– The PackRocket Team`,
+        ...renderEmail("customer_welcome", { name: fullName }),
       })
     } catch (welcomeErr) {
       console.error("Customer welcome email failed (non-fatal):", welcomeErr?.message)
@@ -2580,7 +7377,12 @@ app.post("/api/customer/login", async (req, res) => {
       return res.status(400).json({ ok: false, error: "We couldn't find a customer account for this email." })
     }
 
-    return res.json({ ok: true, customer: mapCustomerToPublic(customerRow) })
+    return res.json({
+      ok: true,
+      customer: mapCustomerToPublic(customerRow),
+      accessToken: data.session?.access_token || "",
+      refreshToken: data.session?.refresh_token || "",
+    })
   } catch (err) {
     console.error("/api/customer/login error:", err)
     return res.status(500).json({ ok: false, error: "Server error" })
@@ -2592,10 +7394,9 @@ app.post("/api/customer/login", async (req, res) => {
    never made it back to localStorage because the tab navigated away
    mid-request) — the cache is a starting point, this is the source of
    truth. ── */
-app.get("/api/customer/me", async (req, res) => {
+app.get("/api/customer/me", requireAuth("customer"), async (req, res) => {
   try {
-    const email = normalizeEmail(req.query.email)
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
+    const email = req.auth.email
 
     const { data: customerRow } = await supabase
       .from("customers")
@@ -2613,10 +7414,9 @@ app.get("/api/customer/me", async (req, res) => {
 })
 
 /* ── Update customer profile ── */
-app.post("/api/customer/update-profile", async (req, res) => {
+app.post("/api/customer/update-profile", requireAuth("customer"), async (req, res) => {
   try {
-    const { email, fullName, phone } = req.body || {}
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
+    const { fullName, phone } = req.body || {}
 
     const updates = { updated_at: new Date().toISOString() }
     if (fullName !== undefined) updates.full_name = fullName
@@ -2625,7 +7425,7 @@ app.post("/api/customer/update-profile", async (req, res) => {
     const { data, error } = await supabase
       .from("customers")
       .update(updates)
-      .eq("email", normalizeEmail(email))
+      .eq("email", req.auth.email)
       .select("*")
       .single()
 
@@ -2639,11 +7439,10 @@ app.post("/api/customer/update-profile", async (req, res) => {
 })
 
 /* ── Upload customer avatar ── */
-app.post("/api/customer/avatar", upload.single("file"), async (req, res) => {
+app.post("/api/customer/avatar", requireAuth("customer"), upload.single("file"), async (req, res) => {
   try {
-    const email = normalizeEmail(req.body.email)
+    const email = req.auth.email
     const file = req.file
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
     if (!file) return res.status(400).json({ ok: false, error: "Missing file" })
 
     const ext = (file.originalname || "avatar.jpg").split(".").pop()
@@ -2672,12 +7471,9 @@ app.post("/api/customer/avatar", upload.single("file"), async (req, res) => {
 })
 
 /* ── Delete customer account ── */
-app.post("/api/customer/delete-account", async (req, res) => {
+app.post("/api/customer/delete-account", requireAuth("customer"), async (req, res) => {
   try {
-    const { email } = req.body || {}
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
-
-    const normalizedEmail = normalizeEmail(email)
+    const normalizedEmail = req.auth.email
     const { data: customerRow } = await supabase
       .from("customers")
       .select("id")
@@ -2700,10 +7496,9 @@ app.post("/api/customer/delete-account", async (req, res) => {
 })
 
 /* ── Saved movers: list ── */
-app.get("/api/customer/saved-movers", async (req, res) => {
+app.get("/api/customer/saved-movers", requireAuth("customer"), async (req, res) => {
   try {
-    const email = normalizeEmail(req.query.email)
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
+    const email = req.auth.email
 
     const { data: customerRow } = await supabase
       .from("customers")
@@ -2739,15 +7534,15 @@ app.get("/api/customer/saved-movers", async (req, res) => {
 })
 
 /* ── Saved movers: add ── */
-app.post("/api/customer/saved-movers", async (req, res) => {
+app.post("/api/customer/saved-movers", requireAuth("customer"), async (req, res) => {
   try {
-    const { email, moverId } = req.body || {}
-    if (!email || !moverId) return res.status(400).json({ ok: false, error: "Missing email or moverId" })
+    const { moverId } = req.body || {}
+    if (!moverId) return res.status(400).json({ ok: false, error: "Missing moverId" })
 
     const { data: customerRow } = await supabase
       .from("customers")
       .select("id")
-      .eq("email", normalizeEmail(email))
+      .eq("email", req.auth.email)
       .maybeSingle()
     if (!customerRow) return res.status(404).json({ ok: false, error: "Account not found" })
 
@@ -2765,15 +7560,15 @@ app.post("/api/customer/saved-movers", async (req, res) => {
 })
 
 /* ── Saved movers: remove ── */
-app.delete("/api/customer/saved-movers", async (req, res) => {
+app.delete("/api/customer/saved-movers", requireAuth("customer"), async (req, res) => {
   try {
-    const { email, moverId } = req.body || {}
-    if (!email || !moverId) return res.status(400).json({ ok: false, error: "Missing email or moverId" })
+    const { moverId } = req.body || {}
+    if (!moverId) return res.status(400).json({ ok: false, error: "Missing moverId" })
 
     const { data: customerRow } = await supabase
       .from("customers")
       .select("id")
-      .eq("email", normalizeEmail(email))
+      .eq("email", req.auth.email)
       .maybeSingle()
     if (!customerRow) return res.status(404).json({ ok: false, error: "Account not found" })
 
@@ -2794,13 +7589,16 @@ app.delete("/api/customer/saved-movers", async (req, res) => {
    "upcoming moves" and "messages", since they're the same underlying
    leads table — a lead is created any time a customer sends a request
    or message to a mover via /api/leads or /api/message). ── */
-async function fetchCustomerLeads(email) {
-  const { data: leadsRows, error } = await supabase
+async function fetchCustomerLeads(email, { statuses = [] } = {}) {
+  let leadsQuery = supabase
     .from("leads")
-    .select("id, mover_id, move_date, pickup_address, dropoff_address, home_size, notes, sent_status, sent_at, created_at")
+    .select("id, mover_id, quote_request_id, move_date, pickup_address, dropoff_address, home_size, notes, sent_status, status, status_updated_at, sent_at, created_at")
     .ilike("customer_email", email)
     .order("created_at", { ascending: false })
     .limit(100)
+  if (statuses.length) leadsQuery = leadsQuery.in("status", statuses)
+
+  const { data: leadsRows, error } = await leadsQuery
 
   if (error || !leadsRows?.length) return []
 
@@ -2847,6 +7645,7 @@ async function fetchCustomerLeads(email) {
     return {
       id: l.id,
       moverId: l.mover_id,
+      quoteRequestId: l.quote_request_id || null,
       moverName: mover ? (mover.business_name || mover.full_name || "Mover") : "Mover",
       moverLogo: mover?.logo_url || "",
       moverPhoto: listing?.hero_photo_url || "",
@@ -2858,6 +7657,8 @@ async function fetchCustomerLeads(email) {
       homeSize: l.home_size,
       notes: l.notes,
       sentStatus: l.sent_status,
+      status: l.status || "new",
+      statusUpdatedAt: l.status_updated_at || null,
       createdAt: l.created_at,
       lastMessage: lastByLead[l.id]
         ? { body: lastByLead[l.id].body, senderType: lastByLead[l.id].sender_type, createdAt: lastByLead[l.id].created_at }
@@ -2868,16 +7669,43 @@ async function fetchCustomerLeads(email) {
 }
 
 /* ── Upcoming / past moves ── */
-app.get("/api/customer/moves", async (req, res) => {
+app.get("/api/customer/moves", requireAuth("customer"), async (req, res) => {
   try {
-    const email = normalizeEmail(req.query.email)
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
-    const leads = await fetchCustomerLeads(email)
+    const email = req.auth.email
+    const statuses = parseLeadStatusFilter(req.query.status)
+    if (!statuses) return res.status(400).json({ ok: false, error: "Invalid status filter" })
+    const leads = await fetchCustomerLeads(email, { statuses })
     const today = new Date().toISOString().slice(0, 10)
+
+    // upcoming/past list every lead, as they always have. Leads that
+    // came from one multi-mover quote request are also grouped under it
+    // in quoteRequests (each mover's lead is one "response").
+    const quoteRequestIds = [...new Set(leads.map((l) => l.quoteRequestId).filter(Boolean))]
+    let quoteRequests = []
+    if (quoteRequestIds.length) {
+      const { data: qrRows } = await supabase
+        .from("quote_requests")
+        .select("id, move_date, pickup_address, dropoff_address, home_size, notes, created_at")
+        .in("id", quoteRequestIds)
+        .order("created_at", { ascending: false })
+      quoteRequests = (qrRows || []).map((qr) => ({
+        id: qr.id,
+        moveDate: qr.move_date,
+        pickupAddress: qr.pickup_address,
+        dropoffAddress: qr.dropoff_address,
+        homeSize: qr.home_size,
+        notes: qr.notes,
+        createdAt: qr.created_at,
+        upcoming: !!qr.move_date && qr.move_date >= today,
+        responses: leads.filter((l) => l.quoteRequestId === qr.id),
+      }))
+    }
+
     return res.json({
       ok: true,
       upcoming: leads.filter((l) => l.moveDate && l.moveDate >= today),
       past: leads.filter((l) => !l.moveDate || l.moveDate < today),
+      quoteRequests,
     })
   } catch (err) {
     console.error("/api/customer/moves error:", err)
@@ -2886,10 +7714,9 @@ app.get("/api/customer/moves", async (req, res) => {
 })
 
 /* ── Recent messages / requests sent by this customer ── */
-app.get("/api/customer/messages", async (req, res) => {
+app.get("/api/customer/messages", requireAuth("customer"), async (req, res) => {
   try {
-    const email = normalizeEmail(req.query.email)
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
+    const email = req.auth.email
     const leads = await fetchCustomerLeads(email)
     return res.json({ ok: true, messages: leads })
   } catch (err) {
@@ -2899,10 +7726,9 @@ app.get("/api/customer/messages", async (req, res) => {
 })
 
 /* ── Reviews left by this customer (across all movers) ── */
-app.get("/api/customer/reviews", async (req, res) => {
+app.get("/api/customer/reviews", requireAuth("customer"), async (req, res) => {
   try {
-    const email = normalizeEmail(req.query.email)
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
+    const email = req.auth.email
 
     const { data: customerRow } = await supabase
       .from("customers")
@@ -2913,7 +7739,7 @@ app.get("/api/customer/reviews", async (req, res) => {
 
     const { data: reviewRows, error } = await supabase
       .from("reviews")
-      .select("id, mover_id, rating, comment, created_at")
+      .select("id, mover_id, rating, comment, status, verified_booking, created_at")
       .eq("customer_id", customerRow.id)
       .order("created_at", { ascending: false })
 
@@ -2932,6 +7758,8 @@ app.get("/api/customer/reviews", async (req, res) => {
       moverLogo: moversById[r.mover_id]?.logo_url || "",
       rating: r.rating,
       comment: r.comment,
+      status: r.status || "approved",
+      verifiedBooking: !!r.verified_booking,
       createdAt: r.created_at,
     }))
 
@@ -2943,25 +7771,27 @@ app.get("/api/customer/reviews", async (req, res) => {
 })
 
 /* ── Edit an existing review (only the customer who wrote it) ── */
-app.post("/api/reviews/:id/update", async (req, res) => {
+app.post("/api/reviews/:id/update", requireAuth("customer"), async (req, res) => {
   try {
     const { id } = req.params
-    const { email, rating, comment } = req.body || {}
-    if (!id || !email) return res.status(400).json({ ok: false, error: "Missing id or email" })
+    const { rating, comment, ratings } = req.body || {}
+    if (!id) return res.status(400).json({ ok: false, error: "Missing id" })
     if (rating !== undefined && (rating < 1 || rating > 5)) {
       return res.status(400).json({ ok: false, error: "Rating must be 1-5" })
     }
+    const subRatings = parseSubRatings(ratings)
+    if (subRatings.error) return res.status(400).json({ ok: false, error: subRatings.error })
 
     const { data: customerRow } = await supabase
       .from("customers")
       .select("id")
-      .eq("email", normalizeEmail(email))
+      .eq("email", req.auth.email)
       .maybeSingle()
     if (!customerRow) return res.status(404).json({ ok: false, error: "Account not found" })
 
     const { data: existingReview } = await supabase
       .from("reviews")
-      .select("id, mover_id, customer_id")
+      .select("id, mover_id, customer_id, customer_name, comment, verified_booking")
       .eq("id", id)
       .maybeSingle()
     if (!existingReview) return res.status(404).json({ ok: false, error: "Review not found" })
@@ -2969,28 +7799,29 @@ app.post("/api/reviews/:id/update", async (req, res) => {
       return res.status(403).json({ ok: false, error: "You can only edit your own reviews" })
     }
 
-    const updates = {}
+    const updates = { ...subRatings.columns }
     if (rating !== undefined) updates.rating = Number(rating)
     if (comment !== undefined) updates.comment = comment
 
+    // The edited text goes back through moderation, same as a new review.
+    const { flags } = checkReviewText({
+      customerName: existingReview.customer_name,
+      comment: comment !== undefined ? comment : existingReview.comment,
+    })
+    updates.moderation_flags = flags
+    updates.status = initialReviewStatus(!!existingReview.verified_booking, flags)
+    updates.moderation_reason = null
+    updates.moderated_at = null
+    updates.moderated_by = null
+
     const { error } = await supabase.from("reviews").update(updates).eq("id", id)
     if (error) return res.status(500).json({ ok: false, error: "Failed to update review" })
 
-    // Re-average the mover's rating since this review's score may have changed.
-    try {
-      const { data: allReviews } = await supabase
-        .from("reviews")
-        .select("rating")
-        .eq("mover_id", existingReview.mover_id)
-      if (allReviews?.length) {
-        const avg = allReviews.reduce((s, r) => s + r.rating, 0) / allReviews.length
-        await supabase.from("movers").update({ rating: parseFloat(avg.toFixed(1)) }).eq("id", existingReview.mover_id)
-      }
-    } catch (ratingErr) {
-      console.error("Rating sync failed:", ratingErr?.message)
-    }
+    // Re-average the mover's rating since this review's score (or whether
+    // it counts) may have changed.
+    await recalculateMoverRating(existingReview.mover_id)
 
-    return res.json({ ok: true })
+    return res.json({ ok: true, status: updates.status })
   } catch (err) {
     console.error("/api/reviews/:id/update error:", err)
     return res.status(500).json({ ok: false, error: "Server error" })
@@ -2999,15 +7830,17 @@ app.post("/api/reviews/:id/update", async (req, res) => {
 
 /* ── Track a mover profile view (call this when a logged-in customer
    opens a mover's profile) ── */
-app.post("/api/customer/mover-view", async (req, res) => {
+app.post("/api/customer/mover-view", optionalAuth({ queryToken: true }), async (req, res) => {
   try {
-    const { email, moverId } = req.body || {}
-    if (!email || !moverId) return res.status(400).json({ ok: false, error: "Missing email or moverId" })
+    const { moverId } = req.body || {}
+    if (!moverId) return res.status(400).json({ ok: false, error: "Missing moverId" })
+    // Sent with sendBeacon from every listing page, signed in or not.
+    if (!req.auth || req.auth.role === "mover" || req.auth.role === "admin") return res.json({ ok: true })
 
     const { data: customerRow } = await supabase
       .from("customers")
       .select("id")
-      .eq("email", normalizeEmail(email))
+      .eq("email", req.auth.email)
       .maybeSingle()
     if (!customerRow) return res.json({ ok: true }) // guests just no-op, not an error
 
@@ -3027,10 +7860,9 @@ app.post("/api/customer/mover-view", async (req, res) => {
 })
 
 /* ── Recently viewed movers ── */
-app.get("/api/customer/recently-viewed", async (req, res) => {
+app.get("/api/customer/recently-viewed", requireAuth("customer"), async (req, res) => {
   try {
-    const email = normalizeEmail(req.query.email)
-    if (!email) return res.status(400).json({ ok: false, error: "Missing email" })
+    const email = req.auth.email
 
     const { data: customerRow } = await supabase
       .from("customers")
@@ -3064,6 +7896,513 @@ app.get("/api/customer/recently-viewed", async (req, res) => {
   }
 })
 
-app.listen(PORT, () => {
-  console.log(`✅ PackRocket API running on :${PORT}`)
-})
\ No newline at end of file
+/* ==========================================================================
+   ADMIN — mover approval, suspension, listing edits, review moderation,
+   review disputes, background jobs and email previews
+
+   Requires these columns in Supabase (run once):
+
+   alter table profiles add column if not exists role text not null default 'mover';
+   alter table profiles add column if not exists approval_reason text;
+   alter table profiles add column if not exists approval_decided_at timestamptz;
+   alter table profiles add column if not exists suspended_at timestamptz;
+   alter table profiles add column if not exists suspension_reason text;
+
+   -- Mirrored onto the public listing so search can filter without a join.
+   -- Existing listings default to approved so nothing disappears from
+   -- search when this ships; new signups are inserted as pending.
+   alter table movers add column if not exists approval_status text not null default 'approved';
+   alter table movers add column if not exists suspended boolean not null default false;
+
+   Promote an admin with:
+     update profiles set role = 'admin' where email = '...';
+
+   All /api/admin routes require a bearer token for a profile with
+   role = 'admin' (see requireAdmin) — the legacy email field is never
+   accepted here.
+   ========================================================================== */
+
+const APPROVAL_STATUSES = ["pending", "approved", "rejected"]
+
+// Fields an admin may edit on a movers listing row. email is left out on
+// purpose — it's the key that ties a listing to its profile — and so are
+// rating / review_count, which refresh_mover_rating() rebuilds from reviews.
+const ADMIN_EDITABLE_LISTING_FIELDS = [
+  "name", "phone", "city", "state", "zip", "lat", "lng",
+  "description", "features", "services", "service_areas",
+  "response_time", "business_hours", "website",
+  "verified", "verified_subtitle", "badge", "crew_type",
+  "starting_price", "price_range_max", "service_radius_miles",
+  "logo_url", "hero_photo_url", "photo_url", "plan",
+]
+
+async function loadProfileForAdmin(id) {
+  const { data: profile } = await supabase
+    .from("profiles")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle()
+  return profile || null
+}
+
+// Keeps the public listing's visibility flags in step with the profile.
+async function syncListingVisibility(email, updates) {
+  if (!email) return
+  const { error } = await supabase.from("movers").update(updates).ilike("email", normalizeEmail(email))
+  if (error) console.error("Listing visibility sync failed:", error.message)
+}
+
+async function sendApprovalDecisionEmail(profile, decision, reason) {
+  try {
+    await sendEmail({
+      from: "PackRocket <noreply@packrocket.co>",
+      to: [profile.email],
+      ...renderEmail("approval_decision", {
+        name: profile.full_name || profile.business_name,
+        approved: decision === "approved",
+        reason,
+      }),
+    })
+  } catch (emailErr) {
+    console.error("Approval decision email failed (non-fatal):", emailErr?.message)
+  }
+}
+
+/* ── List movers for review — defaults to the pending queue ──
+   ?status= pending | approved | rejected | suspended */
+app.get("/api/admin/movers", requireAdmin, async (req, res) => {
+  try {
+    const status = String(req.query.status || "pending")
+
+    let query = supabase
+      .from("profiles")
+      .select("id, email, full_name, business_name, phone_e164, city, state, zip, plan, status, approval_status, approval_reason, approval_decided_at, suspended_at, suspension_reason, created_at")
+      .neq("role", "admin")
+      .order("created_at", { ascending: true })
+      .limit(200)
+
+    if (status === "suspended") {
+      query = query.not("suspended_at", "is", null)
+    } else if (APPROVAL_STATUSES.includes(status)) {
+      query = query.eq("approval_status", status)
+    } else {
+      return res.status(400).json({ ok: false, error: "Invalid status filter" })
+    }
+
+    const { data, error } = await query
+    if (error) return res.status(500).json({ ok: false, error: "Failed to load movers" })
+
+    return res.json({ ok: true, movers: data || [] })
+  } catch (err) {
+    console.error("/api/admin/movers error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Approve / reject a mover signup. A reason is required to reject
+   and optional to approve; either way it goes into the email. ── */
+app.post("/api/admin/movers/:id/:decision(approve|reject)", requireAdmin, async (req, res) => {
+  try {
+    const { id, decision } = req.params
+    const reason = String(req.body?.reason || "").trim()
+    const approvalStatus = decision === "approve" ? "approved" : "rejected"
+
+    if (approvalStatus === "rejected" && !reason) {
+      return res.status(400).json({ ok: false, error: "A reason is required to reject a mover" })
+    }
+
+    const profile = await loadProfileForAdmin(id)
+    if (!profile) return res.status(404).json({ ok: false, error: "Mover not found" })
+
+    const { error } = await supabase
+      .from("profiles")
+      .update({
+        approval_status: approvalStatus,
+        approval_reason: reason || null,
+        approval_decided_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", id)
+    if (error) return res.status(500).json({ ok: false, error: "Failed to update mover" })
+
+    await syncListingVisibility(profile.email, { approval_status: approvalStatus })
+    await sendApprovalDecisionEmail(profile, approvalStatus, reason)
+
+    console.log(`✅ Admin ${req.auth.email} ${approvalStatus} mover ${profile.email}`)
+    return res.json({ ok: true, approvalStatus })
+  } catch (err) {
+    console.error("/api/admin/movers/:id/:decision error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Suspend / unsuspend — hides the listing from search without
+   touching the approval decision. ── */
+app.post("/api/admin/movers/:id/:action(suspend|unsuspend)", requireAdmin, async (req, res) => {
+  try {
+    const { id, action } = req.params
+    const reason = String(req.body?.reason || "").trim()
+    const suspend = action === "suspend"
+
+    const profile = await loadProfileForAdmin(id)
+    if (!profile) return res.status(404).json({ ok: false, error: "Mover not found" })
+
+    const { error } = await supabase
+      .from("profiles")
+      .update({
+        suspended_at: suspend ? new Date().toISOString() : null,
+        suspension_reason: suspend ? reason || null : null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", id)
+    if (error) return res.status(500).json({ ok: false, error: "Failed to update mover" })
+
+    await syncListingVisibility(profile.email, { suspended: suspend })
+
+    console.log(`✅ Admin ${req.auth.email} ${action}ed mover ${profile.email}`)
+    return res.json({ ok: true, suspended: suspend })
+  } catch (err) {
+    console.error("/api/admin/movers/:id/:action error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Edit a movers listing row (by movers.id) — ADMIN_EDITABLE_LISTING_FIELDS only ── */
+app.patch("/api/admin/listings/:id", requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+    const body = req.body || {}
+
+    const unknown = Object.keys(body).filter((k) => !ADMIN_EDITABLE_LISTING_FIELDS.includes(k))
+    if (unknown.length) {
+      return res.status(400).json({ ok: false, error: `Fields not editable: ${unknown.join(", ")}` })
+    }
+
+    const updates = {}
+    for (const field of ADMIN_EDITABLE_LISTING_FIELDS) {
+      if (body[field] === undefined) continue
+      const value = body[field]
+      updates[field] = Array.isArray(value) ? value.join(",") : value
+    }
+    if (updates.crew_type !== undefined) {
+      updates.crew_type = updates.crew_type === "labor_only" ? "labor_only" : "truck"
+    }
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ ok: false, error: "No fields to update" })
+    }
+
+    const { data, error } = await supabase
+      .from("movers")
+      .update(updates)
+      .eq("id", id)
+      .select("*")
+      .maybeSingle()
+
+    if (error) return res.status(500).json({ ok: false, error: error.message })
+    if (!data) return res.status(404).json({ ok: false, error: "Listing not found" })
+
+    console.log(`✅ Admin ${req.auth.email} edited listing ${id}:`, Object.keys(updates).join(", "))
+    return res.json({ ok: true, record: mapMoverToAirtableShape(data) })
+  } catch (err) {
+    console.error("/api/admin/listings/:id error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Review moderation queue (see REVIEWS). ?status=pending (default),
+   approved or rejected; oldest first so the queue is worked in order. ── */
+app.get("/api/admin/reviews", requireAdmin, async (req, res) => {
+  try {
+    const status = String(req.query.status || "pending")
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: "Invalid status filter" })
+    }
+
+    const { data, error } = await supabase
+      .from("reviews")
+      .select("id, mover_id, customer_id, customer_name, rating, comment, lead_id, verified_booking, status, moderation_flags, moderation_reason, moderated_at, moderated_by, created_at")
+      .eq("status", status)
+      .order("created_at", { ascending: status === "pending" })
+      .limit(200)
+    if (error) return res.status(500).json({ ok: false, error: "Failed to load reviews" })
+
+    const moverIds = [...new Set((data || []).map((r) => r.mover_id).filter(Boolean))]
+    const { data: movers } = moverIds.length
+      ? await supabase.from("movers").select("id, name").in("id", moverIds)
+      : { data: [] }
+    const moverNames = Object.fromEntries((movers || []).map((m) => [m.id, m.name]))
+
+    const reviews = (data || []).map((r) => ({ ...r, mover_name: moverNames[r.mover_id] || "Mover" }))
+    return res.json({ ok: true, reviews })
+  } catch (err) {
+    console.error("/api/admin/reviews error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Approve / reject a review. A reason is required to reject. ── */
+app.post("/api/admin/reviews/:id/:decision(approve|reject)", requireAdmin, async (req, res) => {
+  try {
+    const { id, decision } = req.params
+    const reason = String(req.body?.reason || "").trim()
+    const status = decision === "approve" ? "approved" : "rejected"
+
+    if (status === "rejected" && !reason) {
+      return res.status(400).json({ ok: false, error: "A reason is required to reject a review" })
+    }
+
+    const { data: review, error } = await supabase
+      .from("reviews")
+      .update({
+        status,
+        moderation_reason: reason || null,
+        moderated_at: new Date().toISOString(),
+        moderated_by: req.auth.email,
+      })
+      .eq("id", id)
+      .select("id, mover_id, status")
+      .maybeSingle()
+    if (error) return res.status(500).json({ ok: false, error: "Failed to update review" })
+    if (!review) return res.status(404).json({ ok: false, error: "Review not found" })
+
+    await recalculateMoverRating(review.mover_id)
+
+    console.log(`✅ Admin ${req.auth.email} ${status} review ${id}`)
+    return res.json({ ok: true, status })
+  } catch (err) {
+    console.error("/api/admin/reviews/:id/:decision error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Review disputes (see REVIEW REPLIES AND DISPUTES). ?status=open
+   (default), upheld or dismissed. ── */
+app.get("/api/admin/review-disputes", requireAdmin, async (req, res) => {
+  try {
+    const status = String(req.query.status || "open")
+    if (!REVIEW_DISPUTE_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: "Invalid status filter" })
+    }
+
+    const { data: disputes, error } = await supabase
+      .from("review_disputes")
+      .select("id, review_id, reason, status, resolution_note, resolved_by, resolved_at, created_at")
+      .eq("status", status)
+      .order("created_at", { ascending: status === "open" })
+      .limit(200)
+    if (error) return res.status(500).json({ ok: false, error: "Failed to load disputes" })
+
+    const reviewIds = (disputes || []).map((d) => d.review_id)
+    const { data: reviews } = reviewIds.length
+      ? await supabase
+        .from("reviews")
+        .select("id, mover_id, customer_name, rating, comment, verified_booking, lead_id, reply_body, created_at")
+        .in("id", reviewIds)
+      : { data: [] }
+    const moverIds = [...new Set((reviews || []).map((r) => r.mover_id).filter(Boolean))]
+    const { data: movers } = moverIds.length
+      ? await supabase.from("movers").select("id, name").in("id", moverIds)
+      : { data: [] }
+    const moverNames = Object.fromEntries((movers || []).map((m) => [m.id, m.name]))
+    const reviewsById = Object.fromEntries(
+      (reviews || []).map((r) => [r.id, { ...r, mover_name: moverNames[r.mover_id] || "Mover" }])
+    )
+
+    return res.json({
+      ok: true,
+      disputes: (disputes || []).map((d) => ({ ...d, review: reviewsById[d.review_id] || null })),
+    })
+  } catch (err) {
+    console.error("/api/admin/review-disputes error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Decide a dispute: uphold takes the review down, dismiss puts it
+   back in the rating. The optional note goes into both emails. ── */
+app.post("/api/admin/review-disputes/:id/:decision(uphold|dismiss)", requireAdmin, async (req, res) => {
+  try {
+    const { id, decision } = req.params
+    const note = String(req.body?.note || "").trim()
+    const status = decision === "uphold" ? "upheld" : "dismissed"
+
+    const { data: dispute, error } = await supabase
+      .from("review_disputes")
+      .update({
+        status,
+        resolution_note: note || null,
+        resolved_by: req.auth.email,
+        resolved_at: new Date().toISOString(),
+      })
+      .eq("id", id)
+      .eq("status", "open")
+      .select("id, review_id, status")
+      .maybeSingle()
+    if (error) return res.status(500).json({ ok: false, error: "Failed to update dispute" })
+    if (!dispute) return res.status(404).json({ ok: false, error: "No open dispute with that id" })
+
+    const reviewUpdates = { dispute_status: status }
+    if (status === "upheld") {
+      Object.assign(reviewUpdates, {
+        status: "rejected",
+        moderation_reason: `Dispute upheld${note ? `: ${note}` : ""}`,
+        moderated_at: new Date().toISOString(),
+        moderated_by: req.auth.email,
+      })
+    }
+    await supabase.from("reviews").update(reviewUpdates).eq("id", dispute.review_id)
+
+    const parties = await loadReviewParties(dispute.review_id)
+    if (parties) {
+      await recalculateMoverRating(parties.review.mover_id)
+      await emailReviewParties(parties, "review_dispute_decided", { upheld: status === "upheld", note })
+    }
+
+    console.log(`✅ Admin ${req.auth.email} ${status} dispute ${id}`)
+    return res.json({ ok: true, status })
+  } catch (err) {
+    console.error("/api/admin/review-disputes/:id/:decision error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Background jobs (see BACKGROUND JOBS). ?status=dead (default),
+   queued, running, succeeded or superseded; ?type= one job type.
+   Payloads are left out of the list — GET /api/admin/jobs/:id has the
+   full row. ── */
+const JOB_STATUSES = ["queued", "running", "succeeded", "superseded", "dead"]
+
+app.get("/api/admin/jobs", requireAdmin, async (req, res) => {
+  try {
+    const status = String(req.query.status || "dead")
+    if (!JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: "Invalid status filter" })
+    }
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50))
+
+    let query = supabase
+      .from("jobs")
+      .select("id, type, status, attempts, max_attempts, run_at, dedupe_key, locked_by, locked_at, last_error, created_at, updated_at, finished_at")
+      .eq("status", status)
+      .order("updated_at", { ascending: false })
+      .limit(limit)
+    if (req.query.type) query = query.eq("type", String(req.query.type))
+
+    const [{ data, error }, ...counts] = await Promise.all([
+      query,
+      ...JOB_STATUSES.map((s) => supabase.from("jobs").select("id", { count: "exact", head: true }).eq("status", s)),
+    ])
+    if (error) return res.status(500).json({ ok: false, error: "Failed to load jobs" })
+
+    return res.json({
+      ok: true,
+      jobs: data || [],
+      counts: Object.fromEntries(JOB_STATUSES.map((s, i) => [s, counts[i].count || 0])),
+    })
+  } catch (err) {
+    console.error("/api/admin/jobs error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+app.get("/api/admin/jobs/:id", requireAdmin, async (req, res) => {
+  try {
+    const { data: job, error } = await supabase.from("jobs").select("*").eq("id", req.params.id).maybeSingle()
+    if (error) return res.status(500).json({ ok: false, error: "Failed to load job" })
+    if (!job) return res.status(404).json({ ok: false, error: "Job not found" })
+    return res.json({ ok: true, job })
+  } catch (err) {
+    console.error("/api/admin/jobs/:id error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+// Puts jobs back in the queue with a fresh set of attempts. Their
+// dedupe_key is cleared so a retry never collides with newer work of
+// the same kind.
+function retryJobsUpdate() {
+  return {
+    status: "queued",
+    attempts: 0,
+    run_at: new Date().toISOString(),
+    dedupe_key: null,
+    finished_at: null,
+    updated_at: new Date().toISOString(),
+  }
+}
+
+/* ── Retry every dead job, or only one type's with { type } ── */
+app.post("/api/admin/jobs/retry-dead", requireAdmin, async (req, res) => {
+  try {
+    let query = supabase.from("jobs").update(retryJobsUpdate()).eq("status", "dead")
+    if (req.body?.type) query = query.eq("type", String(req.body.type))
+    const { data, error } = await query.select("id")
+    if (error) return res.status(500).json({ ok: false, error: "Failed to retry jobs" })
+
+    console.log(`✅ Admin ${req.auth.email} retried ${(data || []).length} dead jobs${req.body?.type ? ` (${req.body.type})` : ""}`)
+    return res.json({ ok: true, retried: (data || []).length })
+  } catch (err) {
+    console.error("/api/admin/jobs/retry-dead error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Retry one job now — a dead one, or a queued one waiting out its
+   backoff ── */
+app.post("/api/admin/jobs/:id/retry", requireAdmin, async (req, res) => {
+  try {
+    const { data: job, error } = await supabase
+      .from("jobs")
+      .update(retryJobsUpdate())
+      .eq("id", req.params.id)
+      .in("status", ["dead", "queued"])
+      .select("id, type, status")
+      .maybeSingle()
+    if (error) return res.status(500).json({ ok: false, error: "Failed to retry job" })
+    if (!job) return res.status(409).json({ ok: false, error: "Only dead or queued jobs can be retried" })
+
+    console.log(`✅ Admin ${req.auth.email} retried job ${job.id} (${job.type})`)
+    return res.json({ ok: true, job })
+  } catch (err) {
+    console.error("/api/admin/jobs/:id/retry error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ── Email previews (see lib/emails.js) — renders a template with one
+   of its fixtures; nothing is sent. ?fixture= (default "default"),
+   ?format=html (default, the email as a page) | text | json. Opened in a
+   browser, pass ?access_token=. ── */
+app.get("/api/email-previews", requireAdmin, (_req, res) => {
+  return res.json({ ok: true, templates: listEmailTemplates() })
+})
+
+app.get("/api/email-previews/:template", adminAuth({ queryToken: true }), (req, res) => {
+  try {
+    const fixture = String(req.query.fixture || "default")
+    const email = renderEmailFixture(req.params.template, fixture)
+    if (!email) return res.status(404).json({ ok: false, error: "Unknown template or fixture" })
+
+    const format = String(req.query.format || "html")
+    if (format === "text") return res.type("text/plain").send(`Subject: ${email.subject}\n\n${email.text}`)
+    if (format === "json") return res.json({ ok: true, template: req.params.template, fixture, ...email })
+    return res.type("html").send(email.html)
+  } catch (err) {
+    console.error("/api/email-previews/:template error:", err)
+    return res.status(500).json({ ok: false, error: "Server error" })
+  }
+})
+
+/* ------------------------- start ------------------------- */
+
+// `node server.js --worker` only works the job queue; otherwise this
+// process serves the API and, unless JOBS_WORKER=off, works jobs too.
+const workerOnly = process.argv.includes("--worker")
+
+if (workerOnly || process.env.JOBS_WORKER !== "off") jobs.startWorker()
+
+if (!workerOnly) {
+  app.listen(PORT, () => {
+    console.log(`✅ PackRocket API running on :${PORT}`)
+  })
+}
\ No newline at end of file
@@ -0,0 +1,54 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+
+const { renderEmail, renderEmailFixture, listEmailTemplates, escapeHtml } = require("../lib/emails")
+
+const templates = listEmailTemplates()
+
+test("every template has a default fixture", () => {
+  assert.ok(templates.length > 0)
+  for (const { name, fixtures } of templates) {
+    assert.ok(fixtures.includes("default"), `${name} has no default fixture`)
+  }
+})
+
+for (const { name, fixtures } of templates) {
+  for (const fixture of fixtures) {
+    test(`${name} renders its ${fixture} fixture`, () => {
+      const email = renderEmailFixture(name, fixture)
+      assert.ok(email, "fixture didn't render")
+      for (const part of ["subject", "html", "text"]) {
+        assert.equal(typeof email[part], "string")
+        assert.ok(email[part].trim(), `${part} is empty`)
+        assert.doesNotMatch(email[part], /\bundefined\b|\[object Object\]/, `${part} has a missing value`)
+      }
+      assert.doesNotMatch(email.subject, /[\r\n]/, "subject spans lines")
+      assert.match(email.html, /^<!DOCTYPE html>/i)
+    })
+  }
+}
+
+for (const { name } of templates.filter((t) => t.fixtures.includes("hostile"))) {
+  test(`${name} escapes its hostile fixture`, () => {
+    const { html } = renderEmailFixture(name, "hostile")
+    assert.doesNotMatch(html, /<script/i)
+    assert.doesNotMatch(html, /<b>hi<\/b>/)
+    assert.match(html, /&lt;script&gt;/)
+  })
+}
+
+test("unknown templates and fixtures don't render", () => {
+  assert.equal(renderEmailFixture("no_such_template"), null)
+  assert.equal(renderEmailFixture("constructor"), null)
+  assert.equal(renderEmailFixture("__proto__"), null)
+  const [{ name }] = templates
+  assert.equal(renderEmailFixture(name, "no_such_fixture"), null)
+  assert.equal(renderEmailFixture(name, "toString"), null)
+  assert.equal(renderEmailFixture(name, "__proto__"), null)
+  assert.throws(() => renderEmail("constructor", {}), /Unknown email template/)
+})
+
+test("escapeHtml escapes markup and quotes", () => {
+  assert.equal(escapeHtml(`<a href="x">O'Brien & Sons</a>`), "&lt;a href=&quot;x&quot;&gt;O&#39;Brien &amp; Sons&lt;/a&gt;")
+  assert.equal(escapeHtml(null), "")
+})
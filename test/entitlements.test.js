@@ -0,0 +1,90 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+
+const { PLANS, getEntitlements, hasEntitlement, currentPeriod, getLeadUsage } = require("../lib/entitlements")
+
+test("every plan defines the same entitlement keys", () => {
+  const keys = Object.keys(getEntitlements("Free")).sort()
+  for (const plan of PLANS) assert.deepEqual(Object.keys(getEntitlements(plan)).sort(), keys)
+})
+
+test("unknown or missing plans get Free entitlements", () => {
+  assert.equal(getEntitlements(undefined), getEntitlements("Free"))
+  assert.equal(getEntitlements("Legacy"), getEntitlements("Free"))
+  assert.equal(hasEntitlement(null, "analytics"), false)
+  assert.equal(hasEntitlement("Pro", "analytics"), true)
+  assert.equal(getEntitlements("Free").maxListingPhotos, 1)
+  assert.equal(getEntitlements("Enterprise").maxListingPhotos, 50)
+})
+
+test("currentPeriod is the calendar month in UTC", () => {
+  assert.deepEqual(currentPeriod(new Date("2025-12-31T23:59:59Z")), {
+    start: "2025-12-01T00:00:00.000Z",
+    resetsAt: "2026-01-01T00:00:00.000Z",
+  })
+})
+
+function fakeSupabase(result) {
+  const calls = []
+  const query = {
+    select(...args) {
+      calls.push(["select", ...args])
+      return this
+    },
+    eq(...args) {
+      calls.push(["eq", ...args])
+      return this
+    },
+    gte(...args) {
+      calls.push(["gte", ...args])
+      return this
+    },
+    lt(...args) {
+      calls.push(["lt", ...args])
+      return Promise.resolve(result)
+    },
+  }
+  return {
+    calls,
+    from(table) {
+      calls.push(["from", table])
+      return query
+    },
+  }
+}
+
+test("getLeadUsage counts this month's leads against the Free quota", async () => {
+  const supabase = fakeSupabase({ count: 1, error: null })
+  const usage = await getLeadUsage(supabase, { profileId: "p1", plan: "Free" })
+  const { start, resetsAt } = currentPeriod()
+  assert.deepEqual(usage, { used: 1, limit: 2, remaining: 1, resetsAt, capped: false })
+  assert.deepEqual(supabase.calls, [
+    ["from", "leads"],
+    ["select", "id", { count: "exact", head: true }],
+    ["eq", "mover_id", "p1"],
+    ["gte", "created_at", start],
+    ["lt", "created_at", resetsAt],
+  ])
+})
+
+test("getLeadUsage caps a mover at the quota", async () => {
+  const usage = await getLeadUsage(fakeSupabase({ count: 3, error: null }), { profileId: "p1", plan: "Free" })
+  assert.equal(usage.capped, true)
+  assert.equal(usage.remaining, 0)
+})
+
+test("getLeadUsage doesn't count for unlimited plans or listings without a profile", async () => {
+  const supabase = fakeSupabase({ count: 99, error: null })
+  const pro = await getLeadUsage(supabase, { profileId: "p1", plan: "Pro" })
+  const noProfile = await getLeadUsage(supabase, { profileId: null, plan: "Free" })
+  for (const usage of [pro, noProfile]) {
+    assert.equal(usage.capped, false)
+    assert.equal(usage.limit, null)
+  }
+  assert.equal(supabase.calls.length, 0)
+})
+
+test("getLeadUsage throws when the count fails", async () => {
+  const error = new Error("boom")
+  await assert.rejects(getLeadUsage(fakeSupabase({ count: null, error }), { profileId: "p1", plan: "Free" }), error)
+})
@@ -0,0 +1,128 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+
+const {
+  createGeocoder,
+  createRateLimiter,
+  lookupZipCentroid,
+  nearestZip,
+  normalizeGeocodeQuery,
+  isZip,
+} = require("../lib/geocoding")
+
+test.beforeEach((t) => {
+  t.mock.method(console, "log", () => {})
+  t.mock.method(console, "warn", () => {})
+})
+
+test("isZip only takes five digits", () => {
+  assert.equal(isZip("36535"), true)
+  assert.equal(isZip(" 36535 "), true)
+  assert.equal(isZip("3653"), false)
+  assert.equal(isZip("36535-1234"), false)
+  assert.equal(isZip(null), false)
+})
+
+test("normalizeGeocodeQuery gives spelling variants one cache key", () => {
+  assert.equal(normalizeGeocodeQuery("  Foley,  AL 36535 "), "foley al 36535")
+  assert.equal(normalizeGeocodeQuery("foley al 36535"), "foley al 36535")
+  assert.equal(normalizeGeocodeQuery("Winston-Salem, N.C."), "winston-salem n c")
+})
+
+test("the bundled ZIP table resolves US ZIPs both ways", () => {
+  const foley = lookupZipCentroid("36535")
+  assert.equal(foley.city, "Foley")
+  assert.equal(foley.state, "AL")
+  assert.equal(nearestZip(foley.lat, foley.lng), "36535")
+  assert.equal(lookupZipCentroid("00000"), null)
+})
+
+test("createRateLimiter spaces calls and refuses to queue too far ahead", async () => {
+  const wait = createRateLimiter(30, { maxWaitMs: 100 })
+  const start = Date.now()
+  await Promise.all([wait(), wait(), wait()])
+  assert.ok(Date.now() - start >= 55, "third call waits two intervals")
+
+  const full = createRateLimiter(1000, { maxWaitMs: 1500 })
+  await full()
+  const second = full() // booked ~1s ahead — allowed
+  await assert.rejects(full(), /Rate limit queue is full/)
+  await second
+})
+
+let providerSeq = 0
+function fakeProvider(result, { enabled = true } = {}) {
+  const provider = {
+    name: `fake-${++providerSeq}`,
+    minIntervalMs: 0,
+    calls: [],
+    enabled: () => enabled,
+    async lookup(query) {
+      provider.calls.push(query)
+      if (result instanceof Error) throw result
+      return result
+    },
+  }
+  return provider
+}
+
+test("a bare ZIP is answered from the bundled table without any provider", async () => {
+  const provider = fakeProvider({ lat: 1, lng: 1 })
+  const { geocode } = createGeocoder({ providers: [provider] })
+  const result = await geocode({ city: "36535" })
+  assert.equal(result.provider, "zip_table")
+  assert.equal(provider.calls.length, 0)
+})
+
+test("providers are tried in order until one matches, then cached", async () => {
+  const disabled = fakeProvider({ lat: 9, lng: 9 }, { enabled: false })
+  const broken = fakeProvider(new Error("timeout"))
+  const empty = fakeProvider(null)
+  const good = fakeProvider({ lat: 30.4, lng: -87.7 })
+  const { geocode } = createGeocoder({ providers: [disabled, broken, empty, good] })
+
+  const first = await geocode({ city: "Foley", state: "AL" })
+  assert.deepEqual(first, { lat: 30.4, lng: -87.7, provider: good.name })
+  assert.equal(disabled.calls.length, 0)
+  assert.deepEqual(broken.calls[0], { text: "Foley AL", zip: null })
+
+  const second = await geocode({ city: "foley,", state: "al" })
+  assert.deepEqual(second, { lat: 30.4, lng: -87.7, provider: "cache" })
+  assert.equal(good.calls.length, 1)
+})
+
+test("remote results are written to and read from geocode_cache", async () => {
+  const rows = new Map()
+  const supabase = {
+    from(table) {
+      assert.equal(table, "geocode_cache")
+      return {
+        async upsert([row]) {
+          rows.set(row.query_key, row)
+          return { error: null }
+        },
+        select() {
+          return this
+        },
+        eq(_column, key) {
+          return { maybeSingle: async () => ({ data: rows.get(key) || null, error: null }) }
+        },
+      }
+    },
+  }
+  const provider = fakeProvider({ lat: 1.5, lng: 2.5 })
+  await createGeocoder({ supabase, providers: [provider] }).geocode({ city: "Springfield", state: "IL" })
+  assert.equal(rows.get("springfield il").provider, provider.name)
+
+  // A fresh geocoder (new process) finds it in the table.
+  const other = fakeProvider({ lat: 0, lng: 0 })
+  const result = await createGeocoder({ supabase, providers: [other] }).geocode({ city: "Springfield", state: "IL" })
+  assert.deepEqual(result, { lat: 1.5, lng: 2.5, provider: "cache" })
+  assert.equal(other.calls.length, 0)
+})
+
+test("geocode throws when nothing matches", async () => {
+  const { geocode } = createGeocoder({ providers: [fakeProvider(null)] })
+  await assert.rejects(geocode({ city: "Nowhere" }), /All geocoders failed/)
+  await assert.rejects(geocode({}), /No address to geocode/)
+})
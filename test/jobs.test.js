@@ -0,0 +1,162 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+
+const { createJobQueue } = require("../lib/jobs")
+
+/*
+  Just enough of the supabase client for the queue: insert into jobs,
+  update jobs by id + locked_by, and the claim_jobs RPC (hands out
+  `claimable` once). updateErrors are returned by successive updates.
+*/
+function fakeSupabase({ claimable = [], insertError = null, updateErrors = [] } = {}) {
+  const calls = { inserts: [], updates: [], claims: 0 }
+  let unclaimed = claimable
+  return {
+    calls,
+    from(table) {
+      assert.equal(table, "jobs")
+      return {
+        insert(rows) {
+          calls.inserts.push(rows[0])
+          return {
+            select: () => ({
+              single: async () => (insertError ? { data: null, error: insertError } : { data: { id: "job-new", ...rows[0] }, error: null }),
+            }),
+          }
+        },
+        update(values) {
+          const filters = {}
+          const builder = {
+            eq(column, value) {
+              filters[column] = value
+              if (!("locked_by" in filters)) return builder
+              calls.updates.push({ values, filters })
+              return Promise.resolve({ error: updateErrors.shift() || null })
+            },
+          }
+          return builder
+        },
+      }
+    },
+    async rpc(name, params) {
+      assert.equal(name, "claim_jobs")
+      calls.claims++
+      const jobs = unclaimed.slice(0, params.p_limit)
+      unclaimed = unclaimed.slice(jobs.length)
+      return { data: jobs, error: null }
+    },
+  }
+}
+
+const job = (overrides = {}) => ({
+  id: "job-1",
+  type: "test.work",
+  payload: { n: 1 },
+  attempts: 1,
+  max_attempts: 3,
+  last_error: null,
+  ...overrides,
+})
+
+// Starts a worker, lets it drain what claim_jobs hands out, stops it.
+async function drain(queue) {
+  queue.startWorker()
+  await new Promise((resolve) => setTimeout(resolve, 20))
+  await queue.stopWorker()
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, "log", () => {})
+  t.mock.method(console, "error", () => {})
+})
+
+test("enqueue writes a queued job row", async () => {
+  const supabase = fakeSupabase()
+  const queue = createJobQueue({ supabase, concurrency: 1 })
+  queue.register("test.work", async () => {}, { maxAttempts: 8 })
+
+  const row = await queue.enqueue("test.work", { n: 1 }, { dedupeKey: "k1" })
+  assert.equal(row.id, "job-new")
+  assert.deepEqual(supabase.calls.inserts[0].payload, { n: 1 })
+  assert.equal(supabase.calls.inserts[0].dedupe_key, "k1")
+  assert.equal(supabase.calls.inserts[0].max_attempts, 8)
+})
+
+test("enqueue returns null when the same dedupeKey is still queued", async () => {
+  const queue = createJobQueue({ supabase: fakeSupabase({ insertError: { code: "23505", message: "duplicate" } }), concurrency: 1 })
+  assert.equal(await queue.enqueue("test.work", {}, { dedupeKey: "k1" }), null)
+})
+
+test("enqueue throws on any other insert error", async () => {
+  const queue = createJobQueue({ supabase: fakeSupabase({ insertError: { code: "42P01", message: "no jobs table" } }), concurrency: 1 })
+  await assert.rejects(queue.enqueue("test.work", {}), /Couldn't queue test.work job: no jobs table/)
+})
+
+test("a job that succeeds is marked succeeded by its own worker", async () => {
+  const supabase = fakeSupabase({ claimable: [job()] })
+  const queue = createJobQueue({ supabase, concurrency: 1 })
+  const seen = []
+  queue.register("test.work", async (payload) => { seen.push(payload) })
+
+  await drain(queue)
+
+  assert.deepEqual(seen, [{ n: 1 }])
+  const [{ values, filters }] = supabase.calls.updates
+  assert.equal(values.status, "succeeded")
+  assert.equal(values.locked_by, null)
+  assert.deepEqual(filters, { id: "job-1", locked_by: queue.workerId })
+})
+
+test("a failed attempt is requeued with backoff", async () => {
+  const supabase = fakeSupabase({ claimable: [job({ attempts: 1 })] })
+  const queue = createJobQueue({ supabase, concurrency: 1 })
+  queue.register("test.work", async () => { throw new Error("flaky") })
+
+  const before = Date.now()
+  await drain(queue)
+
+  const [{ values }] = supabase.calls.updates
+  assert.equal(values.status, "queued")
+  assert.match(values.last_error, /flaky/)
+  const delay = new Date(values.run_at).getTime() - before
+  assert.ok(delay >= 24000 && delay <= 36000 + 100, `first retry after ${delay}ms`)
+})
+
+test("the last failed attempt marks the job dead", async () => {
+  const supabase = fakeSupabase({ claimable: [job({ attempts: 3, max_attempts: 3 })] })
+  const queue = createJobQueue({ supabase, concurrency: 1 })
+  queue.register("test.work", async () => { throw new Error("still broken") })
+
+  await drain(queue)
+
+  const [{ values }] = supabase.calls.updates
+  assert.equal(values.status, "dead")
+  assert.ok(values.finished_at)
+})
+
+test("a retry that collides with a newer queued copy is superseded", async () => {
+  const supabase = fakeSupabase({
+    claimable: [job({ attempts: 1 })],
+    updateErrors: [{ code: "23505", message: "duplicate key value violates unique constraint \"jobs_dedupe_idx\"" }],
+  })
+  const queue = createJobQueue({ supabase, concurrency: 1 })
+  queue.register("test.work", async () => { throw new Error("flaky") })
+
+  await drain(queue)
+
+  assert.deepEqual(supabase.calls.updates.map((u) => u.values.status), ["queued", "superseded"])
+  assert.match(supabase.calls.updates[1].values.last_error, /flaky/)
+})
+
+test("a job reclaimed past max_attempts is marked dead without running", async () => {
+  const supabase = fakeSupabase({ claimable: [job({ attempts: 4, max_attempts: 3 })] })
+  const queue = createJobQueue({ supabase, concurrency: 1 })
+  let ran = false
+  queue.register("test.work", async () => { ran = true })
+
+  await drain(queue)
+
+  assert.equal(ran, false)
+  assert.equal(supabase.calls.updates[0].values.status, "dead")
+  assert.equal(supabase.calls.updates[0].values.last_error, "Worker stopped mid-run too many times")
+})
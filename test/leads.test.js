@@ -0,0 +1,63 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+
+const {
+  LEAD_STATUSES,
+  LEAD_TRANSITIONS,
+  LEAD_STATUS_ACTORS,
+  canTransitionLead,
+  parseLeadStatusFilter,
+} = require("../lib/leads")
+
+test("every status has a transition list made of known statuses", () => {
+  assert.deepEqual(Object.keys(LEAD_TRANSITIONS).sort(), [...LEAD_STATUSES].sort())
+  for (const targets of Object.values(LEAD_TRANSITIONS)) {
+    assert.ok(targets.every((s) => LEAD_STATUSES.includes(s)))
+  }
+})
+
+test("a lead moves forward through the lifecycle", () => {
+  assert.equal(canTransitionLead("new", "contacted"), true)
+  assert.equal(canTransitionLead("contacted", "quoted"), true)
+  assert.equal(canTransitionLead("quoted", "booked"), true)
+  assert.equal(canTransitionLead("booked", "completed"), true)
+  // A lead with no status yet is new.
+  assert.equal(canTransitionLead(null, "contacted"), true)
+})
+
+test("a lead can't move backwards or skip to completed", () => {
+  assert.equal(canTransitionLead("quoted", "contacted"), false)
+  assert.equal(canTransitionLead("booked", "quoted"), false)
+  assert.equal(canTransitionLead("new", "completed"), false)
+  assert.equal(canTransitionLead("booked", "lost"), false)
+  assert.equal(canTransitionLead("new", "nonsense"), false)
+  assert.equal(canTransitionLead("nonsense", "booked"), false)
+})
+
+test("a revised quote keeps a lead quoted and a new quote reopens a lost one", () => {
+  assert.equal(canTransitionLead("quoted", "quoted"), true)
+  assert.equal(canTransitionLead("lost", "quoted"), true)
+  assert.equal(canTransitionLead("lost", "booked"), false)
+})
+
+test("completed and cancelled are final", () => {
+  for (const status of LEAD_STATUSES) {
+    assert.equal(canTransitionLead("completed", status), false, `completed → ${status}`)
+    assert.equal(canTransitionLead("cancelled", status), false, `cancelled → ${status}`)
+  }
+})
+
+test("nobody marks a lead quoted by hand and customers can only cancel", () => {
+  assert.equal(LEAD_STATUS_ACTORS.mover.includes("quoted"), false)
+  assert.equal(LEAD_STATUS_ACTORS.mover.includes("booked"), true)
+  assert.deepEqual(LEAD_STATUS_ACTORS.customer, ["cancelled"])
+})
+
+test("parseLeadStatusFilter", () => {
+  assert.deepEqual(parseLeadStatusFilter(undefined), [])
+  assert.deepEqual(parseLeadStatusFilter(""), [])
+  assert.deepEqual(parseLeadStatusFilter("quoted"), ["quoted"])
+  assert.deepEqual(parseLeadStatusFilter(" new, contacted ,,"), ["new", "contacted"])
+  assert.equal(parseLeadStatusFilter("new,archived"), null)
+  assert.equal(parseLeadStatusFilter("NEW"), null)
+})
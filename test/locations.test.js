@@ -0,0 +1,87 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+
+const { createLocationIndex, parseCityQuery } = require("../lib/locations")
+
+const labels = (suggestions) => suggestions.map((s) => s.label)
+
+test("parseCityQuery splits off a trailing state name or abbreviation", () => {
+  assert.deepEqual(parseCityQuery("springfield, il"), { name: "springfield", state: "IL" })
+  assert.deepEqual(parseCityQuery("Springfield Illinois"), { name: "springfield", state: "IL" })
+  assert.deepEqual(parseCityQuery("kansas city north carolina"), { name: "kansas city", state: "NC" })
+  assert.deepEqual(parseCityQuery("springfield"), { name: "springfield", state: null })
+  // A lone word is the city even when it's also a state abbreviation.
+  assert.deepEqual(parseCityQuery("Al"), { name: "al", state: null })
+})
+
+test("parseCityQuery expands St. / Ft. / Mt. the way the ZIP table spells them", () => {
+  assert.deepEqual(parseCityQuery("St. Louis, MO"), { name: "saint louis", state: "MO" })
+  assert.equal(parseCityQuery("Ft Myers").name, "fort myers")
+})
+
+test("city suggestions match exact names, prefixes and typos", async () => {
+  const { autocomplete } = createLocationIndex()
+  assert.deepEqual(labels(await autocomplete("springfield, il")), ["Springfield, IL"])
+  assert.equal((await autocomplete("pheonix"))[0].label, "Phoenix, AZ")
+  assert.equal((await autocomplete("chicgo"))[0].label, "Chicago, IL")
+  assert.equal((await autocomplete("st louis"))[0].label, "Saint Louis, MO")
+
+  const [phoenix] = await autocomplete("phoenix, az", { limit: 1 })
+  assert.equal(phoenix.type, "city")
+  assert.equal(phoenix.zip, null)
+  assert.ok(isFinite(phoenix.lat) && isFinite(phoenix.lng))
+})
+
+test("ZIP suggestions need three digits and put the exact ZIP first", async () => {
+  const { autocomplete } = createLocationIndex()
+  assert.deepEqual(await autocomplete("36"), [])
+  const prefix = await autocomplete("3653")
+  assert.ok(prefix.length > 1 && prefix.every((s) => s.type === "zip" && s.zip.startsWith("3653")))
+  const [exact] = await autocomplete("36535")
+  assert.equal(exact.label, "36535 — Foley, AL")
+})
+
+test("limit is clamped", async () => {
+  const { autocomplete } = createLocationIndex()
+  assert.equal((await autocomplete("spring", { limit: 2 })).length, 2)
+  assert.equal((await autocomplete("spring", { limit: 500 })).length, 20)
+  assert.equal((await autocomplete("spring", { limit: "x" })).length, 8)
+})
+
+function fakeSupabase(movers, pageSize = 1000) {
+  const calls = []
+  return {
+    calls,
+    from(table) {
+      assert.equal(table, "movers")
+      const query = {
+        select: () => query,
+        eq: () => query,
+        order: () => query,
+        async range(from, to) {
+          calls.push([from, to])
+          assert.equal(to - from + 1, pageSize)
+          return { data: movers.slice(from, to + 1), error: null }
+        },
+      }
+      return query
+    },
+  }
+}
+
+test("cities we have movers in rank first", async () => {
+  const movers = Array.from({ length: 1200 }, (_, i) =>
+    i < 3 ? { city: "Springfield", state: "mo", zip: "65802" } : { city: "Elsewhere", state: "TX", zip: "75001" }
+  )
+  const supabase = fakeSupabase(movers)
+  const { autocomplete } = createLocationIndex({ supabase })
+
+  const [first] = await autocomplete("springfield")
+  assert.equal(first.label, "Springfield, MO")
+  assert.equal(first.moverCount, 3)
+  // Two pages were read; the next call within the TTL uses the cache.
+  assert.deepEqual(supabase.calls, [[0, 999], [1000, 1999]])
+  await autocomplete("65802")
+  assert.equal(supabase.calls.length, 2)
+  assert.equal((await autocomplete("65802"))[0].moverCount, 3)
+})
@@ -0,0 +1,63 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+
+const { checkReviewText, hasProfanity } = require("../lib/moderation")
+
+const flagsFor = (comment, customerName) => checkReviewText({ comment, customerName }).flags
+
+test("a normal review has no flags", () => {
+  assert.deepEqual(
+    checkReviewText({ customerName: "Dana R.", comment: "Crew showed up on time and nothing got scratched. Would hire again." }),
+    { flags: [] }
+  )
+  assert.deepEqual(checkReviewText(), { flags: [] })
+})
+
+test("hasProfanity sees through the usual disguises", () => {
+  for (const text of ["what a sh1t job", "F.U.C.K this", "shiiiit", "a$$hole", "total bullsh!t"]) {
+    assert.equal(hasProfanity(text), true, text)
+  }
+  // Only whole words count.
+  for (const text of ["Scunthorpe office", "cocktail party", "Dickens novel", "they shipped it"]) {
+    assert.equal(hasProfanity(text), false, text)
+  }
+})
+
+test("REVIEW_BLOCKED_WORDS adds words without a deploy", (t) => {
+  t.after(() => delete process.env.REVIEW_BLOCKED_WORDS)
+  assert.equal(hasProfanity("total scammers"), false)
+  process.env.REVIEW_BLOCKED_WORDS = " Scammers , crooks"
+  assert.equal(hasProfanity("total scammers"), true)
+  assert.deepEqual(flagsFor("These crooks lost half my boxes."), ["profanity"])
+})
+
+test("profanity in the name is flagged too", () => {
+  assert.deepEqual(flagsFor("Fine move, no complaints.", "dickhead"), ["profanity"])
+})
+
+test("links and contact details are flagged", () => {
+  assert.deepEqual(flagsFor("Cheaper movers at www.example.com/deal"), ["link"])
+  assert.deepEqual(flagsFor("Check out bestmovers.biz instead"), ["link"])
+  assert.deepEqual(flagsFor("Spam link", "cheapmoves.net"), ["link"])
+  assert.deepEqual(flagsFor("Call Mike at (251) 555-0142 for a discount"), ["contact_info"])
+  assert.deepEqual(flagsFor("Email me on someone+movers@mail.example"), ["contact_info"])
+})
+
+test("shouting needs a real sentence of mostly capitals", () => {
+  assert.deepEqual(flagsFor("WORST MOVERS EVER, THEY BROKE MY TABLE"), ["shouting"])
+  assert.deepEqual(flagsFor("GREAT JOB"), [])
+  assert.deepEqual(flagsFor("Used ABC Moving in NYC, USA — fine overall"), [])
+})
+
+test("repeated characters or words are flagged", () => {
+  assert.deepEqual(flagsFor("Great moveeeeeeeeeee"), ["repetition"])
+  assert.deepEqual(flagsFor("bad bad bad bad bad bad bad"), ["repetition"])
+  assert.deepEqual(flagsFor("good good movers"), [])
+})
+
+test("a comment with no words is too short", () => {
+  assert.deepEqual(flagsFor("!!!"), ["too_short"])
+  assert.deepEqual(flagsFor("5/5"), ["too_short"])
+  assert.deepEqual(flagsFor("ok"), [])
+  assert.deepEqual(flagsFor("   "), [])
+})
@@ -0,0 +1,118 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+
+const {
+  DEFAULT_RANKING_WEIGHTS,
+  resolveWeights,
+  scoreMover,
+  loadRankingSignals,
+  rankMovers,
+} = require("../lib/ranking")
+
+test("resolveWeights merges a JSON override onto the defaults", () => {
+  const weights = resolveWeights('{"distance":0.5,"planBoost":{"Pro":0.2},"bogus":1,"rating":"x"}')
+  assert.equal(weights.distance, 0.5)
+  assert.equal(weights.rating, DEFAULT_RANKING_WEIGHTS.rating)
+  assert.equal(weights.planBoost.Pro, 0.2)
+  assert.equal(weights.planBoost.Enterprise, DEFAULT_RANKING_WEIGHTS.planBoost.Enterprise)
+  assert.equal(weights.bogus, undefined)
+  assert.equal(DEFAULT_RANKING_WEIGHTS.planBoost.Pro, 0.08)
+})
+
+test("resolveWeights falls back to the defaults for bad input", () => {
+  assert.equal(resolveWeights("{not json"), DEFAULT_RANKING_WEIGHTS)
+  assert.equal(resolveWeights("null"), DEFAULT_RANKING_WEIGHTS)
+})
+
+test("scoreMover scales distance to the mover's own service radius", () => {
+  const near = scoreMover({ distanceMiles: 0, serviceRadiusMiles: 20 })
+  const edge = scoreMover({ distanceMiles: 20, serviceRadiusMiles: 20 })
+  const beyond = scoreMover({ distanceMiles: 80, serviceRadiusMiles: 20 })
+  const cityMatch = scoreMover({ distanceMiles: null })
+  assert.equal(near.breakdown.distance.value, 1)
+  assert.equal(edge.breakdown.distance.value, 0)
+  assert.equal(beyond.breakdown.distance.value, 0)
+  assert.equal(cityMatch.breakdown.distance.value, 0.5)
+  assert.equal(cityMatch.breakdown.distance.radius, 50)
+})
+
+test("scoreMover pulls a thin rating toward the prior", () => {
+  const oneReview = scoreMover({ rating: 5, reviewCount: 1 })
+  const manyReviews = scoreMover({ rating: 4.8, reviewCount: 40 })
+  assert.ok(manyReviews.breakdown.rating.value > oneReview.breakdown.rating.value)
+})
+
+test("scoreMover only counts text match when the search has keywords", () => {
+  assert.equal(scoreMover({}).breakdown.textMatch, undefined)
+  const withText = scoreMover({ textRank: 0.5 })
+  assert.equal(withText.breakdown.textMatch.weighted, 0.15)
+})
+
+test("scoreMover adds the plan boost on top", () => {
+  const free = scoreMover({ plan: "Free" })
+  const pro = scoreMover({ plan: "Pro" })
+  const unknown = scoreMover({ plan: "Legacy" })
+  assert.equal(Math.round((pro.score - free.score) * 100) / 100, 0.08)
+  assert.equal(unknown.breakdown.planBoost.weighted, 0)
+})
+
+test("rankMovers orders best first and breaks ties by id", () => {
+  const candidates = [
+    { mover: { id: "b", rating: 4 }, distanceMiles: 10 },
+    { mover: { id: "a", rating: 4 }, distanceMiles: 10 },
+    { mover: { id: "c", rating: 5 }, distanceMiles: 1 },
+  ]
+  const signals = new Map([["c", { reviewCount: 30 }]])
+  const ranked = rankMovers(candidates, signals)
+  assert.deepEqual(ranked.map((r) => r.mover.id), ["c", "a", "b"])
+  assert.ok(ranked.every((r) => typeof r.score === "number" && r.breakdown))
+})
+
+function fakeSupabase({ profiles, replyStats }) {
+  const calls = { profileChunks: [], rpc: [] }
+  return {
+    calls,
+    from(table) {
+      assert.equal(table, "profiles")
+      return {
+        select() {
+          return this
+        },
+        async in(column, values) {
+          calls.profileChunks.push(values)
+          return { data: profiles.filter((p) => values.includes(p.email)), error: null }
+        },
+      }
+    },
+    async rpc(name, params) {
+      calls.rpc.push({ name, params })
+      return { data: replyStats, error: null }
+    },
+  }
+}
+
+test("loadRankingSignals joins profiles and reply stats by email", async () => {
+  const supabase = fakeSupabase({
+    profiles: [{ id: "p1", email: "one@example.com", plan: "Pro" }],
+    replyStats: [{ mover_id: "p1", median_reply_minutes: 12 }],
+  })
+  const signals = await loadRankingSignals(
+    supabase,
+    [
+      { id: 1, email: "One@Example.com", review_count: 7 },
+      { id: 2, email: "two@example.com", plan: "Enterprise" },
+    ],
+    { computeProfileCompletion: () => 80 }
+  )
+  assert.deepEqual(signals.get(1), { reviewCount: 7, medianReplyMinutes: 12, profileCompletion: 80, plan: "Pro" })
+  assert.deepEqual(signals.get(2), { reviewCount: 0, medianReplyMinutes: null, profileCompletion: 0, plan: "Enterprise" })
+  assert.deepEqual(supabase.calls.rpc[0].params.p_profile_ids, ["p1"])
+})
+
+test("loadRankingSignals looks profiles up in chunks", async () => {
+  const movers = Array.from({ length: 250 }, (_, i) => ({ id: i, email: `m${i}@example.com` }))
+  const supabase = fakeSupabase({ profiles: [], replyStats: [] })
+  await loadRankingSignals(supabase, movers, { computeProfileCompletion: () => 0 })
+  assert.deepEqual(supabase.calls.profileChunks.map((c) => c.length), [100, 100, 50])
+  assert.equal(supabase.calls.rpc.length, 0)
+})
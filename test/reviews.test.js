@@ -0,0 +1,70 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+
+const { encodeReviewCursor, decodeReviewCursor, reviewsAfterFilter } = require("../lib/reviews")
+
+const ROW = {
+  id: "3f1c2b7e-9a4d-4c1e-8f00-1234567890ab",
+  rating: 4,
+  helpful_count: 2,
+  created_at: "2025-03-01T12:00:00.123456+00:00",
+}
+
+const rawCursor = (value) => Buffer.from(JSON.stringify(value)).toString("base64url")
+
+test("a cursor decodes back to the row it was made from", () => {
+  for (const [sort, key] of [["newest", ROW.created_at], ["highest", 4], ["lowest", 4], ["helpful", 2]]) {
+    assert.deepEqual(decodeReviewCursor(encodeReviewCursor(sort, ROW), sort), {
+      key,
+      createdAt: ROW.created_at,
+      id: ROW.id,
+    })
+  }
+})
+
+test("a cursor only works for the sort it was issued for", () => {
+  assert.equal(decodeReviewCursor(encodeReviewCursor("highest", ROW), "lowest"), null)
+  assert.equal(decodeReviewCursor(rawCursor({ s: "constructor", k: 1, t: ROW.created_at, i: ROW.id }), "constructor"), null)
+})
+
+test("a cursor with a bad timestamp is rejected", () => {
+  for (const t of [
+    "yesterday",
+    '2025-03-01T12:00:00Z"),id.gt.0,(x',
+    "2025-13-01T00:00:00Z",
+    "2025-03-01",
+    "",
+    12345,
+  ]) {
+    assert.equal(decodeReviewCursor(rawCursor({ s: "newest", t, i: ROW.id }), "newest"), null, `t = ${t}`)
+  }
+})
+
+test("a cursor with a bad id or sort value is rejected", () => {
+  assert.equal(decodeReviewCursor(rawCursor({ s: "newest", t: ROW.created_at, i: "1,id.gt.0" }), "newest"), null)
+  assert.equal(decodeReviewCursor(rawCursor({ s: "highest", k: "4,x", t: ROW.created_at, i: ROW.id }), "highest"), null)
+  assert.equal(decodeReviewCursor(rawCursor({ s: "highest", t: ROW.created_at, i: ROW.id }), "highest"), null)
+})
+
+test("garbage isn't a cursor", () => {
+  assert.equal(decodeReviewCursor("not-a-cursor", "newest"), null)
+  assert.equal(decodeReviewCursor(rawCursor(null), "newest"), null)
+})
+
+test("reviewsAfterFilter continues after the cursor row in sort order", () => {
+  const after = decodeReviewCursor(encodeReviewCursor("newest", ROW), "newest")
+  assert.equal(
+    reviewsAfterFilter("newest", after),
+    `created_at.lt."${ROW.created_at}",and(created_at.eq."${ROW.created_at}",id.lt.${ROW.id})`
+  )
+
+  const lowest = decodeReviewCursor(encodeReviewCursor("lowest", ROW), "lowest")
+  assert.equal(
+    reviewsAfterFilter("lowest", lowest),
+    [
+      "rating.gt.4",
+      `and(rating.eq.4,created_at.lt."${ROW.created_at}")`,
+      `and(rating.eq.4,created_at.eq."${ROW.created_at}",id.lt.${ROW.id})`,
+    ].join(",")
+  )
+})
@@ -0,0 +1,64 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+
+const { normalizePhone, parseSmsKeyword, quietHoursEnd } = require("../lib/sms")
+
+test("normalizePhone turns the ways people type a number into E.164", () => {
+  assert.equal(normalizePhone("+1 (555) 010-2000"), "+15550102000")
+  assert.equal(normalizePhone("555-010-2000"), "+15550102000")
+  assert.equal(normalizePhone("5550102000"), "+15550102000")
+  assert.equal(normalizePhone("1 555 010 2000"), "+15550102000")
+  assert.equal(normalizePhone(" +44 20 7946 0958 "), "+442079460958")
+})
+
+test("normalizePhone rejects numbers it can't place", () => {
+  assert.equal(normalizePhone(""), null)
+  assert.equal(normalizePhone(null), null)
+  assert.equal(normalizePhone("555-0102"), null)
+  assert.equal(normalizePhone("2 555 010 2000"), null)
+  assert.equal(normalizePhone("+1234567"), null)
+  assert.equal(normalizePhone("+1234567890123456"), null)
+})
+
+test("parseSmsKeyword matches carrier keywords on the whole message", () => {
+  assert.equal(parseSmsKeyword("STOP"), "stop")
+  assert.equal(parseSmsKeyword(" stop. "), "stop")
+  assert.equal(parseSmsKeyword("Unsubscribe!"), "stop")
+  assert.equal(parseSmsKeyword("start"), "start")
+  assert.equal(parseSmsKeyword("YES"), "start")
+  assert.equal(parseSmsKeyword("help"), "help")
+  assert.equal(parseSmsKeyword("Info"), "help")
+})
+
+test("parseSmsKeyword ignores keywords inside a longer reply", () => {
+  assert.equal(parseSmsKeyword("please stop by at 9"), null)
+  assert.equal(parseSmsKeyword("#3f9a2c yes Saturday works"), null)
+  assert.equal(parseSmsKeyword(""), null)
+  assert.equal(parseSmsKeyword(undefined), null)
+})
+
+test("quietHoursEnd lets texts through during the day", () => {
+  // 12:00 and 08:00 EDT
+  assert.equal(quietHoursEnd("America/New_York", new Date("2026-07-01T16:00:00Z")), null)
+  assert.equal(quietHoursEnd("America/New_York", new Date("2026-07-01T12:00:00Z")), null)
+  // 20:59 EDT
+  assert.equal(quietHoursEnd("America/New_York", new Date("2026-07-02T00:59:00Z")), null)
+})
+
+test("quietHoursEnd holds texts until 8am local time", () => {
+  // 21:00 EDT → 08:00 EDT the next day
+  assert.equal(
+    quietHoursEnd("America/New_York", new Date("2026-07-02T01:00:00Z")).toISOString(),
+    "2026-07-02T12:00:00.000Z"
+  )
+  // 07:30 EDT → 08:00 EDT the same day
+  assert.equal(
+    quietHoursEnd("America/New_York", new Date("2026-07-02T11:30:00Z")).toISOString(),
+    "2026-07-02T12:00:00.000Z"
+  )
+  // 23:15 PDT → 08:00 PDT
+  assert.equal(
+    quietHoursEnd("America/Los_Angeles", new Date("2026-07-02T06:15:00Z")).toISOString(),
+    "2026-07-02T15:00:00.000Z"
+  )
+})